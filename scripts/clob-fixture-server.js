@@ -0,0 +1,61 @@
+// --- CLOB Fixture Server ---
+// Serves recorded order books in place of https://clob.polymarket.com so the depth and fill
+// maths can be exercised offline and reproducibly. Point the app at it with
+// VITE_CLOB_URL=http://localhost:8787.
+//
+//   node scripts/clob-fixture-server.js                     serve fixtures/clob/*.json
+//   node scripts/clob-fixture-server.js --record <tokenId>  record live books into fixtures/clob
+
+import { createServer } from 'node:http';
+import { readFile, readdir, writeFile, mkdir } from 'node:fs/promises';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'clob');
+const LIVE_API = "https://clob.polymarket.com";
+const PORT = Number(process.env.CLOB_FIXTURE_PORT) || 8787;
+
+// Fixture files are raw `/book` responses named after their token id.
+const loadFixtures = async () => {
+  const books = {};
+  for (const file of await readdir(FIXTURE_DIR)) {
+    if (!file.endsWith(".json")) continue;
+    const book = JSON.parse(await readFile(join(FIXTURE_DIR, file), "utf8"));
+    books[book.asset_id || file.replace(/\.json$/, "")] = book;
+  }
+  return books;
+};
+
+const record = async (tokenIds) => {
+  await mkdir(FIXTURE_DIR, { recursive: true });
+  for (const tokenId of tokenIds) {
+    const res = await fetch(`${LIVE_API}/book?token_id=${encodeURIComponent(tokenId)}`);
+    if (!res.ok) {
+      console.error(`Could not record ${tokenId}: HTTP ${res.status}`);
+      continue;
+    }
+    await writeFile(join(FIXTURE_DIR, `${tokenId}.json`), JSON.stringify(await res.json(), null, 2));
+    console.log(`Recorded ${tokenId}`);
+  }
+};
+
+const serve = async () => {
+  const books = await loadFixtures();
+  const send = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+    res.end(JSON.stringify(body));
+  };
+
+  createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    if (url.pathname !== "/book") return send(res, 404, { error: "not found" });
+    const book = books[url.searchParams.get("token_id")];
+    return book ? send(res, 200, book) : send(res, 404, { error: "No orderbook exists for the requested token id" });
+  }).listen(PORT, () => {
+    console.log(`CLOB fixtures (${Object.keys(books).length} books) on http://localhost:${PORT}`);
+  });
+};
+
+const args = process.argv.slice(2);
+if (args[0] === "--record") await record(args.slice(1));
+else await serve();
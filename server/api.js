@@ -0,0 +1,233 @@
+// --- API Routes ---
+// The browser talks only to these routes: gamma and CLOB reads are proxied (and cached) so the
+// app needs no CORS proxies, and model calls run here so API keys stay on the server.
+//
+//   GET  /api/markets               every open soccer event matching the market filters
+//   GET  /api/gamma/events          gamma /events with a whitelisted query
+//   GET  /api/clob/book             CLOB order book for ?token_id=
+//   GET  /api/clob/prices-history   CLOB price history for ?market=
+//   GET  /api/sports/match          verified form, table and H2H for ?home=&away= (sportsData.js)
+//   GET  /api/odds                  sportsbook 1X2 odds from the configured feed (oddsFeed.js)
+//   GET  /api/model/ratings         Dixon-Coles team ratings for the baseline model (baseline.js)
+//   POST /api/analyze               one LLM call (see src/lib/llm.js)
+//   POST /api/alerts/webhook        relays an alert payload to a webhook URL (webhooks.js)
+//   GET  /api/config                which LLM providers and data sources are configured
+//
+// The handler is connect-style (req, res, next) so Vite's dev and preview servers can mount it
+// as middleware; server/index.js wraps it for production. Origins listed in CORS_ORIGINS
+// (server/config.js) may call it cross-origin; requests from any other origin are refused, and
+// POST bodies must be JSON so a cross-site form or text/plain post cannot skip the preflight.
+
+import { PROVIDERS } from '../src/lib/llmProviders.js';
+import { parseMarketFilters, marketFiltersQuery, gammaEventParams } from '../src/lib/marketFilters.js';
+import { createCache } from './cache.js';
+import { HttpError, fetchUpstream } from './upstream.js';
+import { loadAllEvents } from './markets.js';
+import { createSportsData, matchData } from './sportsData.js';
+import { createBaseline } from './baseline.js';
+import { createOddsFeed, loadOdds } from './oddsFeed.js';
+import { postWebhook } from './webhooks.js';
+
+const LLM_TIMEOUT = 180000;
+const MAX_BODY_BYTES = 512 * 1024;
+
+const GAMMA_PARAMS = ["id", "slug", "tag_slug", "active", "closed", "limit", "offset", "order", "ascending"];
+
+// Cache lifetimes (ms) per upstream route; prices move faster than event lists, and a full
+// paged market load is the most expensive thing we do.
+const TTL = {
+  markets: 30000,
+  gamma: 15000,
+  book: 2000,
+  history: 300000,
+  sports: 600000,
+  odds: 300000
+};
+
+const sendJson = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+};
+
+// Lets a configured origin call the API, and answers its preflights.
+const allowCors = (req, res, origins) => {
+  const origin = req.headers.origin;
+  if (!origin || !origins.includes(origin)) return;
+  res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Max-Age", "600");
+  res.setHeader("Vary", "Origin");
+};
+
+// Copies only whitelisted params, keeping repeats (gamma accepts `id=1&id=2`).
+const pickParams = (searchParams, allowed) => {
+  const params = new URLSearchParams();
+  allowed.forEach(name => {
+    searchParams.getAll(name).forEach(value => params.append(name, value));
+  });
+  return params;
+};
+
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Same-origin requests (and those from curl and the like, which send no Origin) plus the
+// configured origins.
+const isAllowedOrigin = (req, origins) => {
+  const origin = req.headers.origin;
+  if (!origin || origins.includes(origin)) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  const type = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (type !== "application/json") {
+    reject(new HttpError(415, "Request body must be application/json"));
+    return;
+  }
+  let size = 0;
+  const chunks = [];
+  req.on("data", chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new HttpError(413, "Request body too large"));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on("end", () => {
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+    } catch {
+      reject(new HttpError(400, "Request body is not valid JSON"));
+    }
+  });
+  req.on("error", reject);
+});
+
+export const createApiHandler = (config) => {
+  const cache = createCache();
+  const sportsData = createSportsData(config);
+  const baseline = createBaseline(config.baselineFiles);
+  const oddsFeed = createOddsFeed(config);
+
+  const cachedGet = (url, ttl) => cache.get(url, ttl, () => fetchUpstream(url));
+
+  const analyze = async (req) => {
+    const { provider: providerId, model, prompt, systemPrompt, json, search } = await readJsonBody(req);
+    const provider = PROVIDERS[providerId];
+    if (!provider) throw new HttpError(400, `Unknown LLM provider: ${providerId}`);
+    if (typeof prompt !== "string" || !prompt.trim()) throw new HttpError(400, "Missing prompt");
+
+    const connection = config.providers[providerId];
+    if (provider.needsKey && !connection.apiKey) {
+      throw new HttpError(400, `${provider.label} is not configured on the server`);
+    }
+
+    const resolvedModel = typeof model === "string" && model.trim() ? model.trim() : provider.defaultModel;
+    const searched = Boolean(search && provider.supportsSearch);
+    try {
+      const { text, usage, grounding } = await withTimeout(provider.generate({ ...connection, model: resolvedModel }, {
+        prompt,
+        systemPrompt: typeof systemPrompt === "string" ? systemPrompt : undefined,
+        json: Boolean(json),
+        search: searched
+      }), LLM_TIMEOUT, "Model call timed out");
+      return { text, usage, grounding, provider: providerId, model: resolvedModel, searched };
+    } catch (err) {
+      // Rate limits pass through as 429 so the client can back off; everything else is a 502.
+      throw new HttpError(err.status === 429 ? 429 : 502, `${provider.label}: ${err.message}`);
+    }
+  };
+
+  const route = async (req, url) => {
+    const { pathname, searchParams } = url;
+
+    if (req.method === "POST" && pathname === "/api/analyze") return analyze(req);
+    if (req.method === "POST" && pathname === "/api/alerts/webhook") return postWebhook(await readJsonBody(req));
+    if (req.method !== "GET") throw new HttpError(405, "Method not allowed");
+
+    switch (pathname) {
+      case "/api/markets": {
+        const filters = parseMarketFilters(searchParams);
+        return cache.get(`markets?${marketFiltersQuery(filters)}`, TTL.markets,
+          () => loadAllEvents(config.gammaUrl, gammaEventParams(filters)));
+      }
+      case "/api/gamma/events":
+        return cachedGet(`${config.gammaUrl}/events?${pickParams(searchParams, GAMMA_PARAMS)}`, TTL.gamma);
+      case "/api/clob/book": {
+        const tokenId = searchParams.get("token_id");
+        if (!tokenId) throw new HttpError(400, "Missing token_id");
+        return cachedGet(`${config.clobUrl}/book?${new URLSearchParams({ token_id: tokenId })}`, TTL.book);
+      }
+      case "/api/clob/prices-history": {
+        if (!searchParams.get("market")) throw new HttpError(400, "Missing market");
+        const params = pickParams(searchParams, ["market", "interval", "fidelity", "startTs", "endTs"]);
+        return cachedGet(`${config.clobUrl}/prices-history?${params}`, TTL.history);
+      }
+      case "/api/sports/match": {
+        const home = searchParams.get("home");
+        const away = searchParams.get("away");
+        if (!home || !away) throw new HttpError(400, "Missing home or away");
+        if (!sportsData) throw new HttpError(404, "No sports data source is configured");
+        return cache.get(`sports?${new URLSearchParams({ home, away })}`, TTL.sports, () => matchData(sportsData, { home, away }));
+      }
+      case "/api/odds":
+        if (!oddsFeed) throw new HttpError(404, "No odds feed is configured");
+        return cache.get("odds", TTL.odds, () => loadOdds(oddsFeed));
+      case "/api/model/ratings":
+        return baseline.ratings();
+      case "/api/config":
+        return {
+          sportsData: sportsData?.label || null,
+          baseline: baseline.configured,
+          odds: oddsFeed?.label || null,
+          providers: Object.fromEntries(Object.entries(PROVIDERS).map(([id, provider]) => [
+            id,
+            !provider.needsKey || Boolean(config.providers[id]?.apiKey)
+          ]))
+        };
+      default:
+        throw new HttpError(404, `No such route: ${pathname}`);
+    }
+  };
+
+  return (req, res, next) => {
+    const url = new URL(req.url, "http://localhost");
+    if (!url.pathname.startsWith("/api/")) {
+      next?.();
+      return;
+    }
+
+    if (!isAllowedOrigin(req, config.corsOrigins)) {
+      sendJson(res, 403, { error: "Origin not allowed" });
+      return;
+    }
+    allowCors(req, res, config.corsOrigins);
+    if (req.method === "OPTIONS") {
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+
+    route(req, url)
+      .then(body => sendJson(res, 200, body))
+      .catch(err => {
+        const status = err instanceof HttpError ? err.status : 500;
+        if (status >= 500) console.error(`${req.method} ${url.pathname} failed:`, err.message);
+        sendJson(res, status, { error: err.message || "Internal error" });
+      });
+  };
+};
@@ -0,0 +1,49 @@
+// --- Baseline Model Ratings ---
+// Fits the Dixon-Coles model (src/lib/dixonColes.js) on the results in the configured match
+// files and serves the team ratings; the app derives every probability from them. Files use
+// the formats of fileSportsData.js, so season CSVs from football-data.co.uk work as they are.
+// The fit is redone only when a file changes. Team names are merged through the alias table,
+// so "Man City" in one file and "Manchester City" in another are one side.
+
+import { stat } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { canonicalTeam } from '../src/lib/matchParser.js';
+import { fitDixonColes } from '../src/lib/dixonColes.js';
+import { readMatchFile } from './fileSportsData.js';
+import { HttpError } from './upstream.js';
+
+export const createBaseline = (files) => {
+  let fitted = null;   // { stamp, ratings }
+
+  return {
+    configured: files.length > 0,
+
+    // Resolves to { teams: { [canonical]: { name, attack, defence, matches } }, homeAdvantage,
+    // rho, averageGoals, matches, source, fittedAt }.
+    ratings: async () => {
+      if (files.length === 0) throw new HttpError(404, "No results files are configured for the baseline model");
+      const stamp = (await Promise.all(files.map(file => stat(file)))).map(s => s.mtimeMs).join(",");
+      if (fitted?.stamp === stamp) return fitted.ratings;
+
+      const names = {};
+      const results = (await Promise.all(files.map(readMatchFile))).flatMap(data => data.results).map(match => {
+        const home = canonicalTeam(match.home);
+        const away = canonicalTeam(match.away);
+        names[home] = match.home;
+        names[away] = match.away;
+        return { ...match, home, away };
+      });
+      const fit = fitDixonColes(results);
+      if (!fit) throw new HttpError(404, "The baseline results files contain no finished matches");
+
+      const ratings = {
+        ...fit,
+        teams: Object.fromEntries(Object.entries(fit.teams).map(([key, team]) => [key, { name: names[key], ...team }])),
+        source: files.map(file => basename(file)).join(", "),
+        fittedAt: Date.now()
+      };
+      fitted = { stamp, ratings };
+      return ratings;
+    }
+  };
+};
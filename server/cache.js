@@ -0,0 +1,43 @@
+// --- Response Cache ---
+// A small in-memory TTL cache for upstream GETs. Concurrent misses for the same key share one
+// upstream request, so a burst of tabs polling prices costs a single call. Failed loads are
+// not cached.
+
+const MAX_ENTRIES = 500;
+
+export const createCache = ({ maxEntries = MAX_ENTRIES } = {}) => {
+  const entries = new Map();   // key -> { value, expires }
+  const inFlight = new Map();  // key -> Promise
+
+  const prune = () => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expires <= now) entries.delete(key);
+    });
+    // Map keeps insertion order, so the oldest entries go first.
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  };
+
+  return {
+    // Resolves to the cached value for `key`, or calls `load` and caches its result for `ttl` ms.
+    get: async (key, ttl, load) => {
+      const hit = entries.get(key);
+      if (hit && hit.expires > Date.now()) return hit.value;
+      if (inFlight.has(key)) return inFlight.get(key);
+
+      const pending = load()
+        .then(value => {
+          entries.set(key, { value, expires: Date.now() + ttl });
+          prune();
+          return value;
+        })
+        .finally(() => inFlight.delete(key));
+      inFlight.set(key, pending);
+      return pending;
+    },
+    clear: () => {
+      entries.clear();
+      inFlight.clear();
+    }
+  };
+};
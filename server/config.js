@@ -0,0 +1,47 @@
+// --- Server Configuration ---
+// Everything secret or host-specific is read from the environment here and nowhere else.
+// The VITE_ names are still accepted for keys so existing .env files keep working; the
+// server never hands them to the client bundle.
+
+export const loadConfig = (env = process.env) => ({
+  port: parseInt(env.PORT, 10) || 3001,
+  // The API spends the keys below for whoever can reach it, so it only listens locally unless
+  // told otherwise.
+  host: env.HOST || "127.0.0.1",
+  // Origins allowed to call the API from the browser when the app is served elsewhere.
+  corsOrigins: (env.CORS_ORIGINS || "").split(",").map(origin => origin.trim().replace(/\/$/, "")).filter(Boolean),
+  gammaUrl: (env.GAMMA_URL || "https://gamma-api.polymarket.com").replace(/\/$/, ""),
+  clobUrl: (env.CLOB_URL || "https://clob.polymarket.com").replace(/\/$/, ""),
+  providers: {
+    gemini: { apiKey: env.GEMINI_API_KEY || env.VITE_GEMINI_API_KEY || "" },
+    openai: {
+      apiKey: env.OPENAI_API_KEY || env.VITE_OPENAI_API_KEY || "",
+      baseUrl: env.OPENAI_BASE_URL || env.VITE_OPENAI_BASE_URL || "https://api.openai.com/v1"
+    },
+    local: { baseUrl: env.LOCAL_LLM_URL || env.VITE_LOCAL_LLM_URL || "http://localhost:11434" }
+  },
+  // Verified form and tables for research (see sportsData.js); a file takes precedence.
+  sportsData: {
+    file: env.SPORTS_DATA_FILE || "",
+    footballData: {
+      url: (env.FOOTBALL_DATA_URL || "https://api.football-data.org/v4").replace(/\/$/, ""),
+      apiKey: env.FOOTBALL_DATA_API_KEY || "",
+      competitions: (env.FOOTBALL_DATA_COMPETITIONS || "PL,PD,SA,BL1,FL1,DED,PPL,ELC,CL")
+        .split(",").map(code => code.trim()).filter(Boolean)
+    }
+  },
+  // Sportsbook 1X2 odds for the cross-book comparison (see oddsFeed.js); a file takes precedence.
+  odds: {
+    file: env.ODDS_FILE || "",
+    oddsApi: {
+      url: (env.ODDS_API_URL || "https://api.the-odds-api.com/v4").replace(/\/$/, ""),
+      apiKey: env.ODDS_API_KEY || "",
+      sports: (env.ODDS_API_SPORTS || "soccer_epl,soccer_spain_la_liga,soccer_italy_serie_a,soccer_germany_bundesliga,soccer_france_ligue_one,soccer_uefa_champs_league")
+        .split(",").map(sport => sport.trim()).filter(Boolean),
+      regions: env.ODDS_API_REGIONS || "eu,uk"
+    }
+  },
+  // Results the baseline model is fitted on (see baseline.js); defaults to the sports-data file.
+  baselineFiles: (env.BASELINE_RESULTS_FILES || env.SPORTS_DATA_FILE || "")
+    .split(",").map(file => file.trim()).filter(Boolean)
+});
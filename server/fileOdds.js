@@ -0,0 +1,94 @@
+// --- Local Odds File ---
+// An odds feed (see oddsFeed.js) over a file on disk, for imported or hand-collected prices.
+//
+//   .csv   one row per fixture and book: kickoff, competition, home, away, book, home_odds,
+//          draw_odds, away_odds. football-data.co.uk files work too: every known bookmaker
+//          column triple (B365H/B365D/B365A, PSH/PSD/PSA, ...) becomes one book.
+//   .json  [{ competition, kickoff, home, away, books: [{ book, home, draw, away }] }]
+//
+// Re-read when the file changes.
+
+import { readFile, stat } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { splitCsvLine, parseDate } from './fileSportsData.js';
+
+// football-data.co.uk column prefixes.
+const BOOK_PREFIXES = {
+  B365: "Bet365",
+  BW: "bwin",
+  BF: "Betfair",
+  IW: "Interwetten",
+  PS: "Pinnacle",
+  WH: "William Hill",
+  VC: "VC Bet",
+  "1XB": "1xBet"
+};
+
+const toOdds = (value) => {
+  const odds = parseFloat(value);
+  return Number.isFinite(odds) ? odds : null;
+};
+
+const parseCsv = (text) => {
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+  const columns = splitCsvLine(header || "").map(name => name.toLowerCase());
+  const events = new Map();
+
+  lines.forEach(line => {
+    const values = splitCsvLine(line);
+    const row = Object.fromEntries(columns.map((name, i) => [name, values[i]]));
+    const home = row.home || row.hometeam;
+    const away = row.away || row.awayteam;
+    const kickoff = parseDate(row.kickoff || (row.time ? `${row.date} ${row.time}` : row.date));
+    if (!home || !away || !kickoff) return;
+
+    const key = `${kickoff}|${home}|${away}`;
+    if (!events.has(key)) {
+      events.set(key, { id: key, competition: row.competition || row.div || "", kickoff, home, away, books: [] });
+    }
+    const event = events.get(key);
+    if (row.book) {
+      event.books.push({ book: row.book, home: toOdds(row.home_odds), draw: toOdds(row.draw_odds), away: toOdds(row.away_odds), updatedAt: null });
+    }
+    Object.entries(BOOK_PREFIXES).forEach(([prefix, book]) => {
+      const odds = ["h", "d", "a"].map(side => toOdds(row[`${prefix.toLowerCase()}${side}`]));
+      if (odds.every(Boolean)) event.books.push({ book, home: odds[0], draw: odds[1], away: odds[2], updatedAt: null });
+    });
+  });
+  return [...events.values()];
+};
+
+const parseJson = (text) => {
+  const data = JSON.parse(text);
+  return (Array.isArray(data) ? data : []).map((event, i) => ({
+    id: event.id ?? `${i}`,
+    competition: event.competition || "",
+    kickoff: parseDate(event.kickoff),
+    home: event.home,
+    away: event.away,
+    books: (event.books || []).map(book => ({
+      book: book.book,
+      home: toOdds(book.home),
+      draw: toOdds(book.draw),
+      away: toOdds(book.away),
+      updatedAt: book.updatedAt || null
+    }))
+  }));
+};
+
+export const createFileOddsFeed = (path) => {
+  let loaded = null;   // { mtime, events }
+
+  return {
+    label: basename(path),
+
+    events: async () => {
+      const { mtimeMs } = await stat(path);
+      if (loaded?.mtime !== mtimeMs) {
+        const text = await readFile(path, "utf8");
+        loaded = { mtime: mtimeMs, events: extname(path).toLowerCase() === ".json" ? parseJson(text) : parseCsv(text) };
+      }
+      return loaded.events;
+    }
+  };
+};
@@ -0,0 +1,184 @@
+// --- Local File Source ---
+// A sports-data source (see sportsData.js) over a file on disk, for leagues no API covers or
+// for data checked by hand. Two formats:
+//
+//   .csv   one match per row. football-data.co.uk season files work as they are (Div, Date,
+//          HomeTeam, AwayTeam, FTHG, FTAG); so do the columns date, competition, home, away,
+//          home_goals, away_goals. Rows without goals are fixtures.
+//   .json  { results: [match], fixtures: [match], standings: { [competition]: [row] },
+//            injuries: { [team]: [{ player, reason, until }] } }, matches as in sportsData.js.
+//
+// Tables missing from the file are computed from its results. The file is re-read when it
+// changes, so it can be edited while the server runs.
+
+import { readFile, stat } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { normalizeTeamName } from '../src/lib/matchParser.js';
+
+// CSV header -> match field, across the formats above.
+const CSV_COLUMNS = {
+  div: "competition",
+  competition: "competition",
+  date: "date",
+  hometeam: "home",
+  home: "home",
+  awayteam: "away",
+  away: "away",
+  fthg: "homeGoals",
+  home_goals: "homeGoals",
+  ftag: "awayGoals",
+  away_goals: "awayGoals"
+};
+
+// Splits one CSV line, honouring double-quoted fields.
+export const splitCsvLine = (line) => {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields.map(f => f.trim());
+};
+
+// dd/mm/yy and dd/mm/yyyy (football-data.co.uk), optionally followed by hh:mm (taken as UTC),
+// or anything Date.parse reads.
+export const parseDate = (value) => {
+  const dmy = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/.exec(value || "");
+  if (dmy) {
+    const year = dmy[3].length === 2 ? 2000 + Number(dmy[3]) : Number(dmy[3]);
+    return new Date(Date.UTC(year, Number(dmy[2]) - 1, Number(dmy[1]), Number(dmy[4] || 0), Number(dmy[5] || 0))).toISOString();
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+const toGoals = (value) => (value === "" || value == null || Number.isNaN(Number(value)) ? null : Number(value));
+
+const toMatch = (raw) => ({
+  date: parseDate(raw.date),
+  competition: raw.competition || "",
+  home: raw.home || "",
+  away: raw.away || "",
+  homeGoals: toGoals(raw.homeGoals),
+  awayGoals: toGoals(raw.awayGoals)
+});
+
+const isPlayed = (match) => match.homeGoals != null && match.awayGoals != null;
+
+const parseCsv = (text) => {
+  const [header, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+  const columns = splitCsvLine(header || "").map(name => CSV_COLUMNS[name.toLowerCase()]);
+  const matches = lines.map(line => {
+    const raw = {};
+    splitCsvLine(line).forEach((value, i) => {
+      if (columns[i] && raw[columns[i]] === undefined) raw[columns[i]] = value;
+    });
+    return toMatch(raw);
+  }).filter(match => match.date && match.home && match.away);
+  return { results: matches.filter(isPlayed), fixtures: matches.filter(m => !isPlayed(m)), standings: {}, injuries: {} };
+};
+
+const parseJson = (text) => {
+  const data = JSON.parse(text);
+  const matches = (list) => (Array.isArray(list) ? list : []).map(toMatch).filter(match => match.date && match.home && match.away);
+  return {
+    results: matches(data.results).filter(isPlayed),
+    fixtures: matches(data.fixtures),
+    standings: data.standings || {},
+    injuries: data.injuries || {}
+  };
+};
+
+// Three points a win, ordered by points, goal difference, then goals scored.
+const computeTable = (results) => {
+  const rows = {};
+  const row = (team) => (rows[team] = rows[team] || { team, played: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0, points: 0 });
+  results.forEach(match => {
+    [[match.home, match.homeGoals, match.awayGoals], [match.away, match.awayGoals, match.homeGoals]].forEach(([team, scored, conceded]) => {
+      const r = row(team);
+      r.played += 1;
+      r.goalsFor += scored;
+      r.goalsAgainst += conceded;
+      if (scored > conceded) { r.won += 1; r.points += 3; }
+      else if (scored === conceded) { r.drawn += 1; r.points += 1; }
+      else r.lost += 1;
+    });
+  });
+  return Object.values(rows)
+    .map(r => ({ ...r, goalDifference: r.goalsFor - r.goalsAgainst }))
+    .sort((a, b) => b.points - a.points || b.goalDifference - a.goalDifference || b.goalsFor - a.goalsFor)
+    .map((r, i) => ({ position: i + 1, ...r }));
+};
+
+const sameTeam = (a, b) => normalizeTeamName(a) === normalizeTeamName(b);
+const involves = (match, team) => sameTeam(match.home, team.name) || sameTeam(match.away, team.name);
+const newestFirst = (a, b) => b.date.localeCompare(a.date);
+
+// Reads a match file in either format; the baseline model (baseline.js) fits on these too.
+export const readMatchFile = async (path) => {
+  const text = await readFile(path, "utf8");
+  return extname(path).toLowerCase() === ".json" ? parseJson(text) : parseCsv(text);
+};
+
+export const createFileSource = (path) => {
+  let loaded = null;   // { mtime, data }
+
+  const data = async () => {
+    const { mtimeMs } = await stat(path);
+    if (loaded?.mtime !== mtimeMs) loaded = { mtime: mtimeMs, data: await readMatchFile(path) };
+    return loaded.data;
+  };
+
+  return {
+    label: basename(path),
+
+    // Every team in the file, with the competition of its latest match.
+    teams: async () => {
+      const { results, fixtures } = await data();
+      const teams = new Map();
+      [...results, ...fixtures].sort((a, b) => a.date.localeCompare(b.date)).forEach(match => {
+        [match.home, match.away].forEach(name => {
+          teams.set(normalizeTeamName(name), { id: name, name, competition: match.competition });
+        });
+      });
+      return [...teams.values()];
+    },
+
+    results: async (team, limit) => (await data()).results.filter(m => involves(m, team)).sort(newestFirst).slice(0, limit),
+
+    fixtures: async (team) => (await data()).fixtures
+      .filter(m => involves(m, team) && m.date >= new Date().toISOString())
+      .sort((a, b) => a.date.localeCompare(b.date)),
+
+    standings: async (team) => {
+      const { results, standings } = await data();
+      if (!team.competition) return null;
+      return standings[team.competition] || computeTable(results.filter(m => m.competition === team.competition));
+    },
+
+    injuries: async (team) => {
+      const { injuries } = await data();
+      const key = Object.keys(injuries).find(name => sameTeam(name, team.name));
+      return key ? injuries[key] : null;
+    }
+  };
+};
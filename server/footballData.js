@@ -0,0 +1,100 @@
+// --- football-data.org Source ---
+// A sports-data source (see sportsData.js) over the football-data.org v4 REST API. Teams are
+// listed per configured competition, since the API has no name search. The free tier allows
+// 10 requests a minute, so everything is cached: team lists and tables for hours, results for
+// minutes. The API has no injury data.
+
+import { createCache } from './cache.js';
+import { fetchUpstream } from './upstream.js';
+
+const DAY = 86400000;
+const RESULTS_WINDOW = 120 * DAY;
+const FIXTURES_WINDOW = 30 * DAY;
+
+const TTL = {
+  teams: DAY,
+  standings: 3600000,
+  matches: 600000
+};
+
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+const toMatch = (match) => ({
+  id: match.id,
+  date: match.utcDate,
+  competition: match.competition?.name || "",
+  home: match.homeTeam?.shortName || match.homeTeam?.name || "",
+  away: match.awayTeam?.shortName || match.awayTeam?.name || "",
+  homeGoals: match.score?.fullTime?.home ?? null,
+  awayGoals: match.score?.fullTime?.away ?? null
+});
+
+// `competitions` are football-data codes ("PL", "PD", ...).
+export const createFootballDataSource = ({ url, apiKey, competitions }) => {
+  const cache = createCache({ maxEntries: 200 });
+  const get = (path, ttl) => cache.get(path, ttl, () => fetchUpstream(`${url}${path}`, { headers: { "X-Auth-Token": apiKey } }));
+
+  const teamMatches = async (team, params) => {
+    const data = await get(`/teams/${team.id}/matches?${new URLSearchParams(params)}`, TTL.matches);
+    return (data.matches || []).map(toMatch);
+  };
+
+  const fixtures = async (team) => {
+    const today = Date.now();
+    const matches = await teamMatches(team, { status: "SCHEDULED,TIMED", dateFrom: isoDate(today), dateTo: isoDate(today + FIXTURES_WINDOW) });
+    return matches.sort((a, b) => a.date.localeCompare(b.date));
+  };
+
+  return {
+    label: "football-data.org",
+
+    teams: async () => {
+      const lists = [];
+      for (const code of competitions) {
+        const data = await get(`/competitions/${code}/teams`, TTL.teams);
+        lists.push((data.teams || []).map(team => ({
+          id: team.id,
+          name: team.shortName || team.name,
+          competition: data.competition?.name || code,
+          code
+        })));
+      }
+      return lists.flat();
+    },
+
+    // Day-granular windows keep the cache key stable for the whole day.
+    results: async (team, limit) => {
+      const today = Date.now();
+      const matches = await teamMatches(team, { status: "FINISHED", dateFrom: isoDate(today - RESULTS_WINDOW), dateTo: isoDate(today) });
+      return matches.sort((a, b) => b.date.localeCompare(a.date)).slice(0, limit);
+    },
+
+    fixtures,
+
+    // The API answers head-to-head per fixture, so it needs the upcoming meeting.
+    headToHead: async (home, away, limit) => {
+      const upcoming = (await fixtures(home)).find(match => match.away === away.name || match.home === away.name);
+      if (!upcoming) return [];
+      const data = await get(`/matches/${upcoming.id}/head2head?limit=${limit}`, TTL.matches);
+      return (data.matches || []).map(toMatch).sort((a, b) => b.date.localeCompare(a.date));
+    },
+
+    standings: async (team) => {
+      if (!team.code) return null;
+      const data = await get(`/competitions/${team.code}/standings`, TTL.standings);
+      const total = (data.standings || []).find(s => s.type === "TOTAL");
+      return (total?.table || []).map(row => ({
+        position: row.position,
+        team: row.team?.shortName || row.team?.name || "",
+        played: row.playedGames,
+        won: row.won,
+        drawn: row.draw,
+        lost: row.lost,
+        goalDifference: row.goalDifference,
+        points: row.points
+      }));
+    },
+
+    injuries: async () => null
+  };
+};
@@ -0,0 +1,67 @@
+// --- Production Server ---
+// Serves the API routes (server/api.js) and the built app from dist/ on one port:
+//
+//   npm run build && npm start
+//
+// In development the same routes are mounted into Vite (vite.config.js), so this file is
+// only needed for a standalone deployment.
+
+import { createServer } from 'node:http';
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { join, dirname, extname, normalize } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadConfig } from './config.js';
+import { createApiHandler } from './api.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const DIST = join(ROOT, 'dist');
+const ENV_FILE = join(ROOT, '.env');
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript",
+  ".css": "text/css",
+  ".json": "application/json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2"
+};
+
+if (existsSync(ENV_FILE)) process.loadEnvFile(ENV_FILE);
+const config = loadConfig();
+const api = createApiHandler(config);
+
+// Static files from dist/, falling back to index.html so client-side routes load the app.
+const serveStatic = async (req, res) => {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+  } catch {
+    res.writeHead(400, { "Content-Type": "text/plain" });
+    res.end("Bad request path");
+    return;
+  }
+  const file = normalize(join(DIST, pathname));
+  const candidates = file.startsWith(DIST) && extname(file) ? [file] : [];
+  candidates.push(join(DIST, "index.html"));
+
+  for (const candidate of candidates) {
+    try {
+      const body = await readFile(candidate);
+      res.writeHead(200, { "Content-Type": CONTENT_TYPES[extname(candidate)] || "application/octet-stream" });
+      res.end(body);
+      return;
+    } catch {
+      // try the next candidate
+    }
+  }
+  res.writeHead(404, { "Content-Type": "text/plain" });
+  res.end("Not found - run `npm run build` first");
+};
+
+createServer((req, res) => api(req, res, () => serveStatic(req, res)))
+  .listen(config.port, config.host, () => {
+    console.log(`PolySoccer on http://${config.host}:${config.port}`);
+  });
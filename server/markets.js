@@ -0,0 +1,31 @@
+// --- Market Loading ---
+// Pages through gamma `/events` until a short page comes back, so lower-volume leagues are
+// not cut off at the first page. Offsets can shift while paging (volumes move), which
+// repeats or skips events at page boundaries; repeats are dropped by event id.
+
+import { fetchUpstream, sleep } from './upstream.js';
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 20;        // hard stop at 2000 events
+const PAGE_DELAY = 150;      // keeps a full load well under gamma's rate limit
+
+// `params` are gamma `/events` params without limit/offset (see gammaEventParams).
+export const loadAllEvents = async (gammaUrl, params) => {
+  const events = new Map();
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const query = new URLSearchParams(params);
+    query.set("limit", PAGE_SIZE);
+    query.set("offset", page * PAGE_SIZE);
+
+    const batch = await fetchUpstream(`${gammaUrl}/events?${query}`);
+    if (!Array.isArray(batch)) break;
+    batch.forEach(event => {
+      if (event?.id != null && !events.has(String(event.id))) events.set(String(event.id), event);
+    });
+    if (batch.length < PAGE_SIZE) break;
+    await sleep(PAGE_DELAY);
+  }
+
+  return [...events.values()];
+};
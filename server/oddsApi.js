@@ -0,0 +1,42 @@
+// --- The Odds API Feed ---
+// An odds feed (see oddsFeed.js) over the-odds-api.com v4. Every sport key is one request and
+// every request spends quota, so the API route caches the combined list for a few minutes.
+
+import { fetchUpstream } from './upstream.js';
+
+// One bookmaker's h2h market as home/draw/away decimal odds.
+const toBook = (bookmaker, event) => {
+  const outcomes = bookmaker.markets?.find(m => m.key === "h2h")?.outcomes || [];
+  const price = (name) => outcomes.find(o => o.name === name)?.price ?? null;
+  return {
+    book: bookmaker.title || bookmaker.key,
+    home: price(event.home_team),
+    draw: price("Draw"),
+    away: price(event.away_team),
+    updatedAt: bookmaker.last_update || null
+  };
+};
+
+// `sports` are the API's sport keys ("soccer_epl", ...); `regions` its bookmaker regions.
+export const createOddsApiFeed = ({ url, apiKey, sports, regions }) => ({
+  label: "the-odds-api.com",
+
+  events: async () => {
+    const events = [];
+    for (const sport of sports) {
+      const query = new URLSearchParams({ apiKey, regions, markets: "h2h", oddsFormat: "decimal", dateFormat: "iso" });
+      const data = await fetchUpstream(`${url}/sports/${sport}/odds?${query}`);
+      (Array.isArray(data) ? data : []).forEach(event => {
+        events.push({
+          id: event.id,
+          competition: event.sport_title || sport,
+          kickoff: event.commence_time,
+          home: event.home_team,
+          away: event.away_team,
+          books: (event.bookmakers || []).map(bookmaker => toBook(bookmaker, event))
+        });
+      });
+    }
+    return events;
+  }
+});
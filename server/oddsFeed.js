@@ -0,0 +1,32 @@
+// --- Sportsbook Odds Feeds ---
+// 1X2 odds from sportsbooks, the sharper reference for whether a Polymarket price is off.
+// A feed implements
+//
+//   label       shown next to the odds ("the-odds-api.com", a file name)
+//   events()    [{ id, competition, kickoff, home, away, books: [{ book, home, draw, away, updatedAt }] }]
+//
+// with decimal odds and ISO kick-off times. The app matches feed events to gamma events itself
+// (src/lib/bookOdds.js), so one cached call covers every card.
+
+import { createOddsApiFeed } from './oddsApi.js';
+import { createFileOddsFeed } from './fileOdds.js';
+
+// A local file wins over the API; null when neither is set up.
+export const createOddsFeed = (config) => {
+  const { file, oddsApi } = config.odds;
+  if (file) return createFileOddsFeed(file);
+  if (oddsApi.apiKey) return createOddsApiFeed(oddsApi);
+  return null;
+};
+
+// What /api/odds returns. Books without a full, valid 1X2 price are dropped, and events left
+// without books.
+export const loadOdds = async (feed) => {
+  const events = (await feed.events())
+    .map(event => ({
+      ...event,
+      books: event.books.filter(book => ["home", "draw", "away"].every(key => book[key] > 1))
+    }))
+    .filter(event => event.home && event.away && event.books.length > 0);
+  return { source: feed.label, fetchedAt: Date.now(), events };
+};
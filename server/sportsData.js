@@ -0,0 +1,98 @@
+// --- Sports Data ---
+// Verified fixtures, results, standings and injuries for the research step, so recent form and
+// head-to-head come from a data source instead of the model's recall. Every source implements
+//
+//   label                        shown next to the data ("football-data.org", a file name)
+//   teams()                      [{ id, name, competition }] the source knows about
+//   results(team, limit)         finished matches, newest first
+//   fixtures(team)               scheduled matches, soonest first
+//   headToHead(home, away, n)    finished meetings, newest first (optional)
+//   standings(team)              the table of the team's competition, or null
+//   injuries(team)               [{ player, reason, until }], or null when the source has none
+//
+// Matches are { date, competition, home, away, homeGoals, awayGoals } with ISO dates and team
+// names as the source spells them. matchData() assembles what /api/sports/match returns.
+
+import { teamSimilarity } from '../src/lib/matchParser.js';
+import { HttpError } from './upstream.js';
+import { createFootballDataSource } from './footballData.js';
+import { createFileSource } from './fileSportsData.js';
+
+const FORM_LENGTH = 5;
+const H2H_LENGTH = 5;
+// Names below this similarity are not taken for the same club.
+const MIN_TEAM_SCORE = 0.8;
+
+// The configured source: a local file wins over the REST API; null when neither is set up.
+export const createSportsData = (config) => {
+  const { file, footballData } = config.sportsData;
+  if (file) return createFileSource(file);
+  if (footballData.apiKey) return createFootballDataSource(footballData);
+  return null;
+};
+
+const findTeam = async (source, name) => {
+  let best = null;
+  (await source.teams()).forEach(team => {
+    const score = teamSimilarity(name, team.name);
+    if (score >= MIN_TEAM_SCORE && (!best || score > best.score)) best = { team, score };
+  });
+  if (!best) throw new HttpError(404, `${source.label} has no team matching "${name}"`);
+  return best.team;
+};
+
+const isTeam = (name, team) => teamSimilarity(name, team.name) >= MIN_TEAM_SCORE;
+
+// One finished match from `team`'s side: opponent, venue, score with the team's goals first.
+const formEntry = (match, team) => {
+  const home = isTeam(match.home, team);
+  const scored = home ? match.homeGoals : match.awayGoals;
+  const conceded = home ? match.awayGoals : match.homeGoals;
+  return {
+    date: match.date,
+    competition: match.competition,
+    opponent: home ? match.away : match.home,
+    venue: home ? "H" : "A",
+    score: `${scored}-${conceded}`,
+    result: scored > conceded ? "W" : scored < conceded ? "L" : "D"
+  };
+};
+
+const standingOf = (table, team) => table?.find(row => isTeam(row.team, team)) || null;
+
+const teamData = async (source, team) => {
+  const results = await source.results(team, FORM_LENGTH);
+  const table = await source.standings(team);
+  const injuries = await source.injuries(team);
+  return {
+    name: team.name,
+    competition: team.competition || null,
+    form: results.slice(0, FORM_LENGTH).map(match => formEntry(match, team)),
+    standing: standingOf(table, team),
+    injuries
+  };
+};
+
+// Sources without a head-to-head call get meetings from the home side's recent results.
+const headToHead = async (source, home, away) => {
+  const meetings = source.headToHead
+    ? await source.headToHead(home, away, H2H_LENGTH)
+    : (await source.results(home, 50)).filter(match => isTeam(match.home, away) || isTeam(match.away, away));
+  return meetings.slice(0, H2H_LENGTH).map(match => ({
+    date: match.date,
+    competition: match.competition,
+    home: match.home,
+    away: match.away,
+    score: `${match.homeGoals}-${match.awayGoals}`
+  }));
+};
+
+export const matchData = async (source, { home, away }) => {
+  // One call at a time: rate-limited APIs count every request.
+  const homeTeam = await findTeam(source, home);
+  const awayTeam = await findTeam(source, away);
+  const homeData = await teamData(source, homeTeam);
+  const awayData = await teamData(source, awayTeam);
+  const h2h = await headToHead(source, homeTeam, awayTeam);
+  return { source: source.label, fetchedAt: Date.now(), home: homeData, away: awayData, h2h };
+};
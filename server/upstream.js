@@ -0,0 +1,47 @@
+// --- Upstream Requests ---
+// GETs against gamma, the CLOB and the sports-data API. Rate limits (429) and brief outages (503) are retried with
+// backoff, honouring Retry-After; anything else surfaces as an HttpError for the route.
+
+const UPSTREAM_TIMEOUT = 15000;
+const MAX_RETRIES = 3;
+const BASE_BACKOFF = 1000;
+const MAX_BACKOFF = 10000;
+const RETRY_STATUSES = new Set([429, 503]);
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either delta-seconds or an HTTP date.
+const retryDelay = (res, attempt) => {
+  const header = res.headers.get("retry-after");
+  const seconds = Number(header);
+  const hinted = header == null ? NaN : Number.isFinite(seconds) ? seconds * 1000 : Date.parse(header) - Date.now();
+  const delay = Number.isFinite(hinted) && hinted >= 0 ? hinted : BASE_BACKOFF * 2 ** attempt;
+  return Math.min(MAX_BACKOFF, delay);
+};
+
+// `headers` carry credentials for upstreams that need them.
+export const fetchUpstream = async (url, { headers } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(url, { headers, signal: AbortSignal.timeout(UPSTREAM_TIMEOUT) });
+    } catch (err) {
+      throw new HttpError(502, `Upstream unreachable: ${err.message}`);
+    }
+    if (res.ok) return res.json();
+
+    if (RETRY_STATUSES.has(res.status) && attempt < MAX_RETRIES) {
+      await sleep(retryDelay(res, attempt));
+      continue;
+    }
+    if (res.status === 429) throw new HttpError(429, "Upstream rate limit exceeded, try again shortly");
+    throw new HttpError(res.status === 404 ? 404 : 502, `Upstream returned HTTP ${res.status}`);
+  }
+};
@@ -0,0 +1,99 @@
+// --- Alert Webhooks ---
+// Posts alert payloads (src/lib/alerts.js) for the browser: Slack and Discord webhooks do not
+// answer CORS preflights, so the app cannot call them itself. Only http(s) targets on public
+// addresses and JSON bodies are relayed, and nothing is retried; a missed alert is not worth a
+// duplicate. The address check runs inside the connection's own DNS lookup, so a host cannot
+// pass it and then resolve to a private address, and redirects are not followed.
+
+import { request as httpRequest } from 'node:http';
+import { request as httpsRequest } from 'node:https';
+import { lookup } from 'node:dns';
+import { isIP } from 'node:net';
+import { HttpError } from './upstream.js';
+
+const WEBHOOK_TIMEOUT = 10000;
+
+// IPv4 ranges that are not the public internet: this host, loopback, private, carrier-grade
+// NAT, link-local, benchmarking, multicast and reserved.
+const PRIVATE_V4 = [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+];
+
+const v4ToInt = (address) => address.split(".").reduce((n, octet) => n * 256 + Number(octet), 0);
+
+const isPrivateV4 = (address) => PRIVATE_V4.some(([base, bits]) => {
+  const size = 2 ** (32 - bits);
+  return Math.floor(v4ToInt(address) / size) === Math.floor(v4ToInt(base) / size);
+});
+
+// IPv4-mapped IPv6 (::ffff:a.b.c.d, or ::ffff:7f00:1 as URL parsing writes it) as IPv4.
+const mappedV4 = (address) => {
+  const match = address.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (!match) return null;
+  if (match[1]) return match[1];
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join(".");
+};
+
+export const isPrivateAddress = (raw) => {
+  const address = raw.toLowerCase().replace(/^\[|\]$/g, "");
+  if (isIP(address) === 4) return isPrivateV4(address);
+  const v4 = mappedV4(address);
+  if (v4) return isPrivateV4(v4);
+  // Unspecified, loopback, unique-local (fc00::/7), link-local (fe80::/10) and multicast.
+  return address === "::" || address === "::1" || /^(f[cd]|fe[89ab]|ff)/.test(address);
+};
+
+const privateHostError = (address) => new HttpError(400, `Webhook host is not a public address (${address})`);
+
+// dns.lookup, failing for any host with a private address among its answers.
+const publicLookup = (hostname, options, callback) => {
+  lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(privateHostError(blocked.address));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const post = (target, body) => new Promise((resolve, reject) => {
+  const request = target.protocol === "https:" ? httpsRequest : httpRequest;
+  const req = request(target, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "Content-Length": Buffer.byteLength(body) },
+    lookup: publicLookup,
+    timeout: WEBHOOK_TIMEOUT
+  }, res => {
+    res.resume();
+    res.on("end", () => resolve(res.statusCode));
+  });
+  req.on("timeout", () => req.destroy(new Error("timed out")));
+  req.on("error", reject);
+  req.end(body);
+});
+
+export const postWebhook = async ({ url, payload }) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    throw new HttpError(400, "Invalid webhook URL");
+  }
+  if (target.protocol !== "https:" && target.protocol !== "http:") throw new HttpError(400, "Webhook URL must be http(s)");
+  // Literal addresses never reach the DNS lookup.
+  if (isIP(target.hostname.replace(/^\[|\]$/g, "")) && isPrivateAddress(target.hostname)) throw privateHostError(target.hostname);
+  if (!payload || typeof payload !== "object") throw new HttpError(400, "Missing webhook payload");
+
+  let status;
+  try {
+    status = await post(target, JSON.stringify(payload));
+  } catch (err) {
+    if (err instanceof HttpError) throw err;
+    throw new HttpError(502, `Webhook unreachable: ${err.message}`);
+  }
+  if (status < 200 || status >= 300) throw new HttpError(502, `Webhook returned HTTP ${status}`);
+  return { delivered: true, status };
+};
@@ -1,11 +1,8 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import {
   TrendingUp,
   Search,
   RefreshCw,
-  AlertCircle,
-  CheckCircle2,
-  XCircle,
   BrainCircuit,
   Zap,
   Trophy,
@@ -17,13 +14,102 @@ import {
   ExternalLink,
   Wifi,
   WifiOff,
-  Globe
+  Globe,
+  Settings,
+  History,
+  Wallet,
+  Target,
+  Flame,
+  Bell,
+  Database
 } from 'lucide-react';
-
-// --- Configuration ---
-const GEMINI_MODEL = "gemini-2.5-flash-preview-09-2025";
-const POLYMARKET_API = "https://gamma-api.polymarket.com/events";
-const TAG_SLUG = "soccer";
+import { generateText, loadLlmSettings, saveLlmSettings, formatModelLabel } from './lib/llm';
+import { requestValidAnalysis } from './lib/analysisSchema';
+import { applyValuation, repriceOutcomes, loadValueSettings, saveValueSettings, PROBABILITY_SOURCES } from './lib/valuation';
+import { createPosition, loadPositions, settlePositions } from './lib/portfolio';
+import { loadSettlements, settleEvents } from './lib/settlement';
+import { buildTrackRecord } from './lib/trackRecord';
+import { parseEventMarkets, analysisKeyFor, isPartialField } from './lib/marketTypes';
+import { outcomePriceMap, tokenPriceMap, applyTokenPrices } from './lib/markets';
+import { priceGroup, DEVIG_METHODS } from './lib/pricing';
+import { eventSteam, STEAM_WINDOW } from './lib/priceHistory';
+import { buildSystemPrompt, buildResearchPrompt, buildAnalysisPrompt } from './lib/prompts';
+import { marketsPath, fetchGammaJson } from './lib/polymarket';
+import { loadMarketFilters, saveMarketFilters, readMarketFiltersFromQuery, writeMarketFiltersToQuery } from './lib/marketFilters';
+import { applyView, readViewFromQuery, writeViewToQuery, leagueOptions, eventKickoff } from './lib/viewFilters';
+import usePortfolio from './hooks/usePortfolio';
+import useMarketStream from './hooks/useMarketStream';
+import usePriceHistory from './hooks/usePriceHistory';
+import useAnalysisQueue from './hooks/useAnalysisQueue';
+import useNow from './hooks/useNow';
+import useBookOdds from './hooks/useBookOdds';
+import useAlerts from './hooks/useAlerts';
+import useRoute from './hooks/useRoute';
+import useEventBySlug from './hooks/useEventBySlug';
+import { loadQueueSettings, saveQueueSettings, isActiveJob } from './lib/jobQueue';
+import { EMPTY_USAGE, addUsage, callUsage } from './lib/usage';
+import {
+  loadCacheSettings,
+  saveCacheSettings,
+  researchCacheKey,
+  analysisCacheKey,
+  priceBucket,
+  researchStaleness,
+  readCache,
+  writeCache,
+  pruneCache
+} from './lib/analysisCache';
+import { buildAnalysisRecord, saveAnalysisRecord, loadAnalysisRecords, groupRecordsByEvent, latestResultsByKey } from './lib/analysisHistory';
+import { toPercent, formatMoney, formatDate, formatSigned } from './lib/format';
+import { annotateResearch, hasSources } from './lib/grounding';
+import { fetchMatchData, describeMatchData, formTiles } from './lib/sportsData';
+import { fetchRatings, baselineForGroup } from './lib/baseline';
+import { findBookEvent, bookConsensus, compareWithBooks } from './lib/bookOdds';
+import { parseAnalysesImport, prepareImport } from './lib/dataExport';
+import { eventPath, isPlainClick, isInteractiveTarget } from './lib/routes';
+import {
+  loadEnsembleSettings,
+  saveEnsembleSettings,
+  isEnsembleActive,
+  ensembleCacheModel,
+  runEnsemble,
+  combineEnsemble,
+  describeEnsemble
+} from './lib/ensemble';
+import LlmSettingsPanel from './components/LlmSettingsPanel';
+import ValueSettingsPanel from './components/ValueSettingsPanel';
+import AnalysisHistory from './components/AnalysisHistory';
+import PaperTradeForm from './components/PaperTradeForm';
+import PortfolioPanel from './components/PortfolioPanel';
+import TrackRecordPanel from './components/TrackRecordPanel';
+import ValueIndicator from './components/ValueIndicator';
+import MarketGroupPanel from './components/MarketGroupPanel';
+import PriceTick from './components/PriceTick';
+import Sparkline from './components/Sparkline';
+import MarketFilterBar from './components/MarketFilterBar';
+import JobStatus from './components/JobStatus';
+import AnalysisQueuePanel from './components/AnalysisQueuePanel';
+import AnalysisAge from './components/AnalysisAge';
+import CacheSettingsPanel from './components/CacheSettingsPanel';
+import ViewFilterPanel from './components/ViewFilterPanel';
+import KeyInsights from './components/KeyInsights';
+import ResearchSources from './components/ResearchSources';
+import TeamForm from './components/TeamForm';
+import BookComparison from './components/BookComparison';
+import AlertsPanel from './components/AlertsPanel';
+import DataPanel from './components/DataPanel';
+import EventDetail from './components/EventDetail';
+import EnsembleSettingsPanel from './components/EnsembleSettingsPanel';
+import EnsembleSpread from './components/EnsembleSpread';
+
+// Header badge for each market stream status (see lib/marketStream).
+const STREAM_BADGES = {
+  live: { text: "Live Feed Active", box: "bg-emerald-900/20 border-emerald-800/30", dot: "bg-emerald-500 animate-pulse", label: "text-emerald-400" },
+  connecting: { text: "Connecting to live feed...", box: "bg-amber-900/20 border-amber-800/30", dot: "bg-amber-500", label: "text-amber-400" },
+  reconnecting: { text: "Live feed dropped, reconnecting...", box: "bg-amber-900/20 border-amber-800/30", dot: "bg-amber-500", label: "text-amber-400" },
+  polling: { text: "Live feed blocked, polling every 30s", box: "bg-amber-900/20 border-amber-800/30", dot: "bg-amber-500", label: "text-amber-400" },
+  offline: { text: "Live feed offline", box: "bg-rose-900/20 border-rose-800/30", dot: "bg-rose-500", label: "text-rose-400" }
+};
 
 // --- Mock Data for Fallback ---
 const MOCK_MARKETS = [
@@ -38,8 +124,17 @@ const MOCK_MARKETS = [
       question: "Winner: Man City vs Arsenal",
       outcomes: "[\"Man City\", \"Arsenal\", \"Draw\"]",
       outcomePrices: "[\"0.52\", \"0.24\", \"0.24\"]", // Note: Strings simulating API
+      clobTokenIds: "[\"mock-city-yes\", \"mock-arsenal-yes\", \"mock-draw-yes\"]", // see fixtures/clob
       liquidity: "1500000",
       volume: "3500000"
+    }, {
+      id: "m1-ou",
+      question: "Man City vs Arsenal: O/U 2.5",
+      groupItemTitle: "O/U 2.5",
+      outcomes: "[\"Over\", \"Under\"]",
+      outcomePrices: "[\"0.58\", \"0.42\"]",
+      liquidity: "400000",
+      volume: "900000"
     }]
   },
   {
@@ -59,38 +154,6 @@ const MOCK_MARKETS = [
   }
 ];
 
-// --- Helper Functions ---
-
-const toPercent = (num) => {
-  if (num === undefined || num === null) return "0.0";
-  const parsed = parseFloat(num);
-  if (isNaN(parsed)) return "0.0";
-  return (parsed * 100).toFixed(1);
-};
-
-const formatMoney = (amount) => {
-  if (!amount) return "$0";
-  const num = parseFloat(amount);
-  if (num >= 1000000) return `$${(num / 1000000).toFixed(1)}M`;
-  if (num >= 1000) return `$${(num / 1000).toFixed(1)}K`;
-  return `$${num.toFixed(0)}`;
-};
-
-const formatDate = (isoString) => {
-  try {
-    return new Date(isoString).toLocaleString('en-US', {
-      weekday: 'short',
-      month: 'short',
-      day: 'numeric',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  } catch (e) {
-    return isoString;
-  }
-};
-
 // --- Components ---
 
 const Badge = ({ children, className = "", variant = "neutral" }) => {
@@ -108,305 +171,488 @@ const Badge = ({ children, className = "", variant = "neutral" }) => {
   );
 };
 
-const ValueIndicator = ({ type, edge }) => {
-  if (!type) return null;
-
-  const config = {
-    OVERVALUED: { color: "text-rose-400", bg: "bg-rose-950", icon: XCircle, text: "Overvalued" },
-    UNDERVALUED: { color: "text-emerald-400", bg: "bg-emerald-950", icon: CheckCircle2, text: "Undervalued" },
-    FAIR: { color: "text-amber-400", bg: "bg-amber-950", icon: AlertCircle, text: "Fair Value" }
-  };
-
-  const { color, bg, icon: Icon, text } = config[type] || config.FAIR;
-
-  return (
-    <div className={`flex items-center gap-2 px-3 py-2 rounded-lg border border-opacity-20 ${bg} border-${color.split('-')[1]}-500`}>
-      <Icon className={`w-4 h-4 ${color}`} />
-      <span className={`font-bold ${color}`}>{text}</span>
-      {edge && <span className={`text-xs ml-auto ${color}`}>Edge: {edge}%</span>}
-    </div>
-  );
-};
-
 // --- Main Application Component ---
 
 export default function App() {
-  const apiKey = import.meta.env.VITE_GEMINI_API_KEY;
   const [markets, setMarkets] = useState([]);
+  // When the market list was last requested; streamed prices older than that are superseded.
+  const [marketsFetchedAt, setMarketsFetchedAt] = useState(0);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [searchTerm, setSearchTerm] = useState("");
+  // A shared link's query wins over the filters remembered in this browser.
+  const [marketFilters, setMarketFilters] = useState(() => readMarketFiltersFromQuery(window.location.search) || loadMarketFilters());
+  const [view, setView] = useState(() => readViewFromQuery(window.location.search));
   const [analyses, setAnalyses] = useState({});
-  const [analyzing, setAnalyzing] = useState({});
+  const [queueSettings, setQueueSettings] = useState(loadQueueSettings);
+  const [cacheSettings, setCacheSettings] = useState(loadCacheSettings);
+  // Dixon-Coles ratings for the baseline model (lib/baseline); null without a results dataset.
+  const [ratings, setRatings] = useState(null);
+  const bookOdds = useBookOdds();
+  const liveMarketsRef = useRef([]);
+  const now = useNow();
+  const [historyByEvent, setHistoryByEvent] = useState({});
+  const [openHistory, setOpenHistory] = useState({});
   const [usingMockData, setUsingMockData] = useState(false);
+  const [llmSettings, setLlmSettings] = useState(loadLlmSettings);
+  const [ensembleSettings, setEnsembleSettings] = useState(loadEnsembleSettings);
+  const [showSettings, setShowSettings] = useState(false);
+  const [valueSettings, setValueSettings] = useState(loadValueSettings);
+  const [showPortfolio, setShowPortfolio] = useState(false);
+  const portfolio = usePortfolio();
+  const { markToMarket, positions, replacePositions } = portfolio;
+  const [settlements, setSettlements] = useState({});
+  const [settling, setSettling] = useState(false);
+  const [showTrackRecord, setShowTrackRecord] = useState(false);
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [showData, setShowData] = useState(false);
+
+  const updateLlmSettings = (next) => {
+    setLlmSettings(next);
+    saveLlmSettings(next);
+  };
+
+  const updateEnsembleSettings = (next) => {
+    setEnsembleSettings(next);
+    saveEnsembleSettings(next);
+  };
+
+  const updateCacheSettings = (next) => {
+    setCacheSettings(next);
+    saveCacheSettings(next);
+  };
+
+  const updateQueueSettings = (next) => {
+    setQueueSettings(next);
+    saveQueueSettings(next);
+  };
+
+  const updateMarketFilters = (next) => {
+    setMarketFilters(next);
+    saveMarketFilters(next);
+  };
+
+  // Threshold changes re-grade every analysis already on screen; no model calls involved.
+  const updateValueSettings = (next) => {
+    setValueSettings(next);
+    saveValueSettings(next);
+    setAnalyses(prev => Object.fromEntries(
+      Object.entries(prev).map(([key, analysis]) => [key, applyValuation(analysis, next)])
+    ));
+  };
 
   // --- API Integrations ---
 
-  const fetchMarkets = async () => {
+  const fetchMarkets = useCallback(async () => {
     setLoading(true);
     setError(null);
     setUsingMockData(false);
 
-    // We request soccer markets
-    const targetUrl = `${POLYMARKET_API}?tag_slug=${TAG_SLUG}&active=true&closed=false&limit=50&order=volume24hr&ascending=false`;
-
     try {
-      let data = null;
-      let fetchSuccess = false;
-
-      // Strategy 1: Direct Fetch
-      try {
-        const res = await fetch(targetUrl);
-        if (res.ok) {
-          data = await res.json();
-          fetchSuccess = true;
-        }
-      } catch (e) {
-        console.warn("Direct fetch failed, trying proxy...");
-      }
+      const requestedAt = Date.now();
+      const data = await fetchGammaJson(marketsPath(marketFilters));
 
-      // Strategy 2: corsproxy.io
-      if (!fetchSuccess) {
-        try {
-          const res = await fetch(`https://corsproxy.io/?${encodeURIComponent(targetUrl)}`);
-          if (res.ok) {
-            data = await res.json();
-            fetchSuccess = true;
-          }
-        } catch (e) {
-          console.warn("Proxy 1 failed, trying allorigins...");
-        }
+      if (!Array.isArray(data)) {
+        throw new Error("Unexpected response from the market list");
       }
 
-      // Strategy 3: allorigins.win
-      if (!fetchSuccess) {
-        try {
-          const res = await fetch(`https://api.allorigins.win/raw?url=${encodeURIComponent(targetUrl)}`);
-          if (res.ok) {
-            data = await res.json();
-            fetchSuccess = true;
-          }
-        } catch (e) {
-          console.warn("All proxies failed.");
-        }
-      }
-
-      if (!fetchSuccess || !data || !Array.isArray(data)) {
-        throw new Error("Network blocked");
-      }
-
-      // Filter logic: Ensure we have at least one valid market
-      // AND filter for:
-      // 1. Future events only (endDate > now)
-      const now = new Date();
-      const validEvents = data.filter(event => {
-        if (!event.markets || event.markets.length === 0) return false;
-
-        // Check date (must be in the future)
-        // User requested to use endDate instead of startDate
-        const eventDate = new Date(event.endDate);
-        if (eventDate < now) return false;
-
-        return true;
-      });
-
-      if (validEvents.length === 0) throw new Error("No active binary soccer markets found");
+      // The server only returns open events that have not ended yet (see lib/marketFilters);
+      // events without markets are of no use here.
+      const validEvents = data.filter(event => event.markets?.length > 0);
 
       setMarkets(validEvents);
+      setMarketsFetchedAt(requestedAt);
+      markToMarket(outcomePriceMap(validEvents));
 
     } catch (err) {
       console.error("Falling back to mock data:", err);
       setMarkets(MOCK_MARKETS);
       setUsingMockData(true);
-      if (err.message !== "Network blocked") {
-        setError("Could not reach Polymarket. Showing sample live data.");
-      }
+      setError(err.status && !err.message.includes(String(err.status)) ? `${err.message} (HTTP ${err.status})` : err.message);
     } finally {
       setLoading(false);
     }
-  };
+  }, [markToMarket, marketFilters]);
 
-  const analyzeMarketWithGemini = async (event, market, oddsData) => {
-    if (analyzing[market.id]) return;
+  // Resolves to { [tokenId]: price } from a fresh market fetch; the stream's fallback while
+  // sockets are unavailable.
+  const pollTokenPrices = useCallback(
+    async () => tokenPriceMap(await fetchGammaJson(marketsPath(marketFilters))),
+    [marketFilters]
+  );
 
-    setAnalyzing(prev => ({ ...prev, [market.id]: true }));
+  // Queued jobs run against the latest prices, not the ones on screen when they were queued.
+  const latestGroup = ({ event, match, group }) => {
+    const fresh = liveMarketsRef.current.find(e => e.id === event.id);
+    if (!fresh) return { event, match, group };
+    const parsed = parseEventMarkets(fresh);
+    const freshGroup = parsed.groups.find(g => g.id === group.id);
+    return freshGroup ? { event: fresh, match: parsed.match, group: freshGroup } : { event, match, group };
+  };
 
-    try {
-      const outcomeStr = `
-      Home (${oddsData.homeTeam}): ${toPercent(oddsData.homePrice)}%,
-      Draw: ${toPercent(oddsData.drawPrice)}%,
-      Away (${oddsData.awayTeam}): ${toPercent(oddsData.awayPrice)}%
-    `;
-
-      const systemPrompt = `
-      You are an elite Sports Handicapper and Quantitative Data Scientist specializing in football (soccer) markets.
-      
-      YOUR OBJECTIVE:
-      Identify strictly +EV (Positive Expected Value) betting opportunities by comparing your proprietary "True Odds" against the "Bookmaker Implied Probabilities."
-      
-      YOUR ANALYTICAL FRAMEWORK:
-      Before generating the JSON output, you must internally process the following variables. If specific data is missing, make reasonable estimates based on team tier and historical norms, but prioritize recent data.
-
-      1. RECENT FORM & MOMENTUM (High Priority):
-        - Analyze the last 5 matches for both teams.
-        - CRITICAL: You MUST provide the exact scoreline for every match. Do not use "N/A". If a match happened, a score exists. Find it.
-        - Compare Home vs. Away performance splits.
-        - Look for variance in scoring.
-
-      2. ADVANCED METRICS (If data available or inferred):
-        - xG (Expected Goals) vs. Actual Goals: Identify regression to the mean candidates (e.g., a team overperforming their xG is likely to cool off).
-        - Defensive Solidity: Clean sheets, Shots Conceded per game.
-
-      3. TACTICAL & SQUAD CONTEXT:
-        - Injuries/Suspensions: Impact of missing key players (Star strikers or Captain CBs).
-        - Motivation: Title race vs. Relegation battle vs. "Dead Rubber" (mid-table match with nothing to play for).
-        - Schedule Congestion: Did they play a cup game 3 days ago?
-
-      4. MARKET ANALYSIS:
-        - Convert provided odds to Implied Probability (1 / Decimal Odds).
-        - Compare Implied Probability to your Calculated Probability.
-
-      OUTPUT INSTRUCTIONS:
-      You must output ONLY valid JSON. Do not include markdown formatting or conversational filler outside the JSON object.
-
-      JSON SCHEMA:
-      {
-        "match_analysis": {
-          "home_team_last_5": [{ "opponent": "string", "score": "string", "result": "W/L/D" }],
-          "away_team_last_5": [{ "opponent": "string", "score": "string", "result": "W/L/D" }],
-          "tactical_matchup": "string (1 sentence on how styles clash)"
-        },
-        "prediction": {
-          "outcome": "string (e.g., 'Arsenal Win' or 'Over 2.5 Goals')",
-          "predicted_scoreline": "string (e.g., '2-1')"
-        },
-        "value_assessment": {
-          "market_status": "UNDERVALUED" | "OVERVALUED" | "FAIR",
-          "market_implied_probability": "number (0-100, derived from odds)",
-          "my_calculated_probability": "number (0-100, your true odds)",
-          "edge_percentage": "number (Your Prob - Market Prob)",
-          "kelly_criterion_suggestion": "number (0-1, suggested stake size fraction, optional)"
-        },
-        "confidence_rating": "number (1-10, based on data availability and volatility)",
-        "key_insights": [
-          "string (e.g., 'Home team averages 2.4 goals/game at home')",
-          "string (e.g., 'Away team has lost 4 of last 5 away matches')",
-          "string (e.g., 'H2H: Home team has won 3 consecutive meetings')",
-          "string (e.g., 'Implied Probability 45% vs Model 60%')"
-        ],
-        "risk_factors": ["string", "string"]
+  // --- Analysis Jobs ---
+  // Runs one queued analysis (see useAnalysisQueue). Errors propagate to the queue, which
+  // retries rate limits and shows anything else on the card. Every model call reports its
+  // usage so the session budget counts it even if a later step fails.
+  const runAnalysis = useCallback(async (payload, { signal, onUsage }) => {
+    const { event, match, group } = latestGroup(payload);
+    const analysisKey = analysisKeyFor(event, match, group);
+    const market = event.markets.find(m => m.id === group.outcomes.find(o => o.marketId)?.marketId) || event.markets[0];
+
+    let usage = EMPTY_USAGE;
+    // `settings` lets ensemble members run the analysis phase on their own models.
+    const generate = async (phase, request, settings = llmSettings) => {
+      const response = await generateText(settings, phase, request, { signal });
+      const call = callUsage(response);
+      usage = addUsage(usage, call);
+      onUsage(call);
+      return response;
+    };
+
+    const systemPrompt = buildSystemPrompt(group);
+
+    // --- STEP 1: RESEARCH PHASE ---
+    // Goal: Gather verified facts (with Google Search when the research provider supports it).
+    // Cached research is reused until it expires or kick-off gets close (lib/analysisCache);
+    // "Re-analyze" always researches again.
+    const today = new Date().toISOString().split("T")[0];
+    // Verified form, table and head-to-head (lib/sportsData) when the data source covers the match.
+    const sportsData = match && group.type !== "outright" ? await fetchMatchData(match, { signal }) : null;
+    const verified = sportsData ? { source: sportsData.source, text: describeMatchData(sportsData) } : null;
+    const researchKey = researchCacheKey(event, group, llmSettings.research);
+    const cachedResearch = payload.force ? null : await readCache(researchKey);
+
+    let research;
+    if (cachedResearch && !researchStaleness(cachedResearch.createdAt, { kickoff: eventKickoff(event), settings: cacheSettings })) {
+      research = { ...cachedResearch.value, createdAt: cachedResearch.createdAt, cached: true };
+    } else {
+      const researchPrompt = buildResearchPrompt(event, group, today, verified);
+      try {
+        const { text, provider, model, searched, grounding } = await generate("research", { prompt: researchPrompt, search: true });
+        research = { text, provider, model, searched, grounding: grounding || null, createdAt: Date.now(), cached: false };
+      } catch (err) {
+        // Keep the error (and its HTTP status) so the queue can still tell whether to retry.
+        err.message = "Research failed: " + err.message;
+        throw err;
       }
-    `;
-
-      // --- STEP 1: RESEARCH PHASE ---
-      // Goal: Gather verified facts using Google Search
-      const today = new Date().toISOString().split("T")[0];
-
-      const researchPrompt = `
-        Research the upcoming match: ${event.title} (${event.description}).
-        
-        Find the following specific information:
-        1. Recent Form (Last 5 matches) for both teams as of ${today}.
-           - CRITICAL: Check specifically for matches played YESTERDAY or TODAY. Do not miss them.
-           - Include ALL competitions (League, Cup, Friendlies).
-           - List each match with Date, Opponent, EXACT Score (e.g. 2-1), and Result (W/L/D).
-           - Do NOT return "N/A" for scores. If the match was played, find the score.
-        2. Key Injuries and Suspensions.
-        3. Head-to-Head record (Last 5 meetings).
-        4. Motivation/Context (League standings, Cup relevance).
-        
-        Provide a concise summary of these facts. Do NOT make predictions yet. Validate all data to ensure it is accurate.
-      `;
-
-      const researchResponse = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${apiKey}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            contents: [{ parts: [{ text: researchPrompt }] }],
-            tools: [{ googleSearch: {} }]
-          })
-        }
-      );
-
-      const researchResult = await researchResponse.json();
-      if (researchResult.error) throw new Error("Research failed: " + researchResult.error.message);
-
-      const researchData = researchResult.candidates[0].content.parts[0].text;
-
-      // --- STEP 2: ANALYSIS PHASE ---
-      // Goal: Analyze the market using the verified research data
-      const analysisPrompt = `
-        Analyze this Soccer Market:
-        Event: ${event.title}
-        League/Category: ${event.description || "Soccer"}
-        Date: ${today}
-        Market Question: ${market.question}
-        
-        The possible outcomes and their current market probabilities (implied odds) are:
-        ${outcomeStr}
-        
-        VERIFIED RESEARCH DATA:
-        ${researchData}
-        
-        Based on the verified research above, which SPECIFIC outcome is mispriced? Focus on value.
-      `;
-
-      const analysisResponse = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${apiKey}`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            contents: [{ parts: [{ text: analysisPrompt }] }],
-            systemInstruction: { parts: [{ text: systemPrompt }] },
-            generationConfig: { responseMimeType: "application/json" }
-          })
-        }
-      );
+      writeCache(researchKey, "research", {
+        text: research.text,
+        provider: research.provider,
+        model: research.model,
+        searched: research.searched,
+        grounding: research.grounding
+      });
+    }
 
-      const result = await analysisResponse.json();
+    // Numbered against its sources, so insights can cite them and the stored text matches.
+    const grounding = research.grounding || null;
+    const researchData = annotateResearch(research.text, grounding);
+
+    // --- STEP 2: ANALYSIS PHASE ---
+    // Goal: Analyze the market using the verified research data. The same research at prices
+    // in the same bucket gives back the cached result without a model call. In ensemble mode
+    // (lib/ensemble) every member analyzes the same prompt and their estimates are combined.
+    const ensembleActive = isEnsembleActive(ensembleSettings);
+    const resultModel = ensembleActive ? ensembleCacheModel(ensembleSettings, llmSettings.analysis) : llmSettings.analysis;
+    const resultKey = analysisCacheKey(researchKey, research.createdAt, priceBucket(group.outcomes, cacheSettings.priceBucket), resultModel);
+    const cachedResult = payload.force ? null : await readCache(resultKey);
+    if (cachedResult) {
+      setAnalyses(prev => ({ ...prev, [analysisKey]: applyValuation(cachedResult.value, valueSettings) }));
+      return;
+    }
+
+    const priced = priceGroup(group, valueSettings.devigMethod);
+    const analysisPrompt = buildAnalysisPrompt({
+      event,
+      group: { ...group, outcomes: priced.outcomes },
+      question: market.question,
+      today,
+      researchData,
+      cited: hasSources(grounding),
+      verified,
+      overround: priced.overround,
+      partial: priced.partial,
+      devigMethod: DEVIG_METHODS[valueSettings.devigMethod]
+    });
+
+    const outcomeKeys = group.outcomes.map(o => o.key);
+    const validation = { partial: isPartialField(group) };
+    let analysis, analysisData, validationErrors, attempts;
+    if (ensembleActive) {
+      const { results, failed } = await runEnsemble(ensembleSettings, llmSettings.analysis, (member, model) => requestValidAnalysis(
+        (prompt) => generate("analysis", { prompt, systemPrompt: buildSystemPrompt(group, member.persona), json: true }, { ...llmSettings, analysis: model }),
+        analysisPrompt,
+        outcomeKeys,
+        validation
+      ));
+      analysisData = combineEnsemble(results, outcomeKeys, ensembleSettings.aggregate, failed, validation);
+      analysis = { provider: "ensemble", model: describeEnsemble(analysisData.ensemble) };
+      validationErrors = results.flatMap(r => r.errors);
+      attempts = results.reduce((sum, r) => sum + r.attempts, 0);
+    } else {
+      ({ response: analysis, value: analysisData, errors: validationErrors, attempts } = await requestValidAnalysis(
+        (prompt) => generate("analysis", { prompt, systemPrompt, json: true }),
+        analysisPrompt,
+        outcomeKeys,
+        validation
+      ));
+    }
 
-      if (result.error) {
-        throw new Error(result.error.message);
+    // Form tiles show the verified results rather than the scores the model recalled.
+    const formSources = { home: null, away: null };
+    if (sportsData && analysisData.match_analysis) {
+      [["home", "home_team_last_5"], ["away", "away_team_last_5"]].forEach(([side, field]) => {
+        if (sportsData[side].form.length === 0) return;
+        analysisData.match_analysis[field] = formTiles(sportsData[side].form);
+        formSources[side] = sportsData.source;
+      });
+    }
+
+    // Add Metadata
+    analysisData.metadata = {
+      marketType: group.type,
+      groupId: group.id,
+      groupTitle: group.title,
+      // marketId / outcomeIndex let settlement resolve which outcome won.
+      outcomes: group.outcomes.map(o => ({
+        key: o.key,
+        label: o.label,
+        price: o.price || 0,
+        marketId: o.marketId,
+        outcomeIndex: o.outcomeIndex
+      })),
+      pricing: { devigMethod: valueSettings.devigMethod, overround: priced.overround },
+      parseConfidence: match?.confidence ?? null,
+      analyzedAt: Math.floor(Date.now() / 1000),
+      researchedAt: Math.floor(research.createdAt / 1000),
+      researchCached: research.cached,
+      dataSource: hasSources(grounding) ? 'Google Search' : 'Model Knowledge',
+      grounding,
+      sportsData: sportsData ? { source: sportsData.source, fetchedAt: sportsData.fetchedAt } : null,
+      // The baseline model at analysis time, so edge can be measured against it later.
+      baseline: baselineForGroup(ratings, match, group),
+      formSources,
+      validation: { attempts, repairedErrors: validationErrors },
+      usage,
+      models: {
+        research: { provider: research.provider, model: research.model },
+        analysis: { provider: analysis.provider, model: analysis.model }
       }
+    };
+
+    setAnalyses(prev => ({
+      ...prev,
+      [analysisKey]: applyValuation(analysisData, valueSettings)
+    }));
+    writeCache(resultKey, "analysis", analysisData);
+
+    const record = buildAnalysisRecord({
+      event,
+      analysisKey,
+      marketIds: Object.fromEntries(group.outcomes.map(o => [o.key, o.marketId])),
+      researchText: researchData,
+      result: analysisData
+    });
+    setHistoryByEvent(prev => ({ ...prev, [event.id]: [record, ...(prev[event.id] || [])] }));
+    saveAnalysisRecord(record).catch(err => console.warn("Could not persist analysis:", err));
+  }, [llmSettings, ensembleSettings, valueSettings, cacheSettings, ratings]);
+
+  const analysisQueue = useAnalysisQueue(runAnalysis, queueSettings);
+  const { jobsByKey, enqueue } = analysisQueue;
 
-      let aiText = result.candidates[0].content.parts[0].text;
+  // `force` skips the cache and researches again.
+  const analyzeMarket = (event, match, group, { force = false } = {}) => {
+    const label = group.type === "1x2" || group.type === "outright" ? event.title : `${event.title} · ${group.title}`;
+    enqueue(analysisKeyFor(event, match, group), label, { event, match, group, force });
+  };
 
-      // Clean up markdown code blocks if present
-      aiText = aiText.replace(/```json\n?|\n?```/g, "").trim();
+  // `price` is the order-book fill price when the book could be loaded, else the last price.
+  const placePaperTrade = (event, analysisKey, { outcome, stake, sizing, price }) => {
+    portfolio.openPosition(createPosition({
+      event,
+      analysisKey,
+      outcome,
+      marketId: outcome.marketId,
+      price: price ?? outcome.price,
+      stake,
+      sizing
+    }));
+  };
 
-      const analysisData = JSON.parse(aiText);
+  useEffect(() => {
+    fetchMarkets();
+  }, [fetchMarkets]);
 
-      // Add Metadata
-      analysisData.metadata = {
-        dataSource: 'Google Search'
-      };
+  useEffect(() => {
+    fetchRatings().then(setRatings);
+  }, []);
 
-      setAnalyses(prev => ({
-        ...prev,
-        [market.id]: analysisData
-      }));
+  // Looks up closed events for anything we analyzed or traded that has not settled yet.
+  const runSettlement = useCallback(async (eventIds, known) => {
+    const pending = [...new Set(eventIds)].filter(id => !known[id] && !String(id).startsWith("mock-"));
+    if (pending.length === 0) return;
 
+    setSettling(true);
+    try {
+      const fresh = await settleEvents(pending);
+      if (fresh.length > 0) {
+        setSettlements(prev => ({ ...prev, ...Object.fromEntries(fresh.map(s => [s.eventId, s])) }));
+      }
     } catch (err) {
-      console.error("Gemini Error:", err);
-      alert(`Analysis failed: ${err.message}. Please try again.`);
+      console.warn("Settlement check failed:", err);
     } finally {
-      setAnalyzing(prev => ({ ...prev, [market.id]: false }));
+      setSettling(false);
     }
-  };
+  }, []);
 
+  // Restore stored analyses: the latest one per card, and the full list for the history view.
+  // Then settle whatever has closed since the last session.
   useEffect(() => {
-    fetchMarkets();
-  }, []);
+    Promise.all([loadAnalysisRecords(), loadSettlements(), loadPositions()])
+      .then(([records, storedSettlements, storedPositions]) => {
+        const settings = loadValueSettings();
+        const restored = Object.fromEntries(
+          Object.entries(latestResultsByKey(records)).map(([key, result]) => [key, applyValuation(result, settings)])
+        );
+        setAnalyses(prev => ({ ...restored, ...prev }));
+        setHistoryByEvent(groupRecordsByEvent(records));
+        setSettlements(storedSettlements);
+        runSettlement([...records.map(r => r.eventId), ...storedPositions.map(p => p.eventId)], storedSettlements);
+      })
+      .catch(err => console.warn("Could not load analysis history:", err));
+    pruneCache().catch(err => console.warn("Could not prune analysis cache:", err));
+  }, [runSettlement]);
+
+  // Paper positions on settled events pay out at 1 or 0.
+  useEffect(() => {
+    replacePositions(settlePositions(positions, settlements));
+  }, [positions, settlements, replacePositions]);
+
+  const allRecords = useMemo(() => Object.values(historyByEvent).flat(), [historyByEvent]);
+
+  // Imported records join the stored history; where one is now the newest for its analysis
+  // key, the card shows it.
+  const importAnalyses = async (text) => {
+    const { records, matched, duplicates } = prepareImport(parseAnalysesImport(text), markets, new Set(allRecords.map(r => r.id)));
+    await Promise.all(records.map(saveAnalysisRecord));
+
+    const merged = [...allRecords, ...records].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    const imported = new Set(records.map(r => r.id));
+    const newest = {};
+    merged.forEach(record => { newest[record.analysisKey] = record; });
+    const restored = Object.values(newest).filter(record => imported.has(record.id));
+
+    setHistoryByEvent(groupRecordsByEvent(merged));
+    setAnalyses(prev => ({
+      ...prev,
+      ...Object.fromEntries(restored.map(record => [record.analysisKey, applyValuation(record.result, valueSettings)]))
+    }));
+    return { imported: records.length, matched, duplicates };
+  };
+
+  const trackRecord = useMemo(
+    () => buildTrackRecord(allRecords, settlements, valueSettings),
+    [allRecords, settlements, valueSettings]
+  );
 
-  const filteredMarkets = useMemo(() => {
-    return markets.filter(event =>
-      event.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      event.markets[0].question.toLowerCase().includes(searchTerm.toLowerCase())
+  // The most recent analysis decides what the "Model" card shows; before any run it shows the configured one.
+  const lastModelInfo = useMemo(() => {
+    // Restored and refreshed analyses land in any key order, so go by when each ran.
+    const latest = Object.values(analyses).reduce(
+      (newest, a) => ((a.metadata?.analyzedAt ?? 0) > (newest?.metadata?.analyzedAt ?? 0) ? a : newest),
+      null
     );
-  }, [markets, searchTerm]);
+    return latest?.metadata?.models?.analysis || llmSettings.analysis;
+  }, [analyses, llmSettings]);
+
+  const filteredMarkets = useMemo(() => applyView(markets, analyses, view), [markets, analyses, view]);
+  const leagues = useMemo(() => leagueOptions(markets), [markets]);
+
+  // --- Routing ---
+  // "/" is the grid, "/event/:slug" one event in full (lib/routes). The event comes from the
+  // loaded list or, for links to events outside it, from gamma.
+  const { route, navigate } = useRoute();
+  const isEventPage = route.page === "event";
+  const { event: routeEvent, loading: routeLoading, error: routeError } = useEventBySlug(route.slug, markets, !loading);
+
+  // Cards open their event page; clicks on their own controls, modified clicks and text
+  // selection keep their usual behaviour.
+  const openEvent = (event) => navigate(eventPath(event.slug), { fromGrid: true });
+  const onCardClick = (e, event) => {
+    if (!isPlainClick(e) || isInteractiveTarget(e.target) || window.getSelection()?.toString()) return;
+    openEvent(event);
+  };
+  // Going back restores the grid as it was left (filters, scroll) when we came from it.
+  const leaveEvent = () => (window.history.state?.fromGrid ? window.history.back() : navigate("/"));
+
+  // Keep the address bar in step with the filters so the current view can be shared. The
+  // event page has no filters of its own.
+  useEffect(() => {
+    if (route.page !== "grid") return;
+    const params = new URLSearchParams(window.location.search);
+    writeMarketFiltersToQuery(marketFilters, params);
+    writeViewToQuery(view, params);
+    const query = params.toString();
+    window.history.replaceState(window.history.state, "", `${window.location.pathname}${query ? `?${query}` : ""}${window.location.hash}`);
+  }, [marketFilters, view, route.page]);
+
+  // --- Live Prices ---
+  // Outcome tokens of the cards on screen (or of the open event page) are streamed; prices are
+  // patched into the events in place instead of re-fetching the list. A token's streamed price
+  // only wins while it is newer than the last list refresh, so a socket gone quiet cannot pin it.
+  const streamTokens = useMemo(() => {
+    if (usingMockData) return [];
+    const onScreen = isEventPage ? [routeEvent].filter(Boolean) : filteredMarkets;
+    return Object.keys(tokenPriceMap(onScreen)).sort();
+  }, [filteredMarkets, usingMockData, isEventPage, routeEvent]);
+  const { prices: livePrices, status: streamStatus } = useMarketStream(streamTokens, pollTokenPrices);
+  const streamedPrices = useMemo(
+    () => Object.fromEntries(Object.entries(livePrices)
+      .filter(([, live]) => live.updatedAt > marketsFetchedAt)
+      .map(([tokenId, live]) => [tokenId, live.price])),
+    [livePrices, marketsFetchedAt]
+  );
+  const liveMarkets = useMemo(() => applyTokenPrices(filteredMarkets, streamedPrices), [filteredMarkets, streamedPrices]);
+  const detailEvent = useMemo(
+    () => (isEventPage && routeEvent ? applyTokenPrices([routeEvent], streamedPrices)[0] : null),
+    [isEventPage, routeEvent, streamedPrices]
+  );
+  useEffect(() => {
+    liveMarketsRef.current = detailEvent ? [detailEvent, ...liveMarkets] : liveMarkets;
+  }, [liveMarkets, detailEvent]);
+
+  useEffect(() => {
+    if (!detailEvent?.title) return undefined;
+    const previous = document.title;
+    document.title = `${detailEvent.title} · PolySoccer AI`;
+    return () => { document.title = previous; };
+  }, [detailEvent?.title]);
+
+  const { histories, recordPrices } = usePriceHistory(streamTokens);
+
+  // Every loaded event at its latest streamed prices, not only the ones on screen.
+  const currentMarkets = useMemo(() => applyTokenPrices(markets, streamedPrices), [markets, streamedPrices]);
+
+  // The main market (1X2 or outright) of every visible event that has no analysis and no job
+  // in flight; "Analyze visible" queues these.
+  const pendingAnalyses = useMemo(() => liveMarkets.flatMap(event => {
+    const { match, groups } = parseEventMarkets(event);
+    const group = groups[0];
+    if (!group) return [];
+    const key = analysisKeyFor(event, match, group);
+    return analyses[key] || isActiveJob(jobsByKey[key]) ? [] : [{ event, match, group }];
+  }), [liveMarkets, analyses, jobsByKey]);
+
+  // Every refresh or streamed move marks positions and extends the price history.
+  useEffect(() => {
+    if (Object.keys(streamedPrices).length > 0) markToMarket(outcomePriceMap(currentMarkets));
+    recordPrices(tokenPriceMap(currentMarkets));
+  }, [currentMarkets, streamedPrices, markToMarket, recordPrices]);
+
+  // Alert rules are checked against the same prices; sample data never alerts.
+  const alertEvents = useMemo(() => (usingMockData ? [] : currentMarkets), [usingMockData, currentMarkets]);
+  const alerts = useAlerts({ events: alertEvents, analyses, positions, valueSettings, now });
+
+  const streamBadge = STREAM_BADGES[streamStatus] || STREAM_BADGES.offline;
 
   return (
     <div className="min-h-screen bg-slate-900 text-slate-100 font-sans selection:bg-indigo-500 selection:text-white">
@@ -426,16 +672,49 @@ export default function App() {
           </div>
 
           <div className="flex items-center gap-4">
-            <div className="relative hidden md:block">
-              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
-              <input
-                type="text"
-                placeholder="Search teams or leagues..."
-                value={searchTerm}
-                onChange={(e) => setSearchTerm(e.target.value)}
-                className="bg-slate-800 border border-slate-700 rounded-full pl-10 pr-4 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500 w-64 transition-all"
-              />
-            </div>
+            <button
+              onClick={() => {
+                setShowAlerts(prev => !prev);
+                alerts.markRead();
+              }}
+              className={`p-2 hover:bg-slate-800 rounded-full transition-colors relative ${showAlerts ? 'bg-slate-800' : ''}`}
+              title="Alerts"
+            >
+              <Bell className="w-5 h-5 text-slate-400" />
+              {!showAlerts && alerts.unread > 0 && (
+                <span className="absolute -top-0.5 -right-0.5 min-w-[16px] h-4 px-1 rounded-full bg-rose-500 text-[10px] font-bold text-white flex items-center justify-center">
+                  {alerts.unread}
+                </span>
+              )}
+            </button>
+            <button
+              onClick={() => setShowData(prev => !prev)}
+              className={`p-2 hover:bg-slate-800 rounded-full transition-colors ${showData ? 'bg-slate-800' : ''}`}
+              title="Export & Import"
+            >
+              <Database className="w-5 h-5 text-slate-400" />
+            </button>
+            <button
+              onClick={() => setShowTrackRecord(prev => !prev)}
+              className={`p-2 hover:bg-slate-800 rounded-full transition-colors ${showTrackRecord ? 'bg-slate-800' : ''}`}
+              title="AI Track Record"
+            >
+              <Target className="w-5 h-5 text-slate-400" />
+            </button>
+            <button
+              onClick={() => setShowPortfolio(prev => !prev)}
+              className={`p-2 hover:bg-slate-800 rounded-full transition-colors ${showPortfolio ? 'bg-slate-800' : ''}`}
+              title="Paper Portfolio"
+            >
+              <Wallet className="w-5 h-5 text-slate-400" />
+            </button>
+            <button
+              onClick={() => setShowSettings(prev => !prev)}
+              className={`p-2 hover:bg-slate-800 rounded-full transition-colors ${showSettings ? 'bg-slate-800' : ''}`}
+              title="AI Provider Settings"
+            >
+              <Settings className="w-5 h-5 text-slate-400" />
+            </button>
             <button
               onClick={fetchMarkets}
               className="p-2 hover:bg-slate-800 rounded-full transition-colors relative group"
@@ -450,19 +729,79 @@ export default function App() {
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
 
-        {/* Mobile Search */}
-        <div className="mb-6 md:hidden">
-          <div className="relative">
-            <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
-            <input
-              type="text"
-              placeholder="Search teams..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
-              className="w-full bg-slate-800 border border-slate-700 rounded-lg pl-10 pr-4 py-3 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        {/* Search & Filters */}
+        {!isEventPage && (
+          <>
+            <MarketFilterBar
+              searchTerm={view.search}
+              onSearchChange={(search) => setView(prev => ({ ...prev, search }))}
+              filters={marketFilters}
+              onFiltersChange={updateMarketFilters}
             />
-          </div>
-        </div>
+            <ViewFilterPanel
+              view={view}
+              leagues={leagues}
+              shownCount={filteredMarkets.length}
+              totalCount={markets.length}
+              onChange={setView}
+            />
+          </>
+        )}
+
+        {showSettings && (
+          <>
+            <LlmSettingsPanel
+              settings={llmSettings}
+              onChange={updateLlmSettings}
+              onClose={() => setShowSettings(false)}
+            />
+            <EnsembleSettingsPanel settings={ensembleSettings} onChange={updateEnsembleSettings} />
+            <ValueSettingsPanel settings={valueSettings} onChange={updateValueSettings} />
+            <CacheSettingsPanel settings={cacheSettings} onChange={updateCacheSettings} />
+          </>
+        )}
+
+        {showAlerts && (
+          <AlertsPanel
+            alerts={alerts}
+            events={alertEvents}
+            onClose={() => {
+              setShowAlerts(false);
+              alerts.markRead();
+            }}
+          />
+        )}
+
+        {showData && (
+          <DataPanel
+            events={currentMarkets}
+            records={allRecords}
+            positions={positions}
+            valueSettings={valueSettings}
+            onImport={importAnalyses}
+            onClose={() => setShowData(false)}
+          />
+        )}
+
+        {showTrackRecord && (
+          <TrackRecordPanel
+            report={trackRecord}
+            settling={settling}
+            onSettle={() => runSettlement([...allRecords.map(r => r.eventId), ...positions.map(p => p.eventId)], settlements)}
+            onClose={() => setShowTrackRecord(false)}
+          />
+        )}
+
+        {showPortfolio && (
+          <PortfolioPanel
+            bankroll={portfolio.bankroll}
+            onBankrollChange={portfolio.setBankroll}
+            positions={portfolio.positions}
+            summary={portfolio.summary}
+            onClosePosition={portfolio.closePosition}
+            onClose={() => setShowPortfolio(false)}
+          />
+        )}
 
         {/* Status & Stats Bar */}
         <div className="mb-8 space-y-4">
@@ -472,7 +811,7 @@ export default function App() {
               <div className="flex items-center gap-2">
                 <WifiOff className="w-4 h-4 text-amber-500" />
                 <span className="text-sm text-amber-200">
-                  Live connection blocked. Showing <strong>Sample Data</strong>.
+                  Could not load live markets{error ? ` (${error})` : ""}. Showing <strong>Sample Data</strong>.
                 </span>
               </div>
               <button
@@ -484,110 +823,120 @@ export default function App() {
             </div>
           )}
           {!usingMockData && markets.length > 0 && (
-            <div className="bg-emerald-900/20 border border-emerald-800/30 rounded-lg p-2 px-3 flex items-center gap-2 w-fit">
-              <div className="w-2 h-2 rounded-full bg-emerald-500 animate-pulse"></div>
-              <span className="text-xs text-emerald-400 font-medium">Live Feed Active</span>
+            <div className={`${streamBadge.box} border rounded-lg p-2 px-3 flex items-center gap-2 w-fit`}>
+              <div className={`w-2 h-2 rounded-full ${streamBadge.dot}`}></div>
+              <span className={`text-xs ${streamBadge.label} font-medium`}>{streamBadge.text}</span>
             </div>
           )}
 
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-            <div className="bg-slate-800/50 p-4 rounded-xl border border-slate-700/50">
-              <p className="text-slate-400 text-xs uppercase tracking-wider font-semibold">Markets</p>
-              <p className="text-2xl font-bold text-white">{markets.length}</p>
-            </div>
-            <div className="bg-slate-800/50 p-4 rounded-xl border border-slate-700/50">
-              <p className="text-slate-400 text-xs uppercase tracking-wider font-semibold">AI Analyses</p>
-              <p className="text-2xl font-bold text-indigo-400">{Object.keys(analyses).length}</p>
-            </div>
-            <div className="bg-slate-800/50 p-4 rounded-xl border border-slate-700/50">
-              <p className="text-slate-400 text-xs uppercase tracking-wider font-semibold">Value Found</p>
-              <p className="text-2xl font-bold text-emerald-400">
-                {Object.values(analyses).filter(a => a.value_assessment?.market_status === 'UNDERVALUED').length}
-              </p>
-            </div>
-            <div className="bg-slate-800/50 p-4 rounded-xl border border-slate-700/50 hidden md:block">
-              <p className="text-slate-400 text-xs uppercase tracking-wider font-semibold">Model</p>
-              <p className="text-lg font-bold text-slate-200 truncate">{GEMINI_MODEL}</p>
+          <AnalysisQueuePanel
+            jobs={analysisQueue.jobs}
+            usage={analysisQueue.usage}
+            blocked={analysisQueue.blocked}
+            settings={queueSettings}
+            onSettingsChange={updateQueueSettings}
+            pendingCount={pendingAnalyses.length}
+            onAnalyzeVisible={() => pendingAnalyses.forEach(({ event, match, group }) => analyzeMarket(event, match, group))}
+            onCancel={analysisQueue.cancel}
+            onRetry={analysisQueue.retry}
+            onCancelAll={analysisQueue.cancelAll}
+            onClearFinished={analysisQueue.clearFinished}
+          />
+
+          {!isEventPage && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div className="bg-slate-800/50 p-4 rounded-xl border border-slate-700/50">
+                <p className="text-slate-400 text-xs uppercase tracking-wider font-semibold">Markets</p>
+                <p className="text-2xl font-bold text-white">{markets.length}</p>
+              </div>
+              <div className="bg-slate-800/50 p-4 rounded-xl border border-slate-700/50">
+                <p className="text-slate-400 text-xs uppercase tracking-wider font-semibold">AI Analyses</p>
+                <p className="text-2xl font-bold text-indigo-400">{Object.keys(analyses).length}</p>
+              </div>
+              <div className="bg-slate-800/50 p-4 rounded-xl border border-slate-700/50">
+                <p className="text-slate-400 text-xs uppercase tracking-wider font-semibold">Value Found</p>
+                <p className="text-2xl font-bold text-emerald-400">
+                  {Object.values(analyses).filter(a => a.value_assessment?.market_status === 'UNDERVALUED').length}
+                </p>
+              </div>
+              <div className="bg-slate-800/50 p-4 rounded-xl border border-slate-700/50 hidden md:block">
+                <p className="text-slate-400 text-xs uppercase tracking-wider font-semibold">Model</p>
+                <p className="text-lg font-bold text-slate-200 truncate" title={formatModelLabel(lastModelInfo)}>{formatModelLabel(lastModelInfo)}</p>
+              </div>
             </div>
-          </div>
+          )}
         </div>
 
         {/* Content Area */}
-        {loading && markets.length === 0 ? (
+        {isEventPage ? (
+          <EventDetail
+            event={detailEvent}
+            loading={routeLoading}
+            error={routeError}
+            onBack={leaveEvent}
+            analyses={analyses}
+            jobsByKey={jobsByKey}
+            ratings={ratings}
+            bookOdds={bookOdds}
+            histories={histories}
+            livePrices={livePrices}
+            records={detailEvent ? historyByEvent[detailEvent.id] || [] : []}
+            positions={positions}
+            valueSettings={valueSettings}
+            cacheSettings={cacheSettings}
+            now={now}
+            equity={portfolio.summary.equity}
+            cash={portfolio.summary.cash}
+            onAnalyze={analyzeMarket}
+            onRetry={analysisQueue.retry}
+            onPlace={placePaperTrade}
+          />
+        ) : loading && markets.length === 0 ? (
           <div className="flex flex-col items-center justify-center h-64 gap-4">
             <div className="w-12 h-12 border-4 border-indigo-500 border-t-transparent rounded-full animate-spin"></div>
             <p className="text-slate-400 animate-pulse">Scanning Polymarket...</p>
           </div>
-        ) : error ? (
-          <div className="bg-rose-950/30 border border-rose-900 rounded-xl p-6 text-center max-w-lg mx-auto">
-            <AlertCircle className="w-12 h-12 text-rose-500 mx-auto mb-3" />
-            <h3 className="text-lg font-semibold text-rose-200 mb-2">Data Fetch Error</h3>
-            <p className="text-rose-300/80 mb-4">{error}</p>
-            <button onClick={fetchMarkets} className="px-4 py-2 bg-rose-900 hover:bg-rose-800 text-white rounded-lg transition-colors">
-              Try Again
-            </button>
+        ) : liveMarkets.length === 0 ? (
+          <div className="bg-slate-800/50 border border-slate-700/50 rounded-xl p-6 text-center max-w-lg mx-auto">
+            <Search className="w-10 h-10 text-slate-500 mx-auto mb-3" />
+            <p className="text-slate-300">No open markets match your search and filters.</p>
           </div>
         ) : (
           <div className="grid grid-cols-1 lg:grid-cols-2 xl:grid-cols-3 gap-6">
-            {filteredMarkets.map((event) => {
-              // --- 1X2 PARSING LOGIC ---
-              const titleParts = event.title.split(/ vs\.? /i);
-              const homeTeam = titleParts[0] ? titleParts[0].trim() : "Home";
-              const awayTeam = titleParts[1] ? titleParts[1].trim() : "Away";
-
-              let homePrice = null;
-              let drawPrice = null;
-              let awayPrice = null;
-              let homeMarketId = null;
-
-              if (event.markets && Array.isArray(event.markets)) {
-                event.markets.forEach(market => {
-                  const groupTitle = market.groupItemTitle || "";
-                  const question = market.question || "";
-
-                  // Parse prices
-                  let prices = [];
-                  try {
-                    if (typeof market.outcomePrices === 'string') {
-                      prices = JSON.parse(market.outcomePrices);
-                    } else if (Array.isArray(market.outcomePrices)) {
-                      prices = market.outcomePrices;
-                    }
-                  } catch (e) {
-                    prices = ["0", "0"];
-                  }
-                  const yesPrice = prices[0];
-
-                  // Identify Market Type
-                  if (groupTitle === homeTeam || question.includes(`${homeTeam} win`)) {
-                    homePrice = yesPrice;
-                    homeMarketId = market.id;
-                  } else if (groupTitle === awayTeam || question.includes(`${awayTeam} win`)) {
-                    awayPrice = yesPrice;
-                  } else if (groupTitle.includes("Draw") || question.includes("end in a draw")) {
-                    drawPrice = yesPrice;
-                  }
-                });
-              }
-
-              // Use the home market ID for the "Analyze" button key, or event ID if not found
-              // We use the first market as a fallback for the "market" object passed to AI
-              const market = event.markets[0];
-              const analysisKey = homeMarketId || event.id;
-              const analysis = analyses[analysisKey];
-              const isAnalyzing = analyzing[analysisKey];
-
-              // Construct odds data for display and AI
-              const oddsData = {
-                homeTeam,
-                awayTeam,
-                homePrice: homePrice || 0,
-                drawPrice: drawPrice || 0,
-                awayPrice: awayPrice || 0
-              };
+            {liveMarkets.map((event) => {
+              // --- MARKET PARSING ---
+              // Match events get the 1X2 row plus any totals/BTTS/handicap groups; outright
+              // events only have their winner group.
+              const { kind, match, groups } = parseEventMarkets(event);
+              const resultGroup = kind === "outright" ? null : groups[0];
+              const extraGroups = resultGroup ? groups.slice(1) : groups;
+              const market = event.markets.find(m => m.id === resultGroup?.outcomes[0].marketId) || event.markets[0];
+              const analysisKey = resultGroup ? analysisKeyFor(event, match, resultGroup) : null;
+              const analysis = analysisKey ? analyses[analysisKey] : null;
+              const job = analysisKey ? jobsByKey[analysisKey] : null;
+              const isAnalyzing = isActiveJob(job);
+              const eventHistory = historyByEvent[event.id] || [];
+
+              // Outcomes at their current price, sized with the analysis probability re-priced to now
+              const tradeOutcomes = analysis ? repriceOutcomes(resultGroup.outcomes, analysis, valueSettings) : [];
+              // Raw prices next to their no-vig fair probabilities
+              const resultPricing = resultGroup ? priceGroup(resultGroup, valueSettings.devigMethod) : null;
+              // Sharp recent moves on any outcome of the event
+              const steam = eventSteam(groups.flatMap(g => g.outcomes), histories);
+              // The baseline model's live view of the 1X2 market, with its edge over the fair price
+              const resultBaseline = resultGroup ? baselineForGroup(ratings, match, resultGroup) : null;
+              // Polymarket against the de-vigged sportsbook consensus, flagged with or without analysis
+              const bookEvent = resultGroup ? findBookEvent(bookOdds?.events, match, eventKickoff(event)) : null;
+              const consensus = bookEvent ? bookConsensus(bookEvent, valueSettings.devigMethod) : null;
+              const bookCheck = consensus ? compareWithBooks(resultGroup.outcomes, consensus, valueSettings.bookGapThreshold, valueSettings.devigMethod) : null;
+              const analyzedPrices = Object.fromEntries((analysis?.metadata?.outcomes || []).map(o => [o.key, o.price]));
 
               return (
-                <div key={event.id} className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden hover:border-indigo-500/50 transition-all duration-300 shadow-lg group">
+                <div
+                  key={event.id}
+                  onClick={(e) => onCardClick(e, event)}
+                  className="bg-slate-800 rounded-xl border border-slate-700 overflow-hidden hover:border-indigo-500/50 transition-all duration-300 shadow-lg group cursor-pointer"
+                >
                   {/* Event Header */}
                   <div className="p-5 border-b border-slate-700 bg-slate-800/50">
                     <div className="flex justify-between items-start mb-3">
@@ -598,8 +947,30 @@ export default function App() {
                       <Badge variant="blue">Liquid: {formatMoney(event.liquidity)}</Badge>
                     </div>
                     <h3 className="text-lg font-bold text-white leading-tight mb-2 group-hover:text-indigo-300 transition-colors">
-                      {event.title}
+                      <a
+                        href={eventPath(event.slug)}
+                        onClick={(e) => {
+                          if (!isPlainClick(e)) return;
+                          e.preventDefault();
+                          openEvent(event);
+                        }}
+                      >
+                        {event.title}
+                      </a>
                     </h3>
+                    {steam && (
+                      <div className="mb-2" title={`${toPercent(steam.from)}% → ${toPercent(steam.to)}% since ${new Date(steam.since * 1000).toLocaleTimeString()}`}>
+                        <Badge variant={steam.move > 0 ? "green" : "red"}>
+                          <Flame className="w-3 h-3 inline -mt-0.5 mr-1" />
+                          Steam: {steam.label} {formatSigned(steam.move)} pts in {STEAM_WINDOW / 3600}h
+                        </Badge>
+                      </div>
+                    )}
+                    {match?.lowConfidence && (
+                      <div className="mb-2" title={match.issues.join("\n")}>
+                        <Badge variant="yellow">Parse confidence {(match.confidence * 100).toFixed(0)}% · check prices</Badge>
+                      </div>
+                    )}
                     <div className="flex items-center gap-2 text-xs text-slate-500">
                       <Calendar className="w-3 h-3" />
                       {formatDate(event.endDate)}
@@ -608,137 +979,265 @@ export default function App() {
 
                   {/* Market Odds (1X2 Row) */}
                   <div className="p-5 space-y-4">
-                    <div className="grid grid-cols-3 gap-2">
-                      {/* Home */}
-                      <div className="bg-slate-900 rounded-lg p-2 text-center border border-slate-700 hover:border-slate-600 transition-colors flex flex-col justify-center min-h-[70px]">
-                        <div className="text-xs text-slate-400 mb-1 line-clamp-1" title={homeTeam}>{homeTeam}</div>
-                        <div className="text-lg font-bold text-indigo-400">{toPercent(oddsData.homePrice)}%</div>
-                      </div>
-                      {/* Draw */}
-                      <div className="bg-slate-900 rounded-lg p-2 text-center border border-slate-700 hover:border-slate-600 transition-colors flex flex-col justify-center min-h-[70px]">
-                        <div className="text-xs text-slate-400 mb-1">Draw</div>
-                        <div className="text-lg font-bold text-slate-300">{oddsData.drawPrice ? toPercent(oddsData.drawPrice) + '%' : '-'}</div>
-                      </div>
-                      {/* Away */}
-                      <div className="bg-slate-900 rounded-lg p-2 text-center border border-slate-700 hover:border-slate-600 transition-colors flex flex-col justify-center min-h-[70px]">
-                        <div className="text-xs text-slate-400 mb-1 line-clamp-1" title={awayTeam}>{awayTeam}</div>
-                        <div className="text-lg font-bold text-indigo-400">{oddsData.awayPrice ? toPercent(oddsData.awayPrice) + '%' : '-'}</div>
-                      </div>
-                    </div>
-
-                    {/* Analysis Section */}
-                    {analysis ? (
-                      <div className="animate-in fade-in slide-in-from-bottom-4 duration-500">
-                        <div className="bg-slate-900/80 rounded-xl p-4 border border-slate-700 space-y-3">
-                          <div className="flex items-center justify-between mb-2">
-                            <div className="flex items-center gap-2">
-                              <span className="text-xs font-bold text-slate-400 uppercase tracking-wider">AI Assessment</span>
-                              <div className="flex items-center gap-1 px-1.5 py-0.5 rounded bg-blue-900/30 border border-blue-800 text-[10px] text-blue-400">
-                                <Globe className="w-3 h-3" />
-                                <span>Web Search</span>
+                    {resultGroup && (
+                      <>
+                        <div className="grid grid-cols-3 gap-2">
+                          {resultPricing.outcomes.map(outcome => {
+                            const { key, label } = outcome;
+                            return (
+                              <div key={key} className="bg-slate-900 rounded-lg p-2 text-center border border-slate-700 hover:border-slate-600 transition-colors flex flex-col justify-center min-h-[70px]">
+                                <div className="text-xs text-slate-400 mb-1 line-clamp-1" title={label}>{label}</div>
+                                <div className={`text-lg font-bold ${key === "draw" ? 'text-slate-300' : 'text-indigo-400'}`}>
+                                  <PriceTick live={livePrices[outcome.tokenId]}>
+                                    {outcome.price != null ? `${toPercent(outcome.price)}%` : '—'}
+                                  </PriceTick>
+                                </div>
+                                {outcome.fairPrice != null && (
+                                  <div className="text-[10px] text-slate-500">fair {toPercent(outcome.fairPrice)}%</div>
+                                )}
+                                {resultBaseline && (
+                                  <div className="text-[10px] text-cyan-400" title="Baseline model (Dixon-Coles)">
+                                    model {resultBaseline.probabilities[key].toFixed(1)}%
+                                    {outcome.fairPrice != null && ` · ${formatSigned(resultBaseline.probabilities[key] - outcome.fairPrice * 100)}`}
+                                  </div>
+                                )}
+                                {consensus && (
+                                  <div
+                                    className={`text-[10px] ${bookCheck.soft.some(g => g.key === key) ? "text-amber-300" : "text-slate-400"}`}
+                                    title={`Best: ${consensus.best[key].odds.toFixed(2)} at ${consensus.best[key].book}`}
+                                  >
+                                    books {toPercent(consensus.fair[key])}%
+                                    {bookCheck.gaps[key] != null && ` · ${formatSigned(bookCheck.gaps[key])}`}
+                                  </div>
+                                )}
+                                <Sparkline
+                                  points={histories[outcome.tokenId]}
+                                  markerTime={analysis?.metadata?.analyzedAt}
+                                  className="mt-1"
+                                />
+                                {analyzedPrices[key] > 0 && outcome.price != null && Math.abs(outcome.price - analyzedPrices[key]) >= 0.001 && (
+                                  <div className="text-[10px] text-slate-500">
+                                    {formatSigned((outcome.price - analyzedPrices[key]) * 100)} since AI
+                                  </div>
+                                )}
                               </div>
-                            </div>
-                            <div className="flex gap-1">
-                              {[...Array(5)].map((_, i) => (
-                                <div key={i} className={`w-1.5 h-1.5 rounded-full ${i < (analysis.confidence_rating / 2) ? 'bg-indigo-500' : 'bg-slate-700'}`} />
-                              ))}
-                            </div>
+                            );
+                          })}
+                        </div>
+                        {resultPricing.overround != null && (
+                          <div className="flex justify-between text-[10px] text-slate-500 -mt-2">
+                            <span>Overround {formatSigned(resultPricing.overround * 100)}%</span>
+                            <span>{DEVIG_METHODS[valueSettings.devigMethod]}</span>
                           </div>
+                        )}
+                        {resultBaseline && (
+                          <div className="text-[10px] text-cyan-400/80 -mt-2" title={`Dixon-Coles ratings fitted on ${resultBaseline.source}`}>
+                            Model xG {resultBaseline.expectedGoals.home.toFixed(2)} – {resultBaseline.expectedGoals.away.toFixed(2)}
+                            {" · "}{resultBaseline.scores.map(s => `${s.score} ${toPercent(s.probability)}%`).join(", ")}
+                            {resultBaseline.thin && <span className="text-amber-400"> · few results, mostly prior</span>}
+                          </div>
+                        )}
+                        {bookCheck && <BookComparison comparison={bookCheck} consensus={consensus} source={bookOdds.source} />}
+
+                        {/* Analysis Section */}
+                        {analysis ? (
+                          <div className="animate-in fade-in slide-in-from-bottom-4 duration-500">
+                            <div className="bg-slate-900/80 rounded-xl p-4 border border-slate-700 space-y-3">
+                              <div className="flex items-center justify-between mb-2">
+                                <div className="flex items-center gap-2">
+                                  <span className="text-xs font-bold text-slate-400 uppercase tracking-wider">AI Assessment</span>
+                                  <div
+                                    className="flex items-center gap-1 px-1.5 py-0.5 rounded bg-blue-900/30 border border-blue-800 text-[10px] text-blue-400"
+                                    title={`Research: ${formatModelLabel(analysis.metadata?.models?.research)}`}
+                                  >
+                                    {analysis.metadata?.dataSource === 'Google Search' ? <Globe className="w-3 h-3" /> : <BrainCircuit className="w-3 h-3" />}
+                                    <span>{analysis.metadata?.dataSource === 'Google Search' ? 'Web Search' : 'No Search'}</span>
+                                  </div>
+                                </div>
+                                <div className="flex gap-1">
+                                  {[...Array(5)].map((_, i) => (
+                                    <div key={i} className={`w-1.5 h-1.5 rounded-full ${i < (analysis.confidence_rating / 2) ? 'bg-indigo-500' : 'bg-slate-700'}`} />
+                                  ))}
+                                </div>
+                              </div>
 
-                          <ValueIndicator type={analysis.value_assessment?.market_status} edge={analysis.value_assessment?.edge_percentage} />
+                              <ValueIndicator best={analysis.valuation?.best} />
 
-                          {/* Key Metrics Grid */}
-                          <div className="grid grid-cols-2 gap-3 mt-3">
-                            <div className="bg-slate-800/50 p-2 rounded border border-slate-700/50">
-                              <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">Target</div>
-                              <div className="text-sm font-medium text-slate-200 truncate" title={analysis.prediction?.outcome}>{analysis.prediction?.outcome}</div>
-                            </div>
-                            <div className="bg-slate-800/50 p-2 rounded border border-slate-700/50">
-                              <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">Est. Prob</div>
-                              <div className="text-sm font-medium text-slate-200">{analysis.value_assessment?.my_calculated_probability}%</div>
-                            </div>
-                            <div className="bg-slate-800/50 p-2 rounded border border-slate-700/50">
-                              <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">Kelly</div>
-                              <div className="text-sm font-medium text-slate-200">{(analysis.value_assessment?.kelly_criterion_suggestion * 100).toFixed(1)}%</div>
-                            </div>
-                            <div className="bg-slate-800/50 p-2 rounded border border-slate-700/50">
-                              <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">Score</div>
-                              <div className="text-sm font-medium text-slate-200">{analysis.prediction?.predicted_scoreline}</div>
-                            </div>
-                          </div>
+                              <div className="text-[10px] text-slate-500 truncate" title={formatModelLabel(analysis.metadata?.models?.analysis)}>
+                                Model: {formatModelLabel(analysis.metadata?.models?.analysis)}
+                              </div>
 
-                          {/* Team Form Section */}
-                          <div className="grid grid-cols-2 gap-4 mt-3">
-                            <div>
-                              <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold mb-1">Home Form</div>
-                              <div className="space-y-1">
-                                {analysis.match_analysis?.home_team_last_5?.map((match, i) => (
-                                  <div key={i} className="flex justify-between items-center text-xs bg-slate-800/30 p-1.5 rounded border border-slate-700/30">
-                                    <span className={`font-bold w-4 ${match.result === 'W' ? 'text-emerald-400' : match.result === 'L' ? 'text-rose-400' : 'text-slate-400'}`}>{match.result}</span>
-                                    <span className="text-slate-300 truncate flex-1 mx-2 text-[10px]">{match.opponent}</span>
-                                    <span className="text-slate-400 font-mono text-[10px]">{match.score}</span>
+                              <AnalysisAge
+                                analysis={analysis}
+                                outcomes={resultGroup.outcomes}
+                                kickoff={eventKickoff(event)}
+                                cacheSettings={cacheSettings}
+                                now={now}
+                                isAnalyzing={isAnalyzing}
+                                onUpdate={() => analyzeMarket(event, match, resultGroup)}
+                                onReanalyze={() => analyzeMarket(event, match, resultGroup, { force: true })}
+                              />
+                              <JobStatus job={job} onRetry={() => analysisQueue.retry(job.id)} />
+
+                              {/* Per-Outcome Valuation */}
+                              {analysis.valuation?.probabilitySource !== "llm" && (
+                                <div className="text-[10px] text-slate-500">
+                                  Edge vs {PROBABILITY_SOURCES[analysis.valuation.probabilitySource].toLowerCase()}
+                                  {analysis.valuation.probabilitySource === "blend" && ` (${Math.round(valueSettings.modelWeight * 100)}% model)`}
+                                </div>
+                              )}
+                              <div className="grid grid-cols-3 gap-2">
+                                {analysis.valuation?.outcomes.map(outcome => (
+                                  <div key={outcome.key} className="bg-slate-800/50 p-2 rounded border border-slate-700/50 text-center">
+                                    <div className="text-[10px] text-slate-400 truncate" title={outcome.label}>{outcome.label}</div>
+                                    <div className="text-sm font-medium text-slate-200">{outcome.probability?.toFixed(1)}%</div>
+                                    {outcome.modelProbability != null && (
+                                      <div className="text-[10px] text-slate-500">
+                                        AI {outcome.aiProbability?.toFixed(1)} · <span className="text-cyan-400">model {outcome.modelProbability.toFixed(1)}</span>
+                                      </div>
+                                    )}
+                                    <div className={`text-[10px] ${outcome.status === 'UNDERVALUED' ? 'text-emerald-400' : outcome.status === 'OVERVALUED' ? 'text-rose-400' : 'text-slate-500'}`}>
+                                      {outcome.edge != null ? `${formatSigned(outcome.edge)} pts` : 'no price'}
+                                    </div>
                                   </div>
                                 ))}
                               </div>
-                            </div>
-                            <div>
-                              <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold mb-1">Away Form</div>
-                              <div className="space-y-1">
-                                {analysis.match_analysis?.away_team_last_5?.map((match, i) => (
-                                  <div key={i} className="flex justify-between items-center text-xs bg-slate-800/30 p-1.5 rounded border border-slate-700/30">
-                                    <span className={`font-bold w-4 ${match.result === 'W' ? 'text-emerald-400' : match.result === 'L' ? 'text-rose-400' : 'text-slate-400'}`}>{match.result}</span>
-                                    <span className="text-slate-300 truncate flex-1 mx-2 text-[10px]">{match.opponent}</span>
-                                    <span className="text-slate-400 font-mono text-[10px]">{match.score}</span>
+                              <EnsembleSpread analysis={analysis} />
+
+                              {/* Key Metrics Grid */}
+                              <div className="grid grid-cols-2 gap-3 mt-3">
+                                <div className="bg-slate-800/50 p-2 rounded border border-slate-700/50">
+                                  <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">Prediction</div>
+                                  <div className="text-sm font-medium text-slate-200 truncate" title={analysis.prediction?.outcome}>{analysis.prediction?.outcome}</div>
+                                </div>
+                                <div className="bg-slate-800/50 p-2 rounded border border-slate-700/50">
+                                  <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">Best EV</div>
+                                  <div className="text-sm font-medium text-slate-200">
+                                    {analysis.value_assessment ? `${formatSigned(analysis.value_assessment.expected_value)}%` : '-'}
                                   </div>
+                                </div>
+                                <div className="bg-slate-800/50 p-2 rounded border border-slate-700/50">
+                                  <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">Kelly ({valueSettings.kellyFraction}x)</div>
+                                  <div className="text-sm font-medium text-slate-200">
+                                    {analysis.value_assessment?.kelly_criterion_suggestion != null
+                                      ? `${(analysis.value_assessment.kelly_criterion_suggestion * 100).toFixed(1)}%`
+                                      : '-'}
+                                  </div>
+                                </div>
+                                <div className="bg-slate-800/50 p-2 rounded border border-slate-700/50">
+                                  <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">Score</div>
+                                  <div className="text-sm font-medium text-slate-200">{analysis.prediction?.predicted_scoreline}</div>
+                                </div>
+                              </div>
+
+                              {/* Team Form Section */}
+                              <div className="grid grid-cols-2 gap-4 mt-3">
+                                <TeamForm label="Home Form" matches={analysis.match_analysis?.home_team_last_5} source={analysis.metadata?.formSources?.home} />
+                                <TeamForm label="Away Form" matches={analysis.match_analysis?.away_team_last_5} source={analysis.metadata?.formSources?.away} />
+                              </div>
+
+                              <div className="bg-slate-800/50 p-3 rounded-lg border border-slate-700/30">
+                                <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold mb-2">Key Insights</div>
+                                <KeyInsights insights={analysis.key_insights || []} grounding={analysis.metadata?.grounding} />
+                              </div>
+
+                              <ResearchSources
+                                grounding={analysis.metadata?.grounding}
+                                researchText={eventHistory.find(r => r.analysisKey === analysisKey)?.researchText}
+                              />
+
+                              <div className="flex flex-wrap gap-1 mt-2">
+                                {analysis.risk_factors?.map((factor, i) => (
+                                  <span key={i} className="text-[10px] px-1.5 py-0.5 bg-slate-800 text-slate-400 rounded border border-slate-700">
+                                    {factor}
+                                  </span>
                                 ))}
                               </div>
+
+                              <PaperTradeForm
+                                outcomes={tradeOutcomes}
+                                defaultOutcomeKey={analysis.valuation?.best?.key}
+                                equity={portfolio.summary.equity}
+                                cash={portfolio.summary.cash}
+                                kellyFraction={valueSettings.kellyFraction}
+                                onPlace={(trade) => placePaperTrade(event, analysisKey, trade)}
+                              />
                             </div>
                           </div>
-
-                          <div className="bg-slate-800/50 p-3 rounded-lg border border-slate-700/30">
-                            <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold mb-2">Key Insights</div>
-                            <ul className="space-y-1.5">
-                              {analysis.key_insights?.map((insight, i) => (
-                                <li key={i} className="flex items-start gap-2 text-xs text-slate-300 leading-relaxed">
-                                  <span className="mt-1 w-1 h-1 rounded-full bg-indigo-400 shrink-0" />
-                                  <span>{insight}</span>
-                                </li>
-                              ))}
-                            </ul>
+                        ) : (
+                          <div className="mt-2 space-y-2">
+                            <JobStatus job={job} onRetry={() => analysisQueue.retry(job.id)} />
+                            <button
+                              onClick={() => analyzeMarket(event, match, resultGroup)}
+                              disabled={isAnalyzing}
+                              className={`w-full py-3 rounded-xl font-semibold text-sm transition-all flex items-center justify-center gap-2
+                                ${isAnalyzing
+                                  ? "bg-slate-800 text-slate-500 cursor-not-allowed border border-slate-700"
+                                  : "bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-500 hover:to-purple-500 text-white shadow-lg shadow-indigo-900/20"
+                                }`}
+                            >
+                              {isAnalyzing ? (
+                                <>
+                                  <RefreshCw className={`w-4 h-4 ${job.status === "running" ? "animate-spin" : ""}`} />
+                                  {job.status === "running" ? "Analyzing Market..." : "Waiting in queue..."}
+                                </>
+                              ) : (
+                                <>
+                                  <Zap className="w-4 h-4" />
+                                  Analyze with AI
+                                </>
+                              )}
+                            </button>
                           </div>
+                        )}
+                      </>
+                    )}
 
-                          <div className="flex flex-wrap gap-1 mt-2">
-                            {analysis.risk_factors?.map((factor, i) => (
-                              <span key={i} className="text-[10px] px-1.5 py-0.5 bg-slate-800 text-slate-400 rounded border border-slate-700">
-                                {factor}
-                              </span>
-                            ))}
-                          </div>
-                        </div>
-                      </div>
-                    ) : (
-                      <div className="mt-2">
+                    {/* Other Markets (Totals, BTTS, Handicaps, Outrights) */}
+                    {extraGroups.map(group => {
+                      const groupKey = analysisKeyFor(event, match, group);
+                      return (
+                        <MarketGroupPanel
+                          key={group.id}
+                          group={group}
+                          analysis={analyses[groupKey]}
+                          baseline={baselineForGroup(ratings, match, group)}
+                          researchText={eventHistory.find(r => r.analysisKey === groupKey)?.researchText}
+                          job={jobsByKey[groupKey]}
+                          onAnalyze={() => analyzeMarket(event, match, group, { force: Boolean(analyses[groupKey]) })}
+                          onUpdate={() => analyzeMarket(event, match, group)}
+                          kickoff={eventKickoff(event)}
+                          cacheSettings={cacheSettings}
+                          now={now}
+                          onRetry={() => analysisQueue.retry(jobsByKey[groupKey].id)}
+                          valueSettings={valueSettings}
+                          livePrices={livePrices}
+                          histories={histories}
+                          equity={portfolio.summary.equity}
+                          cash={portfolio.summary.cash}
+                          onPlace={(trade) => placePaperTrade(event, groupKey, trade)}
+                        />
+                      );
+                    })}
+
+                    {/* Analysis History */}
+                    {eventHistory.length > 0 && (
+                      <div>
                         <button
-                          onClick={() => analyzeMarketWithGemini(event, market, oddsData)}
-                          disabled={isAnalyzing}
-                          className={`w-full py-3 rounded-xl font-semibold text-sm transition-all flex items-center justify-center gap-2
-                            ${isAnalyzing
-                              ? "bg-slate-800 text-slate-500 cursor-not-allowed border border-slate-700"
-                              : "bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-500 hover:to-purple-500 text-white shadow-lg shadow-indigo-900/20"
-                            }`}
+                          onClick={() => setOpenHistory(prev => ({ ...prev, [event.id]: !prev[event.id] }))}
+                          className="w-full flex items-center justify-between text-[10px] text-slate-400 uppercase tracking-wider font-semibold hover:text-slate-200 transition-colors"
                         >
-                          {isAnalyzing ? (
-                            <>
-                              <RefreshCw className="w-4 h-4 animate-spin" />
-                              Analyzing Market...
-                            </>
-                          ) : (
-                            <>
-                              <Zap className="w-4 h-4" />
-                              Analyze with AI
-                            </>
-                          )}
+                          <span className="flex items-center gap-1">
+                            <History className="w-3 h-3" />
+                            History ({eventHistory.length})
+                          </span>
+                          {openHistory[event.id] ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
                         </button>
+                        {openHistory[event.id] && (
+                          <div className="mt-2">
+                            <AnalysisHistory records={eventHistory} valueSettings={valueSettings} />
+                          </div>
+                        )}
                       </div>
                     )}
                   </div>
@@ -766,7 +1265,7 @@ export default function App() {
       <footer className="border-t border-slate-800 bg-slate-900 mt-12 py-8">
         <div className="max-w-7xl mx-auto px-6 text-center">
           <p className="text-slate-500 mb-4">
-            Powered by <span className="text-indigo-400 font-semibold">Gemini 2.5</span> & <span className="text-indigo-400 font-semibold">Polymarket</span>
+            Powered by <span className="text-indigo-400 font-semibold">{formatModelLabel(llmSettings.analysis)}</span> & <span className="text-indigo-400 font-semibold">Polymarket</span>
           </p>
           <p className="text-slate-600 text-xs max-w-2xl mx-auto">
             Disclaimer: This application is for educational and entertainment purposes only.
@@ -0,0 +1,265 @@
+import React, { useMemo, useState } from 'react';
+import { X, Plus, Trash2, BellOff, ExternalLink } from 'lucide-react';
+import { RULE_TYPES, WEBHOOK_FORMATS, createRule, describeRule, trackableOutcomes } from '../lib/alerts';
+
+const inputClass = "bg-slate-900 border border-slate-700 rounded-lg px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500";
+const sectionTitle = "text-[10px] text-slate-400 uppercase tracking-wider font-semibold mb-2";
+
+const NumberField = ({ label, value, step = 1, min = 0, max, onChange }) => (
+  <label className="flex items-center gap-1 text-[11px] text-slate-400">
+    {label}
+    <input
+      type="number"
+      step={step}
+      min={min}
+      max={max}
+      value={value}
+      onChange={(e) => {
+        const parsed = parseFloat(e.target.value);
+        if (!isNaN(parsed) && parsed >= min) onChange(parsed);
+      }}
+      className={`${inputClass} w-16`}
+    />
+  </label>
+);
+
+// The type-specific fields of one rule.
+const RuleFields = ({ rule, outcomes, onChange }) => {
+  const set = (patch) => onChange({ ...rule, ...patch });
+  if (rule.type === "value") {
+    return (
+      <>
+        <select value={rule.status} onChange={(e) => set({ status: e.target.value })} className={inputClass}>
+          <option value="UNDERVALUED">Undervalued</option>
+          <option value="OVERVALUED">Overvalued</option>
+        </select>
+        <NumberField label="edge ≥" value={rule.minEdge} step={0.5} onChange={(minEdge) => set({ minEdge })} />
+        <NumberField label="confidence ≥" value={rule.minConfidence} max={10} onChange={(minConfidence) => set({ minConfidence })} />
+      </>
+    );
+  }
+  if (rule.type === "price") {
+    // A tracked outcome whose event is not loaded right now stays selectable under its old label.
+    const options = outcomes.some(o => o.ref === rule.ref) || !rule.ref
+      ? outcomes
+      : [{ ref: rule.ref, eventId: rule.eventId, label: rule.label }, ...outcomes];
+    return (
+      <>
+        <select
+          value={rule.ref}
+          onChange={(e) => {
+            const outcome = options.find(o => o.ref === e.target.value);
+            set({ ref: outcome?.ref || "", eventId: outcome?.eventId || "", label: outcome?.label || "" });
+          }}
+          className={`${inputClass} max-w-[260px]`}
+        >
+          <option value="">Choose an outcome…</option>
+          {options.map(o => <option key={o.ref} value={o.ref}>{o.label}</option>)}
+        </select>
+        <select value={rule.direction} onChange={(e) => set({ direction: e.target.value })} className={inputClass}>
+          <option value="above">rises to</option>
+          <option value="below">falls to</option>
+        </select>
+        <NumberField label="%" value={rule.level} step={0.5} max={100} onChange={(level) => set({ level })} />
+      </>
+    );
+  }
+  return (
+    <>
+      <NumberField label="minutes" value={rule.minutes} step={5} onChange={(minutes) => set({ minutes })} />
+      <label className="flex items-center gap-1 text-[11px] text-slate-400">
+        <input type="checkbox" checked={rule.positionsOnly} onChange={(e) => set({ positionsOnly: e.target.checked })} />
+        only with an open position
+      </label>
+    </>
+  );
+};
+
+const AlertsPanel = ({ alerts, events, onClose }) => {
+  const { settings, update, log, permission } = alerts;
+  const outcomes = useMemo(() => trackableOutcomes(events), [events]);
+  // { [webhookId]: "sending" | "ok" | error message }
+  const [tests, setTests] = useState({});
+
+  const setRule = (rule) => update({ ...settings, rules: settings.rules.map(r => (r.id === rule.id ? rule : r)) });
+  const setWebhook = (webhook) => update({ ...settings, webhooks: settings.webhooks.map(w => (w.id === webhook.id ? webhook : w)) });
+
+  const runTest = (webhook) => {
+    setTests(prev => ({ ...prev, [webhook.id]: "sending" }));
+    alerts.testWebhook(webhook)
+      .then(() => setTests(prev => ({ ...prev, [webhook.id]: "ok" })))
+      .catch(err => setTests(prev => ({ ...prev, [webhook.id]: err.message })));
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 mb-8 text-left space-y-5">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-bold text-slate-200 uppercase tracking-wider">Alerts</h2>
+        <button onClick={onClose} className="p-1 hover:bg-slate-700 rounded-full transition-colors" title="Close">
+          <X className="w-4 h-4 text-slate-400" />
+        </button>
+      </div>
+
+      {/* Rules */}
+      <div>
+        <div className={sectionTitle}>Rules</div>
+        {settings.rules.length === 0 && (
+          <p className="text-xs text-slate-500 mb-2">No rules yet. Rules are checked on every refresh, price move and minute.</p>
+        )}
+        <div className="space-y-2">
+          {settings.rules.map(rule => (
+            <div key={rule.id} className="flex flex-wrap items-center gap-2 bg-slate-900/50 px-2 py-1.5 rounded" title={describeRule(rule)}>
+              <input type="checkbox" checked={rule.enabled} onChange={(e) => setRule({ ...rule, enabled: e.target.checked })} title="Enabled" />
+              <span className="text-xs font-medium text-slate-300 w-24">{RULE_TYPES[rule.type]}</span>
+              <RuleFields rule={rule} outcomes={outcomes} onChange={setRule} />
+              <button
+                onClick={() => update({ ...settings, rules: settings.rules.filter(r => r.id !== rule.id) })}
+                className="ml-auto p-1 hover:bg-slate-700 rounded transition-colors"
+                title="Delete rule"
+              >
+                <Trash2 className="w-3 h-3 text-slate-500" />
+              </button>
+            </div>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-2 mt-2">
+          {Object.entries(RULE_TYPES).map(([type, label]) => (
+            <button
+              key={type}
+              onClick={() => update({ ...settings, rules: [...settings.rules, createRule(type)] })}
+              className="text-[11px] px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 text-slate-200 transition-colors flex items-center gap-1"
+            >
+              <Plus className="w-3 h-3" /> {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Delivery */}
+      <div>
+        <div className={sectionTitle}>Delivery</div>
+        <div className="flex flex-wrap items-center gap-3 text-xs text-slate-300 mb-3">
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={settings.notify}
+              disabled={permission === "unsupported"}
+              onChange={(e) => {
+                if (e.target.checked && permission === "default") alerts.requestPermission();
+                update({ ...settings, notify: e.target.checked });
+              }}
+            />
+            Browser notifications
+          </label>
+          {permission === "denied" && <span className="text-rose-400">Blocked in this browser's site settings</span>}
+          {permission === "unsupported" && <span className="text-slate-500">Not supported in this browser</span>}
+          {settings.notify && permission === "default" && (
+            <button onClick={alerts.requestPermission} className="text-indigo-400 hover:text-indigo-300">Allow notifications</button>
+          )}
+        </div>
+        <div className="space-y-2">
+          {settings.webhooks.map(webhook => (
+            <div key={webhook.id} className="flex flex-wrap items-center gap-2 bg-slate-900/50 px-2 py-1.5 rounded">
+              <input type="checkbox" checked={webhook.enabled} onChange={(e) => setWebhook({ ...webhook, enabled: e.target.checked })} title="Enabled" />
+              <input
+                type="url"
+                value={webhook.url}
+                placeholder="https://hooks.slack.com/services/…"
+                onChange={(e) => setWebhook({ ...webhook, url: e.target.value.trim() })}
+                className={`${inputClass} flex-1 min-w-[200px]`}
+              />
+              <select value={webhook.format} onChange={(e) => setWebhook({ ...webhook, format: e.target.value })} className={inputClass}>
+                {Object.entries(WEBHOOK_FORMATS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+              <button
+                onClick={() => runTest(webhook)}
+                disabled={!webhook.url || tests[webhook.id] === "sending"}
+                className="text-[11px] px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50 transition-colors"
+              >
+                Test
+              </button>
+              <button
+                onClick={() => update({ ...settings, webhooks: settings.webhooks.filter(w => w.id !== webhook.id) })}
+                className="p-1 hover:bg-slate-700 rounded transition-colors"
+                title="Delete webhook"
+              >
+                <Trash2 className="w-3 h-3 text-slate-500" />
+              </button>
+              {tests[webhook.id] && tests[webhook.id] !== "sending" && (
+                <span className={`w-full text-[11px] ${tests[webhook.id] === "ok" ? "text-emerald-400" : "text-rose-400"}`}>
+                  {tests[webhook.id] === "ok" ? "Test alert delivered." : tests[webhook.id]}
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+        <button
+          onClick={() => update({
+            ...settings,
+            webhooks: [...settings.webhooks, { id: `webhook-${Date.now().toString(36)}`, url: "", format: "generic", enabled: true }]
+          })}
+          className="mt-2 text-[11px] px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 text-slate-200 transition-colors flex items-center gap-1"
+        >
+          <Plus className="w-3 h-3" /> Webhook
+        </button>
+      </div>
+
+      {/* Mute List */}
+      {settings.muted.length > 0 && (
+        <div>
+          <div className={sectionTitle}>Muted Events</div>
+          <div className="flex flex-wrap gap-2">
+            {settings.muted.map(m => (
+              <span key={m.eventId} className="flex items-center gap-1 text-[11px] px-2 py-1 rounded bg-slate-900/50 text-slate-300">
+                {m.title}
+                <button onClick={() => alerts.unmute(m.eventId)} title="Unmute">
+                  <X className="w-3 h-3 text-slate-500 hover:text-slate-300" />
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Alert Log */}
+      <div>
+        <div className="flex items-center justify-between">
+          <div className={sectionTitle}>Recent Alerts</div>
+          {log.length > 0 && (
+            <button onClick={alerts.clearLog} className="text-[10px] text-slate-500 hover:text-slate-300">Clear</button>
+          )}
+        </div>
+        {log.length === 0 ? (
+          <p className="text-xs text-slate-500">Nothing has fired yet.</p>
+        ) : (
+          <div className="space-y-1 max-h-64 overflow-y-auto">
+            {log.map(entry => (
+              <div key={entry.id} className="text-xs bg-slate-900/50 px-2 py-1.5 rounded">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium text-slate-200">{entry.title}</span>
+                  <span className="flex items-center gap-2 shrink-0 text-[10px] text-slate-500">
+                    {new Date(entry.firedAt).toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })}
+                    {entry.url && (
+                      <a href={entry.url} target="_blank" rel="noreferrer" title="Open on Polymarket">
+                        <ExternalLink className="w-3 h-3 hover:text-slate-300" />
+                      </a>
+                    )}
+                    {entry.eventId && !settings.muted.some(m => m.eventId === entry.eventId) && (
+                      <button onClick={() => alerts.mute(entry.eventId, entry.eventTitle)} title="Mute this event">
+                        <BellOff className="w-3 h-3 hover:text-slate-300" />
+                      </button>
+                    )}
+                  </span>
+                </div>
+                <div className="text-slate-400">{entry.message}</div>
+                {entry.errors?.map((error, i) => <div key={i} className="text-[10px] text-rose-400">{error}</div>)}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AlertsPanel;
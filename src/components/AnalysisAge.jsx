@@ -0,0 +1,53 @@
+import React from 'react';
+import { Clock, RefreshCw } from 'lucide-react';
+import { analysisStaleness, STALENESS_LABELS } from '../lib/analysisCache';
+import { formatAge } from '../lib/format';
+
+// How old an analysis and its research are and whether it has gone stale (lib/analysisCache).
+// A stale analysis offers "Update", which goes through the cache (so moved prices only re-run
+// the analysis phase); "Re-analyze" bypasses the cache entirely.
+const AnalysisAge = ({ analysis, outcomes, kickoff, cacheSettings, now, isAnalyzing, onUpdate, onReanalyze }) => {
+  const meta = analysis?.metadata;
+  if (!meta?.analyzedAt) return null;
+
+  const analyzedAt = meta.analyzedAt * 1000;
+  const researchedAt = meta.researchedAt ? meta.researchedAt * 1000 : null;
+  const stale = analysisStaleness(analysis, outcomes, { kickoff, settings: cacheSettings, now });
+
+  return (
+    <div className="flex items-center justify-between gap-2 text-[10px]">
+      <div className={`flex items-center gap-1 min-w-0 ${stale ? "text-amber-400" : "text-slate-500"}`}>
+        <Clock className="w-3 h-3 shrink-0" />
+        <span className="truncate">
+          Analyzed {formatAge(analyzedAt, now)}
+          {researchedAt && meta.researchCached ? ` · research from ${formatAge(researchedAt, now)}` : ""}
+          {stale ? ` · ${STALENESS_LABELS[stale]}` : ""}
+        </span>
+      </div>
+      <div className="shrink-0 flex items-center gap-3">
+        {stale && onUpdate && !isAnalyzing && (
+          <button
+            onClick={onUpdate}
+            className="flex items-center gap-1 text-amber-300 hover:text-amber-200 transition-colors"
+            title="Refresh using cached research where it is still valid"
+          >
+            Update
+          </button>
+        )}
+        {onReanalyze && (
+          <button
+            onClick={onReanalyze}
+            disabled={isAnalyzing}
+            className="flex items-center gap-1 text-indigo-300 hover:text-indigo-200 disabled:text-slate-600 disabled:cursor-not-allowed transition-colors"
+            title="Research and analyze again, ignoring the cache"
+          >
+            <RefreshCw className={`w-3 h-3 ${isAnalyzing ? "animate-spin" : ""}`} />
+            {isAnalyzing ? "Analyzing..." : "Re-analyze"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisAge;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { ArrowDownRight, ArrowUpRight } from 'lucide-react';
+import { applyValuation } from '../lib/valuation';
+import { formatModelLabel } from '../lib/llm';
+import { formatDate, formatSigned } from '../lib/format';
+
+const STATUS_COLORS = {
+  UNDERVALUED: "text-emerald-400",
+  OVERVALUED: "text-rose-400",
+  FAIR: "text-amber-400"
+};
+
+const Delta = ({ current, previous }) => {
+  if (current == null || previous == null) return null;
+  const diff = current - previous;
+  if (Math.abs(diff) < 0.1) return null;
+  const Icon = diff > 0 ? ArrowUpRight : ArrowDownRight;
+  return (
+    <span className={`inline-flex items-center ${diff > 0 ? 'text-emerald-500' : 'text-rose-500'}`}>
+      <Icon className="w-2.5 h-2.5" />{Math.abs(diff).toFixed(1)}
+    </span>
+  );
+};
+
+// Lists every stored analysis of one event, newest first, with probability moves
+// relative to the previous analysis of the same market.
+const AnalysisHistory = ({ records, valueSettings }) => {
+  if (!records?.length) {
+    return <p className="text-xs text-slate-500">No stored analyses for this event yet.</p>;
+  }
+
+  return (
+    <div className="space-y-1.5">
+      {records.map((record, i) => {
+        const graded = applyValuation(record.result, valueSettings);
+        const previous = records.slice(i + 1).find(r => r.analysisKey === record.analysisKey)?.result;
+        const best = graded.valuation?.best;
+
+        return (
+          <div key={record.id} className="bg-slate-800/30 p-2 rounded border border-slate-700/30 text-[10px]">
+            <div className="flex justify-between items-center text-slate-400 mb-1">
+              <span>
+                {formatDate(record.createdAt)}
+                {record.result.metadata?.groupTitle && <span className="text-slate-500"> · {record.result.metadata.groupTitle}</span>}
+              </span>
+              <span className="truncate ml-2" title={formatModelLabel(record.models?.analysis)}>
+                {formatModelLabel(record.models?.analysis)}
+              </span>
+            </div>
+            <div className="grid grid-cols-3 gap-1 text-slate-300">
+              {(graded.valuation?.outcomes || []).map(outcome => (
+                <div key={outcome.key} className="truncate" title={outcome.label}>
+                  <span className="text-slate-500">{outcome.label}:</span> {outcome.aiProbability?.toFixed(1)}%{' '}
+                  <Delta current={outcome.aiProbability} previous={previous?.outcome_probabilities?.[outcome.key]} />
+                </div>
+              ))}
+            </div>
+            {best && (
+              <div className={`mt-1 font-semibold ${STATUS_COLORS[best.status] || 'text-slate-400'}`}>
+                {best.status} · {best.label} · {formatSigned(best.edge)} pts @ {best.marketProbability.toFixed(1)}%
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AnalysisHistory;
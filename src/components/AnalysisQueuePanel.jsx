@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { Layers, Settings, X, RotateCcw, ChevronDown, ChevronUp, RefreshCw } from 'lucide-react';
+import { formatCost, formatTokens, totalTokens } from '../lib/usage';
+import { isActiveJob } from '../lib/jobQueue';
+
+const STATUS_STYLES = {
+  queued: { label: "Queued", className: "text-slate-400" },
+  running: { label: "Running", className: "text-indigo-300" },
+  retrying: { label: "Retrying", className: "text-amber-300" },
+  done: { label: "Done", className: "text-emerald-400" },
+  failed: { label: "Failed", className: "text-rose-400" },
+  cancelled: { label: "Cancelled", className: "text-slate-500" }
+};
+
+const COUNTED = ["queued", "running", "retrying", "done", "failed"];
+
+const inputClass = "w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+const SETTING_FIELDS = [
+  { key: "concurrency", label: "Concurrent analyses", step: 1, min: 1, max: 8 },
+  { key: "maxRetries", label: "Retries on 429 / 5xx", step: 1, min: 0, max: 10 }
+];
+
+// Batch analysis: queue every visible unanalyzed event, watch progress, cancel or retry jobs,
+// and cap the session's model spend. Spend is estimated from reported token usage (lib/usage).
+const AnalysisQueuePanel = ({ jobs, usage, blocked, settings, onSettingsChange, pendingCount, onAnalyzeVisible, onCancel, onRetry, onCancelAll, onClearFinished }) => {
+  const [showJobs, setShowJobs] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+
+  const counts = Object.fromEntries(COUNTED.map(status => [status, jobs.filter(j => j.status === status).length]));
+  const active = counts.queued + counts.running + counts.retrying;
+  const spent = settings.budgetType === "tokens" ? totalTokens(usage) : usage.cost;
+  const spentLabel = settings.budgetType === "tokens" ? formatTokens(spent) : formatCost(spent);
+  const budgetLabel = settings.budget > 0
+    ? (settings.budgetType === "tokens" ? formatTokens(settings.budget) : formatCost(settings.budget))
+    : "no limit";
+  const budgetShare = settings.budget > 0 ? Math.min(1, spent / settings.budget) : 0;
+
+  return (
+    <div className="bg-slate-800/50 rounded-xl border border-slate-700/50 p-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={onAnalyzeVisible}
+          disabled={pendingCount === 0}
+          className={`px-3 py-2 rounded-lg text-sm font-semibold flex items-center gap-2 transition-colors
+            ${pendingCount === 0 ? "bg-slate-800 text-slate-500 cursor-not-allowed" : "bg-indigo-600 hover:bg-indigo-500 text-white"}`}
+          title="Queue an analysis for every visible event that has none yet"
+        >
+          <Layers className="w-4 h-4" />
+          Analyze visible ({pendingCount})
+        </button>
+
+        <div className="flex items-center gap-3 text-xs">
+          {COUNTED.map(status => counts[status] > 0 && (
+            <span key={status} className={STATUS_STYLES[status].className}>
+              {counts[status]} {STATUS_STYLES[status].label.toLowerCase()}
+            </span>
+          ))}
+          {jobs.length === 0 && <span className="text-slate-500">No jobs this session</span>}
+        </div>
+
+        <div className="ml-auto flex items-center gap-3">
+          <div className="text-right">
+            <div className="text-[11px] text-slate-400">
+              Session spend <span className="text-slate-200 font-semibold">{spentLabel}</span> / {budgetLabel}
+            </div>
+            {settings.budget > 0 && (
+              <div className="w-40 h-1 bg-slate-700 rounded-full overflow-hidden mt-1">
+                <div
+                  className={`h-full ${budgetShare >= 1 ? "bg-rose-500" : budgetShare >= 0.8 ? "bg-amber-500" : "bg-indigo-500"}`}
+                  style={{ width: `${budgetShare * 100}%` }}
+                />
+              </div>
+            )}
+          </div>
+          {active > 0 && (
+            <button onClick={onCancelAll} className="text-xs text-slate-400 hover:text-rose-300 transition-colors">Cancel all</button>
+          )}
+          <button
+            onClick={() => setShowSettings(prev => !prev)}
+            className={`p-1.5 rounded-full hover:bg-slate-700 transition-colors ${showSettings ? "bg-slate-700" : ""}`}
+            title="Queue settings"
+          >
+            <Settings className="w-4 h-4 text-slate-400" />
+          </button>
+          {jobs.length > 0 && (
+            <button
+              onClick={() => setShowJobs(prev => !prev)}
+              className="p-1.5 rounded-full hover:bg-slate-700 transition-colors"
+              title={showJobs ? "Hide jobs" : "Show jobs"}
+            >
+              {showJobs ? <ChevronUp className="w-4 h-4 text-slate-400" /> : <ChevronDown className="w-4 h-4 text-slate-400" />}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {blocked && (
+        <div className="text-xs text-amber-300 bg-amber-900/20 border border-amber-800/40 rounded-lg px-3 py-2">
+          Session budget reached: {counts.queued} queued {counts.queued === 1 ? "analysis is" : "analyses are"} on hold. Raise the budget to continue or cancel them.
+        </div>
+      )}
+
+      {showSettings && (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          {SETTING_FIELDS.map(({ key, label, step, min, max }) => (
+            <label key={key} className="block space-y-1">
+              <span className="text-xs font-semibold text-slate-300">{label}</span>
+              <input
+                type="number"
+                step={step}
+                min={min}
+                max={max}
+                value={settings[key]}
+                onChange={(e) => {
+                  const value = parseInt(e.target.value, 10);
+                  if (!isNaN(value)) onSettingsChange({ ...settings, [key]: Math.min(max, Math.max(min, value)) });
+                }}
+                className={inputClass}
+              />
+            </label>
+          ))}
+          <label className="block space-y-1">
+            <span className="text-xs font-semibold text-slate-300">Budget in</span>
+            <select
+              value={settings.budgetType}
+              onChange={(e) => onSettingsChange({ ...settings, budgetType: e.target.value })}
+              className={inputClass}
+            >
+              <option value="cost">Estimated USD</option>
+              <option value="tokens">Tokens</option>
+            </select>
+          </label>
+          <label className="block space-y-1">
+            <span className="text-xs font-semibold text-slate-300">Session budget (0 = none)</span>
+            <input
+              type="number"
+              step={settings.budgetType === "tokens" ? 10000 : 0.25}
+              min={0}
+              value={settings.budget}
+              onChange={(e) => {
+                const value = parseFloat(e.target.value);
+                if (!isNaN(value) && value >= 0) onSettingsChange({ ...settings, budget: value });
+              }}
+              className={inputClass}
+            />
+          </label>
+        </div>
+      )}
+
+      {showJobs && jobs.length > 0 && (
+        <div className="space-y-1">
+          <div className="flex justify-end">
+            <button onClick={onClearFinished} className="text-[11px] text-slate-500 hover:text-slate-300 transition-colors">Clear finished</button>
+          </div>
+          <ul className="max-h-64 overflow-y-auto divide-y divide-slate-700/50">
+            {jobs.map(job => (
+              <li key={job.id} className="flex items-center gap-3 py-1.5 text-xs">
+                <span className={`w-16 shrink-0 font-semibold ${STATUS_STYLES[job.status].className}`}>
+                  {job.status === "running" && <RefreshCw className="w-3 h-3 inline mr-1 animate-spin" />}
+                  {STATUS_STYLES[job.status].label}
+                </span>
+                <span className="flex-1 min-w-0">
+                  <span className="block truncate text-slate-200" title={job.label}>{job.label}</span>
+                  {job.error && <span className="block truncate text-[11px] text-rose-300/80" title={job.error}>{job.error}</span>}
+                </span>
+                {job.attempts > 1 && <span className="text-[10px] text-slate-500 shrink-0">try {job.attempts}</span>}
+                {isActiveJob(job) ? (
+                  <button onClick={() => onCancel(job.id)} className="p-1 text-slate-500 hover:text-rose-300 transition-colors" title="Cancel">
+                    <X className="w-3.5 h-3.5" />
+                  </button>
+                ) : (job.status === "failed" || job.status === "cancelled") && (
+                  <button onClick={() => onRetry(job.id)} className="p-1 text-slate-500 hover:text-slate-200 transition-colors" title="Retry">
+                    <RotateCcw className="w-3.5 h-3.5" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisQueuePanel;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { Scale, AlertTriangle } from 'lucide-react';
+import { formatSigned } from '../lib/format';
+
+const SIDE_LABELS = { home: "Home", draw: "Draw", away: "Away" };
+
+// Flags from the cross-book comparison (lib/bookOdds): an arbitrage across Polymarket's asks and
+// the best book prices, and outcomes where Polymarket's no-vig price is far from the books'.
+const BookComparison = ({ comparison, consensus, source }) => {
+  const { arbitrage, soft } = comparison;
+  return (
+    <div className="space-y-1 text-[10px]">
+      {arbitrage && (
+        <div className="flex items-start gap-1.5 px-2 py-1.5 rounded bg-emerald-900/30 border border-emerald-800/60 text-emerald-300">
+          <Scale className="w-3 h-3 mt-0.5 shrink-0" />
+          <span>
+            Arbitrage {arbitrage.margin.toFixed(1)}%:{" "}
+            {arbitrage.legs.map(leg => `${SIDE_LABELS[leg.key]} @ ${leg.venue}${leg.odds ? ` ${leg.odds.toFixed(2)}` : ` ${(leg.cost * 100).toFixed(1)}¢ ask`}`).join(", ")}
+            <span className="text-emerald-300/70"> (top of book only; check depth before trading)</span>
+          </span>
+        </div>
+      )}
+      {soft.length > 0 && (
+        <div className="flex items-start gap-1.5 px-2 py-1.5 rounded bg-amber-900/20 border border-amber-800/40 text-amber-300">
+          <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />
+          <span>
+            Soft line vs books: {soft.map(s => `${s.label} ${formatSigned(s.gap)} pts`).join(", ")}
+            <span className="text-amber-300/70"> (no-vig on both sides; positive: Polymarket cheaper than the books)</span>
+          </span>
+        </div>
+      )}
+      <div className="text-slate-500" title={source}>
+        Book consensus from {consensus.books} {consensus.books === 1 ? "book" : "books"} ({source})
+      </div>
+    </div>
+  );
+};
+
+export default BookComparison;
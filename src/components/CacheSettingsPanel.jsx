@@ -0,0 +1,36 @@
+import React from 'react';
+
+const FIELDS = [
+  { key: "researchTtlHours", label: "Research TTL (hours)", step: 1, min: 0, hint: "Research newer than this is reused instead of searching again." },
+  { key: "priceBucket", label: "Price bucket (pts)", step: 0.5, min: 0.5, hint: "Prices that stay within one bucket reuse the cached analysis." },
+  { key: "kickoffWindowHours", label: "Pre-kickoff window (hours)", step: 0.5, min: 0, hint: "Inside this window, research from before it is always redone." }
+];
+
+const inputClass = "w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+const CacheSettingsPanel = ({ settings, onChange }) => (
+  <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 mb-8 text-left">
+    <h2 className="text-sm font-bold text-slate-200 uppercase tracking-wider mb-4">Analysis Cache</h2>
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      {FIELDS.map(({ key, label, step, min, hint }) => (
+        <label key={key} className="block space-y-1">
+          <span className="text-xs font-semibold text-slate-300">{label}</span>
+          <input
+            type="number"
+            step={step}
+            min={min}
+            value={settings[key]}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (!isNaN(value) && value >= min) onChange({ ...settings, [key]: value });
+            }}
+            className={inputClass}
+          />
+          <span className="block text-[11px] text-slate-500">{hint}</span>
+        </label>
+      ))}
+    </div>
+  </div>
+);
+
+export default CacheSettingsPanel;
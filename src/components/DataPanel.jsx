@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { X, Download, Upload } from 'lucide-react';
+import {
+  EXPORT_KINDS,
+  marketRows,
+  analysisRows,
+  positionRows,
+  toCsv,
+  toExportJson,
+  exportFileName,
+  downloadFile
+} from '../lib/dataExport';
+
+const buttonClass = "text-[11px] px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-200 transition-colors flex items-center gap-1";
+
+// `onImport(text)` resolves to { imported, matched, duplicates } or rejects with the reason.
+const DataPanel = ({ events, records, positions, valueSettings, onImport, onClose }) => {
+  const [importStatus, setImportStatus] = useState(null);
+
+  const rowsFor = (kind) => {
+    if (kind === "markets") return marketRows(events, valueSettings.devigMethod);
+    if (kind === "analyses") return analysisRows(records, valueSettings);
+    return positionRows(positions);
+  };
+
+  const counts = { markets: events.length, analyses: records.length, positions: positions.length };
+
+  const exportAs = (kind, extension) => {
+    const rows = rowsFor(kind);
+    // The byte-order mark makes Excel read the file as UTF-8.
+    if (extension === "csv") downloadFile(exportFileName(kind, "csv"), `\ufeff${toCsv(rows)}`, "text/csv");
+    else downloadFile(exportFileName(kind, "json"), toExportJson(kind, rows, kind === "analyses" ? records : null), "application/json");
+  };
+
+  const importFile = (file) => {
+    if (!file) return;
+    setImportStatus({ busy: true, text: `Reading ${file.name}...` });
+    file.text()
+      .then(onImport)
+      .then(({ imported, matched, duplicates }) => setImportStatus({
+        ok: true,
+        text: `Imported ${imported} ${imported === 1 ? "analysis" : "analyses"}, ${matched} on loaded events` +
+          `${duplicates > 0 ? `; ${duplicates} already here` : ""}.`
+      }))
+      .catch(err => setImportStatus({ ok: false, text: err.message }));
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 mb-8 text-left space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-bold text-slate-200 uppercase tracking-wider">Export & Import</h2>
+        <button onClick={onClose} className="p-1 hover:bg-slate-700 rounded-full transition-colors" title="Close">
+          <X className="w-4 h-4 text-slate-400" />
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {Object.entries(EXPORT_KINDS).map(([kind, label]) => (
+          <div key={kind} className="flex items-center justify-between gap-2 bg-slate-900/50 px-3 py-2 rounded">
+            <span className="text-xs text-slate-300">
+              {label} <span className="text-slate-500">({counts[kind]})</span>
+            </span>
+            <span className="flex gap-2">
+              {["csv", "json"].map(extension => (
+                <button key={extension} onClick={() => exportAs(kind, extension)} disabled={counts[kind] === 0} className={buttonClass}>
+                  <Download className="w-3 h-3" /> {extension.toUpperCase()}
+                </button>
+              ))}
+            </span>
+          </div>
+        ))}
+        <p className="text-[11px] text-slate-500">
+          Markets are exported at the current prices; analyses include every stored run, graded with the current value settings.
+        </p>
+      </div>
+
+      <div>
+        <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold mb-2">Import Analyses</div>
+        <label className={`${buttonClass} w-fit cursor-pointer`}>
+          <Upload className="w-3 h-3" /> Choose an analyses JSON export
+          <input
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            disabled={importStatus?.busy}
+            onChange={(e) => {
+              importFile(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        {importStatus && (
+          <p className={`mt-2 text-xs ${importStatus.busy ? "text-slate-400" : importStatus.ok ? "text-emerald-400" : "text-rose-400"}`}>
+            {importStatus.text}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DataPanel;
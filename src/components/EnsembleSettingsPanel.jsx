@@ -0,0 +1,107 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import { PROVIDERS } from '../lib/llm';
+import { PERSONAS } from '../lib/prompts';
+import { AGGREGATES } from '../lib/ensemble';
+
+const inputClass = "w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+// Members of the ensemble analysis (lib/ensemble). The agreement threshold for Undervalued
+// verdicts lives with the value thresholds, since changing it re-grades stored analyses.
+const EnsembleSettingsPanel = ({ settings, onChange }) => {
+  const updateMember = (index, patch) => {
+    onChange({ ...settings, members: settings.members.map((m, i) => (i === index ? { ...m, ...patch } : m)) });
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 mb-8 text-left space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-bold text-slate-200 uppercase tracking-wider">Ensemble Analysis</h2>
+        <label className="flex items-center gap-2 text-xs text-slate-300">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => onChange({ ...settings, enabled: e.target.checked })}
+            className="accent-indigo-500"
+          />
+          Enabled
+        </label>
+      </div>
+      <p className="text-[11px] text-slate-500">
+        Runs the analysis phase once per member on the same research and combines their probabilities. Each member
+        is another analysis call per market, and the session budget counts them all. Add the same persona several
+        times to repeat a run; members without their own model use the analysis-phase model.
+      </p>
+
+      <div className="space-y-2">
+        {settings.members.map((member, index) => (
+          <div key={index} className="grid grid-cols-1 md:grid-cols-[1fr_1fr_1fr_auto] gap-2 items-center">
+            <select
+              value={member.persona}
+              onChange={(e) => updateMember(index, { persona: e.target.value })}
+              className={inputClass}
+            >
+              {Object.entries(PERSONAS).map(([key, persona]) => (
+                <option key={key} value={key}>{persona.label}</option>
+              ))}
+            </select>
+            <select
+              value={member.provider || ""}
+              onChange={(e) => updateMember(index, {
+                provider: e.target.value || null,
+                model: e.target.value ? PROVIDERS[e.target.value].defaultModel : ""
+              })}
+              className={inputClass}
+            >
+              <option value="">Analysis-phase model</option>
+              {Object.entries(PROVIDERS).map(([id, provider]) => (
+                <option key={id} value={id}>{provider.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={member.model}
+              disabled={!member.provider}
+              onChange={(e) => updateMember(index, { model: e.target.value })}
+              placeholder={member.provider ? PROVIDERS[member.provider].defaultModel : "same as analysis phase"}
+              className={`${inputClass} disabled:opacity-50`}
+            />
+            <button
+              onClick={() => onChange({ ...settings, members: settings.members.filter((_, i) => i !== index) })}
+              className="p-1 hover:bg-slate-700 rounded-full transition-colors justify-self-end"
+              title="Remove member"
+            >
+              <X className="w-4 h-4 text-slate-400" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <button
+          onClick={() => onChange({ ...settings, members: [...settings.members, { persona: "balanced", provider: null, model: "" }] })}
+          className="text-xs px-3 py-1.5 rounded-lg bg-slate-700 hover:bg-slate-600 text-slate-200 transition-colors flex items-center gap-1"
+        >
+          <Plus className="w-3 h-3" /> Add member
+        </button>
+        <label className="flex items-center gap-2 text-xs text-slate-300">
+          Combine with
+          <select
+            value={settings.aggregate}
+            onChange={(e) => onChange({ ...settings, aggregate: e.target.value })}
+            className="bg-slate-900 border border-slate-700 rounded-lg px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {Object.entries(AGGREGATES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {settings.enabled && settings.members.length < 2 && (
+        <p className="text-[11px] text-amber-400">An ensemble needs at least two members; analyses run singly until then.</p>
+      )}
+    </div>
+  );
+};
+
+export default EnsembleSettingsPanel;
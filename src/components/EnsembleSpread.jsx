@@ -0,0 +1,73 @@
+import React from 'react';
+import { Users } from 'lucide-react';
+import { PERSONAS } from '../lib/prompts';
+import { AGGREGATES } from '../lib/ensemble';
+import { formatModelLabel } from '../lib/llm';
+
+// Spreads above this many points mean the members read the match differently.
+const WIDE_SPREAD = 5;
+
+// Outright groups can list dozens of teams; cards show the favourites.
+const PREVIEW = 6;
+
+// How far the members of an ensemble analysis (lib/ensemble) disagree: per outcome the range
+// and standard deviation of their estimates and the share that sees an Undervalued edge.
+// `detailed` also lists every member's own estimate (event page).
+const EnsembleSpread = ({ analysis, detailed = false }) => {
+  const ensemble = analysis?.ensemble;
+  if (!ensemble) return null;
+  const outcomes = analysis.valuation?.outcomes || [];
+  const shown = detailed || outcomes.length <= PREVIEW
+    ? outcomes
+    : [...outcomes].sort((a, b) => (b.aiProbability ?? 0) - (a.aiProbability ?? 0)).slice(0, PREVIEW);
+
+  return (
+    <div className="bg-slate-800/50 p-2 rounded border border-slate-700/50 space-y-1 text-[10px]">
+      <div className="flex items-center justify-between text-slate-400">
+        <span className="flex items-center gap-1 uppercase tracking-wider font-semibold">
+          <Users className="w-3 h-3" /> Ensemble of {ensemble.members.length}
+        </span>
+        <span className="text-slate-500">
+          {AGGREGATES[ensemble.aggregate]}
+          {ensemble.failed > 0 && ` · ${ensemble.failed} failed`}
+        </span>
+      </div>
+      {shown.map(o => {
+        const stats = ensemble.stats[o.key];
+        if (!stats) return null;
+        return (
+          <div key={o.key} className="flex items-center gap-2">
+            <span className="text-slate-400 truncate flex-1" title={o.label}>{o.label}</span>
+            <span className="text-slate-300">{stats.min.toFixed(0)}–{stats.max.toFixed(0)}%</span>
+            <span className={stats.spread >= WIDE_SPREAD ? "text-amber-400" : "text-slate-500"} title="Standard deviation of the member estimates">
+              ±{stats.spread.toFixed(1)}
+            </span>
+            {o.agreement > 0 && (
+              <span className={o.contested ? "text-amber-400" : "text-emerald-400"} title="Members that see an Undervalued edge">
+                {o.agreement.toFixed(0)}% agree
+              </span>
+            )}
+          </div>
+        );
+      })}
+      {detailed && (
+        <div className="pt-1 mt-1 border-t border-slate-700/50 space-y-1">
+          {ensemble.members.map((member, i) => (
+            <div key={i} className="flex flex-wrap items-center gap-x-2">
+              <span className={`font-medium ${i === ensemble.representative ? "text-indigo-300" : "text-slate-300"}`}>
+                {PERSONAS[member.persona]?.label || member.persona}
+              </span>
+              <span className="text-slate-500 truncate">{formatModelLabel(member.model)}</span>
+              <span className="text-slate-400 ml-auto">
+                {outcomes.map(o => `${member.probabilities[o.key]?.toFixed(0)}`).join(" / ")} · conf {member.confidence}
+              </span>
+            </div>
+          ))}
+          <p className="text-slate-500">Prediction, insights and form are from the highlighted member, the closest to the {AGGREGATES[ensemble.aggregate].toLowerCase()}.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EnsembleSpread;
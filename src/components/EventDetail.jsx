@@ -0,0 +1,403 @@
+import React from 'react';
+import {
+  ArrowLeft,
+  Trophy,
+  Calendar,
+  ExternalLink,
+  Zap,
+  RefreshCw,
+  Globe,
+  BrainCircuit,
+  History,
+  LineChart,
+  BookOpen,
+  Users,
+  Wallet,
+  AlertCircle
+} from 'lucide-react';
+import { parseEventMarkets, analysisKeyFor, MARKET_TYPES } from '../lib/marketTypes';
+import { priceGroup, DEVIG_METHODS } from '../lib/pricing';
+import { repriceOutcomes, PROBABILITY_SOURCES } from '../lib/valuation';
+import { baselineForGroup } from '../lib/baseline';
+import { findBookEvent, bookConsensus, compareWithBooks } from '../lib/bookOdds';
+import { eventKickoff, eventLeague } from '../lib/viewFilters';
+import { isActiveJob } from '../lib/jobQueue';
+import { formatModelLabel } from '../lib/llm';
+import { toPercent, formatMoney, formatDate, formatSigned } from '../lib/format';
+import PriceTick from './PriceTick';
+import Sparkline from './Sparkline';
+import ValueIndicator from './ValueIndicator';
+import AnalysisAge from './AnalysisAge';
+import JobStatus from './JobStatus';
+import TeamForm from './TeamForm';
+import KeyInsights from './KeyInsights';
+import ResearchSources from './ResearchSources';
+import PaperTradeForm from './PaperTradeForm';
+import BookComparison from './BookComparison';
+import AnalysisHistory from './AnalysisHistory';
+import OrderBookPanel from './OrderBookPanel';
+import MatchFacts from './MatchFacts';
+import EnsembleSpread from './EnsembleSpread';
+
+// Outright groups can list dozens of teams; the price history shows the favourites.
+const OUTRIGHT_HISTORY = 8;
+
+const EDGE_COLORS = {
+  UNDERVALUED: "text-emerald-400",
+  OVERVALUED: "text-rose-400"
+};
+
+const Section = ({ title, icon: Icon, children }) => (
+  <section className="bg-slate-800 rounded-xl border border-slate-700 p-5 space-y-3">
+    <h2 className="flex items-center gap-2 text-xs font-bold text-slate-300 uppercase tracking-wider">
+      {Icon && <Icon className="w-4 h-4 text-slate-400" />}
+      {title}
+    </h2>
+    {children}
+  </section>
+);
+
+const Metric = ({ label, value }) => (
+  <div className="bg-slate-900/60 p-2 rounded border border-slate-700/50">
+    <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">{label}</div>
+    <div className="text-sm font-medium text-slate-200">{value || "-"}</div>
+  </div>
+);
+
+const cell = (value) => (value == null ? <span className="text-slate-600">—</span> : value);
+
+// One market group in full: every outcome's price next to the fair, AI, model and sportsbook
+// probabilities, then the complete analysis with its research.
+const GroupDetail = ({
+  group, analysis, job, baseline, consensus, bookCheck, bookSource, researchText, kickoff,
+  valueSettings, cacheSettings, now, livePrices, equity, cash, onAnalyze, onRetry, onPlace
+}) => {
+  const isAnalyzing = isActiveJob(job);
+  const pricing = priceGroup(group, valueSettings.devigMethod);
+  const valued = Object.fromEntries((analysis?.valuation?.outcomes || []).map(o => [o.key, o]));
+  const analyzedPrices = Object.fromEntries((analysis?.metadata?.outcomes || []).map(o => [o.key, o.price]));
+
+  return (
+    <Section title={group.type === "outright" ? MARKET_TYPES.outright.label : group.title}>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead className="text-slate-500">
+            <tr>
+              <th className="text-left font-medium py-1">Outcome</th>
+              <th className="text-right font-medium">Price</th>
+              <th className="text-right font-medium">Fair</th>
+              <th className="text-right font-medium">AI</th>
+              {baseline && <th className="text-right font-medium">Model</th>}
+              {consensus && <th className="text-right font-medium">Books</th>}
+              <th className="text-right font-medium">Edge</th>
+              <th className="text-right font-medium">Since AI</th>
+            </tr>
+          </thead>
+          <tbody className="text-slate-300">
+            {pricing.outcomes.map(outcome => {
+              const value = valued[outcome.key];
+              const moved = analyzedPrices[outcome.key] > 0 && outcome.price != null ? (outcome.price - analyzedPrices[outcome.key]) * 100 : null;
+              return (
+                <tr key={outcome.key} className="border-t border-slate-700/50">
+                  <td className="py-1.5 pr-2">{outcome.label}</td>
+                  <td className="text-right font-bold text-indigo-400">
+                    <PriceTick live={livePrices[outcome.tokenId]}>{outcome.price != null ? `${toPercent(outcome.price)}%` : "—"}</PriceTick>
+                  </td>
+                  <td className="text-right text-slate-400">{cell(outcome.fairPrice != null ? `${toPercent(outcome.fairPrice)}%` : null)}</td>
+                  <td className="text-right">{cell(value?.aiProbability != null ? `${value.aiProbability.toFixed(1)}%` : null)}</td>
+                  {baseline && <td className="text-right text-cyan-400">{cell(baseline.probabilities[outcome.key]?.toFixed(1))}</td>}
+                  {consensus && (
+                    <td
+                      className={`text-right ${bookCheck.soft.some(s => s.key === outcome.key) ? "text-amber-300" : "text-slate-400"}`}
+                      title={`Best: ${consensus.best[outcome.key].odds.toFixed(2)} at ${consensus.best[outcome.key].book}`}
+                    >
+                      {toPercent(consensus.fair[outcome.key])}%
+                    </td>
+                  )}
+                  <td className={`text-right ${EDGE_COLORS[value?.status] || "text-slate-500"}`}>
+                    {cell(value?.edge != null ? `${formatSigned(value.edge)} pts` : null)}
+                  </td>
+                  <td className="text-right text-slate-500">{cell(moved != null && Math.abs(moved) >= 0.1 ? formatSigned(moved) : null)}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap justify-between gap-2 text-[10px] text-slate-500">
+        <span>
+          {pricing.partial ? "Partial field: no Other outcome, so prices are not de-vigged"
+            : pricing.overround != null ? `Overround ${formatSigned(pricing.overround * 100)}% · ${DEVIG_METHODS[valueSettings.devigMethod]}` : ""}
+        </span>
+        {baseline && (
+          <span className="text-cyan-400/80">
+            Model xG {baseline.expectedGoals.home.toFixed(2)} – {baseline.expectedGoals.away.toFixed(2)}
+            {" · "}{baseline.scores.map(s => `${s.score} ${toPercent(s.probability)}%`).join(", ")}
+            {baseline.thin && <span className="text-amber-400"> · few results, mostly prior</span>}
+          </span>
+        )}
+      </div>
+      {bookCheck && <BookComparison comparison={bookCheck} consensus={consensus} source={bookSource} />}
+
+      <AnalysisAge
+        analysis={analysis}
+        outcomes={group.outcomes}
+        kickoff={kickoff}
+        cacheSettings={cacheSettings}
+        now={now}
+        isAnalyzing={isAnalyzing}
+        onUpdate={() => onAnalyze()}
+        onReanalyze={() => onAnalyze({ force: true })}
+      />
+      <JobStatus job={job} onRetry={() => onRetry(job.id)} />
+
+      {analysis ? (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2 text-[10px]">
+            <span className="flex items-center gap-1 px-1.5 py-0.5 rounded bg-blue-900/30 border border-blue-800 text-blue-400">
+              {analysis.metadata?.dataSource === "Google Search" ? <Globe className="w-3 h-3" /> : <BrainCircuit className="w-3 h-3" />}
+              {analysis.metadata?.dataSource === "Google Search" ? "Web Search" : "No Search"}
+            </span>
+            <span className="text-slate-400">Confidence {analysis.confidence_rating}/10</span>
+            <span className="text-slate-500">Research: {formatModelLabel(analysis.metadata?.models?.research)}</span>
+            <span className="text-slate-500">Analysis: {formatModelLabel(analysis.metadata?.models?.analysis)}</span>
+            {analysis.valuation?.probabilitySource !== "llm" && (
+              <span className="text-slate-500">
+                Edge vs {PROBABILITY_SOURCES[analysis.valuation.probabilitySource].toLowerCase()}
+                {analysis.valuation.probabilitySource === "blend" && ` (${Math.round(valueSettings.modelWeight * 100)}% model)`}
+              </span>
+            )}
+          </div>
+
+          <ValueIndicator best={analysis.valuation?.best} />
+          <EnsembleSpread analysis={analysis} detailed />
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            <Metric label="Prediction" value={analysis.prediction?.outcome} />
+            <Metric label="Score" value={analysis.prediction?.predicted_scoreline} />
+            <Metric label="Best EV" value={analysis.value_assessment ? `${formatSigned(analysis.value_assessment.expected_value)}%` : null} />
+            <Metric
+              label={`Kelly (${valueSettings.kellyFraction}x)`}
+              value={analysis.value_assessment?.kelly_criterion_suggestion != null
+                ? `${(analysis.value_assessment.kelly_criterion_suggestion * 100).toFixed(1)}%`
+                : null}
+            />
+          </div>
+
+          {analysis.match_analysis?.tactical_matchup && (
+            <p className="text-xs text-slate-300 leading-relaxed">{analysis.match_analysis.tactical_matchup}</p>
+          )}
+
+          {group.type === "1x2" && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <TeamForm label="Home Form" matches={analysis.match_analysis?.home_team_last_5} source={analysis.metadata?.formSources?.home} />
+              <TeamForm label="Away Form" matches={analysis.match_analysis?.away_team_last_5} source={analysis.metadata?.formSources?.away} />
+            </div>
+          )}
+
+          {analysis.key_insights?.length > 0 && (
+            <div>
+              <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold mb-2">Key Insights</div>
+              <KeyInsights insights={analysis.key_insights} grounding={analysis.metadata?.grounding} />
+            </div>
+          )}
+
+          {analysis.risk_factors?.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {analysis.risk_factors.map((factor, i) => (
+                <span key={i} className="text-[10px] px-1.5 py-0.5 bg-slate-900 text-slate-400 rounded border border-slate-700">{factor}</span>
+              ))}
+            </div>
+          )}
+
+          <ResearchSources grounding={analysis.metadata?.grounding} researchText={researchText} expanded />
+
+          <PaperTradeForm
+            outcomes={repriceOutcomes(group.outcomes, analysis, valueSettings)}
+            defaultOutcomeKey={analysis.valuation?.best?.key}
+            equity={equity}
+            cash={cash}
+            kellyFraction={valueSettings.kellyFraction}
+            onPlace={onPlace}
+          />
+        </div>
+      ) : (
+        <button
+          onClick={() => onAnalyze()}
+          disabled={isAnalyzing}
+          className={`w-full py-2.5 rounded-xl font-semibold text-sm transition-all flex items-center justify-center gap-2
+            ${isAnalyzing
+              ? "bg-slate-900 text-slate-500 cursor-not-allowed border border-slate-700"
+              : "bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-500 hover:to-purple-500 text-white"
+            }`}
+        >
+          {isAnalyzing ? <RefreshCw className={`w-4 h-4 ${job.status === "running" ? "animate-spin" : ""}`} /> : <Zap className="w-4 h-4" />}
+          {isAnalyzing ? (job.status === "running" ? "Analyzing Market..." : "Waiting in queue...") : "Analyze with AI"}
+        </button>
+      )}
+    </Section>
+  );
+};
+
+// The /event/:slug page: every market of one event with its full analysis, price history,
+// order book, verified match data, stored analyses and paper positions. `event` carries live
+// prices; `loading` / `error` describe looking it up by slug (hooks/useEventBySlug).
+const EventDetail = ({
+  event, loading, error, onBack, analyses, jobsByKey, ratings, bookOdds, histories, livePrices, records, positions,
+  valueSettings, cacheSettings, now, equity, cash, onAnalyze, onRetry, onPlace
+}) => {
+  const backButton = (
+    <button onClick={onBack} className="flex items-center gap-1 text-sm text-slate-400 hover:text-slate-200 transition-colors">
+      <ArrowLeft className="w-4 h-4" /> All markets
+    </button>
+  );
+
+  if (!event) {
+    return (
+      <div className="space-y-6">
+        {backButton}
+        {loading ? (
+          <div className="flex flex-col items-center justify-center h-64 gap-4">
+            <div className="w-12 h-12 border-4 border-indigo-500 border-t-transparent rounded-full animate-spin"></div>
+            <p className="text-slate-400 animate-pulse">Loading event...</p>
+          </div>
+        ) : (
+          <div className="bg-slate-800/50 border border-slate-700/50 rounded-xl p-6 text-center max-w-lg mx-auto">
+            <AlertCircle className="w-10 h-10 text-slate-500 mx-auto mb-3" />
+            <p className="text-slate-300">{error ? `Could not load this event: ${error}` : "No Polymarket event has this address."}</p>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  const { match, groups } = parseEventMarkets(event);
+  const kickoff = eventKickoff(event);
+  const bookEvent = match ? findBookEvent(bookOdds?.events, match, kickoff) : null;
+  const consensus = bookEvent ? bookConsensus(bookEvent, valueSettings.devigMethod) : null;
+  const openPositions = positions.filter(p => p.eventId === event.id && p.status === "open");
+  const tokenOutcomes = groups.flatMap(group => group.outcomes
+    .filter(o => o.tokenId)
+    .slice(0, group.type === "outright" ? OUTRIGHT_HISTORY : undefined)
+    .map(o => ({ ...o, group, label: group.type === "1x2" || group.type === "outright" ? o.label : `${group.title} · ${o.label}` })));
+
+  return (
+    <div className="space-y-6">
+      {backButton}
+
+      <div className="bg-slate-800 rounded-xl border border-slate-700 p-5">
+        <div className="flex flex-wrap items-start justify-between gap-3">
+          <div>
+            <div className="flex items-center gap-2 text-xs font-medium text-slate-400 mb-1">
+              <Trophy className="w-3 h-3" /> {eventLeague(event)}
+            </div>
+            <h1 className="text-2xl font-bold text-white leading-tight">{event.title}</h1>
+            <div className="flex flex-wrap items-center gap-3 text-xs text-slate-500 mt-2">
+              <span className="flex items-center gap-1"><Calendar className="w-3 h-3" /> {formatDate(kickoff ?? event.endDate)}</span>
+              <span>Liquidity {formatMoney(event.liquidity)}</span>
+              <span>Volume {formatMoney(event.volume)}</span>
+            </div>
+          </div>
+          <a
+            href={`https://polymarket.com/event/${event.slug}`}
+            target="_blank"
+            rel="noreferrer"
+            className="text-sm text-indigo-400 hover:text-indigo-300 flex items-center gap-1 transition-colors"
+          >
+            Trade on Polymarket <ExternalLink className="w-3 h-3" />
+          </a>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 items-start">
+        <div className="lg:col-span-2 space-y-6">
+          {groups.map(group => {
+            const analysisKey = analysisKeyFor(event, match, group);
+            const isResult = group.type === "1x2";
+            return (
+              <GroupDetail
+                key={group.id}
+                group={group}
+                analysis={analyses[analysisKey]}
+                job={jobsByKey[analysisKey]}
+                baseline={baselineForGroup(ratings, match, group)}
+                consensus={isResult ? consensus : null}
+                bookCheck={isResult && consensus ? compareWithBooks(group.outcomes, consensus, valueSettings.bookGapThreshold, valueSettings.devigMethod) : null}
+                bookSource={bookOdds?.source}
+                researchText={records.find(r => r.analysisKey === analysisKey)?.researchText}
+                kickoff={kickoff}
+                valueSettings={valueSettings}
+                cacheSettings={cacheSettings}
+                now={now}
+                livePrices={livePrices}
+                equity={equity}
+                cash={cash}
+                onAnalyze={(options) => onAnalyze(event, match, group, options)}
+                onRetry={onRetry}
+                onPlace={(trade) => onPlace(event, analysisKey, trade)}
+              />
+            );
+          })}
+        </div>
+
+        <div className="space-y-6">
+          <Section title="Price History" icon={LineChart}>
+            {tokenOutcomes.length === 0 && <p className="text-xs text-slate-500">No outcome on this event has a price history.</p>}
+            {tokenOutcomes.map(outcome => {
+              const points = histories[outcome.tokenId];
+              return (
+                <div key={outcome.tokenId}>
+                  <div className="flex justify-between text-[10px]">
+                    <span className="text-slate-400 truncate" title={outcome.label}>{outcome.label}</span>
+                    <span className="text-slate-300 shrink-0 ml-2">
+                      {outcome.price != null ? `${toPercent(outcome.price)}%` : "—"}
+                      {points?.length > 1 && (
+                        <span className="text-slate-500"> ({formatSigned((points.at(-1).p - points[0].p) * 100)})</span>
+                      )}
+                    </span>
+                  </div>
+                  <Sparkline
+                    points={points}
+                    markerTime={analyses[analysisKeyFor(event, match, outcome.group)]?.metadata?.analyzedAt}
+                    width={300}
+                    height={40}
+                  />
+                </div>
+              );
+            })}
+          </Section>
+
+          <Section title="Order Book" icon={BookOpen}>
+            <OrderBookPanel outcomes={tokenOutcomes} />
+          </Section>
+
+          {match && (
+            <Section title="Form & Head-to-Head" icon={Users}>
+              <MatchFacts match={match} />
+            </Section>
+          )}
+
+          {openPositions.length > 0 && (
+            <Section title="Open Paper Positions" icon={Wallet}>
+              {openPositions.map(p => (
+                <div key={p.id} className="flex justify-between text-xs bg-slate-900/50 px-2 py-1 rounded">
+                  <span className="text-slate-300 truncate">{p.outcomeLabel}</span>
+                  <span className="text-slate-400 shrink-0 ml-2">
+                    ${p.stake.toFixed(2)} @ {(p.entryPrice * 100).toFixed(1)}¢ → {(p.markPrice * 100).toFixed(1)}¢
+                  </span>
+                </div>
+              ))}
+            </Section>
+          )}
+
+          <Section title={`Analysis History (${records.length})`} icon={History}>
+            <AnalysisHistory records={records} valueSettings={valueSettings} />
+          </Section>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EventDetail;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { AlertCircle, Clock, RotateCcw } from 'lucide-react';
+
+// Inline state of a card's analysis job (lib/jobQueue): waiting, backing off, or failed with
+// the error and a retry. Running and finished jobs show nothing here.
+const JobStatus = ({ job, onRetry, className = "" }) => {
+  if (!job) return null;
+
+  if (job.status === "queued" || job.status === "retrying") {
+    return (
+      <div className={`flex items-center gap-2 text-[11px] text-amber-300/80 ${className}`}>
+        <Clock className="w-3 h-3 shrink-0" />
+        <span className="truncate" title={job.error || undefined}>
+          {job.status === "retrying"
+            ? `Retrying in ${Math.ceil(job.retryDelay / 1000)}s (attempt ${job.attempts + 1}): ${job.error}`
+            : "Queued for analysis"}
+        </span>
+      </div>
+    );
+  }
+
+  if (job.status === "failed") {
+    return (
+      <div className={`flex items-start gap-2 bg-rose-950/30 border border-rose-900/50 rounded-lg p-2 text-[11px] text-rose-300 ${className}`}>
+        <AlertCircle className="w-3.5 h-3.5 shrink-0 mt-px" />
+        <span className="flex-1 break-words">Analysis failed: {job.error}</span>
+        <button onClick={onRetry} className="shrink-0 flex items-center gap-1 text-rose-200 hover:text-white transition-colors">
+          <RotateCcw className="w-3 h-3" /> Retry
+        </button>
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default JobStatus;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { insightCitations, stripCitations } from '../lib/grounding';
+
+// Key insights with links to the web sources behind each (lib/grounding). Numbers match the
+// "Sources" list and the markers in the research summary. `compact` is the smaller card style.
+const KeyInsights = ({ insights, grounding, limit, compact = false }) => (
+  <ul className={compact ? "space-y-1" : "space-y-1.5"}>
+    {(limit ? insights.slice(0, limit) : insights).map((insight, i) => {
+      const citations = insightCitations(insight, grounding);
+      return (
+        <li key={i} className={`flex items-start gap-2 text-slate-300 leading-relaxed ${compact ? "text-[10px]" : "text-xs"}`}>
+          <span className="mt-1 w-1 h-1 rounded-full bg-indigo-400 shrink-0" />
+          <span>
+            {stripCitations(insight)}
+            {citations.map(citation => (
+              <a
+                key={citation.number}
+                href={citation.uri}
+                target="_blank"
+                rel="noopener noreferrer"
+                title={citation.title || citation.uri}
+                className="ml-1 align-super text-[9px] text-indigo-300 hover:text-indigo-200"
+              >
+                [{citation.number}]
+              </a>
+            ))}
+          </span>
+        </li>
+      );
+    })}
+  </ul>
+);
+
+export default KeyInsights;
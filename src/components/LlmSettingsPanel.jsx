@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from 'react';
+import { X } from 'lucide-react';
+import { PROVIDERS, fetchProviderStatus } from '../lib/llm';
+
+const PHASES = [
+  { key: "research", label: "Research Phase", hint: "Gathers form, injuries and H2H. Only Gemini can use Google Search." },
+  { key: "analysis", label: "Analysis Phase", hint: "Turns the research into the JSON value assessment." }
+];
+
+const inputClass = "w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+const LlmSettingsPanel = ({ settings, onChange, onClose }) => {
+  const updatePhase = (phase, patch) => {
+    onChange({ ...settings, [phase]: { ...settings[phase], ...patch } });
+  };
+
+  // Keys live on the server; it only tells us which providers it can reach.
+  const [configured, setConfigured] = useState(null);
+  useEffect(() => {
+    let active = true;
+    fetchProviderStatus()
+      .then(status => { if (active) setConfigured(status); })
+      .catch(err => console.warn("Could not load provider status:", err));
+    return () => { active = false; };
+  }, []);
+
+  return (
+    <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 mb-8 text-left">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-sm font-bold text-slate-200 uppercase tracking-wider">AI Providers</h2>
+        <button onClick={onClose} className="p-1 hover:bg-slate-700 rounded-full transition-colors" title="Close">
+          <X className="w-4 h-4 text-slate-400" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {PHASES.map(({ key, label, hint }) => (
+          <div key={key} className="bg-slate-900/50 rounded-lg border border-slate-700/50 p-4 space-y-2">
+            <div className="text-xs font-semibold text-slate-300">{label}</div>
+            <p className="text-[11px] text-slate-500">{hint}</p>
+            <select
+              value={settings[key].provider}
+              onChange={(e) => updatePhase(key, { provider: e.target.value, model: PROVIDERS[e.target.value].defaultModel })}
+              className={inputClass}
+            >
+              {Object.entries(PROVIDERS).map(([id, provider]) => (
+                <option key={id} value={id}>
+                  {provider.label}{configured && !configured[id] ? " (not configured)" : ""}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={settings[key].model}
+              onChange={(e) => updatePhase(key, { model: e.target.value })}
+              placeholder={PROVIDERS[settings[key].provider].defaultModel}
+              className={inputClass}
+            />
+          </div>
+        ))}
+      </div>
+
+      <p className="text-[11px] text-slate-500 mt-4">
+        API keys and base URLs are read by the API server from <code>.env</code> and never reach the browser.
+      </p>
+    </div>
+  );
+};
+
+export default LlmSettingsPanel;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Search } from 'lucide-react';
+import { LEAGUES, DATE_WINDOWS, MONEY_FLOORS } from '../lib/marketFilters';
+import { formatMoney } from '../lib/format';
+
+const selectClass = "bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-slate-200 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+const floorLabel = (prefix, value) => (value > 0 ? `${prefix} ≥ ${formatMoney(value)}` : `Any ${prefix.toLowerCase()}`);
+
+// Search box plus the server-side market filters. Search narrows what is already loaded;
+// the selects change what gets loaded (see lib/marketFilters).
+const MarketFilterBar = ({ searchTerm, onSearchChange, filters, onFiltersChange }) => {
+  const update = (patch) => onFiltersChange({ ...filters, ...patch });
+
+  return (
+    <div className="mb-3 flex flex-col md:flex-row md:items-center gap-2">
+      <div className="relative flex-1">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400" />
+        <input
+          type="text"
+          placeholder="Search teams or leagues..."
+          value={searchTerm}
+          onChange={(e) => onSearchChange(e.target.value)}
+          className="w-full bg-slate-800 border border-slate-700 rounded-lg pl-10 pr-4 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500"
+        />
+      </div>
+      <div className="grid grid-cols-2 md:flex gap-2">
+        <select value={filters.league} onChange={(e) => update({ league: e.target.value })} className={selectClass} title="League">
+          {Object.entries(LEAGUES).map(([slug, label]) => (
+            <option key={slug} value={slug}>{label}</option>
+          ))}
+        </select>
+        <select value={filters.days} onChange={(e) => update({ days: Number(e.target.value) })} className={selectClass} title="Kick-off window">
+          {Object.entries(DATE_WINDOWS).map(([days, label]) => (
+            <option key={days} value={days}>{label}</option>
+          ))}
+        </select>
+        <select value={filters.minLiquidity} onChange={(e) => update({ minLiquidity: Number(e.target.value) })} className={selectClass} title="Minimum liquidity">
+          {MONEY_FLOORS.map(value => (
+            <option key={value} value={value}>{floorLabel("Liquidity", value)}</option>
+          ))}
+        </select>
+        <select value={filters.minVolume} onChange={(e) => update({ minVolume: Number(e.target.value) })} className={selectClass} title="Minimum volume">
+          {MONEY_FLOORS.map(value => (
+            <option key={value} value={value}>{floorLabel("Volume", value)}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default MarketFilterBar;
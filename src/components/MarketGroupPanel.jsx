@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { RefreshCw, Zap, ChevronDown, ChevronUp } from 'lucide-react';
+import { MARKET_TYPES } from '../lib/marketTypes';
+import { repriceOutcomes } from '../lib/valuation';
+import { priceGroup } from '../lib/pricing';
+import { toPercent, formatSigned } from '../lib/format';
+import ValueIndicator from './ValueIndicator';
+import PaperTradeForm from './PaperTradeForm';
+import PriceTick from './PriceTick';
+import Sparkline from './Sparkline';
+import JobStatus from './JobStatus';
+import AnalysisAge from './AnalysisAge';
+import KeyInsights from './KeyInsights';
+import ResearchSources from './ResearchSources';
+import EnsembleSpread from './EnsembleSpread';
+import { isActiveJob } from '../lib/jobQueue';
+
+// Outright groups can list dozens of teams; show the favourites until expanded.
+const OUTRIGHT_PREVIEW = 6;
+
+const EDGE_COLORS = {
+  UNDERVALUED: "text-emerald-400",
+  OVERVALUED: "text-rose-400"
+};
+
+// One non-1X2 market group (totals, BTTS, handicap or outright) with its own analysis and
+// paper trade. `analysis` is the valued result for this group, if it has been analyzed; `job` its
+// analysis job, if one was queued this session. Once analyzed, "Re-analyze" bypasses the cache.
+// `researchText` is the research summary stored with the latest analysis; `baseline` the
+// baseline model's current view of the group (lib/baseline), if it prices this market.
+const MarketGroupPanel = ({ group, analysis, baseline, researchText, job, onAnalyze, onUpdate, onRetry, kickoff, cacheSettings, now, valueSettings, livePrices = {}, histories = {}, equity, cash, onPlace }) => {
+  const [expanded, setExpanded] = useState(false);
+  const isAnalyzing = isActiveJob(job);
+  const isOutright = group.type === "outright";
+  const valued = Object.fromEntries((analysis?.valuation?.outcomes || []).map(o => [o.key, o]));
+  const pricing = priceGroup(group, valueSettings.devigMethod);
+  const visible = isOutright && !expanded ? pricing.outcomes.slice(0, OUTRIGHT_PREVIEW) : pricing.outcomes;
+
+  return (
+    <div className="bg-slate-900/60 rounded-xl p-3 border border-slate-700 space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <div className="min-w-0">
+          <div className="text-[10px] text-slate-500 uppercase tracking-wider font-semibold">{MARKET_TYPES[group.type].label}</div>
+          <div className="text-xs font-medium text-slate-200 truncate" title={group.title}>{group.title}</div>
+          {pricing.overround != null && (
+            <div className="text-[10px] text-slate-500">Overround {formatSigned(pricing.overround * 100)}%</div>
+          )}
+          {pricing.partial && (
+            <div className="text-[10px] text-slate-500" title="No Other/field outcome, so the prices are not de-vigged.">Partial field</div>
+          )}
+        </div>
+        <button
+          onClick={onAnalyze}
+          disabled={isAnalyzing}
+          className={`shrink-0 px-2 py-1 rounded-lg text-[10px] font-semibold flex items-center gap-1 transition-colors
+            ${isAnalyzing ? "bg-slate-800 text-slate-500 cursor-not-allowed" : "bg-indigo-600 hover:bg-indigo-500 text-white"}`}
+        >
+          {isAnalyzing ? <RefreshCw className={`w-3 h-3 ${job.status === "running" ? "animate-spin" : ""}`} /> : <Zap className="w-3 h-3" />}
+          {isAnalyzing ? (job.status === "running" ? "Analyzing..." : "Queued...") : analysis ? "Re-analyze" : "Analyze"}
+        </button>
+      </div>
+
+      <AnalysisAge
+        analysis={analysis}
+        outcomes={group.outcomes}
+        kickoff={kickoff}
+        cacheSettings={cacheSettings}
+        now={now}
+        isAnalyzing={isAnalyzing}
+        onUpdate={onUpdate}
+      />
+      <JobStatus job={job} onRetry={onRetry} />
+
+      <div className={isOutright ? "space-y-1" : "grid grid-cols-2 gap-2"}>
+        {visible.map(outcome => {
+          const value = valued[outcome.key];
+          return (
+            <div
+              key={outcome.key}
+              className={`bg-slate-800/60 rounded border border-slate-700/50 text-xs ${isOutright ? "flex items-center justify-between px-2 py-1" : "p-2 text-center"}`}
+            >
+              <div className={`text-slate-400 truncate ${isOutright ? "flex-1" : "text-[10px]"}`} title={outcome.label}>{outcome.label}</div>
+              <div className={`flex items-baseline gap-2 ${isOutright ? "" : "justify-center"}`}>
+                <PriceTick live={livePrices[outcome.tokenId]} className="font-bold text-indigo-400">
+                  {outcome.price != null ? `${toPercent(outcome.price)}%` : '—'}
+                </PriceTick>
+                {outcome.fairPrice != null && !pricing.partial && (
+                  <span className="text-[10px] text-slate-500">fair {toPercent(outcome.fairPrice)}%</span>
+                )}
+                {value?.aiProbability != null && (
+                  <span className="text-[10px] text-slate-300">AI {value.aiProbability.toFixed(1)}%</span>
+                )}
+                {baseline && (
+                  <span className="text-[10px] text-cyan-400" title="Baseline model (Dixon-Coles)">model {baseline.probabilities[outcome.key].toFixed(1)}%</span>
+                )}
+                {value?.edge != null && (
+                  <span className={`text-[10px] ${EDGE_COLORS[value.status] || 'text-slate-500'}`}>{formatSigned(value.edge)} pts</span>
+                )}
+              </div>
+              {!isOutright && (
+                <Sparkline points={histories[outcome.tokenId]} markerTime={analysis?.metadata?.analyzedAt} className="mt-1" />
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {isOutright && group.outcomes.length > OUTRIGHT_PREVIEW && (
+        <button
+          onClick={() => setExpanded(prev => !prev)}
+          className="w-full flex items-center justify-center gap-1 text-[10px] text-slate-400 hover:text-slate-200 transition-colors"
+        >
+          {expanded ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+          {expanded ? "Show favourites" : `Show all ${group.outcomes.length}`}
+        </button>
+      )}
+
+      {analysis && (
+        <div className="space-y-2">
+          <ValueIndicator best={analysis.valuation?.best} />
+          <EnsembleSpread analysis={analysis} />
+          {analysis.prediction?.outcome && (
+            <div className="text-[10px] text-slate-400">
+              Prediction: <span className="text-slate-200">{analysis.prediction.outcome}</span>
+            </div>
+          )}
+          {analysis.key_insights?.length > 0 && (
+            <KeyInsights insights={analysis.key_insights} grounding={analysis.metadata?.grounding} limit={3} compact />
+          )}
+          <ResearchSources grounding={analysis.metadata?.grounding} researchText={researchText} />
+          <PaperTradeForm
+            outcomes={repriceOutcomes(group.outcomes, analysis, valueSettings)}
+            defaultOutcomeKey={analysis.valuation?.best?.key}
+            equity={equity}
+            cash={cash}
+            kellyFraction={valueSettings.kellyFraction}
+            onPlace={onPlace}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarketGroupPanel;
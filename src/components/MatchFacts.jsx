@@ -0,0 +1,75 @@
+import React from 'react';
+import { ShieldCheck } from 'lucide-react';
+import useMatchData from '../hooks/useMatchData';
+
+const RESULT_COLORS = { W: "text-emerald-400", L: "text-rose-400", D: "text-slate-400" };
+
+const TeamFacts = ({ team }) => (
+  <div className="space-y-1">
+    <div className="text-xs font-semibold text-slate-200">
+      {team.name}
+      {team.competition && <span className="font-normal text-slate-500"> · {team.competition}</span>}
+    </div>
+    {team.standing && (
+      <div className="text-[10px] text-slate-400">
+        {team.standing.position}. place, {team.standing.points} pts from {team.standing.played}
+        {" "}(W{team.standing.won} D{team.standing.drawn} L{team.standing.lost}, GD {team.standing.goalDifference})
+      </div>
+    )}
+    {team.form.map((f, i) => (
+      <div key={i} className="flex items-center gap-2 text-[10px] bg-slate-800/30 px-1.5 py-1 rounded">
+        <span className={`font-bold w-3 ${RESULT_COLORS[f.result] || "text-slate-400"}`}>{f.result}</span>
+        <span className="text-slate-500 font-mono">{f.date.slice(0, 10)}</span>
+        <span className="text-slate-300 truncate flex-1">{f.venue === "H" ? "vs" : "at"} {f.opponent}</span>
+        <span className="text-slate-400 font-mono">{f.score}</span>
+      </div>
+    ))}
+    {team.injuries && (
+      <div className="text-[10px] text-slate-400">
+        Unavailable: {team.injuries.length
+          ? team.injuries.map(i => `${i.player}${i.reason ? ` (${i.reason})` : ""}`).join(", ")
+          : "none reported"}
+      </div>
+    )}
+  </div>
+);
+
+// Verified form, table, injuries and head-to-head from the sports-data source, for the event
+// page. Says so when no source is configured or it does not cover the match.
+const MatchFacts = ({ match }) => {
+  const { data, loading } = useMatchData(match);
+  if (loading) return <p className="text-xs text-slate-500">Loading match data...</p>;
+  if (!data) {
+    return <p className="text-xs text-slate-500">No sports-data source covers this match; form and head-to-head are only in the AI analysis.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-1 text-[10px] text-emerald-400">
+        <ShieldCheck className="w-3 h-3" /> From {data.source}
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-1 gap-3">
+        <TeamFacts team={data.home} />
+        <TeamFacts team={data.away} />
+      </div>
+      <div>
+        <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold mb-1">Head-to-Head</div>
+        {data.h2h.length === 0 ? (
+          <p className="text-[10px] text-slate-500">No meetings in the data.</p>
+        ) : (
+          <div className="space-y-1">
+            {data.h2h.map((m, i) => (
+              <div key={i} className="flex items-center gap-2 text-[10px] bg-slate-800/30 px-1.5 py-1 rounded">
+                <span className="text-slate-500 font-mono">{m.date.slice(0, 10)}</span>
+                <span className="text-slate-300 truncate flex-1">{m.home} – {m.away}</span>
+                <span className="text-slate-400 font-mono">{m.score}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MatchFacts;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { RefreshCw, AlertTriangle } from 'lucide-react';
+import { formatMoney, formatSigned } from '../lib/format';
+
+const cents = (price) => (price == null ? "-" : `${(price * 100).toFixed(1)}¢`);
+
+const Cell = ({ label, value, className = "text-slate-200" }) => (
+  <div>
+    <div className="text-slate-500">{label}</div>
+    <div className={`font-medium ${className}`}>{value}</div>
+  </div>
+);
+
+// Top of book and depth for the selected outcome token, plus what the current stake would
+// fill at. `fill` and `edgeAtFill` / `kellyAtFill` come from portfolio.sizeStakeAtFill.
+const OrderBookDepth = ({ book, loading, error, onRefresh, fill, edgeAtFill, kellyAtFill }) => {
+  if (loading) return <p className="text-[10px] text-slate-500">Loading order book...</p>;
+  if (error) return <p className="text-[10px] text-rose-400">Order book unavailable: {error}</p>;
+  if (!book) return <p className="text-[10px] text-slate-500">No order book for this outcome.</p>;
+
+  return (
+    <div className="bg-slate-900/60 rounded border border-slate-700/50 p-2 space-y-2 text-[10px]">
+      <div className="grid grid-cols-4 gap-2">
+        <Cell label="Bid" value={cents(book.bestBid)} className="text-emerald-400" />
+        <Cell label="Ask" value={cents(book.bestAsk)} className="text-rose-400" />
+        <Cell label="Spread" value={cents(book.spread)} />
+        <div className="flex justify-end">
+          <button onClick={onRefresh} className="p-1 text-slate-400 hover:text-slate-200 transition-colors" title="Refresh order book">
+            <RefreshCw className="w-3 h-3" />
+          </button>
+        </div>
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        <Cell label="Bid depth ±5¢" value={`${formatMoney(book.nearBidDepth)} of ${formatMoney(book.bidDepth)}`} />
+        <Cell label="Ask depth ±5¢" value={`${formatMoney(book.nearAskDepth)} of ${formatMoney(book.askDepth)}`} />
+      </div>
+      {fill && (
+        <div className="grid grid-cols-4 gap-2 border-t border-slate-700/50 pt-2">
+          <Cell label="Avg fill" value={cents(fill.avgPrice)} />
+          <Cell label="Slippage" value={fill.slippage != null ? `${(fill.slippage * 100).toFixed(1)}¢` : "-"} />
+          <Cell
+            label="Edge @ fill"
+            value={edgeAtFill != null ? `${formatSigned(edgeAtFill)} pts` : "-"}
+            className={edgeAtFill > 0 ? "text-emerald-400" : "text-rose-400"}
+          />
+          <Cell label="Kelly @ fill" value={kellyAtFill != null ? `${(kellyAtFill * 100).toFixed(1)}%` : "-"} />
+        </div>
+      )}
+      {fill && !fill.complete && (
+        <div className="flex items-center gap-1 text-amber-400">
+          <AlertTriangle className="w-3 h-3" /> Book too thin: only ${fill.stake.toFixed(2)} of the stake fills.
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderBookDepth;
@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import useOrderBook from '../hooks/useOrderBook';
+import OrderBookDepth from './OrderBookDepth';
+
+// Price levels shown on each side of the ladder.
+const LADDER_DEPTH = 8;
+
+const selectClass = "w-full bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs focus:outline-none focus:ring-1 focus:ring-indigo-500";
+
+const Ladder = ({ levels, className }) => (
+  <div className="space-y-0.5">
+    {levels.slice(0, LADDER_DEPTH).map((level, i) => (
+      <div key={i} className="flex justify-between font-mono">
+        <span className={className}>{(level.price * 100).toFixed(1)}¢</span>
+        <span className="text-slate-400">{Math.round(level.size).toLocaleString()}</span>
+      </div>
+    ))}
+    {levels.length === 0 && <div className="text-slate-500">Empty</div>}
+  </div>
+);
+
+// The CLOB book of any outcome on the event page: summary (components/OrderBookDepth) plus
+// the top of the bid and ask ladders. `outcomes` are [{ tokenId, label }].
+const OrderBookPanel = ({ outcomes }) => {
+  const [selected, setSelected] = useState(outcomes[0]?.tokenId);
+  const tokenId = outcomes.some(o => o.tokenId === selected) ? selected : outcomes[0]?.tokenId;
+  const { book, loading, error, refresh } = useOrderBook(tokenId);
+
+  if (outcomes.length === 0) return <p className="text-xs text-slate-500">No outcome on this event has a CLOB token.</p>;
+
+  return (
+    <div className="space-y-2">
+      <select value={tokenId} onChange={(e) => setSelected(e.target.value)} className={selectClass}>
+        {outcomes.map(o => <option key={o.tokenId} value={o.tokenId}>{o.label}</option>)}
+      </select>
+      <OrderBookDepth book={book} loading={loading} error={error} onRefresh={refresh} />
+      {book && (
+        <div className="grid grid-cols-2 gap-3 text-[10px]">
+          <div>
+            <div className="flex justify-between text-slate-500 mb-1"><span>Bid</span><span>Shares</span></div>
+            <Ladder levels={book.bids} className="text-emerald-400" />
+          </div>
+          <div>
+            <div className="flex justify-between text-slate-500 mb-1"><span>Ask</span><span>Shares</span></div>
+            <Ladder levels={book.asks} className="text-rose-400" />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrderBookPanel;
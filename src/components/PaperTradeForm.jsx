@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { Wallet } from 'lucide-react';
+import { SIZING_MODES, sizeStakeAtFill } from '../lib/portfolio';
+import useOrderBook from '../hooks/useOrderBook';
+import OrderBookDepth from './OrderBookDepth';
+
+const selectClass = "bg-slate-900 border border-slate-700 rounded px-2 py-1 text-xs focus:outline-none focus:ring-1 focus:ring-indigo-500";
+
+// Places a simulated position on one outcome of an analyzed card. `outcomes` carry the current
+// price plus the analysis probability and Kelly fraction; when the outcome's CLOB book loads,
+// the stake is sized and filled against it instead of the last price, and a stake the book cannot
+// fill in full is not placed.
+const PaperTradeForm = ({ outcomes, defaultOutcomeKey, equity, cash, kellyFraction, onPlace }) => {
+  const tradable = outcomes.filter(o => o.marketId && o.price > 0 && o.price < 1);
+  const [outcomeKey, setOutcomeKey] = useState(
+    tradable.some(o => o.key === defaultOutcomeKey) ? defaultOutcomeKey : tradable[0]?.key
+  );
+  const [mode, setMode] = useState("fractional");
+  const [fixedStake, setFixedStake] = useState(10);
+
+  const outcome = tradable.find(o => o.key === outcomeKey);
+  const { book, loading, error, refresh } = useOrderBook(outcome?.tokenId);
+  if (!outcome) {
+    return <p className="text-[10px] text-slate-500">No tradable outcome prices on this card.</p>;
+  }
+
+  const { stake, fill, kellyAtFill } = sizeStakeAtFill({
+    asks: book?.asks,
+    probability: outcome.probability,
+    mode,
+    equity,
+    cash,
+    kelly: outcome.kelly || 0,
+    kellyFraction,
+    fixedStake
+  });
+  const tooThin = fill != null && !fill.complete;
+  const fillPrice = fill?.complete ? fill.avgPrice : null;
+  const edgeAtFill = fill?.avgPrice != null && outcome.probability != null ? outcome.probability - fill.avgPrice * 100 : null;
+
+  return (
+    <div className="bg-slate-800/50 p-3 rounded-lg border border-slate-700/30 space-y-2">
+      <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold flex items-center gap-1">
+        <Wallet className="w-3 h-3" /> Paper Trade
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <select value={outcomeKey} onChange={(e) => setOutcomeKey(e.target.value)} className={selectClass}>
+          {tradable.map(o => (
+            <option key={o.key} value={o.key}>{o.label} @ {(o.price * 100).toFixed(1)}¢</option>
+          ))}
+        </select>
+        <select value={mode} onChange={(e) => setMode(e.target.value)} className={selectClass}>
+          {Object.entries(SIZING_MODES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        {mode === "fixed" && (
+          <input
+            type="number"
+            min={0}
+            value={fixedStake}
+            onChange={(e) => setFixedStake(parseFloat(e.target.value) || 0)}
+            className={`${selectClass} w-20`}
+          />
+        )}
+      </div>
+      {outcome.tokenId && (
+        <OrderBookDepth
+          book={book}
+          loading={loading}
+          error={error}
+          onRefresh={refresh}
+          fill={fill}
+          edgeAtFill={edgeAtFill}
+          kellyAtFill={kellyAtFill}
+        />
+      )}
+      <button
+        onClick={() => onPlace({ outcome, stake, sizing: mode, price: fillPrice })}
+        disabled={stake <= 0 || tooThin}
+        className="w-full py-1.5 rounded-lg text-xs font-semibold bg-emerald-700 hover:bg-emerald-600 disabled:bg-slate-800 disabled:text-slate-500 disabled:cursor-not-allowed text-white transition-colors"
+      >
+        {tooThin
+          ? "Book too thin for this stake"
+          : stake > 0
+          ? `Buy ${outcome.label} for $${stake.toFixed(2)}${fillPrice != null ? ` @ ${(fillPrice * 100).toFixed(1)}¢` : ""}`
+          : "No stake at this size"}
+      </button>
+    </div>
+  );
+};
+
+export default PaperTradeForm;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { positionPnl } from '../lib/portfolio';
+
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+const pnlColor = (value) => (value > 0 ? "text-emerald-400" : value < 0 ? "text-rose-400" : "text-slate-300");
+
+const Stat = ({ label, value, className = "text-slate-200" }) => (
+  <div className="bg-slate-900/50 p-3 rounded-lg border border-slate-700/50">
+    <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">{label}</div>
+    <div className={`text-lg font-bold ${className}`}>{value}</div>
+  </div>
+);
+
+const ExposureList = ({ title, groups }) => (
+  <div>
+    <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold mb-1">{title}</div>
+    {groups.length === 0 ? (
+      <p className="text-xs text-slate-500">No open exposure.</p>
+    ) : (
+      <div className="space-y-1">
+        {groups.map(group => (
+          <div key={group.key} className="flex justify-between text-xs bg-slate-900/50 px-2 py-1 rounded">
+            <span className="truncate text-slate-300" title={group.label}>{group.label}</span>
+            <span className="ml-2 shrink-0 text-slate-400">
+              {money(group.stake)} <span className={pnlColor(group.value - group.stake)}>({money(group.value - group.stake)})</span>
+            </span>
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+const PortfolioPanel = ({ bankroll, onBankrollChange, positions, summary, onClosePosition, onClose }) => {
+  const open = positions.filter(p => p.status === "open");
+
+  return (
+    <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 mb-8 text-left space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-bold text-slate-200 uppercase tracking-wider">Paper Portfolio</h2>
+        <button onClick={onClose} className="p-1 hover:bg-slate-700 rounded-full transition-colors" title="Close">
+          <X className="w-4 h-4 text-slate-400" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        <label className="bg-slate-900/50 p-3 rounded-lg border border-slate-700/50 block">
+          <span className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">Bankroll</span>
+          <input
+            type="number"
+            min={0}
+            value={bankroll}
+            onChange={(e) => onBankrollChange(parseFloat(e.target.value) || 0)}
+            className="w-full bg-transparent text-lg font-bold text-white focus:outline-none"
+          />
+        </label>
+        <Stat label="Equity" value={money(summary.equity)} />
+        <Stat label="Cash" value={money(summary.cash)} />
+        <Stat label="Unrealized P&L" value={money(summary.unrealizedPnl)} className={pnlColor(summary.unrealizedPnl)} />
+        <Stat label="Realized P&L" value={money(summary.realizedPnl)} className={pnlColor(summary.realizedPnl)} />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <ExposureList title="Exposure by Event" groups={summary.byEvent} />
+        <ExposureList title="Exposure by League" groups={summary.byLeague} />
+      </div>
+
+      <div>
+        <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold mb-1">Open Positions</div>
+        {open.length === 0 ? (
+          <p className="text-xs text-slate-500">No open positions. Place one from an analyzed card.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead className="text-slate-500">
+                <tr>
+                  <th className="text-left font-medium py-1">Event</th>
+                  <th className="text-left font-medium">Outcome</th>
+                  <th className="text-right font-medium">Stake</th>
+                  <th className="text-right font-medium">Entry</th>
+                  <th className="text-right font-medium">Mark</th>
+                  <th className="text-right font-medium">P&L</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody className="text-slate-300">
+                {open.map(p => (
+                  <tr key={p.id} className="border-t border-slate-700/50">
+                    <td className="py-1 pr-2 truncate max-w-[200px]" title={p.eventTitle}>{p.eventTitle}</td>
+                    <td className="pr-2">{p.outcomeLabel}</td>
+                    <td className="text-right">{money(p.stake)}</td>
+                    <td className="text-right">{(p.entryPrice * 100).toFixed(1)}¢</td>
+                    <td className="text-right">{(p.markPrice * 100).toFixed(1)}¢</td>
+                    <td className={`text-right ${pnlColor(positionPnl(p))}`}>{money(positionPnl(p))}</td>
+                    <td className="text-right pl-2">
+                      <button
+                        onClick={() => onClosePosition(p, p.markPrice)}
+                        className="text-[10px] px-2 py-0.5 rounded bg-slate-700 hover:bg-slate-600 transition-colors"
+                      >
+                        Close
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PortfolioPanel;
@@ -0,0 +1,16 @@
+import React from 'react';
+
+// Wraps a price so it flashes green or red when a streamed update moves it. Re-keying on
+// `changedAt` restarts the animation for every move.
+const PriceTick = ({ live, className = "", children }) => {
+  const direction = live?.changedAt && live.previous != null && live.price !== live.previous
+    ? (live.price > live.previous ? "animate-tick-up" : "animate-tick-down")
+    : "";
+  return (
+    <span key={live?.changedAt || "static"} className={`rounded px-1 ${direction} ${className}`}>
+      {children}
+    </span>
+  );
+};
+
+export default PriceTick;
@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, ExternalLink, FileText } from 'lucide-react';
+
+// What the research phase relied on: the searches it ran, the pages it cited, and the raw
+// research summary the analysis was given (from the stored history record, when there is one).
+// `expanded` opens both and lets the summary run to full length, for the event page.
+const ResearchSources = ({ grounding, researchText, expanded = false }) => {
+  const [showSources, setShowSources] = useState(expanded);
+  const [showResearch, setShowResearch] = useState(expanded);
+  const sources = grounding?.sources || [];
+  const queries = grounding?.queries || [];
+  if (sources.length === 0 && !researchText) return null;
+
+  return (
+    <div className="space-y-2 text-[10px]">
+      <div className="flex items-center gap-3">
+        {sources.length > 0 && (
+          <button
+            onClick={() => setShowSources(prev => !prev)}
+            className="flex items-center gap-1 text-slate-400 hover:text-slate-200 transition-colors"
+          >
+            {showSources ? <ChevronUp className="w-3 h-3" /> : <ChevronDown className="w-3 h-3" />}
+            Sources ({sources.length})
+          </button>
+        )}
+        {researchText && (
+          <button
+            onClick={() => setShowResearch(prev => !prev)}
+            className="flex items-center gap-1 text-slate-400 hover:text-slate-200 transition-colors"
+          >
+            <FileText className="w-3 h-3" />
+            {showResearch ? "Hide research summary" : "Research summary"}
+          </button>
+        )}
+      </div>
+
+      {showSources && (
+        <div className="bg-slate-800/50 p-2 rounded-lg border border-slate-700/30 space-y-2">
+          {queries.length > 0 && (
+            <div className="text-slate-500">
+              Searched: {queries.map(query => `"${query}"`).join(", ")}
+            </div>
+          )}
+          <ol className="space-y-1">
+            {sources.map((source, i) => (
+              <li key={i} className="flex items-start gap-1.5">
+                <span className="text-slate-500 font-mono shrink-0">[{i + 1}]</span>
+                <a
+                  href={source.uri}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-indigo-300 hover:text-indigo-200 truncate flex items-center gap-1"
+                  title={source.uri}
+                >
+                  <span className="truncate">{source.title || source.uri}</span>
+                  <ExternalLink className="w-2.5 h-2.5 shrink-0" />
+                </a>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {showResearch && (
+        <pre className={`bg-slate-800/50 p-2 rounded-lg border border-slate-700/30 text-slate-300 whitespace-pre-wrap font-sans leading-relaxed ${expanded ? "text-xs" : "max-h-64 overflow-y-auto"}`}>
+          {researchText}
+        </pre>
+      )}
+    </div>
+  );
+};
+
+export default ResearchSources;
@@ -0,0 +1,33 @@
+import React from 'react';
+
+// The y-axis spans at least this much, so a flat market does not look volatile.
+const MIN_RANGE = 0.02;
+
+// Price series as an SVG line. `markerTime` (epoch seconds), e.g. when the analysis ran,
+// is drawn as a dashed vertical line.
+const Sparkline = ({ points, markerTime, width = 80, height = 18, className = "" }) => {
+  if (!points || points.length < 2) return <div style={{ height }} className={className} />;
+
+  const first = points[0].t;
+  const last = points.at(-1).t;
+  const prices = points.map(point => point.p);
+  const mid = (Math.max(...prices) + Math.min(...prices)) / 2;
+  const range = Math.max(MIN_RANGE, Math.max(...prices) - Math.min(...prices));
+  const low = mid - range / 2;
+
+  const x = (t) => ((t - first) / Math.max(1, last - first)) * width;
+  const y = (p) => height - ((p - low) / range) * height;
+  const path = points.map(point => `${x(point.t).toFixed(1)},${y(point.p).toFixed(1)}`).join(" ");
+  const rising = points.at(-1).p >= points[0].p;
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className={`w-full ${className}`} style={{ height }}>
+      {markerTime >= first && markerTime <= last && (
+        <line x1={x(markerTime)} x2={x(markerTime)} y1={0} y2={height} stroke="#818cf8" strokeDasharray="2 2" strokeWidth="1" />
+      )}
+      <polyline points={path} fill="none" stroke={rising ? "#34d399" : "#fb7185"} strokeWidth="1.25" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+};
+
+export default Sparkline;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { ShieldCheck, Sparkles } from 'lucide-react';
+
+// One team's last matches. `source` names the sports-data source the results came from
+// (lib/sportsData); without one they are what the model found, and are labelled as such.
+const TeamForm = ({ label, matches, source }) => (
+  <div>
+    <div className="flex items-center justify-between gap-1 mb-1">
+      <span className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">{label}</span>
+      {source ? (
+        <span className="flex items-center gap-0.5 text-[9px] text-emerald-400" title={`Results from ${source}`}>
+          <ShieldCheck className="w-3 h-3" /> Verified
+        </span>
+      ) : matches?.length > 0 && (
+        <span className="flex items-center gap-0.5 text-[9px] text-slate-500" title="Results found by the model, not checked against a data source">
+          <Sparkles className="w-3 h-3" /> AI-sourced
+        </span>
+      )}
+    </div>
+    <div className="space-y-1">
+      {(matches || []).map((match, i) => (
+        <div key={i} className="flex justify-between items-center text-xs bg-slate-800/30 p-1.5 rounded border border-slate-700/30">
+          <span className={`font-bold w-4 ${match.result === 'W' ? 'text-emerald-400' : match.result === 'L' ? 'text-rose-400' : 'text-slate-400'}`}>{match.result}</span>
+          <span className="text-slate-300 truncate flex-1 mx-2 text-[10px]">{match.opponent}</span>
+          <span className="text-slate-400 font-mono text-[10px]">{match.score}</span>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default TeamForm;
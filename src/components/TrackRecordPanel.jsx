@@ -0,0 +1,123 @@
+import React from 'react';
+import { RefreshCw, X } from 'lucide-react';
+
+const pct = (value, digits = 1) => (value == null ? "-" : `${(value * 100).toFixed(digits)}%`);
+const num = (value, digits = 3) => (value == null ? "-" : value.toFixed(digits));
+const roiColor = (value) => (value == null ? "text-slate-400" : value > 0 ? "text-emerald-400" : value < 0 ? "text-rose-400" : "text-slate-300");
+
+const Stat = ({ label, value, hint, className = "text-slate-200" }) => (
+  <div className="bg-slate-900/50 p-3 rounded-lg border border-slate-700/50" title={hint}>
+    <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold">{label}</div>
+    <div className={`text-lg font-bold ${className}`}>{value}</div>
+  </div>
+);
+
+// Predicted (x) vs observed (y) frequency per bin; the diagonal is perfect calibration.
+const CalibrationChart = ({ bins }) => {
+  const size = 160;
+  const points = bins.filter(b => b.count > 0);
+  return (
+    <svg viewBox={`0 0 ${size} ${size}`} className="w-40 h-40 bg-slate-900/50 rounded border border-slate-700/50">
+      <line x1={0} y1={size} x2={size} y2={0} stroke="#475569" strokeDasharray="4 4" />
+      <polyline
+        fill="none"
+        stroke="#818cf8"
+        strokeWidth={2}
+        points={points.map(b => `${b.predicted * size},${size - b.observed * size}`).join(" ")}
+      />
+      {points.map(b => (
+        <circle key={b.from} cx={b.predicted * size} cy={size - b.observed * size} r={2 + Math.min(4, Math.sqrt(b.count))} fill="#818cf8">
+          <title>{`${b.from}-${b.to}%: predicted ${pct(b.predicted)}, observed ${pct(b.observed)} (n=${b.count})`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const BreakdownTable = ({ title, rows }) => (
+  <div>
+    <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold mb-1">{title}</div>
+    {rows.length === 0 ? (
+      <p className="text-xs text-slate-500">Nothing settled yet.</p>
+    ) : (
+      <table className="w-full text-xs">
+        <thead className="text-slate-500">
+          <tr>
+            <th className="text-left font-medium py-1" />
+            <th className="text-right font-medium">n</th>
+            <th className="text-right font-medium">Brier</th>
+            <th className="text-right font-medium">Hit</th>
+            <th className="text-right font-medium">Flat ROI</th>
+            <th className="text-right font-medium">Kelly ROI</th>
+          </tr>
+        </thead>
+        <tbody className="text-slate-300">
+          {rows.map(row => (
+            <tr key={row.key} className="border-t border-slate-700/50">
+              <td className="py-1 pr-2 truncate max-w-[160px]" title={row.key}>{row.key}</td>
+              <td className="text-right">{row.count}</td>
+              <td className="text-right">{num(row.brier)}</td>
+              <td className="text-right">{pct(row.hitRate, 0)}</td>
+              <td className={`text-right ${roiColor(row.flatRoi)}`}>{pct(row.flatRoi)}</td>
+              <td className={`text-right ${roiColor(row.kellyRoi)}`}>{pct(row.kellyRoi)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+const TrackRecordPanel = ({ report, settling, onSettle, onClose }) => {
+  const { overall } = report;
+
+  return (
+    <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 mb-8 text-left space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-bold text-slate-200 uppercase tracking-wider">AI Track Record</h2>
+        <div className="flex items-center gap-2">
+          <span className="text-xs text-slate-500">{overall.count} settled · {report.pending} pending</span>
+          <button
+            onClick={onSettle}
+            disabled={settling}
+            className="text-xs flex items-center gap-1 px-2 py-1 rounded bg-slate-700 hover:bg-slate-600 disabled:opacity-50 transition-colors"
+          >
+            <RefreshCw className={`w-3 h-3 ${settling ? 'animate-spin' : ''}`} /> Settle now
+          </button>
+          <button onClick={onClose} className="p-1 hover:bg-slate-700 rounded-full transition-colors" title="Close">
+            <X className="w-4 h-4 text-slate-400" />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+        <Stat label="Brier Score" value={num(overall.brier)} hint="Multi-class Brier score over Home/Draw/Away; lower is better (0 = perfect)." />
+        <Stat label="Log Loss" value={num(overall.logLoss)} hint="Mean negative log probability given to the actual result; lower is better." />
+        <Stat label="Undervalued Hit Rate" value={`${pct(overall.hitRate, 0)} (${overall.hits}/${overall.undervaluedCalls})`} />
+        <Stat label="Flat ROI" value={pct(overall.flatRoi)} className={roiColor(overall.flatRoi)} hint="1 unit on every UNDERVALUED outcome at the analysis-time price." />
+        <Stat label="Kelly ROI" value={pct(overall.kellyRoi)} className={roiColor(overall.kellyRoi)} hint="Fractional Kelly stake on every UNDERVALUED outcome." />
+      </div>
+
+      {overall.baseline.count > 0 && (
+        <p className="text-xs text-slate-400" title="The statistical baseline model scored on the settled analyses that carried one.">
+          Baseline model on {overall.baseline.count} of these: Brier {num(overall.baseline.brier)} · Log Loss {num(overall.baseline.logLoss)}
+        </p>
+      )}
+
+      <div className="flex flex-col md:flex-row gap-4">
+        <div>
+          <div className="text-[10px] text-slate-400 uppercase tracking-wider font-semibold mb-1">Calibration</div>
+          <CalibrationChart bins={report.calibration} />
+        </div>
+        <div className="flex-1 grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <BreakdownTable title="By League" rows={report.byLeague} />
+          <BreakdownTable title="By Market" rows={report.byMarketType} />
+          <BreakdownTable title="By Confidence" rows={report.byConfidence} />
+          <BreakdownTable title="By Model" rows={report.byModel} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrackRecordPanel;
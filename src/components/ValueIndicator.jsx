@@ -0,0 +1,40 @@
+import React from 'react';
+import { CheckCircle2, XCircle, AlertCircle } from 'lucide-react';
+import { formatSigned } from '../lib/format';
+
+// Shows the verdict for the best-value outcome (highest expected value) of an analysis.
+const ValueIndicator = ({ best }) => {
+  if (!best?.status) return null;
+
+  const config = {
+    OVERVALUED: { color: "text-rose-400", bg: "bg-rose-950", icon: XCircle, text: "Overvalued" },
+    UNDERVALUED: { color: "text-emerald-400", bg: "bg-emerald-950", icon: CheckCircle2, text: "Undervalued" },
+    FAIR: { color: "text-amber-400", bg: "bg-amber-950", icon: AlertCircle, text: "Fair Value" }
+  };
+
+  const { color, bg, icon: Icon, text } = config[best.status] || config.FAIR;
+
+  return (
+    <div className={`px-3 py-2 rounded-lg border border-opacity-20 ${bg} border-${color.split('-')[1]}-500`}>
+      <div className="flex items-center gap-2">
+        <Icon className={`w-4 h-4 ${color}`} />
+        <span className={`font-bold ${color}`}>{text}</span>
+        <span className="text-xs text-slate-300 truncate" title={best.label}>{best.label}</span>
+        <span className={`text-xs ml-auto ${color}`}>Edge: {formatSigned(best.edge)}%</span>
+      </div>
+      <div className={`flex gap-3 text-[10px] mt-1 ${color} opacity-80`}>
+        <span>Mkt {best.marketProbability.toFixed(1)}%</span>
+        <span>AI {best.probability.toFixed(1)}%</span>
+        <span>EV {formatSigned(best.expectedValue)}%</span>
+        <span>Kelly {(best.kelly * 100).toFixed(1)}%</span>
+      </div>
+      {best.contested && (
+        <div className="text-[10px] mt-1 text-amber-300">
+          Ensemble split: only {best.agreement.toFixed(0)}% of members see this edge
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValueIndicator;
@@ -0,0 +1,85 @@
+import React from 'react';
+import { DEVIG_METHODS } from '../lib/pricing';
+import { PROBABILITY_SOURCES } from '../lib/valuation';
+
+const FIELDS = [
+  { key: "edgeThreshold", label: "Edge threshold (pts)", step: 0.5, min: 0, hint: "Model minus market before an outcome is Undervalued / Overvalued." },
+  { key: "minExpectedValue", label: "Minimum EV (%)", step: 0.5, min: -100, hint: "Undervalued outcomes must also clear this expected value." },
+  { key: "kellyFraction", label: "Kelly fraction", step: 0.05, min: 0, max: 1, hint: "Share of full Kelly used for the suggested stake." },
+  { key: "bookGapThreshold", label: "Soft-line gap (pts)", step: 0.5, min: 0, hint: "Polymarket vs sportsbook consensus before a line is flagged." },
+  { key: "ensembleAgreement", label: "Ensemble agreement (%)", step: 5, min: 0, max: 100, hint: "Share of ensemble members that must see the edge before an outcome is Undervalued." }
+];
+
+const inputClass = "w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+const ValueSettingsPanel = ({ settings, onChange }) => (
+  <div className="bg-slate-800 rounded-xl border border-slate-700 p-5 mb-8 text-left">
+    <h2 className="text-sm font-bold text-slate-200 uppercase tracking-wider mb-4">Value Thresholds</h2>
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+      {FIELDS.map(({ key, label, step, min, max, hint }) => (
+        <label key={key} className="block space-y-1">
+          <span className="text-xs font-semibold text-slate-300">{label}</span>
+          <input
+            type="number"
+            step={step}
+            min={min}
+            max={max}
+            value={settings[key]}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (!isNaN(value)) onChange({ ...settings, [key]: value });
+            }}
+            className={inputClass}
+          />
+          <span className="block text-[11px] text-slate-500">{hint}</span>
+        </label>
+      ))}
+      <label className="block space-y-1">
+        <span className="text-xs font-semibold text-slate-300">Vig removal</span>
+        <select
+          value={settings.devigMethod}
+          onChange={(e) => onChange({ ...settings, devigMethod: e.target.value })}
+          className={inputClass}
+        >
+          {Object.entries(DEVIG_METHODS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <span className="block text-[11px] text-slate-500">How the overround is stripped from prices before edge is measured.</span>
+      </label>
+      <label className="block space-y-1">
+        <span className="text-xs font-semibold text-slate-300">Edge measured with</span>
+        <select
+          value={settings.probabilitySource}
+          onChange={(e) => onChange({ ...settings, probabilitySource: e.target.value })}
+          className={inputClass}
+        >
+          {Object.entries(PROBABILITY_SOURCES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <span className="block text-[11px] text-slate-500">The baseline is a Dixon-Coles model fitted on historical results; analyses without it use the AI estimate.</span>
+      </label>
+      {settings.probabilitySource === "blend" && (
+        <label className="block space-y-1">
+          <span className="text-xs font-semibold text-slate-300">Model weight</span>
+          <input
+            type="number"
+            step={0.1}
+            min={0}
+            max={1}
+            value={settings.modelWeight}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (!isNaN(value)) onChange({ ...settings, modelWeight: Math.min(1, Math.max(0, value)) });
+            }}
+            className={inputClass}
+          />
+          <span className="block text-[11px] text-slate-500">Share of the baseline model in the blend; the rest is the AI estimate.</span>
+        </label>
+      )}
+    </div>
+  </div>
+);
+
+export default ValueSettingsPanel;
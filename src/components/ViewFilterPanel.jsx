@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, Link2, Check, RotateCcw } from 'lucide-react';
+import { SORTS, STATUS_FILTERS, KICKOFF_WINDOWS, DEFAULT_VIEW } from '../lib/viewFilters';
+
+const inputClass = "w-full bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500";
+
+// Number inputs where an empty box means "no limit".
+const RANGE_FIELDS = [
+  { key: "liquidityMin", label: "Liquidity from ($)", step: 1000, min: 0 },
+  { key: "liquidityMax", label: "Liquidity up to ($)", step: 1000, min: 0 },
+  { key: "minEdge", label: "Minimum edge (pts)", step: 0.5 },
+  { key: "minConfidence", label: "Minimum confidence (1-10)", step: 1, min: 1, max: 10 }
+];
+
+const FILTER_FIELDS = ["league", "withinHours", "status", ...RANGE_FIELDS.map(f => f.key)];
+
+// Filters and sort order over the loaded markets (lib/viewFilters). Everything here is
+// mirrored into the URL, so "Copy link" shares exactly this view.
+const ViewFilterPanel = ({ view, leagues, shownCount, totalCount, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const activeCount = FILTER_FIELDS.filter(key => view[key] !== DEFAULT_VIEW[key]).length;
+  const update = (patch) => onChange({ ...view, ...patch });
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(window.location.href)
+      .then(() => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 1500);
+      })
+      .catch(err => console.warn("Could not copy link:", err));
+  };
+
+  return (
+    <div className="mb-6 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => setOpen(prev => !prev)}
+          className={`flex items-center gap-2 px-3 py-2 rounded-lg border text-sm transition-colors
+            ${open || activeCount > 0 ? "bg-indigo-900/40 border-indigo-700 text-indigo-200" : "bg-slate-800 border-slate-700 text-slate-300 hover:bg-slate-700"}`}
+        >
+          <SlidersHorizontal className="w-4 h-4" />
+          Filters{activeCount > 0 ? ` (${activeCount})` : ""}
+        </button>
+        <select
+          value={view.sort}
+          onChange={(e) => update({ sort: e.target.value })}
+          className="bg-slate-800 border border-slate-700 rounded-lg px-3 py-2 text-sm text-slate-200 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          title="Sort by"
+        >
+          {Object.entries(SORTS).map(([key, label]) => (
+            <option key={key} value={key}>Sort: {label}</option>
+          ))}
+        </select>
+        {activeCount > 0 && (
+          <button
+            onClick={() => onChange({ ...DEFAULT_VIEW, search: view.search, sort: view.sort })}
+            className="flex items-center gap-1 px-3 py-2 rounded-lg text-sm text-slate-400 hover:text-slate-200 transition-colors"
+          >
+            <RotateCcw className="w-4 h-4" /> Reset
+          </button>
+        )}
+        <span className="text-xs text-slate-500">Showing {shownCount} of {totalCount}</span>
+        <button
+          onClick={copyLink}
+          className="ml-auto flex items-center gap-1 px-3 py-2 rounded-lg text-sm text-slate-400 hover:text-slate-200 transition-colors"
+          title="Copy a link to this view"
+        >
+          {copied ? <Check className="w-4 h-4 text-emerald-400" /> : <Link2 className="w-4 h-4" />}
+          {copied ? "Copied" : "Copy link"}
+        </button>
+      </div>
+
+      {open && (
+        <div className="bg-slate-800 rounded-xl border border-slate-700 p-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+          <label className="block space-y-1">
+            <span className="text-xs font-semibold text-slate-300">League</span>
+            <select value={view.league} onChange={(e) => update({ league: e.target.value })} className={inputClass}>
+              <option value="">All leagues</option>
+              {leagues.map(league => (
+                <option key={league} value={league}>{league}</option>
+              ))}
+              {view.league && !leagues.includes(view.league) && <option value={view.league}>{view.league}</option>}
+            </select>
+          </label>
+          <label className="block space-y-1">
+            <span className="text-xs font-semibold text-slate-300">Kick-off</span>
+            <select value={view.withinHours} onChange={(e) => update({ withinHours: Number(e.target.value) })} className={inputClass}>
+              {Object.entries(KICKOFF_WINDOWS).map(([hours, label]) => (
+                <option key={hours} value={hours}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block space-y-1">
+            <span className="text-xs font-semibold text-slate-300">Analysis</span>
+            <select value={view.status} onChange={(e) => update({ status: e.target.value })} className={inputClass}>
+              {Object.entries(STATUS_FILTERS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </label>
+          {RANGE_FIELDS.map(({ key, label, step, min, max }) => (
+            <label key={key} className="block space-y-1">
+              <span className="text-xs font-semibold text-slate-300">{label}</span>
+              <input
+                type="number"
+                step={step}
+                min={min}
+                max={max}
+                value={view[key] ?? ""}
+                placeholder="Any"
+                onChange={(e) => {
+                  const value = e.target.value === "" ? null : parseFloat(e.target.value);
+                  if (value === null || !isNaN(value)) update({ [key]: value });
+                }}
+                className={inputClass}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ViewFilterPanel;
@@ -0,0 +1,126 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { postApiJson } from '../lib/api';
+import {
+  loadAlertSettings,
+  saveAlertSettings,
+  loadAlertState,
+  saveAlertState,
+  loadAlertLog,
+  saveAlertLog,
+  evaluateAlertRules,
+  nextAlerts,
+  webhookPayload,
+  MAX_LOG
+} from '../lib/alerts';
+
+const notificationPermission = () => (typeof Notification === "undefined" ? "unsupported" : Notification.permission);
+
+// Chrome on Android (and anywhere else only service workers may notify) throws on
+// `new Notification`; those go through a registered service worker when the page has one, and
+// are otherwise dropped so the rest of the alert still goes out.
+const showNotification = (alert) => {
+  const options = { body: alert.message, tag: alert.key };
+  try {
+    const notification = new Notification(alert.title, options);
+    notification.onclick = () => window.focus();
+  } catch {
+    navigator.serviceWorker?.getRegistration()
+      .then(registration => registration?.showNotification(alert.title, options))
+      .catch(err => console.warn("Alert notification failed:", err.message));
+  }
+};
+
+const sendWebhook = (webhook, alert) => postApiJson("/api/alerts/webhook", {
+  url: webhook.url,
+  payload: webhookPayload(webhook.format, alert)
+});
+
+// Alert rules (lib/alerts), evaluated whenever the live markets, analyses, positions or the
+// clock change. New alerts go to a browser notification and every enabled webhook, and into a
+// log kept in localStorage together with the fired keys, so a reload does not repeat them.
+export default function useAlerts({ events, analyses, positions, valueSettings, now }) {
+  const [settings, setSettings] = useState(loadAlertSettings);
+  const [log, setLog] = useState(loadAlertLog);
+  const [unread, setUnread] = useState(0);
+  const [permission, setPermission] = useState(notificationPermission);
+  const [initialState] = useState(loadAlertState);
+  const stateRef = useRef(initialState);
+
+  const updateLog = useCallback((update) => {
+    setLog(prev => {
+      const next = update(prev).slice(0, MAX_LOG);
+      saveAlertLog(next);
+      return next;
+    });
+  }, []);
+
+  // Webhook failures are written onto the log entry instead of retried.
+  const deliver = useCallback((alerts, current) => {
+    alerts.forEach(alert => {
+      if (current.notify && notificationPermission() === "granted") showNotification(alert);
+      current.webhooks.filter(w => w.enabled && w.url).forEach(webhook => {
+        sendWebhook(webhook, alert).catch(err => {
+          console.warn("Alert webhook failed:", err.message);
+          updateLog(prev => prev.map(entry => (entry.id === alert.id
+            ? { ...entry, errors: [...(entry.errors || []), `${webhook.url}: ${err.message}`] }
+            : entry)));
+        });
+      });
+    });
+    updateLog(prev => [...[...alerts].reverse(), ...prev]);
+    setUnread(prev => prev + alerts.length);
+  }, [updateLog]);
+
+  useEffect(() => {
+    const firedAt = Date.now();
+    const matches = evaluateAlertRules({ settings, events, analyses, positions, valueSettings, now });
+    const { fire, state } = nextAlerts(matches, stateRef.current, events.map(e => e.id), firedAt);
+    const changed = fire.length > 0 || Object.keys(state).length !== Object.keys(stateRef.current).length;
+    stateRef.current = state;
+    if (changed) saveAlertState(state);
+    if (fire.length > 0) deliver(fire.map(alert => ({ ...alert, id: `${alert.key}@${firedAt}`, firedAt })), settings);
+  }, [settings, events, analyses, positions, valueSettings, now, deliver]);
+
+  const update = useCallback((next) => {
+    setSettings(next);
+    saveAlertSettings(next);
+  }, []);
+
+  const mute = (eventId, title) => {
+    if (settings.muted.some(m => m.eventId === eventId)) return;
+    update({ ...settings, muted: [...settings.muted, { eventId, title }] });
+  };
+
+  const unmute = (eventId) => update({ ...settings, muted: settings.muted.filter(m => m.eventId !== eventId) });
+
+  const requestPermission = () => {
+    if (typeof Notification === "undefined") return;
+    Notification.requestPermission().then(setPermission);
+  };
+
+  // Resolves when the webhook accepted a sample alert; rejects with the reason otherwise.
+  const testWebhook = (webhook) => sendWebhook(webhook, {
+    key: "test",
+    ruleId: "test",
+    eventId: null,
+    eventTitle: null,
+    title: "Test alert",
+    message: "PolySoccer AI can reach this webhook.",
+    url: null,
+    firedAt: Date.now()
+  });
+
+  return {
+    settings,
+    update,
+    log,
+    unread,
+    markRead: () => setUnread(0),
+    clearLog: () => updateLog(() => []),
+    mute,
+    unmute,
+    permission,
+    requestPermission,
+    testWebhook
+  };
+}
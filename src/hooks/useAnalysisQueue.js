@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { createJobQueue, budgetReached } from '../lib/jobQueue';
+import { EMPTY_USAGE, addUsage } from '../lib/usage';
+
+// The analysis queue plus this session's model usage. `run(payload, { signal, onUsage })`
+// analyzes one market group and reports each model call's usage (lib/usage) through `onUsage`,
+// so spend counts even for calls of jobs that fail later. `settings` come from lib/jobQueue.
+export default function useAnalysisQueue(run, settings) {
+  const [jobs, setJobs] = useState([]);
+  const [blocked, setBlocked] = useState(false);
+  const [usage, setUsage] = useState(EMPTY_USAGE);
+  const queueRef = useRef(null);
+  const runRef = useRef(run);
+  const usageRef = useRef(EMPTY_USAGE);
+  const settingsRef = useRef(settings);
+
+  useEffect(() => {
+    runRef.current = run;
+  }, [run]);
+
+  useEffect(() => {
+    settingsRef.current = settings;
+    queueRef.current?.setOptions({ concurrency: settings.concurrency, maxRetries: settings.maxRetries });
+  }, [settings]);
+
+  useEffect(() => {
+    const onUsage = (callUsage) => {
+      usageRef.current = addUsage(usageRef.current, callUsage);
+      setUsage(usageRef.current);
+    };
+    const queue = createJobQueue({
+      run: (payload, { signal }) => runRef.current(payload, { signal, onUsage }),
+      onChange: ({ jobs: next, blocked: isBlocked }) => {
+        setJobs(next);
+        setBlocked(isBlocked);
+      },
+      canStart: () => !budgetReached(usageRef.current, settingsRef.current),
+      concurrency: settingsRef.current.concurrency,
+      maxRetries: settingsRef.current.maxRetries
+    });
+    queueRef.current = queue;
+    return () => queue.close();
+  }, []);
+
+  // The latest job per analysis key, for the cards.
+  const jobsByKey = useMemo(() => Object.fromEntries(jobs.map(job => [job.key, job])), [jobs]);
+
+  const enqueue = useCallback((key, label, payload) => queueRef.current?.add(key, label, payload), []);
+  const cancel = useCallback((id) => queueRef.current?.cancel(id), []);
+  const retry = useCallback((id) => queueRef.current?.retry(id), []);
+  const cancelAll = useCallback(() => queueRef.current?.cancelAll(), []);
+  const clearFinished = useCallback(() => queueRef.current?.clearFinished(), []);
+
+  return { jobs, jobsByKey, blocked, usage, enqueue, cancel, retry, cancelAll, clearFinished };
+}
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+import { fetchBookOdds } from '../lib/bookOdds';
+
+// Sportsbook odds from the server's feed (lib/bookOdds), refreshed every `interval` ms. The
+// server caches the feed for about as long, so this costs no extra quota. Null without a feed.
+export default function useBookOdds(interval = 300000) {
+  const [odds, setOdds] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    const load = () => fetchBookOdds().then(next => {
+      if (active) setOdds(next);
+    });
+    load();
+    const timer = setInterval(load, interval);
+    return () => {
+      active = false;
+      clearInterval(timer);
+    };
+  }, [interval]);
+
+  return odds;
+}
@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+import { fetchGammaJson, GAMMA_EVENTS_PATH } from '../lib/polymarket';
+
+// The event behind a detail page: from the loaded list when it is there, else fetched from
+// gamma by slug (a shared link, or an event outside the current market filters). `ready` is
+// false while the list is still loading, so an event about to arrive is not fetched as well.
+export default function useEventBySlug(slug, events, ready) {
+  const loaded = slug ? events.find(e => e.slug === slug) || null : null;
+  const isLoaded = Boolean(loaded);
+  const [fetched, setFetched] = useState({ slug: null, event: null, error: null });
+
+  useEffect(() => {
+    if (!slug || isLoaded || !ready) return undefined;
+    let cancelled = false;
+    fetchGammaJson(`${GAMMA_EVENTS_PATH}?${new URLSearchParams({ slug })}`)
+      .then(data => {
+        if (!cancelled) setFetched({ slug, event: (Array.isArray(data) && data[0]) || null, error: null });
+      })
+      .catch(err => {
+        if (!cancelled) setFetched({ slug, event: null, error: err.message });
+      });
+    return () => { cancelled = true; };
+  }, [slug, isLoaded, ready]);
+
+  const current = fetched.slug === slug;
+  return {
+    event: loaded || (current ? fetched.event : null),
+    loading: Boolean(slug) && !loaded && !current,
+    error: !loaded && current ? fetched.error : null
+  };
+}
@@ -0,0 +1,46 @@
+import { useState, useEffect, useRef } from 'react';
+import { createMarketStream } from '../lib/marketStream';
+
+// Merges streamed prices, remembering the previous price and when it moved so cards can
+// flash the change. `updatedAt` is when the price last arrived with a new value.
+const mergePrices = (prev, updates) => {
+  const changedAt = Date.now();
+  let next = prev;
+  Object.entries(updates).forEach(([tokenId, price]) => {
+    const current = prev[tokenId];
+    if (current?.price === price) return;
+    if (next === prev) next = { ...prev };
+    next[tokenId] = { price, previous: current?.price ?? null, changedAt: current ? changedAt : null, updatedAt: changedAt };
+  });
+  return next;
+};
+
+// Live prices for `tokenIds` as { [tokenId]: { price, previous, changedAt, updatedAt } } plus
+// the stream status. `poll` resolves to { [tokenId]: price } and is used while sockets are unavailable.
+export default function useMarketStream(tokenIds, poll) {
+  const [prices, setPrices] = useState({});
+  const [status, setStatus] = useState("offline");
+  const streamRef = useRef(null);
+  const pollRef = useRef(poll);
+
+  useEffect(() => {
+    pollRef.current = poll;
+  }, [poll]);
+
+  useEffect(() => {
+    const stream = createMarketStream({
+      onPrices: (updates) => setPrices(prev => mergePrices(prev, updates)),
+      onStatus: setStatus,
+      poll: () => pollRef.current()
+    });
+    streamRef.current = stream;
+    return () => stream.close();
+  }, []);
+
+  const tokenKey = tokenIds.join(",");
+  useEffect(() => {
+    streamRef.current?.subscribe(tokenKey ? tokenKey.split(",") : []);
+  }, [tokenKey]);
+
+  return { prices, status };
+}
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+import { fetchMatchData } from '../lib/sportsData';
+
+// Verified form, table, injuries and head-to-head for a parsed match (lib/sportsData); `data`
+// stays null when no source is configured or it does not cover the match.
+export default function useMatchData(match) {
+  const home = match?.homeTeam;
+  const away = match?.awayTeam;
+  const key = home && away ? `${home}|${away}` : null;
+  const [state, setState] = useState({ key: null, data: null });
+
+  useEffect(() => {
+    if (!key) return undefined;
+    const controller = new AbortController();
+    fetchMatchData({ homeTeam: home, awayTeam: away }, { signal: controller.signal })
+      .then(data => setState({ key, data }))
+      // Only a cancelled request rejects; everything else resolves to null.
+      .catch(() => {});
+    return () => controller.abort();
+  }, [key, home, away]);
+
+  return { data: state.key === key ? state.data : null, loading: Boolean(key) && state.key !== key };
+}
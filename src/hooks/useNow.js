@@ -0,0 +1,14 @@
+import { useState, useEffect } from 'react';
+
+// The current time in ms, refreshed every `interval` ms, for "x ago" labels that should age
+// while the page stays open.
+export default function useNow(interval = 30000) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+
+  return now;
+}
@@ -0,0 +1,28 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchOrderBook } from '../lib/clob';
+
+// Loads the CLOB book for one outcome token; `refresh` re-fetches it. Books are only kept
+// for the token currently asked for.
+export default function useOrderBook(tokenId) {
+  const [state, setState] = useState({ tokenId: null, book: null, error: null });
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (!tokenId) return undefined;
+    let cancelled = false;
+    fetchOrderBook(tokenId)
+      .then(book => { if (!cancelled) setState({ tokenId, book, error: null }); })
+      .catch(err => { if (!cancelled) setState({ tokenId, book: null, error: err.message }); });
+    return () => { cancelled = true; };
+  }, [tokenId, version]);
+
+  const refresh = useCallback(() => setVersion(v => v + 1), []);
+
+  const current = state.tokenId === tokenId;
+  return {
+    book: current ? state.book : null,
+    error: current ? state.error : null,
+    loading: Boolean(tokenId) && !current,
+    refresh
+  };
+}
@@ -0,0 +1,69 @@
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import {
+  loadBankroll,
+  saveBankroll,
+  loadPositions,
+  savePosition,
+  markPositions,
+  closePosition,
+  summarizePortfolio
+} from '../lib/portfolio';
+
+const persist = (updated) => {
+  updated.forEach(p => savePosition(p).catch(err => console.warn("Could not persist position:", err)));
+};
+
+const mergeById = (positions, updated) => {
+  const byId = Object.fromEntries(updated.map(p => [p.id, p]));
+  return positions.map(p => byId[p.id] || p);
+};
+
+// Paper-trading state: bankroll lives in localStorage, positions in IndexedDB.
+export default function usePortfolio() {
+  const [bankroll, setBankrollState] = useState(loadBankroll);
+  const [positions, setPositions] = useState([]);
+  const positionsRef = useRef(positions);
+  // Prices from the latest refresh, so positions loaded after it are still marked.
+  const lastPricesRef = useRef({});
+
+  useEffect(() => {
+    positionsRef.current = positions;
+  }, [positions]);
+
+  useEffect(() => {
+    loadPositions()
+      .then(stored => {
+        const marked = markPositions(stored, lastPricesRef.current);
+        persist(marked);
+        setPositions(prev => [...mergeById(stored, marked), ...prev.filter(p => !stored.some(s => s.id === p.id))]);
+      })
+      .catch(err => console.warn("Could not load paper positions:", err));
+  }, []);
+
+  const replacePositions = useCallback((updated) => {
+    if (updated.length === 0) return;
+    setPositions(prev => mergeById(prev, updated));
+    persist(updated);
+  }, []);
+
+  const setBankroll = (value) => {
+    setBankrollState(value);
+    saveBankroll(value);
+  };
+
+  const openPosition = (position) => {
+    setPositions(prev => [...prev, position]);
+    persist([position]);
+  };
+
+  const close = (position, exitPrice) => replacePositions([closePosition(position, exitPrice)]);
+
+  const markToMarket = useCallback((prices) => {
+    lastPricesRef.current = prices;
+    replacePositions(markPositions(positionsRef.current, prices));
+  }, [replacePositions]);
+
+  const summary = useMemo(() => summarizePortfolio(positions, bankroll), [positions, bankroll]);
+
+  return { bankroll, setBankroll, positions, summary, openPosition, closePosition: close, replacePositions, markToMarket };
+}
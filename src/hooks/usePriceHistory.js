@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { loadHistory, saveHistory, fetchPriceHistory, mergePoints, appendSnapshot } from '../lib/priceHistory';
+
+// Tokens backfilled in parallel; the rest wait their turn.
+const BACKFILL_BATCH = 4;
+
+const persist = (tokenId, points) => {
+  saveHistory(tokenId, points).catch(err => console.warn("Could not persist price history:", err));
+};
+
+// Price series for `tokenIds`: stored history plus a prices-history backfill, loaded once per
+// token per session. `recordPrices({ [tokenId]: price })` appends snapshots of fresh prices.
+export default function usePriceHistory(tokenIds) {
+  const [histories, setHistories] = useState({});
+  const historiesRef = useRef({});
+  const requestedRef = useRef(new Set());
+  // Snapshots are only recorded once a token's stored history is in memory, so they never
+  // overwrite it in IndexedDB.
+  const readyRef = useRef(new Set());
+
+  const update = useCallback((changes) => {
+    if (changes.length === 0) return;
+    const next = { ...historiesRef.current };
+    changes.forEach(([tokenId, points]) => {
+      next[tokenId] = points;
+      persist(tokenId, points);
+    });
+    historiesRef.current = next;
+    setHistories(next);
+  }, []);
+
+  const tokenKey = tokenIds.join(",");
+  useEffect(() => {
+    const pending = (tokenKey ? tokenKey.split(",") : []).filter(id => !requestedRef.current.has(id));
+    if (pending.length === 0) return;
+    pending.forEach(id => requestedRef.current.add(id));
+
+    const backfill = async () => {
+      for (let i = 0; i < pending.length; i += BACKFILL_BATCH) {
+        const loaded = await Promise.all(pending.slice(i, i + BACKFILL_BATCH).map(async tokenId => {
+          const stored = await loadHistory(tokenId).catch(() => []);
+          const remote = await fetchPriceHistory(tokenId).catch(err => {
+            console.warn(`Price history backfill failed for ${tokenId}:`, err);
+            return [];
+          });
+          return [tokenId, mergePoints(mergePoints(stored, remote), historiesRef.current[tokenId] || [])];
+        }));
+        loaded.forEach(([tokenId]) => readyRef.current.add(tokenId));
+        update(loaded);
+      }
+    };
+    backfill();
+  }, [tokenKey, update]);
+
+  const recordPrices = useCallback((prices) => {
+    const changes = [];
+    Object.entries(prices).forEach(([tokenId, price]) => {
+      if (!readyRef.current.has(tokenId)) return;
+      const points = historiesRef.current[tokenId] || [];
+      const next = appendSnapshot(points, price);
+      if (next !== points) changes.push([tokenId, next]);
+    });
+    update(changes);
+  }, [update]);
+
+  return { histories, recordPrices };
+}
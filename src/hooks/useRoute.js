@@ -0,0 +1,22 @@
+import { useState, useEffect, useCallback } from 'react';
+import { parseRoute } from '../lib/routes';
+
+// The current route (lib/routes), following back/forward. `navigate(path, state)` pushes a
+// history entry and scrolls to the top, like a page load would.
+export default function useRoute() {
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname));
+
+  useEffect(() => {
+    const onPopState = () => setRoute(parseRoute(window.location.pathname));
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  const navigate = useCallback((path, state = null) => {
+    window.history.pushState(state, "", path);
+    setRoute(parseRoute(new URL(path, window.location.origin).pathname));
+    window.scrollTo(0, 0);
+  }, []);
+
+  return { route, navigate };
+}
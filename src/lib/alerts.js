@@ -0,0 +1,210 @@
+// --- Alerts ---
+// User-defined rules, evaluated against the loaded markets on every refresh, streamed price
+// move and clock tick (hooks/useAlerts). Rule types:
+//   value    an analyzed outcome graded UNDERVALUED or OVERVALUED at live prices, with
+//            |edge| >= minEdge and the analysis confidence >= minConfidence
+//   price    a tracked outcome's price crosses `level` (percent) going `above` or `below`
+//   kickoff  an event kicks off within `minutes`, optionally only events with an open paper position
+// Every match has a key (rule, event, outcome). A key fires once, then re-arms only after an
+// evaluation in which its event was loaded and the condition no longer held, so a price sitting
+// past its level alerts once rather than on every tick. Muted events never fire.
+
+import { evaluateOutcomes, edgeProbabilities } from './valuation';
+import { priceGroup } from './pricing';
+import { outcomePriceMap, outcomeRef } from './markets';
+import { parseEventMarkets, analysisKeyFor } from './marketTypes';
+import { eventKickoff } from './viewFilters';
+import { toPercent, formatSigned } from './format';
+
+const SETTINGS_KEY = "polysoccer.alerts";
+const STATE_KEY = "polysoccer.alertState";
+const LOG_KEY = "polysoccer.alertLog";
+
+export const MAX_LOG = 50;
+// Fired keys of events that never come back (settled, filtered away) are forgotten after this.
+const STATE_TTL = 14 * 86400000;
+
+export const RULE_TYPES = {
+  value: "Value found",
+  price: "Price crosses",
+  kickoff: "Kick-off soon"
+};
+
+export const WEBHOOK_FORMATS = {
+  generic: "Generic JSON",
+  slack: "Slack",
+  discord: "Discord"
+};
+
+// What the "Add rule" form starts from for each type.
+export const RULE_DEFAULTS = {
+  value: { status: "UNDERVALUED", minEdge: 5, minConfidence: 7 },
+  price: { ref: "", eventId: "", label: "", direction: "above", level: 50 },
+  kickoff: { minutes: 60, positionsOnly: true }
+};
+
+export const DEFAULT_ALERT_SETTINGS = {
+  rules: [],           // [{ id, type, enabled, ...RULE_DEFAULTS[type] }]
+  notify: false,       // browser notifications (Notification API)
+  webhooks: [],        // [{ id, url, format, enabled }]
+  muted: []            // [{ eventId, title }]
+};
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key) || "null") ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+export const loadAlertSettings = () => ({ ...DEFAULT_ALERT_SETTINGS, ...readJson(SETTINGS_KEY, {}) });
+
+export const saveAlertSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// { [key]: { eventId, firedAt } } for every key that has fired and not re-armed yet.
+export const loadAlertState = () => readJson(STATE_KEY, {});
+
+export const saveAlertState = (state) => {
+  localStorage.setItem(STATE_KEY, JSON.stringify(state));
+};
+
+// Most recent first.
+export const loadAlertLog = () => readJson(LOG_KEY, []);
+
+export const saveAlertLog = (log) => {
+  localStorage.setItem(LOG_KEY, JSON.stringify(log.slice(0, MAX_LOG)));
+};
+
+export const createRule = (type) => ({
+  id: `${type}-${Date.now().toString(36)}`,
+  type,
+  enabled: true,
+  ...RULE_DEFAULTS[type]
+});
+
+// Short description of a rule for the rule list.
+export const describeRule = (rule) => {
+  if (rule.type === "value") {
+    return `${rule.status === "OVERVALUED" ? "Overvalued" : "Undervalued"}, edge ≥ ${rule.minEdge} pts, confidence ≥ ${rule.minConfidence}`;
+  }
+  if (rule.type === "price") return `${rule.label || "Outcome"} ${rule.direction} ${rule.level}%`;
+  return `Kick-off within ${rule.minutes} min${rule.positionsOnly ? " (open positions)" : ""}`;
+};
+
+// Every outcome of the loaded events that a price rule can track, for the rule form.
+export const trackableOutcomes = (events) => events.flatMap(event => parseEventMarkets(event).groups.flatMap(group =>
+  group.outcomes
+    .filter(o => o.marketId)
+    .map(o => ({
+      ref: outcomeRef(o.marketId, o.outcomeIndex),
+      eventId: event.id,
+      label: `${event.title} · ${group.type === "1x2" || group.type === "outright" ? o.label : `${group.title} ${o.label}`}`
+    }))
+));
+
+const eventUrl = (event) => (event.slug ? `https://polymarket.com/event/${event.slug}` : null);
+
+const valueMatches = (rule, event, context) => {
+  const { match, groups } = parseEventMarkets(event);
+  return groups.flatMap(group => {
+    const analysisKey = analysisKeyFor(event, match, group);
+    const analysis = context.analyses[analysisKey];
+    if (!analysis || !((analysis.confidence_rating ?? 0) >= rule.minConfidence)) return [];
+
+    // Graded at the live prices, not the ones the analysis ran at.
+    const probabilities = edgeProbabilities(analysis, context.valueSettings);
+    const priced = priceGroup(group, context.valueSettings.devigMethod);
+    const { outcomes } = evaluateOutcomes(
+      priced.outcomes.map(o => ({ ...o, probability: probabilities[o.key] })),
+      context.valueSettings
+    );
+    return outcomes
+      .filter(o => o.status === rule.status && Math.abs(o.edge) >= rule.minEdge)
+      .map(o => ({
+        key: `${rule.id}|${analysisKey}|${o.key}`,
+        title: `${rule.status === "OVERVALUED" ? "Overvalued" : "Value"}: ${o.label}`,
+        message: `${event.title}${group.type === "1x2" ? "" : ` · ${group.title}`}: ${o.label} at ${toPercent(o.price)}%, ` +
+          `${o.probability.toFixed(1)}% estimated (${formatSigned(o.edge)} pts edge, confidence ${analysis.confidence_rating}/10)`
+      }));
+  });
+};
+
+const priceMatches = (rule, event, context) => {
+  if (rule.eventId !== event.id) return [];
+  const price = context.prices[rule.ref];
+  if (price == null) return [];
+  const crossed = rule.direction === "below" ? price * 100 <= rule.level : price * 100 >= rule.level;
+  return crossed ? [{
+    key: `${rule.id}|${rule.ref}`,
+    title: `Price ${rule.direction} ${rule.level}%`,
+    message: `${rule.label} is at ${toPercent(price)}%`
+  }] : [];
+};
+
+const kickoffMatches = (rule, event, context) => {
+  const kickoff = eventKickoff(event);
+  if (kickoff == null || kickoff <= context.now || kickoff - context.now > rule.minutes * 60000) return [];
+  if (rule.positionsOnly && !context.openEvents.has(event.id)) return [];
+  const minutes = Math.round((kickoff - context.now) / 60000);
+  return [{
+    key: `${rule.id}|${event.id}`,
+    title: `Kick-off in ${minutes} min`,
+    message: `${event.title} starts at ${new Date(kickoff).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}` +
+      `${context.openEvents.has(event.id) ? " (open paper position)" : ""}`
+  }];
+};
+
+const MATCHERS = { value: valueMatches, price: priceMatches, kickoff: kickoffMatches };
+
+// Every rule condition that holds right now: [{ key, ruleId, eventId, eventTitle, title, message, url }].
+// `events` carry live prices; `analyses` are keyed by analysis key; `now` is in ms.
+export const evaluateAlertRules = ({ settings, events, analyses, positions, valueSettings, now }) => {
+  const muted = new Set(settings.muted.map(m => m.eventId));
+  const context = {
+    analyses,
+    valueSettings,
+    now,
+    prices: outcomePriceMap(events),
+    openEvents: new Set(positions.filter(p => p.status === "open").map(p => p.eventId))
+  };
+  return settings.rules
+    .filter(rule => rule.enabled)
+    .flatMap(rule => events
+      .filter(event => !muted.has(event.id))
+      .flatMap(event => (MATCHERS[rule.type]?.(rule, event, context) || [])
+        .map(alert => ({ ...alert, ruleId: rule.id, eventId: event.id, eventTitle: event.title, url: eventUrl(event) }))));
+};
+
+// Splits `matches` into what fires now and the next fired-key state. Keys of events that were
+// evaluated but no longer match re-arm; keys of events not loaded right now are kept.
+export const nextAlerts = (matches, state, evaluatedEventIds, now) => {
+  const evaluated = new Set(evaluatedEventIds);
+  const matching = new Set(matches.map(m => m.key));
+  const next = Object.fromEntries(Object.entries(state).filter(([key, entry]) =>
+    (matching.has(key) || !evaluated.has(entry.eventId)) && now - entry.firedAt < STATE_TTL
+  ));
+  const fire = matches.filter(m => !next[m.key]);
+  fire.forEach(m => { next[m.key] = { eventId: m.eventId, firedAt: now }; });
+  return { fire, state: next };
+};
+
+// The request body a webhook of the given format expects.
+export const webhookPayload = (format, alert) => {
+  const link = alert.url ? `\n${alert.url}` : "";
+  if (format === "slack") {
+    return { text: `*${alert.title}*\n${alert.message}${alert.url ? `\n<${alert.url}|Open on Polymarket>` : ""}` };
+  }
+  if (format === "discord") return { username: "PolySoccer AI", content: `**${alert.title}**\n${alert.message}${link}` };
+  return {
+    source: "polysoccer",
+    rule: alert.ruleId,
+    eventId: alert.eventId,
+    title: alert.title,
+    message: alert.message,
+    url: alert.url,
+    firedAt: new Date(alert.firedAt).toISOString()
+  };
+};
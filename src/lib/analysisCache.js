@@ -0,0 +1,98 @@
+// --- Analysis Cache ---
+// A full analysis is two model calls, and the research call (with search grounding) is the
+// expensive one. Research is cached per event, market ids and research model and reused within
+// a TTL; the analysis result is cached on top of that research plus a price bucket, so an
+// unchanged market costs nothing and a moved one re-runs only the analysis phase. Research
+// from before the pre-kickoff window is never reused inside it, since that is when lineups
+// and late team news land.
+
+import { getRecord, putRecord, getAllRecords, deleteRecord } from './db';
+
+const STORE = "analysisCache";
+const SETTINGS_KEY = "polysoccer.cacheSettings";
+const HOUR = 3600000;
+
+// Entries this old are dropped on startup whatever the TTL.
+const MAX_ENTRY_AGE = 7 * 24 * HOUR;
+
+export const DEFAULT_CACHE_SETTINGS = {
+  researchTtlHours: 6,     // research older than this is fetched again
+  priceBucket: 2,          // percentage points; prices within one bucket reuse the analysis
+  kickoffWindowHours: 3    // research must be newer than this many hours before kick-off
+};
+
+export const loadCacheSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null");
+    return { ...DEFAULT_CACHE_SETTINGS, ...stored };
+  } catch {
+    return DEFAULT_CACHE_SETTINGS;
+  }
+};
+
+export const saveCacheSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+const marketIdsKey = (group) => [...new Set(group.outcomes.map(o => o.marketId).filter(Boolean))].sort().join(",");
+
+export const researchCacheKey = (event, group, model) =>
+  `research:${event.id}:${group.id}:${marketIdsKey(group)}:${model.provider}/${model.model}`;
+
+// Prices rounded into buckets of `size` points, e.g. [0.52, 0.24, 0.24] with size 2 -> "26-12-12".
+export const priceBucket = (outcomes, size = DEFAULT_CACHE_SETTINGS.priceBucket) =>
+  outcomes.map(o => Math.round(((o.price || 0) * 100) / Math.max(size, 0.1))).join("-");
+
+export const analysisCacheKey = (researchKey, researchedAt, bucket, model) =>
+  `analysis:${researchKey}:${researchedAt}:${bucket}:${model.provider}/${model.model}`;
+
+// Why research created at `createdAt` (ms) can no longer be used, or null if it still can.
+export const researchStaleness = (createdAt, { kickoff, settings, now = Date.now() }) => {
+  if (now - createdAt > settings.researchTtlHours * HOUR) return "expired";
+  const windowStart = kickoff != null ? kickoff - settings.kickoffWindowHours * HOUR : null;
+  if (windowStart != null && now >= windowStart && createdAt < windowStart) return "pre-kickoff";
+  return null;
+};
+
+// Why a stored analysis should be re-run: its research is stale, or prices left its bucket.
+// `outcomes` are the group's current outcomes.
+export const analysisStaleness = (analysis, outcomes, { kickoff, settings, now = Date.now() }) => {
+  const meta = analysis?.metadata;
+  if (!meta?.analyzedAt) return null;
+  const researchedAt = (meta.researchedAt ?? meta.analyzedAt) * 1000;
+  const stale = researchStaleness(researchedAt, { kickoff, settings, now });
+  if (stale) return stale;
+  const current = Object.fromEntries(outcomes.map(o => [o.key, o.price]));
+  const snapshot = meta.outcomes || [];
+  const moved = priceBucket(snapshot, settings.priceBucket) !==
+    priceBucket(snapshot.map(o => ({ price: current[o.key] ?? o.price })), settings.priceBucket);
+  return moved ? "prices-moved" : null;
+};
+
+export const STALENESS_LABELS = {
+  expired: "research expired",
+  "pre-kickoff": "kick-off close, research predates team news",
+  "prices-moved": "prices moved"
+};
+
+// Resolves to the entry ({ key, kind, createdAt, value }), or null when absent or when
+// IndexedDB is unavailable.
+export const readCache = async (key) => {
+  try {
+    return (await getRecord(STORE, key)) || null;
+  } catch (err) {
+    console.warn("Analysis cache unavailable:", err);
+    return null;
+  }
+};
+
+export const writeCache = (key, kind, value) =>
+  putRecord(STORE, { key, kind, createdAt: Date.now(), value })
+    .catch(err => console.warn("Could not write analysis cache:", err));
+
+export const pruneCache = async (now = Date.now()) => {
+  const entries = await getAllRecords(STORE);
+  await Promise.all(entries
+    .filter(entry => now - entry.createdAt > MAX_ENTRY_AGE)
+    .map(entry => deleteRecord(STORE, entry.key)));
+};
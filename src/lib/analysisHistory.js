@@ -0,0 +1,51 @@
+// --- Analysis History ---
+// Every completed analysis is written to IndexedDB with the context it ran in (prices, model,
+// research text), so paid model calls survive a refresh and can be compared over time.
+
+import { putRecord, getAllRecords } from './db';
+
+const STORE = "analyses";
+
+export const buildAnalysisRecord = ({ event, analysisKey, marketIds, researchText, result }) => {
+  const createdAt = new Date().toISOString();
+  return {
+    id: `${event.id}:${createdAt}`,
+    eventId: event.id,
+    eventTitle: event.title,
+    eventSlug: event.slug,
+    league: event.description || "",
+    analysisKey,
+    marketIds,
+    prices: result.metadata?.outcomes || [],
+    models: result.metadata?.models || null,
+    createdAt,
+    researchText,
+    result
+  };
+};
+
+export const saveAnalysisRecord = (record) => putRecord(STORE, record);
+
+// Resolves to every stored record, oldest first.
+export const loadAnalysisRecords = async () => {
+  const records = await getAllRecords(STORE);
+  return records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+// { [eventId]: records newest first }
+export const groupRecordsByEvent = (records) => {
+  const grouped = {};
+  records.forEach(record => {
+    (grouped[record.eventId] = grouped[record.eventId] || []).unshift(record);
+  });
+  return grouped;
+};
+
+// { [analysisKey]: result of the most recent record }
+export const latestResultsByKey = (records) => {
+  const latest = {};
+  records.forEach(record => {
+    latest[record.analysisKey] = record.result;
+  });
+  return latest;
+};
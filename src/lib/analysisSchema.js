@@ -0,0 +1,182 @@
+// --- Analysis Schema Validation ---
+// Mirrors the JSON SCHEMA block in the analysis system prompt. Models routinely return
+// numbers as strings ("12%"), leave fields out or contradict themselves, so every
+// response goes through validateAnalysis before it reaches the UI.
+
+import { OUTCOME_KEYS } from './matchParser';
+
+const FORM_RESULTS = ["W", "L", "D"];
+
+// The outcome probabilities should sum to 100; allow for rounding in the model's arithmetic.
+const SUM_TOLERANCE = 2;
+
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value === "string") return parseFloat(value.replace(/[%,\s]/g, ""));
+  return NaN;
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const toText = (value) => (typeof value === "string" ? value.trim() : value == null ? "" : String(value));
+
+const toStringList = (value) => (Array.isArray(value) ? value.map(toText).filter(Boolean) : []);
+
+// An unreadable result is reported and left empty rather than guessed.
+const toFormList = (value, path, errors) => {
+  if (!Array.isArray(value)) return [];
+  return value
+    .map((match, i) => {
+      if (!match || typeof match !== "object") return null;
+      const result = toText(match.result).charAt(0).toUpperCase();
+      if (!FORM_RESULTS.includes(result)) {
+        errors.push(`${path}[${i}].result must be one of ${FORM_RESULTS.join(", ")}, got ${JSON.stringify(match.result ?? null)}`);
+      }
+      return {
+        opponent: toText(match.opponent),
+        score: toText(match.score),
+        result: FORM_RESULTS.includes(result) ? result : ""
+      };
+    })
+    .filter(Boolean);
+};
+
+// Strips markdown fences and any chatter around the outermost JSON object.
+export const parseAnalysisJson = (text) => {
+  const cleaned = (text || "").replace(/```json\n?|\n?```/g, "").trim();
+  const start = cleaned.indexOf("{");
+  const end = cleaned.lastIndexOf("}");
+  if (start === -1 || end <= start) throw new Error("Response did not contain a JSON object");
+  return JSON.parse(cleaned.slice(start, end + 1));
+};
+
+// Returns the coerced analysis plus a list of problems. `fatal` means the result cannot be
+// shown at all (missing probabilities or prediction); other errors have been repaired in place.
+// `outcomeKeys` are the keys expected in outcome_probabilities (Home/Draw/Away by default; see
+// lib/marketTypes for the other markets). `partial` is set when those keys do not cover every
+// result (lib/marketTypes isPartialField): the probabilities then only have to stay within 100
+// and are not renormalised. Edge, Kelly and market status are not part of the schema: see
+// lib/valuation.
+export const validateAnalysis = (raw, outcomeKeys = OUTCOME_KEYS, { partial = false } = {}) => {
+  const errors = [];
+  let fatal = false;
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { value: null, errors: ["Root value must be a JSON object"], fatal: true };
+  }
+
+  const readNumber = (source, field, path, { min, max, required = true }) => {
+    const value = source?.[field];
+    if (value === undefined || value === null || value === "") {
+      if (required) {
+        errors.push(`${path} is missing`);
+        fatal = true;
+      }
+      return null;
+    }
+    const parsed = toNumber(value);
+    if (isNaN(parsed)) {
+      errors.push(`${path} must be a number, got ${JSON.stringify(value)}`);
+      if (required) fatal = true;
+      return null;
+    }
+    if (parsed < min || parsed > max) {
+      errors.push(`${path} must be between ${min} and ${max}, got ${parsed}`);
+      return clamp(parsed, min, max);
+    }
+    return parsed;
+  };
+
+  const op = raw.outcome_probabilities || {};
+  if (!raw.outcome_probabilities) errors.push("outcome_probabilities is missing");
+
+  const probabilities = {};
+  outcomeKeys.forEach(key => {
+    probabilities[key] = readNumber(op, key, `outcome_probabilities.${key}`, { min: 0, max: 100 });
+  });
+
+  const values = outcomeKeys.map(key => probabilities[key]);
+  if (values.every(v => v !== null)) {
+    const sum = values.reduce((a, b) => a + b, 0);
+    if (sum <= 0) {
+      errors.push("outcome_probabilities must not all be 0");
+      fatal = true;
+    } else if (partial ? sum - 100 > SUM_TOLERANCE : Math.abs(sum - 100) > SUM_TOLERANCE) {
+      errors.push(`outcome_probabilities must sum to ${partial ? "at most " : ""}100, got ${Number(sum.toFixed(1))}`);
+    }
+    // Normalise even small rounding drift so downstream edge maths is exact.
+    if (sum > 0 && !partial) outcomeKeys.forEach(key => { probabilities[key] = (probabilities[key] / sum) * 100; });
+  }
+
+  let confidence = readNumber(raw, "confidence_rating", "confidence_rating", { min: 1, max: 10, required: false });
+  if (confidence === null) {
+    errors.push("confidence_rating is missing");
+    confidence = 1;
+  }
+
+  const outcome = toText(raw.prediction?.outcome);
+  if (!outcome) {
+    errors.push("prediction.outcome is missing");
+    fatal = true;
+  }
+
+  const value = {
+    match_analysis: {
+      home_team_last_5: toFormList(raw.match_analysis?.home_team_last_5, "match_analysis.home_team_last_5", errors),
+      away_team_last_5: toFormList(raw.match_analysis?.away_team_last_5, "match_analysis.away_team_last_5", errors),
+      tactical_matchup: toText(raw.match_analysis?.tactical_matchup)
+    },
+    prediction: {
+      outcome,
+      predicted_scoreline: toText(raw.prediction?.predicted_scoreline)
+    },
+    outcome_probabilities: probabilities,
+    confidence_rating: confidence,
+    key_insights: toStringList(raw.key_insights),
+    risk_factors: toStringList(raw.risk_factors)
+  };
+
+  return { value, errors, fatal };
+};
+
+const checkAnalysisText = (text, outcomeKeys, options) => {
+  try {
+    return validateAnalysis(parseAnalysisJson(text), outcomeKeys, options);
+  } catch (err) {
+    return { value: null, errors: [`Response was not valid JSON: ${err.message}`], fatal: true };
+  }
+};
+
+const buildRepairPrompt = (prompt, previousText, errors, outcomeKeys, { partial = false } = {}) => `
+        ${prompt}
+
+        YOUR PREVIOUS RESPONSE:
+        ${previousText}
+
+        It failed validation against the JSON SCHEMA:
+        ${errors.map(e => `- ${e}`).join("\n        ")}
+
+        Return the corrected JSON object only. outcome_probabilities must contain exactly the keys
+        ${outcomeKeys.map(k => `"${k}"`).join(", ")} as numbers from 0 to 100 that sum to ${partial ? "at most " : ""}100,
+        and confidence_rating is a number from 1 to 10.
+      `;
+
+// Calls `generate(prompt)` and validates the result. On any validation error the model is
+// re-prompted once with the errors; if the retry is still unusable the analysis fails.
+// `options` are validateAnalysis's.
+export const requestValidAnalysis = async (generate, prompt, outcomeKeys = OUTCOME_KEYS, options = {}) => {
+  const first = await generate(prompt);
+  const firstCheck = checkAnalysisText(first.text, outcomeKeys, options);
+  if (firstCheck.errors.length === 0) {
+    return { response: first, value: firstCheck.value, errors: [], attempts: 1 };
+  }
+
+  console.warn("Analysis failed validation, re-prompting:", firstCheck.errors);
+  const second = await generate(buildRepairPrompt(prompt, first.text, firstCheck.errors, outcomeKeys, options));
+  const secondCheck = checkAnalysisText(second.text, outcomeKeys, options);
+  if (secondCheck.fatal) {
+    throw new Error(`Model returned invalid analysis JSON: ${secondCheck.errors.join("; ")}`);
+  }
+
+  return { response: second, value: secondCheck.value, errors: secondCheck.errors, attempts: 2 };
+};
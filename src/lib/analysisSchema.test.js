@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { validateAnalysis } from './analysisSchema';
+
+const analysis = (fields) => ({
+  outcome_probabilities: { home: 50, draw: 25, away: 25 },
+  prediction: { outcome: "Home", predicted_scoreline: "2-1" },
+  confidence_rating: 6,
+  ...fields
+});
+
+describe("validateAnalysis", () => {
+  it("accepts a complete analysis without errors", () => {
+    const { value, errors, fatal } = validateAnalysis(analysis({
+      match_analysis: { home_team_last_5: [{ opponent: "Chelsea", score: "2-0", result: "win" }] }
+    }));
+    expect(errors).toEqual([]);
+    expect(fatal).toBe(false);
+    expect(value.match_analysis.home_team_last_5).toEqual([{ opponent: "Chelsea", score: "2-0", result: "W" }]);
+  });
+
+  it("reports an unreadable form result instead of calling it a draw", () => {
+    const { value, errors, fatal } = validateAnalysis(analysis({
+      match_analysis: { away_team_last_5: [{ opponent: "Leeds", score: "1-1", result: "D" }, { opponent: "Spurs", score: "?", result: "unknown" }] }
+    }));
+    expect(fatal).toBe(false);
+    expect(errors).toEqual(["match_analysis.away_team_last_5[1].result must be one of W, L, D, got \"unknown\""]);
+    expect(value.match_analysis.away_team_last_5.map(m => m.result)).toEqual(["D", ""]);
+  });
+
+  it("renormalises probabilities that miss 100 and reports the drift", () => {
+    const { value, errors } = validateAnalysis(analysis({ outcome_probabilities: { home: "60%", draw: 30, away: 30 } }));
+    expect(errors).toEqual(["outcome_probabilities must sum to 100, got 120"]);
+    expect(value.outcome_probabilities.home).toBeCloseTo(50);
+  });
+
+  it("leaves a partial outright field as estimated", () => {
+    const keys = ["arsenal", "liverpool"];
+    const short = validateAnalysis(analysis({ outcome_probabilities: { arsenal: 40, liverpool: 30 } }), keys, { partial: true });
+    expect(short.errors).toEqual([]);
+    expect(short.value.outcome_probabilities).toEqual({ arsenal: 40, liverpool: 30 });
+
+    const over = validateAnalysis(analysis({ outcome_probabilities: { arsenal: 70, liverpool: 40 } }), keys, { partial: true });
+    expect(over.errors).toEqual(["outcome_probabilities must sum to at most 100, got 110"]);
+    expect(over.value.outcome_probabilities).toEqual({ arsenal: 70, liverpool: 40 });
+  });
+});
@@ -0,0 +1,41 @@
+// --- Local API ---
+// All market data and model calls go through our own server (server/index.js, mounted into
+// Vite in dev). VITE_API_BASE points the app at a server on another origin.
+
+export const API_BASE = (import.meta.env.VITE_API_BASE || "").replace(/\/$/, "");
+
+export const apiUrl = (path) => `${API_BASE}${path}`;
+
+// Carries the HTTP status so callers can retry 429s and 5xx but not bad requests.
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const readError = async (res) => {
+  try {
+    const data = await res.json();
+    return new ApiError(res.status, data?.error || `HTTP ${res.status}`);
+  } catch {
+    return new ApiError(res.status, `HTTP ${res.status}`);
+  }
+};
+
+export const getApiJson = async (path, { signal } = {}) => {
+  const res = await fetch(apiUrl(path), { signal });
+  if (!res.ok) throw await readError(res);
+  return res.json();
+};
+
+export const postApiJson = async (path, body, { signal } = {}) => {
+  const res = await fetch(apiUrl(path), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!res.ok) throw await readError(res);
+  return res.json();
+};
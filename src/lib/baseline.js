@@ -0,0 +1,57 @@
+// --- Baseline Model ---
+// Probabilities from the Dixon-Coles ratings the API server fits on historical results
+// (server/baseline.js, lib/dixonColes). They sit next to the market price and the AI estimate
+// on every card, and lib/valuation can measure edge against them or a blend.
+
+import { getApiJson, ApiError } from './api';
+import { canonicalTeam, teamSimilarity } from './matchParser';
+import { expectedGoals, scoreMatrix, groupProbabilities, likeliestScores } from './dixonColes';
+
+const MIN_TEAM_SCORE = 0.8;
+// Fewer results than this and the ratings are mostly the prior; the card says so.
+export const THIN_HISTORY = 10;
+
+// Resolves to the ratings, or null when the server has no results to fit.
+export const fetchRatings = async () => {
+  try {
+    return await getApiJson("/api/model/ratings");
+  } catch (err) {
+    if (!(err instanceof ApiError && err.status === 404)) console.warn("Baseline model unavailable:", err.message);
+    return null;
+  }
+};
+
+const findTeam = (ratings, name) => {
+  const exact = ratings.teams[canonicalTeam(name)];
+  if (exact) return exact;
+  let best = null;
+  Object.values(ratings.teams).forEach(team => {
+    const score = teamSimilarity(name, team.name);
+    if (score >= MIN_TEAM_SCORE && (!best || score > best.score)) best = { team, score };
+  });
+  return best?.team || null;
+};
+
+// The model's view of one market group: { probabilities: { [outcomeKey]: percent },
+// expectedGoals: { home, away }, scores, thin, source, fittedAt }, or null when either team has
+// no rating or the model does not price this market type.
+export const baselineForGroup = (ratings, match, group) => {
+  if (!ratings || !match) return null;
+  const home = findTeam(ratings, match.homeTeam);
+  const away = findTeam(ratings, match.awayTeam);
+  if (!home || !away) return null;
+
+  const goals = expectedGoals(ratings, home, away);
+  const matrix = scoreMatrix(goals.home, goals.away, ratings.rho);
+  const probabilities = groupProbabilities(group, matrix);
+  if (!probabilities) return null;
+
+  return {
+    probabilities: Object.fromEntries(Object.entries(probabilities).map(([key, p]) => [key, p * 100])),
+    expectedGoals: goals,
+    scores: likeliestScores(matrix, 3),
+    thin: Math.min(home.matches, away.matches) < THIN_HISTORY,
+    source: ratings.source,
+    fittedAt: ratings.fittedAt
+  };
+};
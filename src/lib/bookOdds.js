@@ -0,0 +1,94 @@
+// --- Cross-Book Comparison ---
+// Holds Polymarket's 1X2 prices against sportsbook odds from the server's feed
+// (server/oddsFeed.js). Each book's odds are de-vigged (lib/pricing) and averaged into a
+// consensus fair probability. Two things get flagged, with or without an AI analysis:
+//   arbitrage  buying every outcome at its cheapest venue (Polymarket's best ask or a book's
+//              best odds) costs < 1; only the top of the Polymarket book is checked
+//   soft line  Polymarket's de-vigged price is at least `threshold` points away from the consensus
+
+import { getApiJson, ApiError } from './api';
+import { teamSimilarity } from './matchParser';
+import { priceOutcomes } from './pricing';
+
+const SIDES = ["home", "draw", "away"];
+const MIN_TEAM_SCORE = 0.8;
+// Feeds and gamma disagree on kick-off by time zone or a listing's end date; beyond this it is
+// a different fixture between the same teams.
+const KICKOFF_TOLERANCE = 12 * 3600000;
+
+// Resolves to { source, fetchedAt, events }, or null when no feed is configured.
+export const fetchBookOdds = async () => {
+  try {
+    return await getApiJson("/api/odds");
+  } catch (err) {
+    if (!(err instanceof ApiError && err.status === 404)) console.warn("Sportsbook odds unavailable:", err.message);
+    return null;
+  }
+};
+
+// Swaps a feed event's sides, for books that list the fixture the other way round.
+const flip = (event) => ({
+  ...event,
+  home: event.away,
+  away: event.home,
+  books: event.books.map(book => ({ ...book, home: book.away, away: book.home }))
+});
+
+// The feed event for a parsed match (lib/matchParser), oriented to Polymarket's home and away.
+export const findBookEvent = (events, match, kickoff) => {
+  if (!events || !match) return null;
+  let best = null;
+  events.forEach(event => {
+    if (kickoff != null && event.kickoff && Math.abs(Date.parse(event.kickoff) - kickoff) > KICKOFF_TOLERANCE) return;
+    [false, true].forEach(swapped => {
+      const home = teamSimilarity(match.homeTeam, swapped ? event.away : event.home);
+      const away = teamSimilarity(match.awayTeam, swapped ? event.home : event.away);
+      const score = Math.min(home, away);
+      if (score >= MIN_TEAM_SCORE && (!best || score > best.score)) best = { event: swapped ? flip(event) : event, score };
+    });
+  });
+  return best?.event || null;
+};
+
+// { fair: { home, draw, away } (0-1), best: { [side]: { odds, book } }, books } for a feed event.
+export const bookConsensus = (event, devigMethod) => {
+  const fair = Object.fromEntries(SIDES.map(side => [side, 0]));
+  event.books.forEach(book => {
+    const priced = priceOutcomes(SIDES.map(side => ({ key: side, price: 1 / book[side] })), devigMethod);
+    priced.outcomes.forEach(o => { fair[o.key] += (o.fairPrice ?? o.price) / event.books.length; });
+  });
+  const best = Object.fromEntries(SIDES.map(side => {
+    const top = event.books.reduce((a, b) => (b[side] > a[side] ? b : a));
+    return [side, { odds: top[side], book: top.book }];
+  }));
+  return { fair, best, books: event.books.length };
+};
+
+// Polymarket `outcomes` (the 1X2 group, with live prices and gamma's best asks) against the
+// consensus: { gaps: { [side]: points }, soft: [{ key, label, gap }], arbitrage: { margin, legs } | null }.
+// Gaps compare no-vig probabilities on both sides, so there are none until every Polymarket
+// outcome is priced; a positive gap means the books rate the outcome higher than Polymarket.
+export const compareWithBooks = (outcomes, consensus, threshold, devigMethod) => {
+  const bySide = Object.fromEntries(outcomes.map(o => [o.key, o]));
+  const fair = Object.fromEntries(priceOutcomes(outcomes, devigMethod).outcomes.map(o => [o.key, o.fairPrice]));
+  const gaps = Object.fromEntries(SIDES
+    .filter(side => fair[side] != null)
+    .map(side => [side, (consensus.fair[side] - fair[side]) * 100]));
+  const soft = Object.entries(gaps)
+    .filter(([, gap]) => Math.abs(gap) >= threshold)
+    .map(([key, gap]) => ({ key, label: bySide[key].label, gap }));
+
+  // The cheapest way to hold each outcome: a Polymarket share at the ask (the mid or last trade
+  // cannot be bought) or a book bet sized to return 1.
+  const legs = SIDES.map(side => {
+    const bookCost = 1 / consensus.best[side].odds;
+    const ask = bySide[side]?.bestAsk;
+    return ask > 0 && ask < bookCost
+      ? { key: side, venue: "Polymarket", cost: ask }
+      : { key: side, venue: consensus.best[side].book, cost: bookCost, odds: consensus.best[side].odds };
+  });
+  const total = legs.reduce((sum, leg) => sum + leg.cost, 0);
+  const arbitrage = total < 1 ? { margin: (1 - total) * 100, legs } : null;
+
+  return { gaps, soft, arbitrage };
+};
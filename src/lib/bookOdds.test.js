@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { bookConsensus, compareWithBooks } from './bookOdds';
+
+const consensus = bookConsensus({
+  books: [{ book: "Book A", home: 2.0, draw: 3.6, away: 4.2 }]
+}, "multiplicative");
+
+const outcomes = (asks) => [
+  { key: "home", label: "Arsenal", price: 0.46, bestAsk: asks[0] },
+  { key: "draw", label: "Draw", price: 0.26, bestAsk: asks[1] },
+  { key: "away", label: "Chelsea", price: 0.2, bestAsk: asks[2] }
+];
+
+describe("compareWithBooks", () => {
+  it("measures gaps between no-vig probabilities on both sides", () => {
+    const { gaps } = compareWithBooks(outcomes([0.47, 0.27, 0.21]), consensus, 2, "multiplicative");
+    // Polymarket's 0.92 book de-vigs home to 0.5, the book's 1.016 to 0.492.
+    expect(gaps.home).toBeCloseTo((0.5 / (0.5 + 1 / 3.6 + 1 / 4.2) - 0.46 / 0.92) * 100);
+    expect(Object.values(gaps).reduce((a, b) => a + b, 0)).toBeCloseTo(0);
+  });
+
+  it("has no gaps while a Polymarket outcome is unpriced", () => {
+    const partial = outcomes([0.47, 0.27, 0.21]).map(o => (o.key === "draw" ? { ...o, price: null } : o));
+    expect(compareWithBooks(partial, consensus, 2, "multiplicative").gaps).toEqual({});
+  });
+
+  it("prices Polymarket arbitrage legs at the ask, not the mid", () => {
+    // Mid prices would make this an arbitrage (0.46 + 1/3.6 + 0.2 < 1); the asks do not.
+    expect(compareWithBooks(outcomes([0.5, 0.3, 0.24]), consensus, 2, "multiplicative").arbitrage).toBeNull();
+
+    const { arbitrage } = compareWithBooks(outcomes([0.47, 0.3, 0.21]), consensus, 2, "multiplicative");
+    expect(arbitrage.legs.map(l => [l.venue, l.cost])).toEqual([["Polymarket", 0.47], ["Book A", 1 / 3.6], ["Polymarket", 0.21]]);
+  });
+});
@@ -0,0 +1,77 @@
+// --- Polymarket CLOB Order Books ---
+// Gamma only reports liquidity per event. What a stake actually costs depends on the resting
+// asks of the outcome token, so sizing walks the CLOB book. Requests go through the local
+// API server's CLOB proxy unless VITE_CLOB_URL points elsewhere, e.g. at the recorded
+// fixture server (scripts/clob-fixture-server.js).
+
+import { apiUrl } from './api';
+
+export const CLOB_API = import.meta.env.VITE_CLOB_URL || apiUrl("/api/clob");
+
+// Liquidity within this distance of the mid price counts as "near" depth.
+export const DEPTH_WINDOW = 0.05;
+
+const toLevels = (levels) => (Array.isArray(levels) ? levels : [])
+  .map(level => ({ price: parseFloat(level.price), size: parseFloat(level.size) }))
+  .filter(level => level.price > 0 && level.price < 1 && level.size > 0);
+
+const notional = (levels) => levels.reduce((sum, level) => sum + level.price * level.size, 0);
+
+// Normalizes a raw `/book` response: bids best (highest) first, asks best (lowest) first,
+// plus top-of-book, spread and dollar depth on each side.
+export const normalizeBook = (raw, tokenId = raw?.asset_id) => {
+  const bids = toLevels(raw?.bids).sort((a, b) => b.price - a.price);
+  const asks = toLevels(raw?.asks).sort((a, b) => a.price - b.price);
+  const bestBid = bids[0]?.price ?? null;
+  const bestAsk = asks[0]?.price ?? null;
+  const mid = bestBid != null && bestAsk != null ? (bestBid + bestAsk) / 2 : bestBid ?? bestAsk;
+  const near = (level) => mid != null && Math.abs(level.price - mid) <= DEPTH_WINDOW;
+
+  return {
+    tokenId,
+    bids,
+    asks,
+    bestBid,
+    bestAsk,
+    mid,
+    spread: bestBid != null && bestAsk != null ? bestAsk - bestBid : null,
+    bidDepth: notional(bids),
+    askDepth: notional(asks),
+    nearBidDepth: notional(bids.filter(near)),
+    nearAskDepth: notional(asks.filter(near)),
+    fetchedAt: new Date().toISOString()
+  };
+};
+
+// Buying `stake` dollars of shares by walking the asks. `avgPrice` is the volume-weighted fill
+// price; `complete` is false when the book runs out before the whole stake is filled.
+export const fillForStake = (asks, stake) => {
+  let remaining = stake;
+  let shares = 0;
+  let worstPrice = null;
+
+  for (const level of asks) {
+    if (remaining <= 0) break;
+    const cost = Math.min(remaining, level.price * level.size);
+    shares += cost / level.price;
+    remaining -= cost;
+    worstPrice = level.price;
+  }
+
+  const filled = stake - remaining;
+  const avgPrice = shares > 0 ? filled / shares : null;
+  return {
+    stake: filled,
+    shares,
+    avgPrice,
+    worstPrice,
+    slippage: avgPrice != null && asks[0] ? avgPrice - asks[0].price : null,
+    complete: remaining <= 1e-9
+  };
+};
+
+export const fetchOrderBook = async (tokenId, baseUrl = CLOB_API) => {
+  const res = await fetch(`${baseUrl}/book?token_id=${encodeURIComponent(tokenId)}`);
+  if (!res.ok) throw new Error(`Order book request failed (${res.status})`);
+  return normalizeBook(await res.json(), tokenId);
+};
@@ -0,0 +1,178 @@
+// --- Export & Import ---
+// Flat tables of the loaded markets, every stored analysis and the paper positions, written as
+// CSV for spreadsheets or JSON for notebooks. The analyses JSON also carries the full history
+// records (lib/analysisHistory), which is what an import reads back: teammates can load each
+// other's research onto the same Polymarket events without paying for the model calls again.
+
+import { parseEventMarkets, analysisKeyFor } from './marketTypes';
+import { priceGroup } from './pricing';
+import { applyValuation } from './valuation';
+import { eventKickoff, eventLeague } from './viewFilters';
+import { formatModelLabel } from './llm';
+
+export const EXPORT_FORMAT = "polysoccer-export";
+export const EXPORT_VERSION = 1;
+
+export const EXPORT_KINDS = {
+  markets: "Market snapshot",
+  analyses: "Analyses",
+  positions: "Paper positions"
+};
+
+const isoTime = (ms) => (ms != null ? new Date(ms).toISOString() : "");
+const round = (value, digits = 4) => (value == null || isNaN(value) ? "" : Number(value.toFixed(digits)));
+
+// One row per outcome of every market group, at the prices given.
+export const marketRows = (events, devigMethod) => events.flatMap(event => {
+  const { groups } = parseEventMarkets(event);
+  return groups.flatMap(group => priceGroup(group, devigMethod).outcomes.map(o => ({
+    event_id: event.id,
+    event: event.title,
+    league: eventLeague(event),
+    kickoff: isoTime(eventKickoff(event)),
+    market_type: group.type,
+    market: group.title,
+    outcome: o.label,
+    outcome_key: o.key,
+    price: round(o.price),
+    fair_probability: round(o.fairPrice),
+    market_id: o.marketId || "",
+    outcome_index: o.outcomeIndex ?? "",
+    token_id: o.tokenId || "",
+    liquidity: round(parseFloat(event.liquidity), 2),
+    volume: round(parseFloat(event.volume), 2)
+  })));
+});
+
+// One row per outcome of every stored analysis record, graded with the current value settings
+// at the prices the analysis ran at. Probabilities, edge and EV are in percent.
+export const analysisRows = (records, valueSettings) => records.flatMap(record => {
+  const result = applyValuation(record.result, valueSettings);
+  const metadata = result.metadata || {};
+  return (result.valuation?.outcomes || []).map(o => ({
+    analyzed_at: record.createdAt,
+    event_id: record.eventId,
+    event: record.eventTitle,
+    league: record.league,
+    analysis_key: record.analysisKey,
+    market_type: metadata.marketType || "1x2",
+    market: metadata.groupTitle || "",
+    outcome: o.label,
+    outcome_key: o.key,
+    price: round(o.price),
+    market_probability: round(o.marketProbability, 2),
+    ai_probability: round(o.aiProbability, 2),
+    model_probability: round(o.modelProbability, 2),
+    edge: round(o.edge, 2),
+    expected_value: round(o.expectedValue, 2),
+    kelly: round(o.kelly),
+    fractional_kelly: round(o.fractionalKelly),
+    status: o.status || "",
+    ensemble_spread: round(result.ensemble?.stats[o.key]?.spread, 2),
+    ensemble_agreement: round(o.agreement, 1),
+    confidence: result.confidence_rating ?? "",
+    probability_source: result.valuation.probabilitySource,
+    model: metadata.models?.analysis ? formatModelLabel(metadata.models.analysis) : "",
+    research_model: metadata.models?.research ? formatModelLabel(metadata.models.research) : "",
+    data_source: metadata.dataSource || "",
+    imported: record.importedAt ? "yes" : ""
+  }));
+});
+
+export const positionRows = (positions) => positions.map(p => ({
+  opened_at: p.openedAt,
+  event_id: p.eventId,
+  event: p.eventTitle,
+  league: p.league,
+  outcome: p.outcomeLabel,
+  outcome_key: p.outcomeKey,
+  market_id: p.marketId,
+  outcome_index: p.outcomeIndex,
+  sizing: p.sizing,
+  stake: round(p.stake, 2),
+  shares: round(p.shares),
+  entry_price: round(p.entryPrice),
+  mark_price: round(p.markPrice),
+  exit_price: round(p.exitPrice),
+  status: p.status,
+  closed_at: p.closedAt || ""
+}));
+
+const csvCell = (value) => {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Columns follow the first row's keys.
+export const toCsv = (rows) => {
+  if (rows.length === 0) return "";
+  const columns = Object.keys(rows[0]);
+  return [columns, ...rows.map(row => columns.map(c => row[c]))]
+    .map(cells => cells.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
+};
+
+// The JSON document for one export kind; `records` only for analyses.
+export const toExportJson = (kind, rows, records) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  kind,
+  exportedAt: new Date().toISOString(),
+  rows,
+  ...(records ? { records } : {})
+}, null, 2);
+
+export const exportFileName = (kind, extension) => `polysoccer-${kind}-${new Date().toISOString().slice(0, 16).replace(/[:T]/g, "-")}.${extension}`;
+
+export const downloadFile = (name, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// The history records of an analyses export. Throws with a readable message for anything else.
+export const parseAnalysesImport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  if (data?.format !== EXPORT_FORMAT || data.kind !== "analyses" || !Array.isArray(data.records)) {
+    throw new Error("Not a PolySoccer analyses export");
+  }
+  if (data.version > EXPORT_VERSION) throw new Error(`Export version ${data.version} is newer than this app supports`);
+  return data.records.filter(r => r?.id && r.eventId && r.analysisKey && r.result?.metadata?.outcomes);
+};
+
+// Imported records, re-keyed onto the loaded events they belong to (same event id, else same
+// slug) so they land on the right card even if the exporter's parse keyed them differently.
+// Records already stored are skipped; records for events not loaded are kept as they are and
+// show up once their event is. Returns { records, matched, duplicates }.
+export const prepareImport = (imported, events, existingIds) => {
+  const byId = new Map(events.map(e => [e.id, e]));
+  const bySlug = new Map(events.filter(e => e.slug).map(e => [e.slug, e]));
+  const importedAt = new Date().toISOString();
+  let matched = 0;
+  let duplicates = 0;
+
+  const records = imported.flatMap(record => {
+    if (existingIds.has(record.id)) {
+      duplicates++;
+      return [];
+    }
+    const event = byId.get(record.eventId) || (record.eventSlug && bySlug.get(record.eventSlug));
+    if (!event) return [{ ...record, importedAt }];
+
+    const { match, groups } = parseEventMarkets(event);
+    const group = groups.find(g => g.id === (record.result.metadata.groupId || "1x2"));
+    if (!group) return [{ ...record, importedAt }];
+    matched++;
+    return [{ ...record, eventId: event.id, analysisKey: analysisKeyFor(event, match, group), importedAt }];
+  });
+
+  return { records, matched, duplicates };
+};
@@ -0,0 +1,72 @@
+// --- IndexedDB Access ---
+// A thin promise wrapper over the browser's IndexedDB. Object stores are declared in STORES;
+// adding one means adding an entry here and bumping DB_VERSION so the upgrade creates it.
+
+const DB_NAME = "polysoccer-ai";
+const DB_VERSION = 5;
+
+const STORES = {
+  analyses: { keyPath: "id", indexes: ["eventId", "analysisKey", "createdAt"] },
+  positions: { keyPath: "id", indexes: ["eventId", "status"] },
+  settlements: { keyPath: "eventId", indexes: ["resolvedAt"] },
+  priceHistory: { keyPath: "tokenId", indexes: ["updatedAt"] },
+  analysisCache: { keyPath: "key", indexes: ["kind", "createdAt"] }
+};
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+export const openDb = () => {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB is not available"));
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const tx = request.transaction;
+      Object.entries(STORES).forEach(([name, { keyPath, indexes }]) => {
+        const store = db.objectStoreNames.contains(name)
+          ? tx.objectStore(name)
+          : db.createObjectStore(name, { keyPath });
+        indexes.forEach(index => {
+          if (!store.indexNames.contains(index)) store.createIndex(index, index);
+        });
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await requestToPromise(fn(tx.objectStore(storeName)));
+  await done;
+  return result;
+};
+
+export const putRecord = (storeName, record) => withStore(storeName, "readwrite", store => store.put(record));
+
+export const getRecord = (storeName, key) => withStore(storeName, "readonly", store => store.get(key));
+
+export const getAllRecords = (storeName) => withStore(storeName, "readonly", store => store.getAll());
+
+export const getRecordsByIndex = (storeName, index, value) =>
+  withStore(storeName, "readonly", store => store.index(index).getAll(value));
+
+export const deleteRecord = (storeName, key) => withStore(storeName, "readwrite", store => store.delete(key));
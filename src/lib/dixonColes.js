@@ -0,0 +1,198 @@
+// --- Dixon-Coles Baseline ---
+// A statistical model to hold the LLM's probabilities against. Goals are Poisson with
+//   home ~ Pois(attack[home] * defence[away] * homeAdvantage),  away ~ Pois(attack[away] * defence[home])
+// fitted to past results (Maher's iterative method), recent matches weighted more heavily.
+// Plain Poisson gets low scores wrong, so the Dixon-Coles factor tau(x, y) with correlation rho
+// adjusts 0-0, 1-0, 0-1 and 1-1. The API server fits the ratings (server/baseline.js); the app
+// turns them into probabilities for a market group. No imports, so both sides can load it.
+
+const MAX_GOALS = 10;
+const FIT_ITERATIONS = 100;
+const FIT_TOLERANCE = 1e-6;
+const RHO_GRID = { min: -0.25, max: 0.25, step: 0.005 };
+
+export const DEFAULT_FIT_OPTIONS = {
+  halfLifeDays: 365,   // a match this old counts half as much as one played today
+  priorMatches: 3      // pulls teams with few results towards an average side
+};
+
+const MATCH_KEYS = ["date", "home", "away", "homeGoals", "awayGoals"];
+
+const poisson = (k, lambda) => {
+  let p = Math.exp(-lambda);
+  for (let i = 1; i <= k; i++) p *= lambda / i;
+  return p;
+};
+
+const tau = (x, y, lambda, mu, rho) => {
+  if (x === 0 && y === 0) return 1 - lambda * mu * rho;
+  if (x === 0 && y === 1) return 1 + lambda * rho;
+  if (x === 1 && y === 0) return 1 + mu * rho;
+  if (x === 1 && y === 1) return 1 - rho;
+  return 1;
+};
+
+// `matches` are { date, home, away, homeGoals, awayGoals } (server/sportsData.js), with team
+// names already normalized by the caller. Returns { teams: { [name]: { attack, defence, matches } },
+// homeAdvantage, rho, averageGoals, matches } or null when there is nothing to fit.
+export const fitDixonColes = (matches, { now = Date.now(), ...options } = {}) => {
+  const { halfLifeDays, priorMatches } = { ...DEFAULT_FIT_OPTIONS, ...options };
+  const played = matches
+    .filter(m => MATCH_KEYS.every(key => m[key] != null) && Number.isFinite(Date.parse(m.date)))
+    .map(m => ({ ...m, weight: 0.5 ** (Math.max(0, now - Date.parse(m.date)) / 86400000 / halfLifeDays) }));
+  if (played.length === 0) return null;
+
+  const names = [...new Set(played.flatMap(m => [m.home, m.away]))];
+  const attack = Object.fromEntries(names.map(name => [name, 1]));
+  const defence = Object.fromEntries(names.map(name => [name, 1]));
+  let homeAdvantage = 1;
+
+  const totalWeight = played.reduce((sum, m) => sum + m.weight, 0);
+  const averageGoals = played.reduce((sum, m) => sum + m.weight * (m.homeGoals + m.awayGoals), 0) / totalWeight / 2;
+  // The prior: `priorMatches` games against an average side at average scoring.
+  const priorGoals = priorMatches * averageGoals;
+
+  // One strength at a time (attack, then defence, then home advantage), each against the
+  // latest values of the others; updating all three together oscillates.
+  const accumulate = (goals, exposure) => {
+    const sums = Object.fromEntries(names.map(name => [name, { goals: priorGoals, exposure: priorGoals }]));
+    played.forEach(m => {
+      [[m.home, true], [m.away, false]].forEach(([name, home]) => {
+        sums[name].goals += m.weight * goals(m, home);
+        sums[name].exposure += m.weight * exposure(m, home) * averageGoals;
+      });
+    });
+    return sums;
+  };
+
+  for (let iteration = 0; iteration < FIT_ITERATIONS; iteration++) {
+    let change = 0;
+    const update = (strengths, sums) => names.forEach(name => {
+      const next = sums[name].goals / sums[name].exposure;
+      change = Math.max(change, Math.abs(next - strengths[name]));
+      strengths[name] = next;
+    });
+
+    update(attack, accumulate(
+      (m, home) => (home ? m.homeGoals : m.awayGoals),
+      (m, home) => (home ? defence[m.away] * homeAdvantage : defence[m.home])
+    ));
+    update(defence, accumulate(
+      (m, home) => (home ? m.awayGoals : m.homeGoals),
+      (m, home) => (home ? attack[m.away] : attack[m.home] * homeAdvantage)
+    ));
+    const homeGoals = played.reduce((sum, m) => sum + m.weight * m.homeGoals, 0);
+    const homeExposure = played.reduce((sum, m) => sum + m.weight * attack[m.home] * defence[m.away] * averageGoals, 0);
+    homeAdvantage = homeExposure > 0 ? homeGoals / homeExposure : 1;
+
+    // Attack strengths average 1, so they read as "times an average side".
+    const meanAttack = names.reduce((sum, name) => sum + attack[name], 0) / names.length;
+    names.forEach(name => {
+      attack[name] /= meanAttack;
+      defence[name] *= meanAttack;
+    });
+    if (change < FIT_TOLERANCE) break;
+  }
+
+  const rates = (m) => ({
+    lambda: attack[m.home] * defence[m.away] * homeAdvantage * averageGoals,
+    mu: attack[m.away] * defence[m.home] * averageGoals
+  });
+
+  // rho only touches the four low scores, so the Poisson part of the likelihood is constant
+  // and a grid search over tau alone finds it.
+  const lowScores = played.filter(m => m.homeGoals <= 1 && m.awayGoals <= 1).map(m => ({ ...m, ...rates(m) }));
+  let rho = 0;
+  let bestLikelihood = -Infinity;
+  for (let candidate = RHO_GRID.min; candidate <= RHO_GRID.max + 1e-9; candidate += RHO_GRID.step) {
+    let likelihood = 0;
+    for (const m of lowScores) {
+      const t = tau(m.homeGoals, m.awayGoals, m.lambda, m.mu, candidate);
+      if (t <= 0) {
+        likelihood = -Infinity;
+        break;
+      }
+      likelihood += m.weight * Math.log(t);
+    }
+    if (likelihood > bestLikelihood) {
+      bestLikelihood = likelihood;
+      rho = candidate;
+    }
+  }
+
+  const appearances = Object.fromEntries(names.map(name => [name, 0]));
+  played.forEach(m => {
+    appearances[m.home] += 1;
+    appearances[m.away] += 1;
+  });
+
+  return {
+    teams: Object.fromEntries(names.map(name => [name, { attack: attack[name], defence: defence[name], matches: appearances[name] }])),
+    homeAdvantage,
+    rho: Number(rho.toFixed(3)),
+    averageGoals,
+    matches: played.length
+  };
+};
+
+// Expected goals for a fixture from two fitted team ratings.
+export const expectedGoals = (ratings, home, away) => ({
+  home: home.attack * away.defence * ratings.homeAdvantage * ratings.averageGoals,
+  away: away.attack * home.defence * ratings.averageGoals
+});
+
+// P(home = x, away = y) for x, y in 0..MAX_GOALS, renormalized after the tau correction.
+export const scoreMatrix = (lambda, mu, rho = 0) => {
+  const matrix = [];
+  let total = 0;
+  for (let x = 0; x <= MAX_GOALS; x++) {
+    matrix.push([]);
+    for (let y = 0; y <= MAX_GOALS; y++) {
+      const p = Math.max(0, tau(x, y, lambda, mu, rho) * poisson(x, lambda) * poisson(y, mu));
+      matrix[x].push(p);
+      total += p;
+    }
+  }
+  return matrix.map(row => row.map(p => p / total));
+};
+
+const sumWhere = (matrix, test) => {
+  let sum = 0;
+  matrix.forEach((row, x) => row.forEach((p, y) => {
+    if (test(x, y)) sum += p;
+  }));
+  return sum;
+};
+
+export const resultProbabilities = (matrix) => ({
+  home: sumWhere(matrix, (x, y) => x > y),
+  draw: sumWhere(matrix, (x, y) => x === y),
+  away: sumWhere(matrix, (x, y) => x < y)
+});
+
+// Over/under `line` total goals; on whole lines a push (exactly `line`) is left out.
+export const totalsProbabilities = (matrix, line) => {
+  const over = sumWhere(matrix, (x, y) => x + y > line);
+  const under = sumWhere(matrix, (x, y) => x + y < line);
+  return { over: over / (over + under), under: under / (over + under) };
+};
+
+export const bttsProbabilities = (matrix) => {
+  const yes = sumWhere(matrix, (x, y) => x > 0 && y > 0);
+  return { yes, no: 1 - yes };
+};
+
+// The `count` likeliest correct scores, as [{ score: "2-1", probability }].
+export const likeliestScores = (matrix, count = 5) => matrix
+  .flatMap((row, x) => row.map((probability, y) => ({ score: `${x}-${y}`, probability })))
+  .sort((a, b) => b.probability - a.probability)
+  .slice(0, count);
+
+// Model probabilities (0-1) per outcome key of a market group (lib/marketTypes), or null for
+// groups the model does not price (handicaps, outrights).
+export const groupProbabilities = (group, matrix) => {
+  if (group.type === "1x2") return resultProbabilities(matrix);
+  if (group.type === "totals" && group.line != null) return totalsProbabilities(matrix, group.line);
+  if (group.type === "btts") return bttsProbabilities(matrix);
+  return null;
+};
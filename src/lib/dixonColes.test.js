@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import { fitDixonColes, expectedGoals, scoreMatrix, resultProbabilities, totalsProbabilities, groupProbabilities } from './dixonColes';
+
+const NOW = Date.parse("2025-06-01");
+
+// Two rounds of a four-team league: Athletic score freely and rarely concede, the others are
+// close to each other, and low-scoring draws come up more often than Poisson expects.
+const RESULTS = [
+  ["Athletic", "Borough", 3, 0], ["Albion", "County", 1, 1], ["Borough", "County", 0, 0],
+  ["Albion", "Athletic", 0, 2], ["County", "Athletic", 1, 3], ["Borough", "Albion", 1, 1],
+  ["Borough", "Athletic", 0, 2], ["County", "Albion", 0, 0], ["County", "Borough", 1, 1],
+  ["Athletic", "Albion", 4, 1], ["Athletic", "County", 2, 0], ["Albion", "Borough", 2, 1]
+];
+
+const matches = RESULTS.map(([home, away, homeGoals, awayGoals], i) => ({
+  date: new Date(NOW - (RESULTS.length - i) * 7 * 86400000).toISOString(),
+  home,
+  away,
+  homeGoals,
+  awayGoals
+}));
+
+const sum = (matrix) => matrix.flat().reduce((a, b) => a + b, 0);
+
+describe("fitDixonColes", () => {
+  const ratings = fitDixonColes(matches, { now: NOW });
+
+  it("rates the dominant side highest on attack and defence", () => {
+    const { Athletic, ...others } = ratings.teams;
+    Object.values(others).forEach(team => {
+      expect(Athletic.attack).toBeGreaterThan(team.attack);
+      expect(Athletic.defence).toBeLessThan(team.defence);
+    });
+    expect(ratings.matches).toBe(RESULTS.length);
+  });
+
+  it("normalizes attack strengths to average 1", () => {
+    const attacks = Object.values(ratings.teams).map(t => t.attack);
+    expect(attacks.reduce((a, b) => a + b, 0) / attacks.length).toBeCloseTo(1);
+  });
+
+  it("picks a negative rho when low-scoring draws are over-represented", () => {
+    expect(ratings.rho).toBeLessThan(0);
+    expect(ratings.rho).toBeGreaterThanOrEqual(-0.25);
+  });
+
+  it("favours the stronger side home or away", () => {
+    const { Athletic, County } = ratings.teams;
+    const fixture = (home, away) => {
+      const goals = expectedGoals(ratings, home, away);
+      return resultProbabilities(scoreMatrix(goals.home, goals.away, ratings.rho));
+    };
+    const home = fixture(Athletic, County);
+    const away = fixture(County, Athletic);
+    expect(home.home).toBeGreaterThan(home.away);
+    expect(away.away).toBeGreaterThan(away.home);
+    expect(home.home).toBeGreaterThan(away.away);
+  });
+
+  it("returns null without usable results", () => {
+    expect(fitDixonColes([{ home: "A", away: "B", homeGoals: 1 }])).toBeNull();
+  });
+});
+
+describe("scoreMatrix", () => {
+  it("sums to 1 with and without the low-score correction", () => {
+    expect(sum(scoreMatrix(1.6, 1.1))).toBeCloseTo(1, 9);
+    expect(sum(scoreMatrix(1.6, 1.1, -0.1))).toBeCloseTo(1, 9);
+  });
+
+  it("applies tau to the four low scores only", () => {
+    const [lambda, mu, rho] = [1.6, 1.1, -0.1];
+    const plain = scoreMatrix(lambda, mu);
+    const adjusted = scoreMatrix(lambda, mu, rho);
+    // Relative to an untouched score, the renormalization cancels out.
+    const factor = (x, y) => (adjusted[x][y] / adjusted[2][2]) / (plain[x][y] / plain[2][2]);
+    expect(factor(0, 0)).toBeCloseTo(1 - lambda * mu * rho);
+    expect(factor(0, 1)).toBeCloseTo(1 + lambda * rho);
+    expect(factor(1, 0)).toBeCloseTo(1 + mu * rho);
+    expect(factor(1, 1)).toBeCloseTo(1 - rho);
+    expect(factor(3, 1)).toBeCloseTo(1);
+  });
+
+  it("gives complementary totals and a full set of 1X2 probabilities", () => {
+    const matrix = scoreMatrix(1.4, 1.2, -0.05);
+    const totals = totalsProbabilities(matrix, 2.5);
+    expect(totals.over + totals.under).toBeCloseTo(1);
+    const result = groupProbabilities({ type: "1x2" }, matrix);
+    expect(result.home + result.draw + result.away).toBeCloseTo(1);
+    expect(groupProbabilities({ type: "outright" }, matrix)).toBeNull();
+  });
+});
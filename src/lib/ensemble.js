@@ -0,0 +1,119 @@
+// --- Ensemble Analysis ---
+// A single analysis run gives one set of probabilities with no sense of how much a second run
+// would differ; two runs often flip the verdict. In ensemble mode the analysis phase runs once
+// per member, each an analyst persona (lib/prompts) on a model, all on the same research. The
+// member estimates are combined into the analysis's probabilities (mean or median, renormalised
+// to 100) and kept with it, so cards can show the disagreement and lib/valuation can hold back
+// an Undervalued verdict that too few members share.
+
+import { PERSONAS } from './prompts';
+
+const SETTINGS_KEY = "polysoccer.ensembleSettings";
+
+export const AGGREGATES = {
+  mean: "Mean",
+  median: "Median"
+};
+
+// A member without a provider runs on the analysis-phase model (lib/llm); listing the same
+// persona several times repeats the run.
+export const DEFAULT_ENSEMBLE_SETTINGS = {
+  enabled: false,
+  aggregate: "mean",
+  members: [
+    { persona: "stats", provider: null, model: "" },
+    { persona: "tactics", provider: null, model: "" },
+    { persona: "skeptic", provider: null, model: "" }
+  ]
+};
+
+export const loadEnsembleSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null");
+    const settings = { ...DEFAULT_ENSEMBLE_SETTINGS, ...stored };
+    return { ...settings, members: settings.members.filter(m => PERSONAS[m.persona]) };
+  } catch {
+    return DEFAULT_ENSEMBLE_SETTINGS;
+  }
+};
+
+export const saveEnsembleSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// Fewer than two members is a single analysis.
+export const isEnsembleActive = (settings) => Boolean(settings.enabled && settings.members.length >= 2);
+
+export const memberModel = (member, analysisModel) => (
+  member.provider ? { provider: member.provider, model: member.model } : analysisModel
+);
+
+// Stands in for the analysis model in the result cache key: any change to the members or the
+// aggregate is a different analysis.
+export const ensembleCacheModel = (settings, analysisModel) => ({
+  provider: "ensemble",
+  model: `${settings.aggregate}:${settings.members.map(m => {
+    const { provider, model } = memberModel(m, analysisModel);
+    return `${m.persona}@${provider}/${model}`;
+  }).join(",")}`
+});
+
+// Runs `analyze(member, model)` for every member at once; it resolves to what
+// lib/analysisSchema's requestValidAnalysis does. Failed members are left out, but with fewer
+// than two left the first failure is thrown, so the queue can still retry rate limits.
+export const runEnsemble = async (settings, analysisModel, analyze) => {
+  const settled = await Promise.allSettled(settings.members.map(member => {
+    const model = memberModel(member, analysisModel);
+    return analyze(member, model).then(result => ({ member, ...result }));
+  }));
+  const results = settled.filter(s => s.status === "fulfilled").map(s => s.value);
+  if (results.length < 2) throw settled.find(s => s.status === "rejected").reason;
+  return { results, failed: settled.length - results.length };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Per outcome key, { mean, median, min, max, spread } of the member estimates in percent; the
+// spread is their standard deviation.
+export const ensembleStats = (members, keys) => Object.fromEntries(keys.map(key => {
+  const values = members.map(m => m.probabilities[key]);
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const spread = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+  return [key, { mean, median: median(values), min: Math.min(...values), max: Math.max(...values), spread }];
+}));
+
+// One analysis from the members' validated results (runEnsemble): the aggregated probabilities,
+// the mean confidence, the narrative (prediction, insights, form) of the member closest to the
+// aggregate, and an `ensemble` block with every member's estimate and the per-outcome stats.
+// `partial` groups (lib/analysisSchema validateAnalysis) keep the aggregate as it is.
+export const combineEnsemble = (results, keys, aggregate, failed = 0, { partial = false } = {}) => {
+  const members = results.map(({ member, response, value }) => ({
+    persona: member.persona,
+    model: { provider: response.provider, model: response.model },
+    probabilities: value.outcome_probabilities,
+    confidence: value.confidence_rating,
+    prediction: value.prediction.outcome
+  }));
+  const stats = ensembleStats(members, keys);
+
+  const combined = Object.fromEntries(keys.map(key => [key, stats[key][aggregate] ?? stats[key].mean]));
+  const total = keys.reduce((sum, key) => sum + combined[key], 0);
+  const probabilities = Object.fromEntries(keys.map(key => [key, total > 0 && !partial ? (combined[key] / total) * 100 : combined[key]]));
+
+  const distance = (p) => keys.reduce((sum, key) => sum + (p[key] - probabilities[key]) ** 2, 0);
+  const representative = members.reduce((best, m, i) => (distance(m.probabilities) < distance(members[best].probabilities) ? i : best), 0);
+  const confidence = members.reduce((sum, m) => sum + m.confidence, 0) / members.length;
+
+  return {
+    ...results[representative].value,
+    outcome_probabilities: probabilities,
+    confidence_rating: Number(confidence.toFixed(1)),
+    ensemble: { aggregate, members, stats, representative, failed }
+  };
+};
+
+export const describeEnsemble = (ensemble) => `${ensemble.members.length} members, ${AGGREGATES[ensemble.aggregate].toLowerCase()}`;
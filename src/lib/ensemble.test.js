@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { combineEnsemble } from './ensemble';
+
+const result = (persona, probabilities) => ({
+  member: { persona },
+  response: { provider: "test", model: persona },
+  value: { outcome_probabilities: probabilities, confidence_rating: 6, prediction: { outcome: "Arsenal" } }
+});
+
+describe("combineEnsemble", () => {
+  const results = [
+    result("stats", { arsenal: 40, liverpool: 30 }),
+    result("tactics", { arsenal: 50, liverpool: 20 })
+  ];
+
+  it("renormalises the aggregate of a complete market to 100", () => {
+    const { outcome_probabilities } = combineEnsemble(results, ["arsenal", "liverpool"], "mean");
+    expect(outcome_probabilities.arsenal).toBeCloseTo(64.29, 2);
+    expect(outcome_probabilities.liverpool).toBeCloseTo(35.71, 2);
+  });
+
+  it("keeps the aggregate of a partial outright field", () => {
+    const { outcome_probabilities } = combineEnsemble(results, ["arsenal", "liverpool"], "mean", 0, { partial: true });
+    expect(outcome_probabilities).toEqual({ arsenal: 45, liverpool: 25 });
+  });
+});
@@ -0,0 +1,43 @@
+// --- Formatting Helpers ---
+
+export const toPercent = (num) => {
+  if (num === undefined || num === null) return "0.0";
+  const parsed = parseFloat(num);
+  if (isNaN(parsed)) return "0.0";
+  return (parsed * 100).toFixed(1);
+};
+
+export const formatMoney = (amount) => {
+  if (!amount) return "$0";
+  const num = parseFloat(amount);
+  if (num >= 1000000) return `$${(num / 1000000).toFixed(1)}M`;
+  if (num >= 1000) return `$${(num / 1000).toFixed(1)}K`;
+  return `$${num.toFixed(0)}`;
+};
+
+export const formatDate = (isoString) => {
+  try {
+    return new Date(isoString).toLocaleString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  } catch {
+    return isoString;
+  }
+};
+
+export const formatSigned = (num) => `${num > 0 ? '+' : ''}${num.toFixed(1)}`;
+
+// "just now", "12m ago", "3h ago", "2d ago" for a timestamp in ms.
+export const formatAge = (timestamp, now) => {
+  const minutes = Math.floor((now - timestamp) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
@@ -0,0 +1,67 @@
+// --- Research Grounding ---
+// The web sources behind a searched research answer (see toGrounding in lib/llmProviders):
+//   { queries: string[], sources: [{ uri, title }], supports: [{ text, sourceIndices }] }
+// The research text is numbered with [n] markers before it goes into the analysis prompt, and
+// the model is asked to keep them on its key insights, which is how an insight finds its sources.
+
+const MARKER = /\s*\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Word overlap needed before an unmarked insight borrows a support's sources.
+const MIN_OVERLAP = 0.5;
+const MAX_FALLBACK_SUPPORTS = 2;
+
+export const hasSources = (grounding) => Boolean(grounding?.sources?.length);
+
+// Appends [n] (1-based source numbers) after every supported segment, then lists the sources.
+// Segments are found by text, in order; a segment that cannot be found is left unmarked.
+export const annotateResearch = (text, grounding) => {
+  if (!hasSources(grounding)) return text;
+
+  let annotated = "";
+  let cursor = 0;
+  grounding.supports.forEach(support => {
+    const at = text.indexOf(support.text, cursor);
+    if (at === -1) return;
+    const end = at + support.text.length;
+    const numbers = support.sourceIndices.map(i => i + 1).join(", ");
+    annotated += `${text.slice(cursor, end)} [${numbers}]`;
+    cursor = end;
+  });
+  annotated += text.slice(cursor);
+
+  const list = grounding.sources.map((source, i) => `[${i + 1}] ${source.title || source.uri}`).join("\n");
+  return `${annotated}\n\nSources:\n${list}`;
+};
+
+export const stripCitations = (insight) => insight.replace(MARKER, "").trim();
+
+const words = (text) => new Set(text.toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || []);
+
+// Source indices (0-based) for one key insight: its [n] markers, else the sources of the
+// research segments it shares most words with.
+const insightSourceIndices = (insight, grounding) => {
+  const marked = [...insight.matchAll(MARKER)]
+    .flatMap(m => m[1].split(",").map(n => parseInt(n, 10) - 1))
+    .filter(i => i >= 0 && i < grounding.sources.length);
+  if (marked.length > 0) return marked;
+
+  const insightWords = words(stripCitations(insight));
+  if (insightWords.size === 0) return [];
+  return grounding.supports
+    .map(support => {
+      const shared = [...words(support.text)].filter(w => insightWords.has(w)).length;
+      return { support, overlap: shared / insightWords.size };
+    })
+    .filter(({ overlap }) => overlap >= MIN_OVERLAP)
+    .sort((a, b) => b.overlap - a.overlap)
+    .slice(0, MAX_FALLBACK_SUPPORTS)
+    .flatMap(({ support }) => support.sourceIndices);
+};
+
+// [{ number, uri, title }] behind an insight, numbered as in the research text.
+export const insightCitations = (insight, grounding) => {
+  if (!hasSources(grounding)) return [];
+  return [...new Set(insightSourceIndices(insight, grounding))]
+    .sort((a, b) => a - b)
+    .map(i => ({ number: i + 1, ...grounding.sources[i] }));
+};
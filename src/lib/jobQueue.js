@@ -0,0 +1,167 @@
+// --- Analysis Job Queue ---
+// Runs analyses a few at a time. Jobs are keyed (one per analysis key), so asking for an
+// analysis that is already queued or running is a no-op. Rate limits (429) and server errors
+// (5xx) are retried with exponential backoff; anything else fails the job and keeps the error
+// for the card to show. `canStart` is asked before every start, which is how the session
+// budget pauses the queue without dropping jobs. Job status:
+//   "queued" | "running" | "retrying" | "done" | "failed" | "cancelled"
+
+const SETTINGS_KEY = "polysoccer.queueSettings";
+
+const BASE_BACKOFF = 2000;
+const MAX_BACKOFF = 60000;
+
+export const DEFAULT_QUEUE_SETTINGS = {
+  concurrency: 2,       // analyses running at once
+  maxRetries: 3,        // retries per job on 429 / 5xx
+  budgetType: "cost",   // "cost" (estimated USD) or "tokens"
+  budget: 1             // per session; 0 disables the limit
+};
+
+export const loadQueueSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null");
+    return { ...DEFAULT_QUEUE_SETTINGS, ...stored };
+  } catch {
+    return DEFAULT_QUEUE_SETTINGS;
+  }
+};
+
+export const saveQueueSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// `usage` is a session total from lib/usage.
+export const budgetReached = (usage, settings) => {
+  if (!(settings.budget > 0)) return false;
+  const spent = settings.budgetType === "tokens" ? usage.inputTokens + usage.outputTokens : usage.cost;
+  return spent >= settings.budget;
+};
+
+export const isRetryable = (err) => err?.status === 429 || err?.status >= 500;
+
+const ACTIVE = new Set(["queued", "running", "retrying"]);
+export const isActiveJob = (job) => Boolean(job && ACTIVE.has(job.status));
+
+// `run(payload, { signal })` does the work for one job and may throw; aborting `signal`
+// means the job was cancelled. `onChange` receives { jobs, blocked } after every change, where
+// `blocked` is true while `canStart` holds back queued jobs.
+export const createJobQueue = ({ run, onChange, canStart = () => true, concurrency = 2, maxRetries = 3 }) => {
+  const jobs = new Map();
+  const controllers = new Map();
+  const timers = new Map();
+  const options = { concurrency, maxRetries };
+  let nextId = 1;
+  let blocked = false;
+
+  const emit = () => onChange?.({ jobs: [...jobs.values()].map(job => ({ ...job })), blocked });
+
+  const finish = (job, patch) => {
+    controllers.delete(job.id);
+    Object.assign(job, { ...patch, finishedAt: Date.now() });
+    pump();
+  };
+
+  const start = (job) => {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    Object.assign(job, { status: "running", attempts: job.attempts + 1, error: null, retryAt: null, startedAt: Date.now() });
+
+    Promise.resolve()
+      .then(() => run(job.payload, { signal: controller.signal }))
+      .then(() => finish(job, { status: "done" }))
+      .catch(err => {
+        if (controller.signal.aborted) {
+          finish(job, { status: "cancelled", error: null });
+        } else if (isRetryable(err) && job.attempts <= options.maxRetries) {
+          // Exponential backoff with jitter so parallel jobs do not retry in lockstep.
+          const delay = Math.min(MAX_BACKOFF, BASE_BACKOFF * 2 ** (job.attempts - 1)) * (0.5 + Math.random() / 2);
+          controllers.delete(job.id);
+          Object.assign(job, { status: "retrying", error: err.message, retryAt: Date.now() + delay, retryDelay: delay });
+          timers.set(job.id, setTimeout(() => {
+            timers.delete(job.id);
+            Object.assign(job, { status: "queued", retryAt: null });
+            pump();
+          }, delay));
+          emit();
+        } else {
+          finish(job, { status: "failed", error: err.message || "Analysis failed" });
+        }
+      });
+  };
+
+  const pump = () => {
+    const running = [...jobs.values()].filter(job => job.status === "running").length;
+    const queued = [...jobs.values()].filter(job => job.status === "queued");
+    let slots = options.concurrency - running;
+    blocked = false;
+    for (const job of queued) {
+      if (slots <= 0) break;
+      if (!canStart()) {
+        blocked = true;
+        break;
+      }
+      start(job);
+      slots -= 1;
+    }
+    emit();
+  };
+
+  const stop = (job) => {
+    clearTimeout(timers.get(job.id));
+    timers.delete(job.id);
+    controllers.get(job.id)?.abort();
+  };
+
+  return {
+    // Queues a job unless one with the same key is still active. Returns the job id.
+    add: (key, label, payload) => {
+      const existing = [...jobs.values()].find(job => job.key === key);
+      if (isActiveJob(existing)) return existing.id;
+      if (existing) jobs.delete(existing.id);
+
+      const job = { id: nextId++, key, label, payload, status: "queued", attempts: 0, error: null, retryAt: null, queuedAt: Date.now() };
+      jobs.set(job.id, job);
+      pump();
+      return job.id;
+    },
+    cancel: (id) => {
+      const job = jobs.get(id);
+      if (!isActiveJob(job)) return;
+      // A running job settles as "cancelled" once its request aborts.
+      if (job.status !== "running") Object.assign(job, { status: "cancelled", retryAt: null, finishedAt: Date.now() });
+      stop(job);
+      pump();
+    },
+    retry: (id) => {
+      const job = jobs.get(id);
+      if (!job || isActiveJob(job)) return;
+      Object.assign(job, { status: "queued", attempts: 0, error: null, finishedAt: null, queuedAt: Date.now() });
+      pump();
+    },
+    cancelAll: () => {
+      jobs.forEach(job => {
+        if (!isActiveJob(job)) return;
+        if (job.status !== "running") Object.assign(job, { status: "cancelled", retryAt: null, finishedAt: Date.now() });
+        stop(job);
+      });
+      pump();
+    },
+    // Drops finished jobs from the list; failed ones stay so their errors remain visible.
+    clearFinished: () => {
+      jobs.forEach((job, id) => {
+        if (job.status === "done" || job.status === "cancelled") jobs.delete(id);
+      });
+      emit();
+    },
+    // Also re-checks `canStart`, so raising the budget resumes a paused queue.
+    setOptions: (next) => {
+      Object.assign(options, next);
+      pump();
+    },
+    close: () => {
+      jobs.forEach(stop);
+      jobs.clear();
+    }
+  };
+};
@@ -0,0 +1,62 @@
+// --- LLM Provider Layer ---
+// Every provider takes the same request shape ({ prompt, systemPrompt, json, search })
+// and resolves to plain text, so the research and analysis phases can each run
+// against a different backend without knowing how it is called. The calls themselves run on
+// the local API server, which holds the keys and base URLs (server/config.js); the browser
+// only picks a provider and model per phase.
+
+import { PROVIDERS } from './llmProviders';
+import { getApiJson, postApiJson } from './api';
+
+export { PROVIDERS };
+
+const SETTINGS_KEY = "polysoccer.llmSettings";
+
+export const DEFAULT_LLM_SETTINGS = {
+  research: { provider: "gemini", model: PROVIDERS.gemini.defaultModel },
+  analysis: { provider: "gemini", model: PROVIDERS.gemini.defaultModel }
+};
+
+export const loadLlmSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null");
+    if (!stored) return DEFAULT_LLM_SETTINGS;
+    return {
+      research: { ...DEFAULT_LLM_SETTINGS.research, ...stored.research },
+      analysis: { ...DEFAULT_LLM_SETTINGS.analysis, ...stored.analysis }
+    };
+  } catch {
+    return DEFAULT_LLM_SETTINGS;
+  }
+};
+
+export const saveLlmSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// Which providers the server has credentials for: { [providerId]: boolean }.
+export const fetchProviderStatus = async () => (await getApiJson("/api/config")).providers;
+
+// Runs one phase ("research" or "analysis") with whatever provider the settings assign to it.
+// Resolves to { text, usage, grounding, provider, model, searched }; `signal` aborts the request.
+export const generateText = async (settings, phase, request, { signal } = {}) => {
+  const { provider: providerId, model: configuredModel } = settings[phase];
+  const provider = PROVIDERS[providerId];
+  if (!provider) throw new Error(`Unknown LLM provider: ${providerId}`);
+
+  return postApiJson("/api/analyze", {
+    provider: providerId,
+    model: configuredModel || provider.defaultModel,
+    prompt: request.prompt,
+    systemPrompt: request.systemPrompt,
+    json: Boolean(request.json),
+    search: Boolean(request.search)
+  }, { signal });
+};
+
+export const formatModelLabel = (modelInfo) => {
+  if (!modelInfo) return "-";
+  // Ensemble analyses (lib/ensemble) run on several models at once.
+  const label = modelInfo.provider === "ensemble" ? "Ensemble" : PROVIDERS[modelInfo.provider]?.label || modelInfo.provider;
+  return `${label} · ${modelInfo.model}`;
+};
@@ -0,0 +1,124 @@
+// --- LLM Providers ---
+// Every provider takes the same request shape ({ prompt, systemPrompt, json, search }) and
+// resolves to { text, usage, grounding }, where usage is { inputTokens, outputTokens } as
+// reported by the backend (zeros when it reports nothing) and grounding describes the web
+// sources behind a searched answer (null without search, see lib/grounding). This module holds
+// no keys or settings and touches no browser APIs: it runs on the local API server
+// (server/api.js), which supplies each provider's connection.
+
+const postJson = async (url, body, headers = {}) => {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+
+  let data = null;
+  try {
+    data = await res.json();
+  } catch {
+    data = null;
+  }
+
+  if (!res.ok || data?.error) {
+    const message = data?.error?.message || data?.error || `HTTP ${res.status}`;
+    const error = new Error(typeof message === "string" ? message : JSON.stringify(message));
+    // Lets callers tell rate limits and outages (worth retrying) from bad requests.
+    error.status = res.ok ? 500 : res.status;
+    throw error;
+  }
+  return data;
+};
+
+const toUsage = (inputTokens, outputTokens) => ({ inputTokens: inputTokens || 0, outputTokens: outputTokens || 0 });
+
+// Gemini's groundingMetadata, trimmed to what we keep. `sources` stay aligned with the chunk
+// indices that `supports` refer to; segments are matched by text, not by offset.
+const toGrounding = (meta) => {
+  if (!meta) return null;
+  return {
+    queries: meta.webSearchQueries || [],
+    sources: (meta.groundingChunks || []).map(chunk => ({
+      uri: chunk.web?.uri || "",
+      title: chunk.web?.title || chunk.web?.domain || ""
+    })),
+    supports: (meta.groundingSupports || [])
+      .map(support => ({ text: support.segment?.text || "", sourceIndices: support.groundingChunkIndices || [] }))
+      .filter(support => support.text && support.sourceIndices.length > 0)
+  };
+};
+
+const toChatMessages = ({ prompt, systemPrompt }) => [
+  ...(systemPrompt ? [{ role: "system", content: systemPrompt }] : []),
+  { role: "user", content: prompt }
+];
+
+export const PROVIDERS = {
+  gemini: {
+    label: "Gemini",
+    defaultModel: "gemini-2.5-flash-preview-09-2025",
+    supportsSearch: true,
+    needsKey: true,
+    generate: async ({ model, apiKey }, { prompt, systemPrompt, json, search }) => {
+      const body = { contents: [{ parts: [{ text: prompt }] }] };
+      if (search) body.tools = [{ googleSearch: {} }];
+      if (systemPrompt) body.systemInstruction = { parts: [{ text: systemPrompt }] };
+      if (json) body.generationConfig = { responseMimeType: "application/json" };
+
+      // The key goes in a header so it never shows up in URLs or proxy logs.
+      const data = await postJson(
+        `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent`,
+        body,
+        { 'x-goog-api-key': apiKey }
+      );
+      const usage = data.usageMetadata || {};
+      const candidate = data.candidates?.[0];
+      return {
+        text: candidate?.content?.parts?.map(p => p.text || "").join("") || "",
+        grounding: toGrounding(candidate?.groundingMetadata),
+        // Thinking tokens are billed as output.
+        usage: toUsage(usage.promptTokenCount, (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0))
+      };
+    }
+  },
+
+  openai: {
+    label: "OpenAI-compatible",
+    defaultModel: "gpt-4o-mini",
+    supportsSearch: false,
+    needsKey: true,
+    generate: async ({ model, apiKey, baseUrl }, { prompt, systemPrompt, json }) => {
+      const body = { model, messages: toChatMessages({ prompt, systemPrompt }) };
+      if (json) body.response_format = { type: "json_object" };
+
+      const data = await postJson(
+        `${baseUrl.replace(/\/$/, "")}/chat/completions`,
+        body,
+        apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+      );
+      return {
+        text: data.choices?.[0]?.message?.content || "",
+        grounding: null,
+        usage: toUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens)
+      };
+    }
+  },
+
+  local: {
+    label: "Local (Ollama)",
+    defaultModel: "llama3.1",
+    supportsSearch: false,
+    needsKey: false,
+    generate: async ({ model, baseUrl }, { prompt, systemPrompt, json }) => {
+      const body = { model, messages: toChatMessages({ prompt, systemPrompt }), stream: false };
+      if (json) body.format = "json";
+
+      const data = await postJson(`${baseUrl.replace(/\/$/, "")}/api/chat`, body);
+      return {
+        text: data.message?.content || "",
+        grounding: null,
+        usage: toUsage(data.prompt_eval_count, data.eval_count)
+      };
+    }
+  }
+};
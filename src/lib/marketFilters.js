@@ -0,0 +1,108 @@
+// --- Market Filters ---
+// Which events the market list loads. The filters travel to the API server as a query on
+// `/api/markets`, and the server turns them into gamma `/events` params (server/markets.js),
+// so filtering happens before paging instead of on whatever the first page returned.
+
+const SETTINGS_KEY = "polysoccer.marketFilters";
+
+// Polymarket tag slugs; "soccer" spans every league.
+export const LEAGUES = {
+  soccer: "All leagues",
+  epl: "Premier League",
+  "la-liga": "La Liga",
+  bundesliga: "Bundesliga",
+  "serie-a": "Serie A",
+  "ligue-1": "Ligue 1",
+  ucl: "Champions League",
+  mls: "MLS"
+};
+
+// Days ahead of now an event may end; 0 means no upper bound.
+export const DATE_WINDOWS = {
+  0: "Any date",
+  1: "Next 24h",
+  3: "Next 3 days",
+  7: "Next 7 days",
+  30: "Next 30 days"
+};
+
+// Dollar floors offered for liquidity and volume.
+export const MONEY_FLOORS = [0, 1000, 10000, 50000, 100000, 500000];
+
+export const DEFAULT_MARKET_FILTERS = {
+  league: "soccer",
+  days: 0,
+  minLiquidity: 0,
+  minVolume: 0
+};
+
+const toFloor = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+};
+
+// Coerces anything (stored settings, query params) into a valid filter set.
+export const normalizeMarketFilters = (raw = {}) => ({
+  league: Object.hasOwn(LEAGUES, raw.league) ? raw.league : DEFAULT_MARKET_FILTERS.league,
+  days: Object.hasOwn(DATE_WINDOWS, String(raw.days)) ? Number(raw.days) : DEFAULT_MARKET_FILTERS.days,
+  minLiquidity: toFloor(raw.minLiquidity),
+  minVolume: toFloor(raw.minVolume)
+});
+
+// Query string for `/api/markets`; default values are left out so the common case shares a
+// cache entry on the server.
+export const marketFiltersQuery = (filters) => {
+  const params = new URLSearchParams();
+  Object.entries(normalizeMarketFilters(filters)).forEach(([key, value]) => {
+    if (value !== DEFAULT_MARKET_FILTERS[key]) params.set(key, value);
+  });
+  return params.toString();
+};
+
+export const parseMarketFilters = (searchParams) => normalizeMarketFilters(Object.fromEntries(searchParams));
+
+// Filters from a shared link (the page's query string), or null when the link carries none.
+export const readMarketFiltersFromQuery = (search) => {
+  const params = new URLSearchParams(search);
+  return Object.keys(DEFAULT_MARKET_FILTERS).some(key => params.has(key)) ? parseMarketFilters(params) : null;
+};
+
+// Mirrors the filters onto `params` (a URLSearchParams), leaving other params alone.
+export const writeMarketFiltersToQuery = (filters, params) => {
+  const query = new URLSearchParams(marketFiltersQuery(filters));
+  Object.keys(DEFAULT_MARKET_FILTERS).forEach(key => {
+    if (query.has(key)) params.set(key, query.get(key));
+    else params.delete(key);
+  });
+  return params;
+};
+
+// Gamma `/events` params for one filter set, without paging. Only open events that have not
+// ended yet are requested, busiest first.
+export const gammaEventParams = (filters, now = new Date()) => {
+  const { league, days, minLiquidity, minVolume } = normalizeMarketFilters(filters);
+  const params = new URLSearchParams({
+    tag_slug: league,
+    active: "true",
+    closed: "false",
+    order: "volume24hr",
+    ascending: "false",
+    end_date_min: now.toISOString()
+  });
+  if (days > 0) params.set("end_date_max", new Date(now.getTime() + days * 86400000).toISOString());
+  if (minLiquidity > 0) params.set("liquidity_min", minLiquidity);
+  if (minVolume > 0) params.set("volume_min", minVolume);
+  return params;
+};
+
+export const loadMarketFilters = () => {
+  try {
+    return normalizeMarketFilters(JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}"));
+  } catch {
+    return DEFAULT_MARKET_FILTERS;
+  }
+};
+
+export const saveMarketFilters = (filters) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(filters));
+};
@@ -0,0 +1,201 @@
+// --- Live Market Stream ---
+// Subscribes to Polymarket's CLOB market channel for a set of outcome tokens and reports price
+// moves as { [tokenId]: price }. Dropped sockets reconnect with exponential backoff; when
+// sockets keep failing (blocked networks, proxies) the stream falls back to polling until a
+// connection delivers again. Status goes to `onStatus`:
+//   "connecting" | "live" | "reconnecting" | "polling" | "offline"
+
+export const MARKET_WS_URL = import.meta.env.VITE_MARKET_WS_URL || "wss://ws-subscriptions-clob.polymarket.com/ws/market";
+
+const PING_INTERVAL = 10000;     // the channel drops clients that stay silent
+const BASE_BACKOFF = 1000;
+const MAX_BACKOFF = 30000;
+const POLL_AFTER_FAILURES = 3;   // consecutive sockets that closed before any message, then poll
+export const POLL_INTERVAL = 30000;
+
+// Polymarket shows the midpoint unless the spread is wider than this, then the last trade.
+const MAX_DISPLAY_SPREAD = 0.1;
+
+const toPrice = (value) => {
+  const parsed = parseFloat(value);
+  return parsed >= 0 && parsed <= 1 ? parsed : null;
+};
+
+const bestLevel = (levels, pick) => {
+  const prices = (Array.isArray(levels) ? levels : []).map(l => toPrice(l.price)).filter(p => p != null);
+  return prices.length ? pick(...prices) : null;
+};
+
+export const displayPrice = ({ bid, ask, last }) => {
+  if (bid != null && ask != null && ask - bid <= MAX_DISPLAY_SPREAD) return (bid + ask) / 2;
+  return last ?? null;
+};
+
+// Folds one channel message into `quotes` ({ [tokenId]: { bid, ask, last } }) and returns the
+// token ids it touched. Handles full `book` snapshots, `price_change` deltas and trades.
+export const applyMessage = (quotes, message) => {
+  const touched = [];
+  const update = (tokenId, patch) => {
+    if (!tokenId) return;
+    quotes[tokenId] = { ...quotes[tokenId], ...patch };
+    touched.push(tokenId);
+  };
+
+  switch (message?.event_type) {
+    case "book":
+      update(message.asset_id, { bid: bestLevel(message.bids, Math.max), ask: bestLevel(message.asks, Math.min) });
+      break;
+    case "price_change":
+      (message.price_changes || []).forEach(change => {
+        const patch = {};
+        if (change.best_bid != null) patch.bid = toPrice(change.best_bid);
+        if (change.best_ask != null) patch.ask = toPrice(change.best_ask);
+        update(change.asset_id, patch);
+      });
+      break;
+    case "last_trade_price":
+      update(message.asset_id, { last: toPrice(message.price) });
+      break;
+    default:
+      break;
+  }
+  return touched;
+};
+
+export const createMarketStream = ({ url = MARKET_WS_URL, onPrices, onStatus, poll, pollInterval = POLL_INTERVAL }) => {
+  const quotes = {};
+  let tokenIds = [];
+  let socket = null;
+  let failures = 0;
+  let retryTimer = null;
+  let pollTimer = null;
+  let status = null;
+  let closed = false;
+
+  const setStatus = (next) => {
+    if (next === status) return;
+    status = next;
+    onStatus?.(next);
+  };
+
+  const startPolling = () => {
+    if (pollTimer || !poll) return;
+    const run = () => poll()
+      .then(prices => onPrices(prices))
+      .catch(err => console.warn("Price poll failed:", err));
+    run();
+    pollTimer = setInterval(run, pollInterval);
+  };
+
+  const stopPolling = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  const handleMessage = (data) => {
+    if (data === "PONG") return;
+    let messages;
+    try {
+      messages = JSON.parse(data);
+    } catch {
+      return;
+    }
+    const touched = new Set((Array.isArray(messages) ? messages : [messages]).flatMap(m => applyMessage(quotes, m)));
+    const prices = {};
+    touched.forEach(tokenId => {
+      const price = displayPrice(quotes[tokenId]);
+      if (price != null) prices[tokenId] = price;
+    });
+    if (Object.keys(prices).length > 0) onPrices(prices);
+  };
+
+  const scheduleReconnect = () => {
+    if (closed || tokenIds.length === 0) return;
+    failures += 1;
+    if (failures >= POLL_AFTER_FAILURES) {
+      startPolling();
+      setStatus("polling");
+    } else {
+      setStatus("reconnecting");
+    }
+    // Exponential backoff with jitter so many tabs do not reconnect in lockstep.
+    const delay = Math.min(MAX_BACKOFF, BASE_BACKOFF * 2 ** (failures - 1)) * (0.5 + Math.random() / 2);
+    retryTimer = setTimeout(connect, delay);
+  };
+
+  const connect = () => {
+    retryTimer = null;
+    if (closed || tokenIds.length === 0) return;
+    if (failures === 0) setStatus("connecting");
+
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (err) {
+      console.warn("Market socket could not be opened:", err);
+      scheduleReconnect();
+      return;
+    }
+    socket = ws;
+    let pingTimer = null;
+    let delivered = false;
+
+    ws.onopen = () => {
+      ws.send(JSON.stringify({ assets_ids: tokenIds, type: "market" }));
+      pingTimer = setInterval(() => {
+        if (ws.readyState === WebSocket.OPEN) ws.send("PING");
+      }, PING_INTERVAL);
+    };
+    // Only a socket that delivers counts as working: one that opens and drops straight away
+    // keeps counting towards the polling fallback.
+    ws.onmessage = (event) => {
+      if (!delivered) {
+        delivered = true;
+        failures = 0;
+        stopPolling();
+        setStatus("live");
+      }
+      handleMessage(event.data);
+    };
+    ws.onerror = () => ws.close();
+    ws.onclose = () => {
+      clearInterval(pingTimer);
+      // A socket replaced by subscribe() or close() must not reconnect.
+      if (socket !== ws) return;
+      socket = null;
+      scheduleReconnect();
+    };
+  };
+
+  const disconnect = () => {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    const old = socket;
+    socket = null;
+    old?.close();
+  };
+
+  return {
+    // Replaces the subscribed token set; reconnects so the channel sees the new list. Failures
+    // carry over: they say whether sockets work here, not which tokens were asked for.
+    subscribe: (ids) => {
+      const next = [...new Set(ids.filter(Boolean))].sort();
+      if (next.join(",") === tokenIds.join(",") && (socket || retryTimer)) return;
+      tokenIds = next;
+      disconnect();
+      if (tokenIds.length === 0) {
+        failures = 0;
+        stopPolling();
+        setStatus("offline");
+        return;
+      }
+      connect();
+    },
+    close: () => {
+      closed = true;
+      disconnect();
+      stopPolling();
+      setStatus("offline");
+    }
+  };
+};
@@ -0,0 +1,62 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createMarketStream } from './marketStream';
+
+// Sockets that open and then close again, optionally after delivering one message.
+class FlakySocket {
+  static OPEN = 1;
+  static deliver = false;
+
+  constructor() {
+    this.readyState = FlakySocket.OPEN;
+    setTimeout(() => {
+      this.onopen?.();
+      if (FlakySocket.deliver) this.onmessage?.({ data: "[]" });
+      this.close();
+    }, 0);
+  }
+
+  send() {}
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    setTimeout(() => this.onclose?.(), 0);
+  }
+}
+
+describe("createMarketStream", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubGlobal("WebSocket", FlakySocket);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  const run = async (deliver) => {
+    FlakySocket.deliver = deliver;
+    const statuses = [];
+    const poll = vi.fn(() => Promise.resolve({}));
+    const stream = createMarketStream({ onPrices: () => {}, onStatus: s => statuses.push(s), poll });
+    stream.subscribe(["token"]);
+    await vi.advanceTimersByTimeAsync(10000);
+    stream.close();
+    return { statuses, poll };
+  };
+
+  it("falls back to polling when sockets open and drop without delivering", async () => {
+    const { statuses, poll } = await run(false);
+    expect(statuses).toContain("polling");
+    expect(statuses).not.toContain("live");
+    expect(poll).toHaveBeenCalled();
+  });
+
+  it("keeps reconnecting without polling while each socket delivers", async () => {
+    const { statuses, poll } = await run(true);
+    expect(statuses).toContain("live");
+    expect(statuses).not.toContain("polling");
+    expect(poll).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,172 @@
+// --- Market Types ---
+// Groups an event's markets into analyzable sets of mutually exclusive outcomes: the 1X2
+// result, over/under totals, both-teams-to-score, handicaps, and outright (competition winner)
+// events. Every group has the same shape, so prompting, valuation, trading and settlement
+// work the same way for all of them:
+//   { id, type, title, line, outcomes: [{ key, label, price, marketId, outcomeIndex, tokenId, ... }] }
+
+import { parseJsonArray, classifyMarket } from './markets';
+import { parseMatch, splitMatchTitle, assignSide, buildOutcome, canonicalTeam, OUTCOME_KEYS } from './matchParser';
+
+export const MARKET_TYPES = {
+  "1x2": { label: "Match Result" },
+  totals: { label: "Total Goals" },
+  btts: { label: "Both Teams to Score" },
+  handicap: { label: "Handicap" },
+  outright: { label: "Outright" }
+};
+
+const formatLine = (line) => (line > 0 ? `+${line}` : `${line}`);
+
+const isYesNo = (names) => names.length === 2 && /^yes$/i.test(names[0]) && /^no$/i.test(names[1]);
+
+const totalsGroup = (market, line) => {
+  const names = parseJsonArray(market.outcomes);
+  const text = `${market.groupItemTitle || ""} ${market.question || ""}`;
+  // "Over"/"Under" outcomes, or a Yes/No question about one side of the line.
+  const overIndex = isYesNo(names) ? (/under/i.test(text) && !/over/i.test(text) ? 1 : 0) : names.findIndex(n => /over/i.test(n));
+  if (overIndex === -1) return null;
+  return {
+    id: `totals:${market.id}`,
+    type: "totals",
+    title: `Over/Under ${line} Goals`,
+    line,
+    outcomes: [
+      buildOutcome("over", `Over ${line}`, market, overIndex),
+      buildOutcome("under", `Under ${line}`, market, 1 - overIndex)
+    ]
+  };
+};
+
+const bttsGroup = (market) => ({
+  id: `btts:${market.id}`,
+  type: "btts",
+  title: "Both Teams to Score",
+  line: null,
+  outcomes: [
+    buildOutcome("yes", "Yes", market, 0),
+    buildOutcome("no", "No", market, 1)
+  ]
+});
+
+// Asian handicaps list the two teams as outcomes; European ones are a Yes/No question
+// about a single team covering the line.
+const handicapGroup = (market, line, teams) => {
+  const names = parseJsonArray(market.outcomes);
+  const title = market.groupItemTitle || market.question || "Handicap";
+
+  if (isYesNo(names)) {
+    return {
+      id: `handicap:${market.id}`,
+      type: "handicap",
+      kind: "european",
+      title: `European Handicap: ${title}`,
+      line,
+      outcomes: [
+        buildOutcome("yes", `${title}`, market, 0),
+        buildOutcome("no", `Not ${title}`, market, 1)
+      ]
+    };
+  }
+
+  if (!teams || names.length !== 2) return null;
+  const sides = names.map(name => assignSide(name, teams));
+  if (!sides[0] || !sides[1] || sides[0].side === sides[1].side) return null;
+
+  // The line in the title belongs to the first listed team; the other side gets its mirror.
+  const lineFor = (index) => (line == null ? "" : ` (${formatLine(index === 0 ? line : -line)})`);
+  return {
+    id: `handicap:${market.id}`,
+    type: "handicap",
+    kind: "asian",
+    title: `Asian Handicap ${line == null ? "" : formatLine(line)}`.trim(),
+    line,
+    outcomes: names.map((name, index) =>
+      buildOutcome(sides[index].side, `${teams[sides[index].side]}${lineFor(index)}`, market, index, sides[index].score)
+    )
+  };
+};
+
+const WILL_WIN_PATTERN = /^will\s+(.+?)\s+win\b/i;
+
+// Competition-winner events: one binary "Will <team> win <competition>?" market per team.
+const outrightGroup = (event) => {
+  const markets = (event.markets || []).filter(m => parseJsonArray(m.outcomes).length === 2);
+  const used = new Set();
+  const outcomes = markets
+    .map(market => {
+      const label = market.groupItemTitle || (market.question || "").match(WILL_WIN_PATTERN)?.[1];
+      if (!label) return null;
+      let key = canonicalTeam(label).replace(/ /g, "_") || `team_${market.id}`;
+      if (used.has(key)) key = `${key}_${market.id}`;
+      used.add(key);
+      return buildOutcome(key, label, market, 0);
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.price ?? 0) - (a.price ?? 0));
+
+  if (outcomes.length < 2) return null;
+  return { id: "outright", type: "outright", title: event.title, line: null, outcomes };
+};
+
+// Always Home / Draw / Away; outcomes the parser could not find keep their slot with no price,
+// so the model is still asked for all three and the card shows a gap rather than a wrong 0%.
+const resultGroup = (match) => ({
+  id: "1x2",
+  type: "1x2",
+  title: MARKET_TYPES["1x2"].label,
+  line: null,
+  outcomes: OUTCOME_KEYS.map(key => match.outcomes[key] || {
+    key,
+    label: key === "home" ? match.homeTeam : key === "away" ? match.awayTeam : "Draw",
+    price: null,
+    marketId: null,
+    outcomeIndex: 0,
+    tokenId: null
+  })
+});
+
+// Returns { kind: "match" | "outright" | "other", match, groups }. `match` is the 1X2 model from
+// parseMatch (null for outrights); for everything else `groups[0]` is the 1X2 group.
+export const parseEventMarkets = (event) => {
+  const teams = splitMatchTitle(event.title);
+
+  if (!teams) {
+    const outright = outrightGroup(event);
+    if (outright) return { kind: "outright", match: null, groups: [outright] };
+  }
+
+  const match = parseMatch(event);
+  const groups = [resultGroup(match)];
+
+  (event.markets || []).forEach(market => {
+    const classified = classifyMarket(market);
+    if (!classified) return;
+    let group = null;
+    if (classified.type === "totals") group = totalsGroup(market, classified.line);
+    else if (classified.type === "btts") group = bttsGroup(market);
+    else if (classified.type === "handicap") group = handicapGroup(market, classified.line, teams);
+    if (group) groups.push(group);
+  });
+
+  groups.sort((a, b) => {
+    const order = Object.keys(MARKET_TYPES);
+    return order.indexOf(a.type) - order.indexOf(b.type) || (a.line ?? 0) - (b.line ?? 0);
+  });
+
+  return { kind: teams ? "match" : "other", match, groups };
+};
+
+// Outright groups only list the contenders Polymarket has a market for. Without an "Other" or
+// field outcome the rest of the competition is missing, so their probabilities need not sum to 100.
+const FIELD_LABEL_PATTERN = /^(?:other|any other|the field|field)\b/i;
+
+export const isPartialField = (group) =>
+  group.type === "outright" && !group.outcomes.some(o => FIELD_LABEL_PATTERN.test(o.label));
+
+// Where a group's analysis is stored. The 1X2 analysis is keyed by the home market id (the event
+// id when the parser found no home market); every other market group by event and group id.
+export const analysisKeyFor = (event, match, group) => {
+  if (group.type === "1x2") return match.outcomes.home?.marketId || match.eventId;
+  return `${event.id}:${group.id}`;
+};
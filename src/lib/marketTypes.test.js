@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { parseEventMarkets, analysisKeyFor, isPartialField } from './marketTypes';
+
+const yesNo = (id, fields) => ({ id, outcomes: "[\"Yes\", \"No\"]", ...fields });
+
+describe("parseEventMarkets", () => {
+  it("groups binary match markets into 1X2 plus totals and BTTS", () => {
+    const event = {
+      id: "e1",
+      title: "Arsenal vs. Chelsea - Premier League",
+      markets: [
+        yesNo("home", { groupItemTitle: "Arsenal", outcomePrices: "[\"0.5\", \"0.5\"]" }),
+        yesNo("draw", { groupItemTitle: "Draw", outcomePrices: "[\"0.26\", \"0.74\"]" }),
+        yesNo("away", { groupItemTitle: "Chelsea", outcomePrices: "[\"0.26\", \"0.74\"]" }),
+        { id: "ou", question: "Arsenal vs Chelsea: O/U 2.5", groupItemTitle: "O/U 2.5", outcomes: "[\"Over\", \"Under\"]", outcomePrices: "[\"0.55\", \"0.45\"]" },
+        yesNo("btts", { question: "Both teams to score?", outcomePrices: "[\"0.6\", \"0.4\"]" })
+      ]
+    };
+    const { kind, match, groups } = parseEventMarkets(event);
+    expect(kind).toBe("match");
+    expect(groups.map(g => g.type)).toEqual(["1x2", "totals", "btts"]);
+    expect(groups[0].outcomes.map(o => [o.key, o.price])).toEqual([["home", 0.5], ["draw", 0.26], ["away", 0.26]]);
+    expect(groups[1].outcomes.map(o => [o.key, o.price])).toEqual([["over", 0.55], ["under", 0.45]]);
+    expect(analysisKeyFor(event, match, groups[0])).toBe("home");
+    expect(analysisKeyFor(event, match, groups[1])).toBe("e1:totals:ou");
+  });
+
+  it("reads a single three-outcome market as the 1X2 group", () => {
+    const { kind, groups } = parseEventMarkets({
+      id: "e2",
+      title: "Real Madrid vs Barcelona",
+      markets: [{ id: "m1", outcomes: "[\"Real Madrid\", \"Draw\", \"Barcelona\"]", outcomePrices: "[\"0.45\", \"0.25\", \"0.30\"]" }]
+    });
+    expect(kind).toBe("match");
+    expect(groups).toHaveLength(1);
+    expect(groups[0].outcomes.map(o => [o.key, o.outcomeIndex, o.price])).toEqual([["home", 0, 0.45], ["draw", 1, 0.25], ["away", 2, 0.3]]);
+  });
+
+  it("keeps a slot without price for outcomes the parser did not find", () => {
+    const { groups } = parseEventMarkets({
+      id: "e3",
+      title: "Arsenal vs Chelsea",
+      markets: [yesNo("home", { groupItemTitle: "Arsenal", outcomePrices: "[\"0.5\", \"0.5\"]" })]
+    });
+    expect(groups[0].outcomes.map(o => [o.key, o.price])).toEqual([["home", 0.5], ["draw", null], ["away", null]]);
+  });
+
+  it("treats competition-winner events as outrights, favourites first", () => {
+    const { kind, match, groups } = parseEventMarkets({
+      id: "e4",
+      title: "Premier League Winner",
+      markets: [
+        yesNo("a", { question: "Will Arsenal win the Premier League?", outcomePrices: "[\"0.3\", \"0.7\"]" }),
+        yesNo("b", { groupItemTitle: "Man City", outcomePrices: "[\"0.45\", \"0.55\"]" }),
+        yesNo("c", { groupItemTitle: "Liverpool", outcomePrices: "[\"0.2\", \"0.8\"]" })
+      ]
+    });
+    expect(kind).toBe("outright");
+    expect(match).toBeNull();
+    expect(groups[0].type).toBe("outright");
+    expect(groups[0].outcomes.map(o => [o.key, o.label])).toEqual([
+      ["manchester_city", "Man City"],
+      ["arsenal", "Arsenal"],
+      ["liverpool", "Liverpool"]
+    ]);
+    expect(isPartialField(groups[0])).toBe(true);
+  });
+});
+
+describe("isPartialField", () => {
+  const outright = (labels) => ({ type: "outright", outcomes: labels.map(label => ({ label })) });
+
+  it("treats outrights with an Other or field outcome as complete", () => {
+    expect(isPartialField(outright(["Arsenal", "Other"]))).toBe(false);
+    expect(isPartialField(outright(["Arsenal", "Any other team"]))).toBe(false);
+    expect(isPartialField(outright(["Arsenal", "The Field"]))).toBe(false);
+  });
+
+  it("only applies to outrights", () => {
+    expect(isPartialField({ type: "1x2", outcomes: [{ label: "Arsenal" }, { label: "Draw" }, { label: "Chelsea" }] })).toBe(false);
+  });
+});
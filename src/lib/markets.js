@@ -0,0 +1,81 @@
+// --- Gamma Market Helpers ---
+// The gamma API returns `outcomes` / `outcomePrices` either as arrays or as JSON-encoded strings.
+
+export const parseJsonArray = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== "string") return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+const BTTS_PATTERN = /both teams to score|\bbtts\b/i;
+const TOTALS_PATTERN = /\b(?:o\/u|over\/under|total goals?)\s*(\d+(?:\.\d+)?)|\b(?:over|under)\s+(\d+(?:\.\d+)?)\s+goals?/i;
+const HANDICAP_PATTERN = /\b(?:spread|handicap)\b|\(\s*[+-]\d+(?:\.\d+)?\s*\)/i;
+const LINE_PATTERN = /([+-]\d+(?:\.\d+)?)/;
+
+// Recognises side markets inside a match event from their title / question. Returns
+// { type: "btts" | "totals" | "handicap", line } or null for 1X2 and anything unknown.
+export const classifyMarket = (market) => {
+  const text = `${market.groupItemTitle || ""} ${market.question || ""}`;
+  if (BTTS_PATTERN.test(text)) return { type: "btts", line: null };
+
+  const totals = text.match(TOTALS_PATTERN);
+  if (totals) return { type: "totals", line: parseFloat(totals[1] || totals[2]) };
+
+  if (HANDICAP_PATTERN.test(text)) {
+    const line = (market.groupItemTitle || text).match(LINE_PATTERN);
+    return { type: "handicap", line: line ? parseFloat(line[1]) : null };
+  }
+  return null;
+};
+
+// An outcome is identified by its market and its position in that market's `outcomes` array
+// (0 is YES for binary markets). Prices, positions and settlements are all keyed this way.
+export const outcomeRef = (marketId, outcomeIndex = 0) => `${marketId}:${outcomeIndex}`;
+
+// Current price of every outcome of every market in the given events, keyed by outcomeRef.
+export const outcomePriceMap = (events) => {
+  const prices = {};
+  events.forEach(event => {
+    (event.markets || []).forEach(market => {
+      parseJsonArray(market.outcomePrices).forEach((value, index) => {
+        const price = parseFloat(value);
+        if (!isNaN(price)) prices[outcomeRef(market.id, index)] = price;
+      });
+    });
+  });
+  return prices;
+};
+
+// Current price of every outcome token in the given events, keyed by CLOB token id.
+export const tokenPriceMap = (events) => {
+  const prices = {};
+  events.forEach(event => {
+    (event.markets || []).forEach(market => {
+      const tokenIds = parseJsonArray(market.clobTokenIds);
+      parseJsonArray(market.outcomePrices).forEach((value, index) => {
+        const price = parseFloat(value);
+        if (tokenIds[index] && !isNaN(price)) prices[tokenIds[index]] = price;
+      });
+    });
+  });
+  return prices;
+};
+
+// Events with streamed token prices written into `outcomePrices`. Markets without a streamed
+// price (and events without such markets) are returned as-is.
+export const applyTokenPrices = (events, prices) => events.map(event => {
+  let changed = false;
+  const markets = (event.markets || []).map(market => {
+    const tokenIds = parseJsonArray(market.clobTokenIds);
+    if (!tokenIds.some(id => prices[id] != null)) return market;
+    changed = true;
+    const current = parseJsonArray(market.outcomePrices);
+    return { ...market, outcomePrices: tokenIds.map((id, i) => (prices[id] != null ? String(prices[id]) : current[i])) };
+  });
+  return changed ? { ...event, markets } : event;
+});
@@ -0,0 +1,244 @@
+// --- 1X2 Match Parser ---
+// Turns a gamma event into a normalized match model. Polymarket lists a soccer match either as
+// three binary YES/NO markets ("Will Arsenal win?", "... end in a draw?") or as one market with
+// three outcomes. Team names differ between title and markets ("Man City" vs "Manchester City",
+// "FC" suffixes, accents), so names are matched through the alias table and a fuzzy score,
+// and the result carries a confidence so bad parses can be flagged instead of shown as 0%.
+
+// Explicit extensions: the API server imports this module directly (server/sportsData.js).
+import { TEAM_ALIASES } from './teamAliases.js';
+import { parseJsonArray, classifyMarket } from './markets.js';
+
+export const OUTCOME_KEYS = ["home", "draw", "away"];
+
+// Below this a name is not considered a match for a team at all.
+const MIN_NAME_SCORE = 0.6;
+// Below this the card is flagged as a low-confidence parse.
+export const LOW_CONFIDENCE = 0.75;
+
+const AFFIXES = new Set(["fc", "cf", "afc", "sc", "ac", "as", "ss", "ssc", "sl", "fk", "sk", "cd", "ud", "rc", "bc", "club", "calcio", "the"]);
+
+export const normalizeTeamName = (name) => (name || "")
+  .normalize("NFD")
+  .replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase()
+  .replace(/ß/g, "ss")
+  .replace(/&/g, " ")
+  .replace(/[^a-z0-9 ]/g, " ")
+  .split(/\s+/)
+  .filter(token => token && !AFFIXES.has(token))
+  .join(" ");
+
+const ALIAS_LOOKUP = (() => {
+  const lookup = {};
+  Object.entries(TEAM_ALIASES).forEach(([canonical, aliases]) => {
+    const key = normalizeTeamName(canonical);
+    lookup[key] = key;
+    aliases.forEach(alias => { lookup[normalizeTeamName(alias)] = key; });
+  });
+  return lookup;
+})();
+
+export const canonicalTeam = (name) => {
+  const normalized = normalizeTeamName(name);
+  return ALIAS_LOOKUP[normalized] || normalized;
+};
+
+const bigrams = (text) => {
+  const compact = text.replace(/ /g, "");
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+  return grams;
+};
+
+// Sørensen–Dice coefficient over character bigrams.
+const diceScore = (a, b) => {
+  const gramsA = bigrams(a);
+  const gramsB = bigrams(b);
+  if (gramsA.length === 0 || gramsB.length === 0) return a === b ? 1 : 0;
+  const counts = {};
+  gramsA.forEach(g => { counts[g] = (counts[g] || 0) + 1; });
+  let overlap = 0;
+  gramsB.forEach(g => {
+    if (counts[g] > 0) {
+      counts[g] -= 1;
+      overlap += 1;
+    }
+  });
+  return (2 * overlap) / (gramsA.length + gramsB.length);
+};
+
+// 0-1 similarity between two team names. Alias hits score 1; one name being a whole-word
+// prefix or suffix of the other ("Brighton" / "Brighton Hove Albion") scores 0.9.
+export const teamSimilarity = (a, b) => {
+  const canonA = canonicalTeam(a);
+  const canonB = canonicalTeam(b);
+  if (!canonA || !canonB) return 0;
+  if (canonA === canonB) return 1;
+
+  const [shorter, longer] = canonA.length <= canonB.length ? [canonA, canonB] : [canonB, canonA];
+  if (longer.startsWith(`${shorter} `) || longer.endsWith(` ${shorter}`)) return 0.9;
+
+  return diceScore(canonA, canonB);
+};
+
+export const splitMatchTitle = (title) => {
+  // " - " introduces trailing context ("Arsenal vs. Chelsea - Premier League"), never the
+  // other team, so it goes before splitting on vs / v.
+  const parts = (title || "").replace(/\s+[-–]\s+.*$/, "").split(/\s+(?:vs\.?|v\.?)\s+/i);
+  if (parts.length !== 2) return null;
+  // Drop trailing context such as "(Nov 2)" or ": Match Odds".
+  const clean = (part) => part.replace(/\s*\(.*?\)\s*$/, "").replace(/\s*[:|].*$/, "").trim();
+  const [home, away] = parts.map(clean);
+  return home && away ? { home, away } : null;
+};
+
+const DRAW_PATTERN = /\bdraw\b|\btie\b/i;
+
+// The team a YES/NO market is about: its groupItemTitle, or "Will <team> win ..." in the question.
+const marketSubject = (market) => {
+  if (market.groupItemTitle) return market.groupItemTitle.trim();
+  const match = (market.question || "").match(/^will\s+(.+?)\s+win\b/i);
+  return match ? match[1] : null;
+};
+
+const toNumberOrNull = (value) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+
+export const buildOutcome = (key, label, market, index, matchScore = 1) => {
+  const price = toNumberOrNull(parseJsonArray(market.outcomePrices)[index]);
+  const isYesSide = index === 0;
+  return {
+    key,
+    label,
+    price,
+    marketId: market.id,
+    outcomeIndex: index,
+    tokenId: parseJsonArray(market.clobTokenIds)[index] || null,
+    // gamma's bestBid / bestAsk describe the first (YES) outcome of the market only.
+    bestBid: isYesSide ? toNumberOrNull(market.bestBid) : null,
+    bestAsk: isYesSide ? toNumberOrNull(market.bestAsk) : null,
+    matchScore
+  };
+};
+
+// Picks home or away for a team name; null unless it clearly matches one side better.
+export const assignSide = (name, teams) => {
+  const home = teamSimilarity(name, teams.home);
+  const away = teamSimilarity(name, teams.away);
+  const score = Math.max(home, away);
+  if (score < MIN_NAME_SCORE || home === away) return null;
+  return { side: home > away ? "home" : "away", score };
+};
+
+const parseBinaryMarkets = (markets, teams, issues) => {
+  const outcomes = {};
+  const used = new Set();
+
+  const take = (key, outcome) => {
+    if (outcomes[key] && outcomes[key].matchScore >= outcome.matchScore) return;
+    if (outcomes[key]) issues.push(`Several markets matched ${key}; kept the closest name`);
+    outcomes[key] = outcome;
+  };
+
+  markets.forEach(market => {
+    if (parseJsonArray(market.outcomes).length > 2 || classifyMarket(market)) return;
+    const subject = marketSubject(market);
+    const isDraw = DRAW_PATTERN.test(market.groupItemTitle || "") || /end in a draw/i.test(market.question || "");
+
+    if (isDraw) {
+      take("draw", buildOutcome("draw", "Draw", market, 0, 1));
+      used.add(market.id);
+      return;
+    }
+    if (!subject) return;
+
+    const assigned = assignSide(subject, teams);
+    if (assigned) {
+      take(assigned.side, buildOutcome(assigned.side, teams[assigned.side], market, 0, assigned.score));
+      used.add(market.id);
+    }
+  });
+
+  return { outcomes, used };
+};
+
+// A single market whose outcomes are the two teams and "Draw".
+const parseMultiOutcomeMarket = (markets, teams) => {
+  for (const market of markets) {
+    const names = parseJsonArray(market.outcomes);
+    if (names.length < 3) continue;
+
+    const outcomes = {};
+    names.forEach((name, index) => {
+      if (DRAW_PATTERN.test(name)) {
+        outcomes.draw = buildOutcome("draw", "Draw", market, index, 1);
+        return;
+      }
+      const assigned = assignSide(name, teams);
+      if (assigned && !outcomes[assigned.side]) {
+        outcomes[assigned.side] = buildOutcome(assigned.side, teams[assigned.side], market, index, assigned.score);
+      }
+    });
+    if (Object.keys(outcomes).length >= 2) return { outcomes, used: new Set([market.id]) };
+  }
+  return null;
+};
+
+const scoreConfidence = ({ titleParsed, outcomes }, issues) => {
+  let confidence = titleParsed ? 1 : 0.5;
+
+  OUTCOME_KEYS.forEach(key => {
+    const outcome = outcomes[key];
+    if (!outcome) {
+      issues.push(`No market found for ${key}`);
+      confidence *= 0.5;
+    } else if (outcome.price == null) {
+      issues.push(`No price for ${key}`);
+      confidence *= 0.7;
+    } else {
+      confidence *= 0.85 + 0.15 * outcome.matchScore;
+    }
+  });
+
+  const prices = OUTCOME_KEYS.map(key => outcomes[key]?.price).filter(p => p != null);
+  if (prices.length === 3) {
+    const sum = prices.reduce((a, b) => a + b, 0);
+    if (sum < 0.85 || sum > 1.2) {
+      issues.push(`Outcome prices sum to ${(sum * 100).toFixed(0)}%`);
+      confidence *= 0.7;
+    }
+  }
+
+  return Number(confidence.toFixed(2));
+};
+
+export const parseMatch = (event) => {
+  const issues = [];
+  const markets = Array.isArray(event.markets) ? event.markets : [];
+  const split = splitMatchTitle(event.title);
+  if (!split) issues.push("Could not split the title into home and away teams");
+  const teams = split || { home: "Home", away: "Away" };
+
+  const binary = parseBinaryMarkets(markets, teams, issues);
+  const parsed = Object.keys(binary.outcomes).length > 0 ? binary : (parseMultiOutcomeMarket(markets, teams) || binary);
+
+  const confidence = scoreConfidence({ titleParsed: Boolean(split), outcomes: parsed.outcomes }, issues);
+
+  return {
+    eventId: event.id,
+    slug: event.slug,
+    title: event.title,
+    league: event.description || "Soccer",
+    kickoff: event.startTime || markets[0]?.gameStartTime || event.endDate || null,
+    homeTeam: teams.home,
+    awayTeam: teams.away,
+    outcomes: parsed.outcomes,
+    otherMarkets: markets.filter(m => !parsed.used.has(m.id)),
+    confidence,
+    lowConfidence: confidence < LOW_CONFIDENCE,
+    issues
+  };
+};
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import { parseMatch, splitMatchTitle, teamSimilarity, canonicalTeam, normalizeTeamName, LOW_CONFIDENCE } from './matchParser';
+import { TEAM_ALIASES } from './teamAliases';
+
+const market = (id, fields) => ({
+  id,
+  outcomes: "[\"Yes\", \"No\"]",
+  clobTokenIds: `["${id}-yes", "${id}-no"]`,
+  ...fields
+});
+
+const binaryEvent = (title, teams, prices = ["0.50", "0.25", "0.27"]) => ({
+  id: "e1",
+  title,
+  markets: [
+    market("m-home", { groupItemTitle: teams[0], question: `Will ${teams[0]} win?`, outcomePrices: `["${prices[0]}", "0.5"]` }),
+    market("m-draw", { groupItemTitle: "Draw", question: "Will the match end in a draw?", outcomePrices: `["${prices[1]}", "0.75"]` }),
+    market("m-away", { groupItemTitle: teams[1], question: `Will ${teams[1]} win?`, outcomePrices: `["${prices[2]}", "0.73"]` })
+  ]
+});
+
+describe("splitMatchTitle", () => {
+  it("splits on vs, vs. and v", () => {
+    expect(splitMatchTitle("Arsenal vs Chelsea")).toEqual({ home: "Arsenal", away: "Chelsea" });
+    expect(splitMatchTitle("Arsenal vs. Chelsea")).toEqual({ home: "Arsenal", away: "Chelsea" });
+    expect(splitMatchTitle("Arsenal v Chelsea")).toEqual({ home: "Arsenal", away: "Chelsea" });
+  });
+
+  it("drops trailing competition and date context", () => {
+    expect(splitMatchTitle("Arsenal vs. Chelsea - Premier League")).toEqual({ home: "Arsenal", away: "Chelsea" });
+    expect(splitMatchTitle("Arsenal vs Chelsea (Nov 2)")).toEqual({ home: "Arsenal", away: "Chelsea" });
+    expect(splitMatchTitle("Arsenal vs Chelsea: Match Odds")).toEqual({ home: "Arsenal", away: "Chelsea" });
+  });
+
+  it("keeps hyphenated team names", () => {
+    expect(splitMatchTitle("Paris Saint-Germain vs Lyon")).toEqual({ home: "Paris Saint-Germain", away: "Lyon" });
+  });
+
+  it("returns null for titles that are not a fixture", () => {
+    expect(splitMatchTitle("Premier League Winner 2025-26")).toBeNull();
+    expect(splitMatchTitle("Arsenal - Chelsea")).toBeNull();
+    expect(splitMatchTitle("")).toBeNull();
+  });
+});
+
+describe("teamSimilarity", () => {
+  it("scores aliases as the same team", () => {
+    expect(teamSimilarity("Man City", "Manchester City")).toBe(1);
+    expect(teamSimilarity("Spurs", "Tottenham Hotspur")).toBe(1);
+  });
+
+  it("ignores accents, case and club affixes", () => {
+    expect(teamSimilarity("Atlético Madrid", "atletico madrid")).toBe(1);
+    expect(teamSimilarity("Arsenal FC", "Arsenal")).toBe(1);
+  });
+
+  it("scores whole-word prefixes and suffixes highly", () => {
+    expect(teamSimilarity("Aston Villa", "Villa")).toBe(0.9);
+  });
+
+  it("keeps different clubs apart", () => {
+    expect(teamSimilarity("Manchester City", "Manchester United")).toBeLessThan(0.9);
+    expect(teamSimilarity("Arsenal", "Chelsea")).toBeLessThan(0.6);
+    expect(teamSimilarity("", "Chelsea")).toBe(0);
+  });
+});
+
+describe("alias table", () => {
+  it("maps every alias to its canonical name", () => {
+    Object.entries(TEAM_ALIASES).forEach(([canonical, aliases]) => {
+      aliases.forEach(alias => expect(canonicalTeam(alias), alias).toBe(normalizeTeamName(canonical)));
+    });
+  });
+
+  it("never lists one alias for two clubs", () => {
+    const owners = {};
+    Object.entries(TEAM_ALIASES).forEach(([canonical, aliases]) => {
+      [canonical, ...aliases].map(normalizeTeamName).forEach(name => {
+        expect(owners[name] === undefined || owners[name] === canonical, `${name}: ${owners[name]} / ${canonical}`).toBe(true);
+        owners[name] = canonical;
+      });
+    });
+  });
+});
+
+describe("parseMatch", () => {
+  it("reads three binary markets, matching names through aliases", () => {
+    const match = parseMatch(binaryEvent("Manchester City vs Tottenham Hotspur", ["Man City", "Spurs"]));
+    expect(match.homeTeam).toBe("Manchester City");
+    expect(match.awayTeam).toBe("Tottenham Hotspur");
+    expect(match.outcomes.home).toMatchObject({ marketId: "m-home", price: 0.5, tokenId: "m-home-yes" });
+    expect(match.outcomes.draw).toMatchObject({ marketId: "m-draw", price: 0.25 });
+    expect(match.outcomes.away).toMatchObject({ marketId: "m-away", price: 0.27 });
+    expect(match.lowConfidence).toBe(false);
+    expect(match.otherMarkets).toEqual([]);
+  });
+
+  it("reads one market with three outcomes", () => {
+    const match = parseMatch({
+      id: "e2",
+      title: "Real Madrid vs Barcelona",
+      markets: [{
+        id: "m1",
+        outcomes: "[\"Barcelona\", \"Draw\", \"Real Madrid\"]",
+        outcomePrices: "[\"0.30\", \"0.25\", \"0.45\"]"
+      }]
+    });
+    expect(match.outcomes.home).toMatchObject({ marketId: "m1", outcomeIndex: 2, price: 0.45 });
+    expect(match.outcomes.draw).toMatchObject({ outcomeIndex: 1, price: 0.25 });
+    expect(match.outcomes.away).toMatchObject({ outcomeIndex: 0, price: 0.3 });
+    expect(match.confidence).toBeGreaterThanOrEqual(LOW_CONFIDENCE);
+  });
+
+  it("flags a missing outcome instead of pricing it at zero", () => {
+    const event = binaryEvent("Arsenal vs Chelsea", ["Arsenal", "Chelsea"]);
+    event.markets = event.markets.filter(m => m.id !== "m-draw");
+    const match = parseMatch(event);
+    expect(match.outcomes.draw).toBeUndefined();
+    expect(match.lowConfidence).toBe(true);
+    expect(match.issues).toContain("No market found for draw");
+  });
+
+  it("flags titles it cannot split", () => {
+    const match = parseMatch(binaryEvent("Arsenal - Chelsea", ["Arsenal", "Chelsea"]));
+    expect(match.issues).toContain("Could not split the title into home and away teams");
+    expect(match.lowConfidence).toBe(true);
+  });
+});
@@ -0,0 +1,26 @@
+// --- Polymarket Gamma API ---
+// Gamma is reached through the local API server, which proxies and caches it (server/api.js).
+// `/api/markets` is the soccer event list (every page, filtered server-side by
+// lib/marketFilters); `/api/gamma/events` takes any gamma events query.
+
+import { getApiJson } from './api';
+import { marketFiltersQuery } from './marketFilters';
+
+export const MARKETS_PATH = "/api/markets";
+export const GAMMA_EVENTS_PATH = "/api/gamma/events";
+
+// Resolves to the parsed JSON body. Failures are rethrown as they came (lib/api ApiError carries
+// the HTTP status and the server's message), so callers can show what went wrong.
+export const fetchGammaJson = async (path) => {
+  try {
+    return await getApiJson(path);
+  } catch (err) {
+    console.warn(`Gamma request failed for ${path}:`, err);
+    throw err;
+  }
+};
+
+export const marketsPath = (filters) => {
+  const query = marketFiltersQuery(filters);
+  return query ? `${MARKETS_PATH}?${query}` : MARKETS_PATH;
+};
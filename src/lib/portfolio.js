@@ -0,0 +1,142 @@
+// --- Paper Trading Portfolio ---
+// Simulated positions bought at the Polymarket YES price. A position holds `stake / entryPrice`
+// shares that pay $1 each if the outcome happens; it is marked to the latest price on refresh.
+
+import { putRecord, getAllRecords } from './db';
+import { outcomeRef } from './markets';
+import { isWinningOutcome } from './settlement';
+import { fillForStake } from './clob';
+import { kellyFraction as fullKelly } from './valuation';
+
+const STORE = "positions";
+const BANKROLL_KEY = "polysoccer.bankroll";
+
+export const DEFAULT_BANKROLL = 1000;
+
+export const SIZING_MODES = {
+  kelly: "Full Kelly",
+  fractional: "Fractional Kelly",
+  fixed: "Fixed Stake"
+};
+
+export const loadBankroll = () => {
+  const stored = parseFloat(localStorage.getItem(BANKROLL_KEY));
+  return isNaN(stored) ? DEFAULT_BANKROLL : stored;
+};
+
+export const saveBankroll = (bankroll) => {
+  localStorage.setItem(BANKROLL_KEY, String(bankroll));
+};
+
+export const loadPositions = () => getAllRecords(STORE);
+
+export const savePosition = (position) => putRecord(STORE, position);
+
+export const positionValue = (position) => {
+  const price = position.status === "open" ? position.markPrice ?? position.entryPrice : position.exitPrice;
+  return position.shares * price;
+};
+
+export const positionPnl = (position) => positionValue(position) - position.stake;
+
+// Kelly modes size off current equity; the stake is always capped at available cash.
+export const sizeStake = ({ mode, equity, cash, kelly, kellyFraction, fixedStake }) => {
+  let stake = 0;
+  if (mode === "kelly") stake = equity * kelly;
+  else if (mode === "fractional") stake = equity * kelly * kellyFraction;
+  else stake = fixedStake;
+  return Math.max(0, Math.min(cash, Number((stake || 0).toFixed(2))));
+};
+
+// Sizes a stake against the outcome's order book. A big stake walks up the asks, so Kelly is
+// recomputed at the volume-weighted fill price of the first sizing and the stake re-sized once
+// at that price. `probability` is the model's estimate in percent.
+export const sizeStakeAtFill = ({ asks, probability, ...sizing }) => {
+  const first = sizeStake(sizing);
+  if (!asks?.length || probability == null) return { stake: first, fill: null, kellyAtFill: null };
+
+  const firstFill = fillForStake(asks, first);
+  const kellyAtFill = firstFill.avgPrice != null ? fullKelly(probability / 100, firstFill.avgPrice) : sizing.kelly;
+  const stake = sizeStake({ ...sizing, kelly: kellyAtFill });
+  return { stake, fill: stake > 0 ? fillForStake(asks, stake) : null, kellyAtFill };
+};
+
+export const createPosition = ({ event, analysisKey, outcome, marketId, price, stake, sizing }) => {
+  const openedAt = new Date().toISOString();
+  return {
+    id: `${marketId}:${openedAt}`,
+    eventId: event.id,
+    eventTitle: event.title,
+    eventSlug: event.slug,
+    league: event.description || "Soccer",
+    analysisKey,
+    marketId,
+    outcomeIndex: outcome.outcomeIndex ?? 0,
+    tokenId: outcome.tokenId || null,
+    outcomeKey: outcome.key,
+    outcomeLabel: outcome.label,
+    entryPrice: price,
+    markPrice: price,
+    stake,
+    shares: stake / price,
+    sizing,
+    status: "open",
+    openedAt,
+    markedAt: openedAt
+  };
+};
+
+export const closePosition = (position, exitPrice) => ({
+  ...position,
+  status: "closed",
+  exitPrice,
+  closedAt: new Date().toISOString()
+});
+
+// Closes open positions on settled events at 1 (their outcome won) or 0.
+export const settlePositions = (positions, settlements) => positions
+  .filter(p => p.status === "open" && settlements[p.eventId])
+  .map(p => closePosition(p, isWinningOutcome(settlements[p.eventId], p.marketId, p.outcomeIndex) ? 1 : 0));
+
+// Returns only the open positions whose price actually changed, updated to the new mark.
+// `prices` is keyed by outcomeRef (see markets.outcomePriceMap).
+export const markPositions = (positions, prices) => {
+  const markedAt = new Date().toISOString();
+  const priceOf = (p) => prices[outcomeRef(p.marketId, p.outcomeIndex)];
+  return positions
+    .filter(p => p.status === "open" && priceOf(p) != null && priceOf(p) !== p.markPrice)
+    .map(p => ({ ...p, markPrice: priceOf(p), markedAt }));
+};
+
+const groupExposure = (positions, keyOf, labelOf) => {
+  const groups = {};
+  positions.forEach(p => {
+    const key = keyOf(p);
+    const group = groups[key] || (groups[key] = { key, label: labelOf(p), stake: 0, value: 0, count: 0 });
+    group.stake += p.stake;
+    group.value += positionValue(p);
+    group.count += 1;
+  });
+  return Object.values(groups).sort((a, b) => b.stake - a.stake);
+};
+
+export const summarizePortfolio = (positions, bankroll) => {
+  const open = positions.filter(p => p.status === "open");
+  const closed = positions.filter(p => p.status !== "open");
+
+  const openStake = open.reduce((sum, p) => sum + p.stake, 0);
+  const marketValue = open.reduce((sum, p) => sum + positionValue(p), 0);
+  const realizedPnl = closed.reduce((sum, p) => sum + positionPnl(p), 0);
+  const cash = bankroll - openStake + realizedPnl;
+
+  return {
+    cash,
+    openStake,
+    marketValue,
+    unrealizedPnl: marketValue - openStake,
+    realizedPnl,
+    equity: cash + marketValue,
+    byEvent: groupExposure(open, p => p.eventId, p => p.eventTitle),
+    byLeague: groupExposure(open, p => p.league, p => p.league)
+  };
+};
@@ -0,0 +1,83 @@
+// --- Price History & Steam ---
+// Per-outcome-token price series: backfilled from the CLOB prices-history endpoint, extended
+// with our own snapshots as prices refresh or stream in, and stored in IndexedDB. Points are
+// { t: epoch seconds, p: price 0-1 }, oldest first.
+
+import { CLOB_API } from './clob';
+import { putRecord, getRecord } from './db';
+
+const STORE = "priceHistory";
+
+const MAX_AGE = 14 * 24 * 3600;        // seconds of history kept per token
+const MAX_POINTS = 600;
+const MIN_SNAPSHOT_GAP = 60;           // seconds between our own snapshots of a moving price
+const MAX_SNAPSHOT_GAP = 15 * 60;      // ...and of a price that has not moved
+
+// A move of at least this many points inside the window is "steam": late money, often on
+// team news the research phase could not have seen.
+export const STEAM_THRESHOLD = 5;
+export const STEAM_WINDOW = 3600;
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Merges two point lists, keeping one point per timestamp and trimming old or excess points.
+export const mergePoints = (a, b) => {
+  const byTime = new Map();
+  [...a, ...b].forEach(point => {
+    if (point && Number.isFinite(point.t) && Number.isFinite(point.p)) byTime.set(point.t, point);
+  });
+  const cutoff = nowSeconds() - MAX_AGE;
+  return [...byTime.values()]
+    .filter(point => point.t >= cutoff)
+    .sort((x, y) => x.t - y.t)
+    .slice(-MAX_POINTS);
+};
+
+// Hourly points for the last week.
+export const fetchPriceHistory = async (tokenId, baseUrl = CLOB_API) => {
+  const res = await fetch(`${baseUrl}/prices-history?market=${encodeURIComponent(tokenId)}&interval=1w&fidelity=60`);
+  if (!res.ok) throw new Error(`Price history request failed (${res.status})`);
+  const data = await res.json();
+  return (data.history || []).map(point => ({ t: Number(point.t), p: Number(point.p) }));
+};
+
+export const loadHistory = async (tokenId) => (await getRecord(STORE, tokenId))?.points || [];
+
+export const saveHistory = (tokenId, points) =>
+  putRecord(STORE, { tokenId, points, updatedAt: new Date().toISOString() });
+
+// Appends `price` as a snapshot unless the last point is too recent. Returns the same array
+// when nothing was added.
+export const appendSnapshot = (points, price, t = nowSeconds()) => {
+  const last = points.at(-1);
+  if (last) {
+    const gap = t - last.t;
+    if (gap < MIN_SNAPSHOT_GAP) return points;
+    if (last.p === price && gap < MAX_SNAPSHOT_GAP) return points;
+  }
+  return mergePoints(points, [{ t, p: price }]);
+};
+
+// The largest move (in points) of the latest price against any price in the preceding window,
+// or null when it stays under the threshold.
+export const detectSteam = (points, { threshold = STEAM_THRESHOLD, window = STEAM_WINDOW } = {}) => {
+  const latest = points.at(-1);
+  if (!latest) return null;
+  const recent = points.filter(point => point.t >= latest.t - window && point.t < latest.t);
+  let steam = null;
+  recent.forEach(point => {
+    const move = (latest.p - point.p) * 100;
+    if (Math.abs(move) >= threshold && (!steam || Math.abs(move) > Math.abs(steam.move))) {
+      steam = { move, from: point.p, to: latest.p, since: point.t };
+    }
+  });
+  return steam;
+};
+
+// The strongest steam move among an event's outcomes ({ key, label, tokenId }), with the
+// outcome it happened on.
+export const eventSteam = (outcomes, histories) => outcomes.reduce((top, outcome) => {
+  const steam = outcome.tokenId ? detectSteam(histories[outcome.tokenId] || []) : null;
+  if (!steam || (top && Math.abs(top.move) >= Math.abs(steam.move))) return top;
+  return { ...steam, key: outcome.key, label: outcome.label };
+}, null);
@@ -0,0 +1,89 @@
+// --- Overround & Fair Odds ---
+// Polymarket prices across the outcomes of one event rarely sum to exactly 1: the excess (the
+// overround, or vig) is spread over the book in some unknown way. These helpers strip it out to
+// get no-vig "fair" probabilities, with the three usual assumptions about how it was spread.
+
+import { isPartialField } from './marketTypes';
+
+export const DEVIG_METHODS = {
+  none: "Raw prices",
+  multiplicative: "Multiplicative",
+  additive: "Additive",
+  shin: "Shin"
+};
+
+const SHIN_ITERATIONS = 100;
+const SHIN_TOLERANCE = 1e-9;
+
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+// Book overround as a fraction (0.032 = 3.2% over 100%); null without a complete set of prices.
+export const overround = (prices) => {
+  if (prices.length < 2 || prices.some(p => !(p > 0))) return null;
+  return sum(prices) - 1;
+};
+
+// Vig proportional to each price.
+const multiplicative = (prices) => {
+  const total = sum(prices);
+  return prices.map(p => p / total);
+};
+
+// Vig split equally between outcomes. Longshots can go negative; those are floored at 0 and
+// the rest re-normalised.
+const additive = (prices) => {
+  const excess = (sum(prices) - 1) / prices.length;
+  const fair = prices.map(p => Math.max(0, p - excess));
+  const total = sum(fair);
+  return total > 0 ? fair.map(p => p / total) : multiplicative(prices);
+};
+
+// Shin (1993): the bookmaker guards against a share z of insider money, which loads longshots
+// more than favourites. z is found by bisection so the fair probabilities sum to 1.
+const shinProbabilities = (prices, total, z) =>
+  prices.map(p => (Math.sqrt(z * z + (4 * (1 - z) * p * p) / total) - z) / (2 * (1 - z)));
+
+const shin = (prices) => {
+  const total = sum(prices);
+  if (total <= 1) return multiplicative(prices);
+
+  let low = 0;
+  let high = 0.5;
+  for (let i = 0; i < SHIN_ITERATIONS && high - low > SHIN_TOLERANCE; i++) {
+    const z = (low + high) / 2;
+    if (sum(shinProbabilities(prices, total, z)) > 1) low = z;
+    else high = z;
+  }
+  const fair = shinProbabilities(prices, total, (low + high) / 2);
+  // Remove what is left of the bisection error.
+  const fairTotal = sum(fair);
+  return fair.map(p => p / fairTotal);
+};
+
+const METHODS = { multiplicative, additive, shin };
+
+// Fair probabilities (0-1) for a list of prices, in the same order. Returns null when the
+// book is incomplete (a missing price) or the method is "none".
+export const devig = (prices, method = "multiplicative") => {
+  if (!METHODS[method] || overround(prices) == null) return null;
+  return METHODS[method](prices);
+};
+
+// Outcomes ({ price, ... }) with `fairPrice` attached (null when the book cannot be de-vigged),
+// plus the book overround.
+export const priceOutcomes = (outcomes, method = "multiplicative") => {
+  const prices = outcomes.map(o => o.price);
+  const fair = devig(prices, method);
+  return {
+    overround: overround(prices),
+    outcomes: outcomes.map((o, i) => ({ ...o, fairPrice: fair ? fair[i] : null }))
+  };
+};
+
+// priceOutcomes for a market group (lib/marketTypes). A partial outright field is not a whole
+// book: its prices sum to less than 1 for want of the missing contenders, not because of vig, so
+// they are taken as the fair prices and there is no overround.
+export const priceGroup = (group, method = "multiplicative") => {
+  if (!isPartialField(group)) return { ...priceOutcomes(group.outcomes, method), partial: false };
+  return { overround: null, partial: true, outcomes: group.outcomes.map(o => ({ ...o, fairPrice: o.price ?? null })) };
+};
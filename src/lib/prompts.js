@@ -0,0 +1,222 @@
+// --- Analysis Prompts ---
+// Research and analysis prompts for each market type (see lib/marketTypes). The model is only
+// ever asked for probabilities per outcome key; edge and staking are computed in lib/valuation.
+
+import { toPercent, formatSigned } from './format';
+import { isPartialField } from './marketTypes';
+
+const MATCH_FRAMEWORK = `
+      1. RECENT FORM & MOMENTUM (High Priority):
+        - Analyze the last 5 matches for both teams.
+        - CRITICAL: You MUST provide the exact scoreline for every match. Do not use "N/A". If a match happened, a score exists. Find it.
+        - Compare Home vs. Away performance splits.
+        - Look for variance in scoring.
+
+      2. ADVANCED METRICS (If data available or inferred):
+        - xG (Expected Goals) vs. Actual Goals: Identify regression to the mean candidates (e.g., a team overperforming their xG is likely to cool off).
+        - Defensive Solidity: Clean sheets, Shots Conceded per game.
+
+      3. TACTICAL & SQUAD CONTEXT:
+        - Injuries/Suspensions: Impact of missing key players (Star strikers or Captain CBs).
+        - Motivation: Title race vs. Relegation battle vs. "Dead Rubber" (mid-table match with nothing to play for).
+        - Schedule Congestion: Did they play a cup game 3 days ago?`;
+
+const OUTRIGHT_FRAMEWORK = `
+      1. CURRENT STANDINGS:
+        - Points, games played and goal difference of every listed contender.
+        - Points still available and the realistic gap each contender has to close.
+
+      2. STRENGTH & SCHEDULE:
+        - Underlying performance (xG difference, shot share) vs. league position.
+        - Difficulty of each contender's remaining fixtures, including direct meetings.
+
+      3. SQUAD CONTEXT:
+        - Long-term injuries, depth, and competing priorities (European or cup runs).`;
+
+const MATCH_FORM_SCHEMA = `
+        "match_analysis": {
+          "home_team_last_5": [{ "opponent": "string", "score": "string", "result": "W/L/D" }],
+          "away_team_last_5": [{ "opponent": "string", "score": "string", "result": "W/L/D" }],
+          "tactical_matchup": "string (1 sentence on how styles clash)"
+        },`;
+
+// What the model is asked to estimate, per market type.
+const ESTIMATION_TASKS = {
+  "1x2": () => "Estimate your own true probability for each of Home Win, Draw and Away Win.",
+  totals: (group) => `Estimate the probability that the match finishes Over vs. Under ${group.line} total goals (regular time only).`,
+  btts: () => "Estimate the probability that BOTH teams score at least one goal (regular time only) vs. at least one team failing to score.",
+  handicap: (group) => group.kind === "european"
+    ? `Estimate the probability that "${group.outcomes[0].label}" happens once the handicap is applied to the final score, vs. it not happening.`
+    : "Estimate the probability that each side covers its handicap: add the line to that team's goals and compare with the opponent's.",
+  outright: () => "Estimate each listed contender's true probability of winning the competition."
+};
+
+const PREDICTION_EXAMPLES = {
+  "1x2": "'Arsenal Win'",
+  totals: "'Over 2.5 Goals'",
+  btts: "'Both Teams to Score: Yes'",
+  handicap: "'Arsenal -1.5'",
+  outright: "'Arsenal to win the league'"
+};
+
+// Analyst personas for ensemble members (lib/ensemble): the same framework and schema with a
+// different emphasis, so members disagree for reasons and not only by sampling noise.
+export const PERSONAS = {
+  balanced: { label: "Balanced", focus: "" },
+  stats: {
+    label: "Stats-focused",
+    focus: "Weigh the numbers above everything else: xG, shot data, goal rates, home/away splits and base rates for this kind of fixture. Discount narratives the data does not support."
+  },
+  tactics: {
+    label: "Tactics-focused",
+    focus: "Weigh the matchup above everything else: playing styles, pressing and build-up, set pieces, how absences change the way each side plays, and motivation."
+  },
+  skeptic: {
+    label: "Market skeptic",
+    focus: "Start from the no-vig market probabilities and assume the market is efficient. Move away from them only as far as specific, verifiable facts in the research justify."
+  }
+};
+
+const outcomeSchema = (group) => group.outcomes
+  .map(o => `          "${o.key}": "number (0-100, your true probability of: ${o.label})"`)
+  .join(",\n");
+
+// `persona` is a PERSONAS key; ensemble members each get their own.
+export const buildSystemPrompt = (group, persona = "balanced") => {
+  const isMatch = group.type !== "outright";
+  const focus = PERSONAS[persona]?.focus;
+  return `
+      You are an elite Sports Handicapper and Quantitative Data Scientist specializing in football (soccer) markets.
+
+      YOUR OBJECTIVE:
+      Identify strictly +EV (Positive Expected Value) betting opportunities by comparing your proprietary "True Odds" against the "Bookmaker Implied Probabilities."
+${focus ? `
+      YOUR ANALYST ROLE:
+      ${focus}
+` : ""}
+      YOUR ANALYTICAL FRAMEWORK:
+      Before generating the JSON output, you must internally process the following variables. If specific data is missing, make reasonable estimates based on team tier and historical norms, but prioritize recent data.
+${isMatch ? MATCH_FRAMEWORK : OUTRIGHT_FRAMEWORK}
+
+      4. PROBABILITY ESTIMATION:
+        - ${ESTIMATION_TASKS[group.type](group)}
+        - ${isPartialField(group)
+          ? "These contenders are not the whole field: give each its own probability, so together they sum to at most 100."
+          : "The probabilities must sum to 100."}
+        - Do NOT compute edge, Kelly stakes or value verdicts; those are derived from your probabilities and the market prices.
+
+      OUTPUT INSTRUCTIONS:
+      You must output ONLY valid JSON. Do not include markdown formatting or conversational filler outside the JSON object.
+
+      JSON SCHEMA:
+      {${isMatch ? MATCH_FORM_SCHEMA : ""}
+        "prediction": {
+          "outcome": "string (e.g., ${PREDICTION_EXAMPLES[group.type]})",
+          "predicted_scoreline": "string (e.g., '2-1'${isMatch ? "" : ", or empty for outrights"})"
+        },
+        "outcome_probabilities": {
+${outcomeSchema(group)}
+        },
+        "confidence_rating": "number (1-10, based on data availability and volatility)",
+        "key_insights": [
+          "string (e.g., 'Home team averages 2.4 goals/game at home')",
+          "string (e.g., 'Away team has lost 4 of last 5 away matches')",
+          "string (e.g., 'H2H: Home team has won 3 consecutive meetings')",
+          "string (e.g., 'Implied Probability 45% vs Model 60%')"
+        ],
+        "risk_factors": ["string", "string"]
+      }
+    `;
+};
+
+// Extra facts worth researching for goal-based markets.
+const GOALS_RESEARCH = `
+        5. Goal Profile: goals scored and conceded per game (home/away split), xG for and against,
+           and how often each team's recent matches went over 2.5 goals or saw both teams score.`;
+
+// `verified` is structured match data from lib/sportsData ({ source, text }), when the source
+// covers both teams; the model then only fills in what it lacks.
+export const buildResearchPrompt = (event, group, today, verified = null) => {
+  if (group.type === "outright") {
+    return `
+        Research the competition: ${event.title} (${event.description || "Soccer"}).
+
+        Find the following specific information as of ${today}:
+        1. The current standings: points, games played and goal difference for these contenders:
+           ${group.outcomes.map(o => o.label).join(", ")}.
+        2. Remaining fixtures for the leading contenders, including matches between them.
+        3. Key long-term injuries and squad news.
+        4. Recent form (last 5 league matches) of the leading contenders.
+
+        Provide a concise summary of these facts. Do NOT make predictions yet. Validate all data to ensure it is accurate.
+      `;
+  }
+
+  if (verified) {
+    return `
+        Research the upcoming match: ${event.title} (${event.description}).
+
+        VERIFIED DATA (from ${verified.source}; these results, tables and meetings are correct, do not look them up again):
+${verified.text}
+
+        Find the following specific information as of ${today}:
+        1. Matches either team played after the newest one listed above (check YESTERDAY and TODAY), with exact scores.
+        2. Key Injuries and Suspensions, beyond any listed above.
+        3. Motivation/Context (title race, relegation, cup priorities, schedule congestion).${group.type === "1x2" ? "" : GOALS_RESEARCH}
+
+        Provide a concise summary that repeats the verified data and adds these facts. Do NOT make predictions yet. Never contradict the verified data.
+      `;
+  }
+
+  return `
+        Research the upcoming match: ${event.title} (${event.description}).
+
+        Find the following specific information:
+        1. Recent Form (Last 5 matches) for both teams as of ${today}.
+           - CRITICAL: Check specifically for matches played YESTERDAY or TODAY. Do not miss them.
+           - Include ALL competitions (League, Cup, Friendlies).
+           - List each match with Date, Opponent, EXACT Score (e.g. 2-1), and Result (W/L/D).
+           - Do NOT return "N/A" for scores. If the match was played, find the score.
+        2. Key Injuries and Suspensions.
+        3. Head-to-Head record (Last 5 meetings).
+        4. Motivation/Context (League standings, Cup relevance).${group.type === "1x2" ? "" : GOALS_RESEARCH}
+
+        Provide a concise summary of these facts. Do NOT make predictions yet. Validate all data to ensure it is accurate.
+      `;
+};
+
+const describeOutcome = (group, outcome) => {
+  if (group.type !== "1x2") return outcome.label;
+  if (outcome.key === "draw") return "Draw";
+  return `${outcome.key === "home" ? "Home" : "Away"} (${outcome.label})`;
+};
+
+const describePrice = (outcome, partial) => {
+  const raw = `${toPercent(outcome.price)}%`;
+  return outcome.fairPrice != null && !partial ? `${raw} (no-vig fair ${toPercent(outcome.fairPrice)}%)` : raw;
+};
+
+// `group.outcomes` carry `fairPrice` from lib/pricing; `overround` is the book's excess over 100%.
+// `partial` marks a field without an Other outcome (lib/pricing priceGroup), priced as it is.
+// `cited` means the research carries [n] source markers (lib/grounding); `verified` is the
+// structured match data the research was given, if any.
+export const buildAnalysisPrompt = ({ event, group, question, today, researchData, cited, verified, overround, devigMethod, partial = false }) => `
+        Analyze this Soccer Market:
+        Event: ${event.title}
+        League/Category: ${event.description || "Soccer"}
+        Date: ${today}
+        Market: ${group.title}
+        Market Question: ${question}
+
+        The possible outcomes and their current market probabilities (implied odds) are:
+        ${group.outcomes.map(o => `${describeOutcome(group, o)}: ${describePrice(o, partial)}`).join(",\n        ")}
+        ${partial ? "These are only the listed contenders, so their prices sum to less than 100% and need no de-vigging; compare your estimates against them directly." : ""}
+        ${overround != null ? `Book overround: ${formatSigned(overround * 100)}%. Fair probabilities remove it (${devigMethod} method); compare your estimates against those.` : ""}
+
+        VERIFIED RESEARCH DATA:
+        ${researchData}
+        ${verified ? `VERIFIED MATCH DATA (from ${verified.source}; where the research disagrees, this is correct):\n${verified.text}` : ""}
+
+        Based on the verified research above, estimate your own true probability for each outcome.
+        ${cited ? "The research is numbered [n] against its web sources. End every key insight that rests on the research with the markers of its sources, e.g. 'Home side unbeaten in 6 home games [2, 4]'." : ""}
+      `;
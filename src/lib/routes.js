@@ -0,0 +1,22 @@
+// --- Client-Side Routes ---
+// The app has two pages, both served by index.html (the production server and Vite fall back
+// to it for unknown paths):
+//   /              the market grid; its filters live in the query string (lib/viewFilters)
+//   /event/:slug   one event in full (components/EventDetail), by its gamma slug
+
+const EVENT_PATTERN = /^\/event\/([^/]+)\/?$/;
+
+// { page: "grid" } or { page: "event", slug }.
+export const parseRoute = (pathname) => {
+  const match = pathname.match(EVENT_PATTERN);
+  return match ? { page: "event", slug: decodeURIComponent(match[1]) } : { page: "grid" };
+};
+
+export const eventPath = (slug) => `/event/${encodeURIComponent(slug)}`;
+
+// Plain clicks navigate in the app; modified or middle clicks keep the browser's behaviour
+// (new tab, new window) for links.
+export const isPlainClick = (e) => e.button === 0 && !e.metaKey && !e.ctrlKey && !e.shiftKey && !e.altKey;
+
+// Whether a click on a card landed on something that handles it itself.
+export const isInteractiveTarget = (target) => Boolean(target.closest?.("a, button, input, select, textarea, label"));
@@ -0,0 +1,74 @@
+// --- Settlement ---
+// Once an event leaves the live feed we look it up again with `closed=true` and record which
+// outcome of each market resolved. Analyses and paper positions are scored against that.
+
+import { GAMMA_EVENTS_PATH, fetchGammaJson } from './polymarket';
+import { parseJsonArray } from './markets';
+import { putRecord, getAllRecords } from './db';
+
+const STORE = "settlements";
+const BATCH_SIZE = 20;
+// A resolved outcome trades at (or reports) 1; anything this high is treated as the winner.
+const RESOLVED_PRICE = 0.99;
+
+const winningIndex = (market) =>
+  parseJsonArray(market.outcomePrices).findIndex(price => parseFloat(price) >= RESOLVED_PRICE);
+
+// Builds a settlement from a closed gamma event, or null if no market has resolved yet.
+// `resolutions` maps market id -> index of the outcome that won.
+export const buildSettlement = (event) => {
+  if (!event?.closed || !Array.isArray(event.markets)) return null;
+  const resolutions = {};
+  event.markets.forEach(market => {
+    const index = winningIndex(market);
+    if (index !== -1) resolutions[market.id] = index;
+  });
+  if (Object.keys(resolutions).length === 0) return null;
+  return {
+    eventId: event.id,
+    eventTitle: event.title,
+    closedAt: event.closedTime || event.endDate || null,
+    resolutions,
+    winningMarketIds: Object.keys(resolutions).filter(id => resolutions[id] === 0),
+    resolvedAt: new Date().toISOString()
+  };
+};
+
+// Settlements stored before `resolutions` existed only list the markets that resolved YES.
+export const isWinningOutcome = (settlement, marketId, outcomeIndex = 0) => {
+  if (!settlement) return false;
+  if (!settlement.resolutions) return outcomeIndex === 0 && settlement.winningMarketIds.includes(marketId);
+  return settlement.resolutions[marketId] === outcomeIndex;
+};
+
+// Which outcome key won among `outcomes` ([{ key, marketId, outcomeIndex }]), or null if
+// none of their markets has resolved.
+export const resolvedOutcomeKey = (outcomes, settlement) => {
+  if (!settlement || !outcomes) return null;
+  const winner = outcomes.find(o => o.marketId && isWinningOutcome(settlement, o.marketId, o.outcomeIndex ?? 0));
+  return winner ? winner.key : null;
+};
+
+export const loadSettlements = async () => {
+  const records = await getAllRecords(STORE);
+  return Object.fromEntries(records.map(r => [r.eventId, r]));
+};
+
+// Queries gamma for the given event ids in batches and persists any that have resolved.
+export const settleEvents = async (eventIds) => {
+  const settled = [];
+  for (let i = 0; i < eventIds.length; i += BATCH_SIZE) {
+    const batch = eventIds.slice(i, i + BATCH_SIZE).map(String);
+    const query = batch.map(id => `id=${encodeURIComponent(id)}`).join("&");
+    const data = await fetchGammaJson(`${GAMMA_EVENTS_PATH}?closed=true&limit=${batch.length}&${query}`);
+    if (!Array.isArray(data)) continue;
+
+    for (const event of data) {
+      const settlement = buildSettlement(event);
+      if (!settlement || !batch.includes(String(event.id))) continue;
+      await putRecord(STORE, settlement);
+      settled.push(settlement);
+    }
+  }
+  return settled;
+};
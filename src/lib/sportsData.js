@@ -0,0 +1,55 @@
+// --- Verified Sports Data ---
+// Recent form, table position, injuries and head-to-head from the server's sports-data source
+// (server/sportsData.js). When a match is covered, the research prompt gets these as facts and
+// the form tiles show them instead of the scores the model recalled.
+
+import { getApiJson, ApiError } from './api';
+
+// Resolves to the match data, or null when no source is configured or it lacks either team.
+export const fetchMatchData = async (match, { signal } = {}) => {
+  const query = new URLSearchParams({ home: match.homeTeam, away: match.awayTeam });
+  try {
+    return await getApiJson(`/api/sports/match?${query}`, { signal });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    // 404 just means "not covered"; anything else is worth a look but never blocks research.
+    if (!(err instanceof ApiError && err.status === 404)) console.warn("Sports data unavailable:", err.message);
+    return null;
+  }
+};
+
+const formatDay = (iso) => iso.slice(0, 10);
+
+const describeTeam = (team) => {
+  const lines = [`${team.name}${team.competition ? ` (${team.competition})` : ""}`];
+  if (team.standing) {
+    const s = team.standing;
+    lines.push(`  Table: position ${s.position}, ${s.points} pts from ${s.played} games (W${s.won} D${s.drawn} L${s.lost}, GD ${s.goalDifference})`);
+  }
+  lines.push("  Last matches (newest first):");
+  team.form.forEach(f => {
+    lines.push(`  - ${formatDay(f.date)} ${f.venue === "H" ? "vs" : "at"} ${f.opponent}: ${f.score} (${f.result})${f.competition ? `, ${f.competition}` : ""}`);
+  });
+  if (team.injuries) {
+    lines.push(team.injuries.length
+      ? `  Unavailable: ${team.injuries.map(i => `${i.player}${i.reason ? ` (${i.reason})` : ""}`).join(", ")}`
+      : "  Unavailable: none reported");
+  }
+  return lines.join("\n");
+};
+
+// The data as a prompt block.
+export const describeMatchData = (data) => [
+  describeTeam(data.home),
+  describeTeam(data.away),
+  data.h2h.length
+    ? `Head-to-head (newest first):\n${data.h2h.map(m => `  - ${formatDay(m.date)} ${m.home} ${m.score} ${m.away}`).join("\n")}`
+    : "Head-to-head: no meetings in the data"
+].join("\n\n");
+
+// Verified form in the shape of the analysis' last-5 lists, for the form tiles.
+export const formTiles = (form) => form.map(f => ({
+  opponent: `${f.opponent} (${f.venue})`,
+  score: f.score,
+  result: f.result
+}));
@@ -0,0 +1,83 @@
+// --- Team Alias Table ---
+// Canonical club name -> names Polymarket titles and market questions use for it.
+// Everything is compared after normalizeTeamName (accents, case and "FC"-style affixes removed),
+// so only genuinely different spellings need listing here.
+
+export const TEAM_ALIASES = {
+  // England
+  "manchester city": ["man city", "mcfc", "man c"],
+  "manchester united": ["man united", "man utd", "man u", "mufc"],
+  "tottenham hotspur": ["tottenham", "spurs"],
+  "wolverhampton wanderers": ["wolves", "wolverhampton"],
+  "brighton hove albion": ["brighton", "brighton and hove albion"],
+  "newcastle united": ["newcastle", "newcastle utd"],
+  "west ham united": ["west ham"],
+  "nottingham forest": ["nottm forest", "nott forest", "forest"],
+  "sheffield united": ["sheffield utd", "sheff utd"],
+  "leeds united": ["leeds"],
+  "leicester city": ["leicester"],
+  "ipswich town": ["ipswich"],
+  "luton town": ["luton"],
+  "afc bournemouth": ["bournemouth"],
+  "crystal palace": ["palace"],
+  "queens park rangers": ["qpr"],
+  "west bromwich albion": ["west brom", "wba"],
+
+  // Spain
+  "real madrid": ["madrid"],
+  "barcelona": ["barca", "fcb"],
+  "atletico madrid": ["atletico", "atleti", "atletico de madrid", "club atletico de madrid"],
+  "athletic bilbao": ["athletic club", "athletic"],
+  "real sociedad": ["la real"],
+  "real betis": ["betis", "real betis balompie"],
+  "celta vigo": ["celta", "rc celta"],
+  "deportivo alaves": ["alaves"],
+  "rayo vallecano": ["rayo"],
+
+  // Germany
+  "bayern munich": ["bayern", "bayern munchen", "fc bayern"],
+  "borussia dortmund": ["dortmund", "bvb"],
+  "borussia monchengladbach": ["monchengladbach", "gladbach", "borussia mgladbach"],
+  "bayer leverkusen": ["leverkusen", "bayer 04 leverkusen"],
+  "rb leipzig": ["leipzig", "rasenballsport leipzig"],
+  "eintracht frankfurt": ["frankfurt"],
+  "vfb stuttgart": ["stuttgart"],
+  "werder bremen": ["bremen"],
+  "1 fc koln": ["koln", "cologne", "fc cologne"],
+  "tsg hoffenheim": ["hoffenheim"],
+
+  // Italy
+  "internazionale": ["inter", "inter milan"],
+  "ac milan": ["milan"],
+  "juventus": ["juve"],
+  "as roma": ["roma"],
+  "ss lazio": ["lazio"],
+  "ssc napoli": ["napoli"],
+  "atalanta": ["atalanta bc"],
+  "hellas verona": ["verona"],
+
+  // France
+  "paris saint germain": ["psg", "paris sg", "paris"],
+  "olympique marseille": ["marseille", "om"],
+  "olympique lyonnais": ["lyon", "ol"],
+  "as monaco": ["monaco"],
+  "losc lille": ["lille"],
+  "stade rennais": ["rennes"],
+
+  // Portugal / Netherlands / Scotland
+  "sporting cp": ["sporting", "sporting lisbon"],
+  "benfica": ["sl benfica"],
+  "porto": ["fc porto"],
+  "psv eindhoven": ["psv"],
+  "ajax": ["ajax amsterdam", "afc ajax"],
+  "feyenoord": ["feyenoord rotterdam"],
+  "celtic": ["celtic glasgow"],
+  "rangers": ["glasgow rangers"],
+
+  // Americas
+  "inter miami": ["inter miami cf"],
+  "la galaxy": ["los angeles galaxy"],
+  "los angeles fc": ["lafc"],
+  "new york red bulls": ["ny red bulls", "red bulls"],
+  "new york city": ["nycfc", "new york city fc"]
+};
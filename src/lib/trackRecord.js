@@ -0,0 +1,153 @@
+// --- AI Track Record ---
+// Scores every settled analysis: proper scoring rules on the AI's full outcome distribution, plus
+// the betting view (hit rate and ROI of UNDERVALUED calls at the price the analysis saw). The
+// baseline model, where an analysis has one, is scored as a separate series on the same records.
+
+import { applyValuation } from './valuation';
+import { resolvedOutcomeKey } from './settlement';
+import { formatModelLabel } from './llm';
+import { MARKET_TYPES } from './marketTypes';
+
+const LOG_EPSILON = 1e-6;
+const CALIBRATION_BINS = 10;
+
+const CONFIDENCE_BUCKETS = [
+  { label: "1-3", max: 3 },
+  { label: "4-6", max: 6 },
+  { label: "7-8", max: 8 },
+  { label: "9-10", max: 10 }
+];
+
+const confidenceBucket = (rating) => (CONFIDENCE_BUCKETS.find(b => rating <= b.max) || CONFIDENCE_BUCKETS.at(-1)).label;
+
+// `probabilities` in percent, keyed like `valued`.
+const forecastOf = (valued, probabilities, resolvedKey) => valued.map(o => ({
+  key: o.key,
+  probability: (probabilities[o.key] ?? 0) / 100,
+  won: o.key === resolvedKey
+}));
+
+const brierScore = (predictions) => predictions.reduce((sum, p) => sum + (p.probability - (p.won ? 1 : 0)) ** 2, 0);
+
+const logLossScore = (predictions) => -Math.log(Math.max(predictions.find(p => p.won)?.probability ?? 0, LOG_EPSILON));
+
+// Returns null for records whose event has not settled or whose markets we cannot map.
+export const scoreRecord = (record, settlement, valueSettings) => {
+  // Older records only stored the 1X2 market ids alongside the prices.
+  const outcomes = (record.prices || []).map(o => ({ ...o, marketId: o.marketId ?? record.marketIds?.[o.key] }));
+  const resolvedKey = resolvedOutcomeKey(outcomes, settlement);
+  if (!resolvedKey) return null;
+
+  const graded = applyValuation(record.result, valueSettings);
+  const valued = graded.valuation?.outcomes || [];
+  if (valued.length === 0) return null;
+
+  // `o.probability` is whatever edge is measured with (possibly the baseline or a blend); the
+  // scoring rules grade the AI's own estimate.
+  const predictions = forecastOf(valued, Object.fromEntries(valued.map(o => [o.key, o.aiProbability])), resolvedKey);
+  const baselineProbabilities = graded.metadata?.baseline?.probabilities;
+  const baselinePredictions = baselineProbabilities && forecastOf(valued, baselineProbabilities, resolvedKey);
+
+  const calls = valued
+    .filter(o => o.status === "UNDERVALUED")
+    .map(o => ({ key: o.key, price: o.price, stake: o.fractionalKelly, won: o.key === resolvedKey }));
+
+  return {
+    record,
+    resolvedKey,
+    predictions,
+    brier: brierScore(predictions),
+    logLoss: logLossScore(predictions),
+    baseline: baselinePredictions ? { brier: brierScore(baselinePredictions), logLoss: logLossScore(baselinePredictions) } : null,
+    calls,
+    league: record.league || "Soccer",
+    // Analyses from before non-1X2 markets were supported are all match results.
+    marketType: MARKET_TYPES[graded.metadata?.marketType || "1x2"]?.label || graded.metadata.marketType,
+    confidence: confidenceBucket(graded.confidence_rating),
+    model: formatModelLabel(record.models?.analysis)
+  };
+};
+
+const betProfit = (stake, price, won) => (won ? stake * (1 / price - 1) : -stake);
+
+export const summarizeScores = (scored) => {
+  const count = scored.length;
+  const calls = scored.flatMap(s => s.calls);
+  const hits = calls.filter(c => c.won).length;
+
+  const flatStaked = calls.length;
+  const flatProfit = calls.reduce((sum, c) => sum + betProfit(1, c.price, c.won), 0);
+  const kellyStaked = calls.reduce((sum, c) => sum + c.stake, 0);
+  const kellyProfit = calls.reduce((sum, c) => sum + betProfit(c.stake, c.price, c.won), 0);
+  const baselines = scored.map(s => s.baseline).filter(Boolean);
+
+  return {
+    count,
+    brier: count ? scored.reduce((sum, s) => sum + s.brier, 0) / count : null,
+    logLoss: count ? scored.reduce((sum, s) => sum + s.logLoss, 0) / count : null,
+    undervaluedCalls: calls.length,
+    hits,
+    hitRate: calls.length ? hits / calls.length : null,
+    flatRoi: flatStaked ? flatProfit / flatStaked : null,
+    flatProfit,
+    kellyRoi: kellyStaked ? kellyProfit / kellyStaked : null,
+    kellyProfit,
+    baseline: {
+      count: baselines.length,
+      brier: baselines.length ? baselines.reduce((sum, b) => sum + b.brier, 0) / baselines.length : null,
+      logLoss: baselines.length ? baselines.reduce((sum, b) => sum + b.logLoss, 0) / baselines.length : null
+    }
+  };
+};
+
+// Every outcome probability is one forecast: bin them and compare against observed frequency.
+export const calibrationCurve = (scored) => {
+  const bins = Array.from({ length: CALIBRATION_BINS }, (_, i) => ({
+    from: i * (100 / CALIBRATION_BINS),
+    to: (i + 1) * (100 / CALIBRATION_BINS),
+    count: 0,
+    predictedSum: 0,
+    wins: 0
+  }));
+
+  scored.flatMap(s => s.predictions).forEach(p => {
+    const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(p.probability * CALIBRATION_BINS))];
+    bin.count += 1;
+    bin.predictedSum += p.probability;
+    if (p.won) bin.wins += 1;
+  });
+
+  return bins.map(({ from, to, count, predictedSum, wins }) => ({
+    from,
+    to,
+    count,
+    predicted: count ? predictedSum / count : null,
+    observed: count ? wins / count : null
+  }));
+};
+
+const breakdown = (scored, keyOf) => {
+  const groups = {};
+  scored.forEach(s => (groups[keyOf(s)] = groups[keyOf(s)] || []).push(s));
+  return Object.entries(groups)
+    .map(([key, items]) => ({ key, ...summarizeScores(items) }))
+    .sort((a, b) => b.count - a.count);
+};
+
+// `records` are stored analysis records; `settlements` is keyed by event id.
+export const buildTrackRecord = (records, settlements, valueSettings) => {
+  const scored = records
+    .map(record => scoreRecord(record, settlements[record.eventId], valueSettings))
+    .filter(Boolean);
+
+  return {
+    totalAnalyses: records.length,
+    pending: records.filter(r => !settlements[r.eventId]).length,
+    overall: summarizeScores(scored),
+    calibration: calibrationCurve(scored),
+    byLeague: breakdown(scored, s => s.league),
+    byMarketType: breakdown(scored, s => s.marketType),
+    byConfidence: breakdown(scored, s => s.confidence),
+    byModel: breakdown(scored, s => s.model)
+  };
+};
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { scoreRecord, summarizeScores } from './trackRecord';
+import { DEFAULT_VALUE_SETTINGS } from './valuation';
+import { buildSettlement } from './settlement';
+
+const record = (baseline) => ({
+  eventId: "e1",
+  prices: [
+    { key: "home", label: "Home", price: 0.4, marketId: "m-home" },
+    { key: "draw", label: "Draw", price: 0.3, marketId: "m-draw" },
+    { key: "away", label: "Away", price: 0.3, marketId: "m-away" }
+  ],
+  result: {
+    outcome_probabilities: { home: 60, draw: 20, away: 20 },
+    confidence_rating: 7,
+    metadata: {
+      outcomes: [
+        { key: "home", label: "Home", price: 0.4 },
+        { key: "draw", label: "Draw", price: 0.3 },
+        { key: "away", label: "Away", price: 0.3 }
+      ],
+      ...(baseline && { baseline: { probabilities: baseline } })
+    }
+  }
+});
+
+const homeWin = buildSettlement({ id: "e1", closed: true, markets: [{ id: "m-home", outcomePrices: "[\"1\", \"0\"]" }, { id: "m-draw", outcomePrices: "[\"0\", \"1\"]" }, { id: "m-away", outcomePrices: "[\"0\", \"1\"]" }] });
+
+describe("scoreRecord", () => {
+  it("scores the AI estimate even when edge is measured against the baseline", () => {
+    const settings = { ...DEFAULT_VALUE_SETTINGS, probabilitySource: "model" };
+    const scored = scoreRecord(record({ home: 40, draw: 30, away: 30 }), homeWin, settings);
+    expect(scored.predictions.map(p => p.probability)).toEqual([0.6, 0.2, 0.2]);
+    expect(scored.brier).toBeCloseTo(0.16 + 0.04 + 0.04);
+    expect(scored.logLoss).toBeCloseTo(-Math.log(0.6));
+    expect(scored.baseline.brier).toBeCloseTo(0.36 + 0.09 + 0.09);
+    expect(scored.baseline.logLoss).toBeCloseTo(-Math.log(0.4));
+  });
+
+  it("reports the baseline series only over records that have one", () => {
+    const scored = [
+      scoreRecord(record({ home: 40, draw: 30, away: 30 }), homeWin, DEFAULT_VALUE_SETTINGS),
+      scoreRecord(record(null), homeWin, DEFAULT_VALUE_SETTINGS)
+    ];
+    expect(scored[1].baseline).toBeNull();
+    const summary = summarizeScores(scored);
+    expect(summary.count).toBe(2);
+    expect(summary.brier).toBeCloseTo(0.24);
+    expect(summary.baseline).toMatchObject({ count: 1 });
+    expect(summary.baseline.brier).toBeCloseTo(0.54);
+  });
+});
@@ -0,0 +1,54 @@
+// --- Token Usage & Cost ---
+// Model calls report token counts (lib/llmProviders); these helpers add them up and turn them
+// into an estimated dollar cost for the analysis budget. Prices are list prices in USD per
+// million tokens and only an estimate: free tiers, caching and search grounding are ignored.
+
+const MODEL_PRICES = [
+  { provider: "gemini", match: /flash-lite/, input: 0.1, output: 0.4 },
+  { provider: "gemini", match: /flash/, input: 0.3, output: 2.5 },
+  { provider: "gemini", match: /pro/, input: 1.25, output: 10 },
+  { provider: "openai", match: /gpt-4o-mini/, input: 0.15, output: 0.6 },
+  { provider: "openai", match: /gpt-4o/, input: 2.5, output: 10 },
+  { provider: "openai", match: /gpt-4\.1-mini/, input: 0.4, output: 1.6 },
+  { provider: "openai", match: /gpt-4\.1/, input: 2, output: 8 }
+];
+
+// Unknown models are priced like a mid-range hosted model; local models cost nothing.
+const FALLBACK_PRICES = {
+  gemini: { input: 0.3, output: 2.5 },
+  openai: { input: 2.5, output: 10 },
+  local: { input: 0, output: 0 }
+};
+
+export const EMPTY_USAGE = { inputTokens: 0, outputTokens: 0, cost: 0, calls: 0 };
+
+export const modelPrices = (provider, model = "") =>
+  MODEL_PRICES.find(p => p.provider === provider && p.match.test(model)) ||
+  FALLBACK_PRICES[provider] ||
+  FALLBACK_PRICES.openai;
+
+// Usage of one model call ({ usage, provider, model } as returned by generateText) with its cost.
+export const callUsage = ({ usage, provider, model }) => {
+  const prices = modelPrices(provider, model);
+  const inputTokens = usage?.inputTokens || 0;
+  const outputTokens = usage?.outputTokens || 0;
+  return {
+    inputTokens,
+    outputTokens,
+    cost: (inputTokens * prices.input + outputTokens * prices.output) / 1e6,
+    calls: 1
+  };
+};
+
+export const addUsage = (a, b) => ({
+  inputTokens: a.inputTokens + b.inputTokens,
+  outputTokens: a.outputTokens + b.outputTokens,
+  cost: a.cost + b.cost,
+  calls: a.calls + b.calls
+});
+
+export const totalTokens = (usage) => usage.inputTokens + usage.outputTokens;
+
+export const formatTokens = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}K` : `${tokens}`);
+
+export const formatCost = (cost) => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
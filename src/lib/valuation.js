@@ -0,0 +1,170 @@
+// --- Value Computation ---
+// The model only supplies outcome probabilities. Edge, expected value, Kelly stakes and the
+// UNDERVALUED / OVERVALUED / FAIR verdict are computed here from the Polymarket prices.
+// Edge is measured against the no-vig fair probability (lib/pricing); EV and Kelly use the
+// raw price, since that is what a share actually costs. The probability itself can be the AI
+// estimate, the baseline model's (lib/baseline) or a weighted blend of the two. An ensemble
+// analysis (lib/ensemble) is only called Undervalued where enough of its members agree.
+
+import { priceGroup } from './pricing';
+
+const SETTINGS_KEY = "polysoccer.valueSettings";
+
+export const DEFAULT_VALUE_SETTINGS = {
+  edgeThreshold: 3,              // percentage points between model and market before we call it mispriced
+  minExpectedValue: 0,           // minimum EV (in %) an UNDERVALUED outcome must also clear
+  kellyFraction: 0.25,           // fraction of full Kelly used for the suggested stake
+  devigMethod: "multiplicative", // how the overround is removed before measuring edge (see lib/pricing)
+  probabilitySource: "llm",      // what edge is measured with (see PROBABILITY_SOURCES)
+  modelWeight: 0.5,              // the baseline model's share of a blend (0-1)
+  bookGapThreshold: 3,           // points between Polymarket and the sportsbook consensus to flag (lib/bookOdds)
+  ensembleAgreement: 60          // % of ensemble members that must see the edge themselves for UNDERVALUED
+};
+
+export const PROBABILITY_SOURCES = {
+  llm: "AI estimate",
+  model: "Baseline model",
+  blend: "Blend of both"
+};
+
+export const loadValueSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null");
+    return { ...DEFAULT_VALUE_SETTINGS, ...stored };
+  } catch {
+    return DEFAULT_VALUE_SETTINGS;
+  }
+};
+
+export const saveValueSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// Full Kelly for buying a YES share at `price` that pays 1: f* = (p - price) / (1 - price).
+export const kellyFraction = (probability, price) => {
+  if (!(price > 0 && price < 1)) return 0;
+  return Math.max(0, (probability - price) / (1 - price));
+};
+
+// `probability` is the model's estimate in percent (0-100); `price` the share price (0-1);
+// `fairPrice` the de-vigged market probability (0-1), falling back to the price when absent.
+// `agreement` is the share of ensemble members (percent) that would call the outcome
+// Undervalued on their own, for ensemble analyses only; below the setting the verdict is FAIR
+// and `contested` is set.
+export const evaluateOutcome = ({ probability, price, fairPrice, agreement }, settings = DEFAULT_VALUE_SETTINGS) => {
+  const p = probability / 100;
+  const priced = price > 0 && price < 1;
+  if (!priced || isNaN(p)) {
+    return { marketProbability: null, edge: null, expectedValue: null, kelly: 0, fractionalKelly: 0, status: null, contested: false };
+  }
+
+  const marketProbability = fairPrice > 0 ? fairPrice : price;
+  const edge = (p - marketProbability) * 100;
+  const expectedValue = (p / price - 1) * 100;
+  const kelly = kellyFraction(p, price);
+
+  let status = "FAIR";
+  if (edge >= settings.edgeThreshold && expectedValue >= settings.minExpectedValue) status = "UNDERVALUED";
+  else if (edge <= -settings.edgeThreshold) status = "OVERVALUED";
+
+  const contested = status === "UNDERVALUED" && agreement != null && agreement < settings.ensembleAgreement;
+  if (contested) status = "FAIR";
+
+  return {
+    marketProbability: marketProbability * 100,
+    edge,
+    expectedValue,
+    kelly,
+    fractionalKelly: kelly * settings.kellyFraction,
+    status,
+    contested
+  };
+};
+
+const highestExpectedValue = (outcomes) => outcomes.reduce((top, o) => (!top || o.expectedValue > top.expectedValue ? o : top), null);
+
+// `outcomes` is a list of { key, label, price, fairPrice, probability }. Returns every outcome
+// with its numbers attached and the best-value one: the Undervalued outcome with the highest
+// expected value, or without one the priced outcome with the highest expected value. A Fair
+// longshot can out-earn an Undervalued favourite on EV alone, but it is not the value call.
+export const evaluateOutcomes = (outcomes, settings = DEFAULT_VALUE_SETTINGS) => {
+  const evaluated = outcomes.map(outcome => ({ ...outcome, ...evaluateOutcome(outcome, settings) }));
+  const best = highestExpectedValue(evaluated.filter(o => o.status === "UNDERVALUED"))
+    || highestExpectedValue(evaluated.filter(o => o.status));
+  return { outcomes: evaluated, best };
+};
+
+// The probabilities (percent, per outcome key) edge is measured with, following
+// `settings.probabilitySource`. Analyses without baseline probabilities (older ones, or teams
+// the model has no rating for) fall back to the AI estimate.
+export const edgeProbabilities = (analysis, settings = DEFAULT_VALUE_SETTINGS) => {
+  const ai = analysis.outcome_probabilities || {};
+  const model = analysis.metadata?.baseline?.probabilities;
+  if (!model || settings.probabilitySource === "llm") return ai;
+  if (settings.probabilitySource === "model") return model;
+  const weight = Math.min(1, Math.max(0, settings.modelWeight));
+  return Object.fromEntries(Object.entries(ai).map(([key, p]) => [
+    key,
+    model[key] != null && p != null ? weight * model[key] + (1 - weight) * p : p
+  ]));
+};
+
+// Current outcomes (live prices) with an analysis's probability and its Kelly fraction at those
+// prices, as used for sizing paper trades.
+export const repriceOutcomes = (outcomes, analysis, settings = DEFAULT_VALUE_SETTINGS) => outcomes.map(o => {
+  const probability = edgeProbabilities(analysis, settings)[o.key];
+  return { ...o, probability, kelly: evaluateOutcome({ probability, price: o.price }, settings).kelly };
+});
+
+// Per outcome key, the share (percent) of ensemble members whose own estimate, measured the same
+// way as the combined one, grades the outcome Undervalued. Empty for single analyses.
+const ensembleAgreement = (analysis, pricedOutcomes, settings) => {
+  const members = analysis.ensemble?.members;
+  if (!members?.length) return {};
+  const votes = members.map(member => {
+    const probabilities = edgeProbabilities({ ...analysis, outcome_probabilities: member.probabilities }, settings);
+    return new Set(pricedOutcomes
+      .filter(o => evaluateOutcome({ ...o, probability: probabilities[o.key] }, settings).status === "UNDERVALUED")
+      .map(o => o.key));
+  });
+  return Object.fromEntries(pricedOutcomes.map(o => [o.key, (votes.filter(v => v.has(o.key)).length / votes.length) * 100]));
+};
+
+// Re-derives `valuation` and the legacy `value_assessment` block from an analysis's stored
+// probabilities and prices, so threshold and de-vig changes apply to analyses that already ran.
+export const applyValuation = (analysis, settings = DEFAULT_VALUE_SETTINGS) => {
+  const snapshot = analysis.metadata?.outcomes;
+  if (!snapshot) return analysis;
+
+  const priced = priceGroup({ type: analysis.metadata.marketType, outcomes: snapshot }, settings.devigMethod);
+  const probabilities = edgeProbabilities(analysis, settings);
+  const agreement = ensembleAgreement(analysis, priced.outcomes, settings);
+  const valuation = evaluateOutcomes(
+    priced.outcomes.map(o => ({
+      ...o,
+      probability: probabilities[o.key],
+      agreement: agreement[o.key],
+      aiProbability: analysis.outcome_probabilities?.[o.key],
+      modelProbability: analysis.metadata?.baseline?.probabilities?.[o.key] ?? null
+    })),
+    settings
+  );
+  valuation.overround = priced.overround;
+  valuation.probabilitySource = analysis.metadata?.baseline ? settings.probabilitySource : "llm";
+  const { best } = valuation;
+
+  return {
+    ...analysis,
+    valuation,
+    value_assessment: best ? {
+      outcome: best.label,
+      market_status: best.status,
+      market_implied_probability: Number(best.marketProbability.toFixed(1)),
+      my_calculated_probability: Number(best.probability.toFixed(1)),
+      edge_percentage: Number(best.edge.toFixed(1)),
+      expected_value: Number(best.expectedValue.toFixed(1)),
+      kelly_criterion_suggestion: best.fractionalKelly,
+      full_kelly: best.kelly
+    } : null
+  };
+};
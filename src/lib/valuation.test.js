@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateOutcomes, applyValuation, DEFAULT_VALUE_SETTINGS } from './valuation';
+
+describe("evaluateOutcomes", () => {
+  it("prefers an undervalued outcome over a fair longshot with higher EV", () => {
+    const { best, outcomes } = evaluateOutcomes([
+      { key: "favourite", price: 0.5, fairPrice: 0.5, probability: 56 },
+      { key: "longshot", price: 0.05, fairPrice: 0.05, probability: 7 }
+    ]);
+    expect(outcomes.map(o => o.status)).toEqual(["UNDERVALUED", "FAIR"]);
+    expect(outcomes[1].expectedValue).toBeGreaterThan(outcomes[0].expectedValue);
+    expect(best.key).toBe("favourite");
+  });
+
+  it("falls back to the highest EV when nothing is undervalued", () => {
+    const { best } = evaluateOutcomes([
+      { key: "a", price: 0.5, probability: 50 },
+      { key: "b", price: 0.05, probability: 6 },
+      { key: "c", price: 0.45, probability: 44 }
+    ]);
+    expect(best.key).toBe("b");
+  });
+
+  it("ignores unpriced outcomes", () => {
+    const { best } = evaluateOutcomes([{ key: "a", price: null, probability: 50 }]);
+    expect(best).toBeNull();
+  });
+});
+
+describe("applyValuation", () => {
+  const metadata = {
+    outcomes: [
+      { key: "home", label: "Home", price: 0.4 },
+      { key: "draw", label: "Draw", price: 0.3 },
+      { key: "away", label: "Away", price: 0.3 }
+    ]
+  };
+
+  it("reports the undervalued pick in value_assessment", () => {
+    const result = applyValuation({ outcome_probabilities: { home: 48, draw: 26, away: 26 }, metadata }, DEFAULT_VALUE_SETTINGS);
+    expect(result.value_assessment).toMatchObject({ outcome: "Home", market_status: "UNDERVALUED" });
+  });
+
+  it("holds back an undervalued call too few ensemble members share", () => {
+    const analysis = {
+      outcome_probabilities: { home: 47, draw: 26.5, away: 26.5 },
+      ensemble: {
+        members: [
+          { probabilities: { home: 52, draw: 24, away: 24 } },
+          { probabilities: { home: 50, draw: 25, away: 25 } },
+          { probabilities: { home: 40, draw: 30, away: 30 } }
+        ]
+      },
+      metadata
+    };
+    const agreed = applyValuation(analysis, DEFAULT_VALUE_SETTINGS).valuation.outcomes[0];
+    expect(agreed).toMatchObject({ status: "UNDERVALUED", contested: false });
+    const split = applyValuation(analysis, { ...DEFAULT_VALUE_SETTINGS, ensembleAgreement: 70 }).valuation.outcomes[0];
+    expect(split).toMatchObject({ status: "FAIR", contested: true });
+  });
+
+  it("measures a partial outright field against its raw prices", () => {
+    const outright = {
+      outcome_probabilities: { arsenal: 41, liverpool: 20, chelsea: 10 },
+      metadata: {
+        marketType: "outright",
+        outcomes: [
+          { key: "arsenal", label: "Arsenal", price: 0.4 },
+          { key: "liverpool", label: "Liverpool", price: 0.2 },
+          { key: "chelsea", label: "Chelsea", price: 0.1 }
+        ]
+      }
+    };
+    const { valuation } = applyValuation(outright, DEFAULT_VALUE_SETTINGS);
+    expect(valuation.overround).toBeNull();
+    expect(valuation.outcomes.map(o => [o.fairPrice, o.status])).toEqual([[0.4, "FAIR"], [0.2, "FAIR"], [0.1, "FAIR"]]);
+
+    const complete = { ...outright, metadata: { ...outright.metadata, outcomes: [...outright.metadata.outcomes, { key: "other", label: "Other", price: 0.3 }] } };
+    expect(applyValuation(complete, DEFAULT_VALUE_SETTINGS).valuation.overround).toBeCloseTo(0);
+  });
+});
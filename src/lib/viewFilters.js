@@ -0,0 +1,181 @@
+// --- View Filters & Sorting ---
+// Narrows and orders the markets already loaded (lib/marketFilters decides what is loaded).
+// The whole view lives in the URL query so a filtered, sorted list can be shared as a link.
+
+import { parseEventMarkets, analysisKeyFor } from './marketTypes';
+
+export const SORTS = {
+  kickoff: "Kick-off (soonest)",
+  volume: "Volume",
+  liquidity: "Liquidity",
+  edge: "Edge",
+  confidence: "Confidence"
+};
+
+export const STATUS_FILTERS = {
+  all: "Any status",
+  unanalyzed: "Not analyzed",
+  undervalued: "Undervalued",
+  overvalued: "Overvalued"
+};
+
+// Hours ahead of now; 0 means any time.
+export const KICKOFF_WINDOWS = {
+  0: "Any kick-off",
+  3: "Within 3h",
+  6: "Within 6h",
+  12: "Within 12h",
+  24: "Within 24h",
+  48: "Within 48h",
+  168: "Within 7 days"
+};
+
+export const DEFAULT_VIEW = {
+  search: "",
+  league: "",
+  withinHours: 0,
+  liquidityMin: null,
+  liquidityMax: null,
+  status: "all",
+  minEdge: null,
+  minConfidence: null,
+  sort: "kickoff"
+};
+
+// Field <-> URL parameter. Short names keep shared links readable and stay clear of the market
+// filter params (lib/marketFilters) that share the query string.
+const URL_KEYS = {
+  search: "q",
+  league: "comp",
+  withinHours: "within",
+  liquidityMin: "liqMin",
+  liquidityMax: "liqMax",
+  status: "status",
+  minEdge: "edge",
+  minConfidence: "conf",
+  sort: "sort"
+};
+
+const NUMERIC_FIELDS = ["liquidityMin", "liquidityMax", "minEdge", "minConfidence"];
+
+// Tags that say nothing about the competition.
+const GENERIC_TAGS = new Set(["sports", "soccer", "football", "games", "all"]);
+const MAX_LEAGUE_LENGTH = 40;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+export const normalizeView = (raw = {}) => {
+  const view = { ...DEFAULT_VIEW };
+  if (typeof raw.search === "string") view.search = raw.search;
+  if (typeof raw.league === "string") view.league = raw.league;
+  if (Object.hasOwn(KICKOFF_WINDOWS, String(raw.withinHours))) view.withinHours = Number(raw.withinHours);
+  if (Object.hasOwn(STATUS_FILTERS, raw.status)) view.status = raw.status;
+  if (Object.hasOwn(SORTS, raw.sort)) view.sort = raw.sort;
+  NUMERIC_FIELDS.forEach(field => { view[field] = toNumber(raw[field]); });
+  return view;
+};
+
+export const readViewFromQuery = (search) => {
+  const params = new URLSearchParams(search);
+  const raw = {};
+  Object.entries(URL_KEYS).forEach(([field, key]) => {
+    if (params.has(key)) raw[field] = params.get(key);
+  });
+  return normalizeView(raw);
+};
+
+// Sets the view's non-default fields on `params` (a URLSearchParams) and clears the rest.
+export const writeViewToQuery = (view, params) => {
+  Object.entries(URL_KEYS).forEach(([field, key]) => {
+    const value = view[field];
+    if (value === DEFAULT_VIEW[field] || value === null || value === "") params.delete(key);
+    else params.set(key, value);
+  });
+  return params;
+};
+
+export const eventKickoff = (event) => {
+  const time = Date.parse(event.startTime || event.markets?.[0]?.gameStartTime || event.endDate || event.startDate || "");
+  return Number.isNaN(time) ? null : time;
+};
+
+// The competition name: the first specific gamma tag, else a short description.
+export const eventLeague = (event) => {
+  const tag = (event.tags || []).find(t => t?.label && !GENERIC_TAGS.has(t.label.toLowerCase()));
+  if (tag) return tag.label;
+  const description = (event.description || "").trim();
+  return description && description.length <= MAX_LEAGUE_LENGTH ? description : "Soccer";
+};
+
+// What the filters need to know about one event: league, kick-off, money, and the strongest
+// edge, confidence and verdicts across every analyzed market group of the event.
+export const summarizeEvent = (event, analyses) => {
+  const { match, groups } = parseEventMarkets(event);
+  const eventAnalyses = groups
+    .map(group => analyses[analysisKeyFor(event, match, group)])
+    .filter(Boolean);
+
+  const edges = eventAnalyses.flatMap(a => (a.valuation?.outcomes || []).map(o => o.edge)).filter(e => e != null);
+  const confidences = eventAnalyses.map(a => a.confidence_rating).filter(c => typeof c === "number");
+  const verdicts = new Set(eventAnalyses.map(a => a.valuation?.best?.status).filter(Boolean));
+
+  return {
+    league: eventLeague(event),
+    kickoff: eventKickoff(event),
+    volume: parseFloat(event.volume ?? event.markets?.[0]?.volume) || 0,
+    liquidity: parseFloat(event.liquidity ?? event.markets?.[0]?.liquidity) || 0,
+    analyzed: eventAnalyses.length > 0,
+    edge: edges.length ? Math.max(...edges) : null,
+    confidence: confidences.length ? Math.max(...confidences) : null,
+    undervalued: verdicts.has("UNDERVALUED"),
+    overvalued: verdicts.has("OVERVALUED")
+  };
+};
+
+const matchesSearch = (event, term) => {
+  if (!term) return true;
+  const needle = term.toLowerCase();
+  return event.title.toLowerCase().includes(needle) ||
+    (event.markets[0]?.question || "").toLowerCase().includes(needle) ||
+    (event.description || "").toLowerCase().includes(needle);
+};
+
+const matchesView = (event, summary, view, now) => {
+  if (!matchesSearch(event, view.search)) return false;
+  if (view.league && summary.league !== view.league) return false;
+  if (view.withinHours > 0 && (summary.kickoff == null || summary.kickoff - now > view.withinHours * 3600000)) return false;
+  if (view.liquidityMin != null && summary.liquidity < view.liquidityMin) return false;
+  if (view.liquidityMax != null && summary.liquidity > view.liquidityMax) return false;
+  if (view.status === "unanalyzed" && summary.analyzed) return false;
+  if (view.status === "undervalued" && !summary.undervalued) return false;
+  if (view.status === "overvalued" && !summary.overvalued) return false;
+  if (view.minEdge != null && !(summary.edge >= view.minEdge)) return false;
+  if (view.minConfidence != null && !(summary.confidence >= view.minConfidence)) return false;
+  return true;
+};
+
+// Missing values (no kick-off time, no analysis yet) always sort last.
+const COMPARATORS = {
+  kickoff: (a, b) => (a.kickoff ?? Infinity) - (b.kickoff ?? Infinity),
+  volume: (a, b) => b.volume - a.volume,
+  liquidity: (a, b) => b.liquidity - a.liquidity,
+  edge: (a, b) => (b.edge ?? -Infinity) - (a.edge ?? -Infinity),
+  confidence: (a, b) => (b.confidence ?? -Infinity) - (a.confidence ?? -Infinity)
+};
+
+// Events passing every filter in `view`, in the view's sort order. Ties keep load order.
+export const applyView = (events, analyses, view, now = Date.now()) => {
+  const compare = COMPARATORS[view.sort] || COMPARATORS.kickoff;
+  return events
+    .map((event, index) => ({ event, index, summary: summarizeEvent(event, analyses) }))
+    .filter(({ event, summary }) => matchesView(event, summary, view, now))
+    .sort((a, b) => compare(a.summary, b.summary) || a.index - b.index)
+    .map(({ event }) => event);
+};
+
+// Leagues present in the loaded events, for the league picker.
+export const leagueOptions = (events) => [...new Set(events.map(eventLeague))].sort();
@@ -5,7 +5,22 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      keyframes: {
+        "tick-up": {
+          "0%": { backgroundColor: "rgb(16 185 129 / 0.35)" },
+          "100%": { backgroundColor: "transparent" },
+        },
+        "tick-down": {
+          "0%": { backgroundColor: "rgb(244 63 94 / 0.35)" },
+          "100%": { backgroundColor: "transparent" },
+        },
+      },
+      animation: {
+        "tick-up": "tick-up 1.5s ease-out",
+        "tick-down": "tick-down 1.5s ease-out",
+      },
+    },
   },
   plugins: [],
 }
@@ -1,7 +1,20 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import { loadConfig } from './server/config.js'
+import { createApiHandler } from './server/api.js'
+
+// Mounts the local API (server/api.js) into the dev and preview servers, so `npm run dev`
+// needs no separate backend process. Keys come from .env, without the VITE_ prefix filter.
+const apiServer = (env) => {
+  const handler = createApiHandler(loadConfig(env))
+  return {
+    name: 'polysoccer-api',
+    configureServer: (server) => { server.middlewares.use(handler) },
+    configurePreviewServer: (server) => { server.middlewares.use(handler) },
+  }
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-})
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), apiServer({ ...process.env, ...loadEnv(mode, process.cwd(), '') })],
+}))